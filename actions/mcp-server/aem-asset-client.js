@@ -15,11 +15,85 @@ governing permissions and limitations under the License.
  * 
  * This module provides utilities for:
  * - Asset search using QueryBuilder API
- * - Asset metadata retrieval
+ * - Asset metadata retrieval and schema-validated updates
  * - Value search and replace in search results
+ * - Asset upload using AEM direct binary upload
+ * - Bulk metadata search and replace with dry run
+ * - Asset move, copy and delete with page reference checks
+ * - DAM folder creation (with metadata schema / processing profile), tree listing, rename and delete
+ * - Asset details: renditions, versions, references and thumbnail
+ * - Metadata CSV export and import
  */
 
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
 const { AEMClientBase } = require('./aem-client-base');
+const {
+    DEFAULT_METADATA_SCHEMA,
+    parseMetadataSchema,
+    isProtectedProperty,
+    validateMetadataUpdate,
+    getTypeHint,
+    serializeValue
+} = require('./metadata-schema');
+const { formatMetadataCsv, parseMetadataCsv, toMetadataValue } = require('./metadata-csv');
+
+// Metadata returned with every search / listing hit (the full node is only fetched on request)
+const DEFAULT_METADATA_PROPERTIES = [
+    'dc:title',
+    'dc:description',
+    'dc:subject',
+    'dc:format',
+    'cq:tags',
+    'product:brand',
+    'product:sku',
+    'dam:size',
+    'tiff:ImageWidth',
+    'tiff:ImageLength'
+];
+
+const METADATA_PATH = 'jcr:content/metadata';
+
+// Columns of a metadata CSV export when none are chosen (the editable common properties)
+const DEFAULT_EXPORT_COLUMNS = ['dc:title', 'dc:description', 'dc:subject', 'cq:tags', 'product:brand', 'product:sku'];
+
+// Sort fields accepted by searchAssets (other values are read as metadata properties)
+const SORT_FIELDS = {
+    modified: '@jcr:content/jcr:lastModified',
+    created: '@jcr:created',
+    name: 'nodename',
+    path: 'path',
+    title: '@jcr:content/metadata/dc:title',
+    size: '@jcr:content/metadata/dam:size'
+};
+
+// Facet fields with a friendly name (other values are read as metadata properties)
+const FACET_FIELDS = {
+    mimeType: 'jcr:content/metadata/dc:format',
+    tags: 'jcr:content/metadata/cq:tags'
+};
+
+// QueryBuilder property predicate operations
+const PROPERTY_OPERATIONS = ['equals', 'unequals', 'like', 'exists', 'not'];
+
+// Where metadata schemas and processing profiles referenced by name are stored
+const METADATA_SCHEMAS_ROOT = '/conf/global/settings/dam/adminui-extension/metadataschema';
+const PROCESSING_PROFILES_ROOT = '/conf/global/settings/dam/processing';
+
+// Characters AEM does not allow in DAM folder names
+const INVALID_FOLDER_NAME = /[\s*/:[\]|#%{}?&\\"']/;
+
+// Thumbnail renditions generated by DAM asset processing, in order of preference
+const THUMBNAIL_RENDITIONS = ['cq5dam.thumbnail.140.100.png', 'cq5dam.thumbnail.319.319.png', 'cq5dam.thumbnail.48.48.png'];
+
+// Relative date units ("-7d", "-2w", "-1M")
+// Largest binary downloaded from an assetUrl; the whole file is held in memory for the upload
+const MAX_ASSET_DOWNLOAD_BYTES = 200 * 1024 * 1024;
+const MAX_ASSET_DOWNLOAD_REDIRECTS = 5;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000, M: 30 * 86400 * 1000, y: 365 * 86400 * 1000 };
 
 /**
  * AEM Asset Client - Extends base client with asset-specific operations
@@ -36,10 +110,25 @@ class AEMAssetClient extends AEMClientBase {
      * @param {number} searchConfig.offset - Result offset for pagination (default: 0)
      * @param {string} searchConfig.searchValue - Value to search for in results (for replacement)
      * @param {string} searchConfig.replaceValue - Value to replace with (if searchValue provided)
-     * @returns {Promise<Object>} Search results with assets and metadata
+     * @param {string[]} searchConfig.metadataProperties - Metadata returned with each hit (default: DEFAULT_METADATA_PROPERTIES)
+     * @param {boolean} searchConfig.fullMetadata - Fetch the complete metadata node of every hit (default: false)
+     * @param {string|string[]} searchConfig.mimeType - MIME type(s), "image/*" style wildcards allowed
+     * @param {Object} searchConfig.created - Creation date range { from, to } (ISO 8601 or relative like "-7d")
+     * @param {Object} searchConfig.modified - Modification date range { from, to }
+     * @param {string[]} searchConfig.tags - Tag IDs (e.g., "wknd:season/summer")
+     * @param {string} searchConfig.tagsMatch - "all" (default) or "any" of the tags
+     * @param {Array} searchConfig.properties - Metadata filters [{ name, operation: equals|unequals|like|exists|not, value }]
+     * @param {Object} searchConfig.size - File size range in bytes { min, max }
+     * @param {Object} searchConfig.width - Image width range in pixels { min, max }
+     * @param {Object} searchConfig.height - Image height range in pixels { min, max }
+     * @param {string|string[]} searchConfig.orderBy - modified (default), created, name, path, title, size or a metadata property
+     * @param {string} searchConfig.sortOrder - desc (default) or asc
+     * @param {string[]} searchConfig.facets - Return value counts for these fields (mimeType, tags or metadata properties)
+     * @returns {Promise<Object>} Search results with assets, metadata, facets and timing
      */
     async searchAssets(searchConfig = {}) {
         try {
+            const startedAt = Date.now();
             const {
                 query,
                 filename,
@@ -48,7 +137,11 @@ class AEMAssetClient extends AEMClientBase {
                 limit = 50,
                 offset = 0,
                 searchValue,
-                replaceValue
+                replaceValue,
+                metadataProperties = DEFAULT_METADATA_PROPERTIES,
+                fullMetadata = false,
+                orderBy = 'modified',
+                sortOrder = 'desc'
             } = searchConfig;
 
             // Build QueryBuilder predicates
@@ -98,14 +191,26 @@ class AEMAssetClient extends AEMClientBase {
                 params.append('3_property.operation', 'like');
                 params.append('3_property.value', `%${this.escapeLikeValue(title)}%`);
             }
+
+            // Structured filters and facet predicates
+            const facetPredicates = this.appendStructuredFilters(params, searchConfig);
             
             // Pagination
             params.append('p.limit', limit.toString());
             params.append('p.offset', offset.toString());
+            if (Object.keys(facetPredicates).length > 0) {
+                params.append('p.facets', 'true');
+            }
             
-            // Order by
-            params.append('orderby', '@jcr:content/jcr:lastModified');
-            params.append('orderby.sort', 'desc');
+            // Order by (several fields sort by the first, then the next...)
+            const orderFields = [].concat(orderBy);
+            orderFields.forEach((field, position) => {
+                const prefix = orderFields.length > 1 ? `${position + 1}_` : '';
+                params.append(`${prefix}orderby`, this.getOrderByProperty(field));
+                params.append(`${prefix}orderby.sort`, sortOrder === 'asc' ? 'asc' : 'desc');
+            });
+
+            this.appendMetadataProperties(params, fullMetadata ? [] : metadataProperties);
             
             // Execute QueryBuilder query
             const queryBuilderUrl = `/bin/querybuilder.json?${params.toString()}`;
@@ -116,7 +221,7 @@ class AEMAssetClient extends AEMClientBase {
             } catch (error) {
                 // Enhanced error handling for authentication issues
                 if (error.response && error.response.status === 401) {
-                    const authMethod = this.credentials.token ? 'Bearer token' : 'username/password';
+                    const authMethod = this.getAuthMethodLabel();
                     const errorDetails = {
                         status: error.response.status,
                         statusText: error.response.statusText,
@@ -129,14 +234,19 @@ class AEMAssetClient extends AEMClientBase {
                     errorMessage += `Authentication Method: ${authMethod}\n`;
                     errorMessage += `Request URL: ${errorDetails.url}\n\n`;
                     
-                    if (this.credentials.token) {
+                    if (this.tokenProvider) {
+                        errorMessage += `Possible causes:\n`;
+                        errorMessage += `- The IMS integration is not assigned to this AEM environment\n`;
+                        errorMessage += `- The technical account user lacks permissions in AEM\n`;
+                        errorMessage += `- Requested scopes do not grant AEM access\n`;
+                    } else if (this.credentials.token) {
                         errorMessage += `Possible causes:\n`;
                         errorMessage += `- Bearer token has expired (tokens typically expire after 24 hours)\n`;
                         errorMessage += `- Token does not have required permissions/scopes\n`;
                         errorMessage += `- AEM Cloud Service may require username/password authentication for QueryBuilder API\n`;
                         errorMessage += `- Invalid or malformed token\n\n`;
-                        errorMessage += `💡 Try using username/password authentication instead:\n`;
-                        errorMessage += `   Set AEM_USERNAME and AEM_PASSWORD environment variables, or pass them as tool parameters.\n`;
+                        errorMessage += `💡 Use OAuth server-to-server credentials for automatic token refresh, or switch to username/password authentication:\n`;
+                        errorMessage += `   Configure the environment profile in AEM_ENVIRONMENTS (auth type "oauth", "technical-account" or "basic").\n`;
                     } else {
                         errorMessage += `Possible causes:\n`;
                         errorMessage += `- Invalid username or password\n`;
@@ -151,50 +261,18 @@ class AEMAssetClient extends AEMClientBase {
                 throw error;
             }
             
-            // Parse results
-            const results = [];
-            if (response.data && response.data.hits) {
-                for (const hit of response.data.hits) {
-                    const assetPath = hit.path;
-                    const assetName = assetPath.split('/').pop();
-                    
-                    // Get asset metadata
-                    let assetTitle = '';
-                    let assetMetadata = {};
-                    
-                    try {
-                        const metadataResponse = await this.axiosInstance.get(
-                            `${assetPath}/jcr:content/metadata.json`
-                        );
-                        assetMetadata = metadataResponse.data || {};
-                        assetTitle = assetMetadata['dc:title'] || assetName;
-                    } catch (metadataError) {
-                        // If metadata fetch fails (e.g., 401 or 404), use asset name as title
-                        // Don't throw error here as we still want to return the asset in results
-                        if (metadataError.response && metadataError.response.status === 401) {
-                            // Log warning but continue - metadata might require different permissions
-                            console.warn(`Warning: Could not fetch metadata for ${assetPath} due to authentication error`);
-                        }
-                        assetTitle = assetName;
-                    }
+            const queryMs = Date.now() - startedAt;
+            const { results, metadataFetches, metadataMs } = await this.buildAssetResults(response.data?.hits || [], fullMetadata);
 
-                    // Apply search and replace on values if provided
-                    if (searchValue !== undefined && searchValue !== null && searchValue !== '') {
-                        assetMetadata = this.replaceValuesInMetadata(assetMetadata, searchValue, replaceValue || '');
-                        // Also update title if it was replaced
-                        if (assetMetadata['dc:title']) {
-                            assetTitle = assetMetadata['dc:title'];
-                        }
+            // Apply search and replace on values if provided
+            if (searchValue !== undefined && searchValue !== null && searchValue !== '') {
+                results.forEach(asset => {
+                    asset.metadata = this.replaceValuesInMetadata(asset.metadata, searchValue, replaceValue || '');
+                    // Also update title if it was replaced
+                    if (asset.metadata['dc:title']) {
+                        asset.title = asset.metadata['dc:title'];
                     }
-
-                    results.push({
-                        path: assetPath,
-                        name: assetName,
-                        title: assetTitle,
-                        metadata: assetMetadata,
-                        url: `${this.authorUrl}${assetPath}`
-                    });
-                }
+                });
             }
 
             return {
@@ -206,6 +284,10 @@ class AEMAssetClient extends AEMClientBase {
                 count: results.length,
                 limit,
                 offset,
+                orderBy,
+                sortOrder,
+                facets: this.readFacets(response.data?.facets, facetPredicates),
+                timing: { totalMs: Date.now() - startedAt, queryMs, metadataMs, metadataFetches },
                 message: `Found ${results.length} asset(s)`
             };
         } catch (error) {
@@ -213,6 +295,321 @@ class AEMAssetClient extends AEMClientBase {
         }
     }
 
+    /**
+     * Get one page of a stable walk over all assets matching a search
+     *
+     * Pages are ordered by creation date, then path, and continue after the last asset
+     * returned (keyset pagination) instead of at an offset, so assets added, moved or
+     * deleted between calls do not shift the remaining pages. Assets created after the
+     * first page are not part of the walk.
+     * @param {Object} searchConfig - Search filters (see searchAssets; limit, offset and orderBy are ignored)
+     * @param {Object} options - Page options
+     * @param {string} options.cursor - Continuation cursor of the previous page (omit for the first page)
+     * @param {number} options.pageSize - Assets per page (default: 100)
+     * @returns {Promise<Object>} searchAssets result plus { nextCursor, hasMore }
+     */
+    async searchAssetsPage(searchConfig = {}, options = {}) {
+        try {
+            const { cursor, pageSize = 100 } = options;
+            const signature = getSearchSignature(searchConfig);
+            const state = cursor
+                ? decodeCursor(cursor, signature)
+                : { after: null, seen: [], until: new Date().toISOString() };
+
+            // Narrow the creation date range to the part of the walk that is left
+            const created = searchConfig.created || {};
+            const from = [created.from && parseDateBound(created.from, 'created.from'), state.after].filter(Boolean).sort().pop();
+            const to = [created.to && parseDateBound(created.to, 'created.to'), state.until].filter(Boolean).sort()[0];
+
+            // Assets at the cursor's timestamp are matched again (>=), so ask for enough to skip them
+            const result = await this.searchAssets({
+                ...searchConfig,
+                created: { from, to },
+                orderBy: ['created', 'path'],
+                sortOrder: 'asc',
+                limit: pageSize + state.seen.length + 1,
+                offset: 0
+            });
+
+            const fresh = result.results.filter(asset => !state.seen.includes(asset.path));
+            const page = fresh.slice(0, pageSize);
+            const hasMore = fresh.length > pageSize;
+
+            let nextCursor = null;
+            if (hasMore) {
+                const last = page[page.length - 1].created;
+                if (!last) {
+                    throw new Error(`Asset ${page[page.length - 1].path} has no jcr:created date and cannot be paged with a cursor`);
+                }
+                const seen = page.filter(asset => asset.created === last).map(asset => asset.path);
+                nextCursor = encodeCursor({
+                    signature,
+                    after: last,
+                    seen: last === state.after ? [...state.seen, ...seen] : seen,
+                    until: state.until
+                });
+            }
+
+            return {
+                ...result,
+                results: page,
+                count: page.length,
+                limit: pageSize,
+                hasMore,
+                nextCursor,
+                message: `Found ${page.length} asset(s)${hasMore ? ', more available' : ''}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to page assets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Walk every asset matching a search, page by page
+     * @param {Object} searchConfig - Search filters (see searchAssetsPage)
+     * @param {Object} options - { cursor, pageSize }
+     * @returns {AsyncGenerator<Object>} Assets in creation order
+     */
+    async *iterateAssets(searchConfig = {}, options = {}) {
+        let cursor = options.cursor;
+        do {
+            const page = await this.searchAssetsPage(searchConfig, { cursor, pageSize: options.pageSize });
+            for (const asset of page.results) {
+                yield asset;
+            }
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    /**
+     * Add the structured search filters as QueryBuilder predicates
+     * @param {URLSearchParams} params - Query parameters (predicates 1-3 are used by query, filename and title)
+     * @param {Object} filters - Search configuration (see searchAssets)
+     * @returns {Object} Facet name by QueryBuilder predicate name
+     */
+    appendStructuredFilters(params, filters) {
+        const {
+            mimeType,
+            created,
+            modified,
+            tags = [],
+            tagsMatch = 'all',
+            properties = [],
+            size,
+            width,
+            height,
+            facets = []
+        } = filters;
+
+        let index = 4;
+        const facetPredicates = {};
+        const addProperty = (prefix, property, operation, value) => {
+            params.append(`${prefix}property`, property);
+            if (operation && operation !== 'equals') {
+                params.append(`${prefix}property.operation`, operation);
+            }
+            if (value !== undefined) {
+                params.append(`${prefix}property.value`, String(value));
+            }
+        };
+        const nextPredicate = () => `${index++}_`;
+
+        // MIME type(s): exact values or "image/*" wildcards, any of them
+        const mimeTypes = [].concat(mimeType || []);
+        if (mimeTypes.length > 0) {
+            const group = `${nextPredicate()}group.`;
+            params.append(`${group}p.or`, 'true');
+            mimeTypes.forEach((type, position) => {
+                const wildcard = type.endsWith('*');
+                addProperty(`${group}${position + 1}_`, `${METADATA_PATH}/dc:format`, wildcard ? 'like' : 'equals',
+                    wildcard ? `${this.escapeLikeValue(type.slice(0, -1))}%` : type);
+            });
+        }
+
+        // Date ranges
+        [['jcr:created', created, 'created'], ['jcr:content/jcr:lastModified', modified, 'modified']].forEach(([property, range, label]) => {
+            if (!range || (range.from === undefined && range.to === undefined)) return;
+            const prefix = `${nextPredicate()}daterange.`;
+            params.append(`${prefix}property`, property);
+            if (range.from !== undefined) {
+                params.append(`${prefix}lowerBound`, parseDateBound(range.from, `${label}.from`));
+                params.append(`${prefix}lowerOperation`, '>=');
+            }
+            if (range.to !== undefined) {
+                params.append(`${prefix}upperBound`, parseDateBound(range.to, `${label}.to`));
+                params.append(`${prefix}upperOperation`, '<=');
+            }
+        });
+
+        // Tags: every tag (separate predicates) or any tag (or group)
+        if (tags.length > 0) {
+            if (tagsMatch === 'any') {
+                const group = `${nextPredicate()}group.`;
+                params.append(`${group}p.or`, 'true');
+                tags.forEach((tag, position) => {
+                    params.append(`${group}${position + 1}_tagid`, tag);
+                    params.append(`${group}${position + 1}_tagid.property`, `${METADATA_PATH}/cq:tags`);
+                });
+            } else {
+                tags.forEach(tag => {
+                    const prefix = nextPredicate();
+                    params.append(`${prefix}tagid`, tag);
+                    params.append(`${prefix}tagid.property`, `${METADATA_PATH}/cq:tags`);
+                });
+            }
+        }
+
+        // Arbitrary metadata properties
+        properties.forEach(filter => {
+            const operation = filter.operation || 'equals';
+            if (!PROPERTY_OPERATIONS.includes(operation)) {
+                throw new Error(`Unsupported property operation "${operation}" (use ${PROPERTY_OPERATIONS.join(', ')})`);
+            }
+            if (!['exists', 'not'].includes(operation) && (filter.value === undefined || filter.value === null)) {
+                throw new Error(`Property filter "${filter.name}" needs a value for operation "${operation}"`);
+            }
+            let value = filter.value;
+            if (operation === 'exists') value = 'true';
+            if (operation === 'not') value = undefined;
+            if (operation === 'like' && !String(value).includes('%')) {
+                value = `%${this.escapeLikeValue(String(value))}%`;
+            }
+            addProperty(nextPredicate(), toMetadataProperty(filter.name), operation, value);
+        });
+
+        // Numeric ranges
+        [[size, 'dam:size', 'size'], [width, 'tiff:ImageWidth', 'width'], [height, 'tiff:ImageLength', 'height']].forEach(([range, property, label]) => {
+            if (!range || (range.min === undefined && range.max === undefined)) return;
+            if ([range.min, range.max].some(bound => bound !== undefined && Number.isNaN(Number(bound)))) {
+                throw new Error(`${label} range bounds must be numbers`);
+            }
+            const prefix = `${nextPredicate()}rangeproperty.`;
+            params.append(`${prefix}property`, `${METADATA_PATH}/${property}`);
+            if (range.min !== undefined) {
+                params.append(`${prefix}lowerBound`, String(Number(range.min)));
+                params.append(`${prefix}lowerOperation`, '>=');
+            }
+            if (range.max !== undefined) {
+                params.append(`${prefix}upperBound`, String(Number(range.max)));
+                params.append(`${prefix}upperOperation`, '<=');
+            }
+        });
+
+        // Facets: an "exists" predicate per field makes QueryBuilder count its values
+        facets.forEach(field => {
+            const prefix = nextPredicate();
+            const property = FACET_FIELDS[field] || toMetadataProperty(field);
+            addProperty(prefix, property, 'exists', 'true');
+            facetPredicates[`${prefix}property`] = field;
+        });
+
+        return facetPredicates;
+    }
+
+    /**
+     * Map a sort field to a QueryBuilder orderby value
+     */
+    getOrderByProperty(orderBy) {
+        return SORT_FIELDS[orderBy] || `@${toMetadataProperty(orderBy)}`;
+    }
+
+    /**
+     * Normalize QueryBuilder facets ({ predicate: [{ value, count }] } or { predicate: { buckets } })
+     * @param {Object} facets - "facets" object of the QueryBuilder response
+     * @param {Object} facetPredicates - Facet name by predicate name
+     * @returns {Object} { field: [{ value, count }] } sorted by count
+     */
+    readFacets(facets, facetPredicates) {
+        const result = {};
+        for (const [predicate, field] of Object.entries(facetPredicates)) {
+            const raw = facets && facets[predicate];
+            const buckets = Array.isArray(raw) ? raw : (raw && raw.buckets) || [];
+            result[field] = buckets
+                .map(bucket => ({ value: bucket.value, count: Number(bucket.count) || 0 }))
+                .sort((a, b) => b.count - a.count);
+        }
+        return result;
+    }
+
+    /**
+     * Ask QueryBuilder for selective hits carrying the given metadata properties
+     * @param {URLSearchParams} params - Query parameters
+     * @param {string[]} metadataProperties - Metadata property names (empty: paths only)
+     */
+    appendMetadataProperties(params, metadataProperties) {
+        // jcr:primaryType is always present, so a hit without a metadata object has no metadata node
+        const properties = metadataProperties.length > 0
+            ? ['jcr:primaryType', ...metadataProperties].map(property => `jcr:content/metadata/${property}`)
+            : [];
+        params.append('p.hits', 'selective');
+        params.append('p.properties', ['jcr:path', 'jcr:created', ...properties].join(' '));
+    }
+
+    /**
+     * Turn QueryBuilder hits into asset results, fetching metadata.json only for hits
+     * that carry no metadata (bounded by the client concurrency)
+     * @param {Array} hits - QueryBuilder hits
+     * @param {boolean} fullMetadata - Fetch the complete metadata node of every hit
+     * @returns {Promise<Object>} { results, metadataFetches, metadataMs }
+     */
+    async buildAssetResults(hits, fullMetadata = false) {
+        const results = hits
+            .filter(hit => hit['jcr:path'] || hit.path)
+            .map(hit => {
+                const assetPath = hit['jcr:path'] || hit.path;
+                const metadata = fullMetadata ? null : this.readHitMetadata(hit);
+                return {
+                    path: assetPath,
+                    name: assetPath.split('/').pop(),
+                    title: '',
+                    created: hit['jcr:created'] ? new Date(hit['jcr:created']).toISOString() : null,
+                    metadata,
+                    url: `${this.authorUrl}${assetPath}`
+                };
+            });
+
+        const startedAt = Date.now();
+        const missing = results.filter(asset => asset.metadata === null);
+        await this.mapConcurrent(missing, async (asset) => {
+            try {
+                asset.metadata = await this.getAssetMetadata(asset.path);
+            } catch (metadataError) {
+                // Don't fail the listing for one asset; it is returned without metadata
+                if (metadataError.response && metadataError.response.status === 401) {
+                    console.warn(`Warning: Could not fetch metadata for ${asset.path} due to authentication error`);
+                }
+                asset.metadata = {};
+            }
+        });
+
+        results.forEach(asset => {
+            asset.title = asset.metadata['dc:title'] || asset.name;
+        });
+
+        return { results, metadataFetches: missing.length, metadataMs: Date.now() - startedAt };
+    }
+
+    /**
+     * Read the metadata carried by a selective hit (nested or keyed by relative path)
+     * @returns {Object|null} Metadata, or null when the hit has none
+     */
+    readHitMetadata(hit) {
+        if (hit['jcr:content'] && hit['jcr:content'].metadata) {
+            return { ...hit['jcr:content'].metadata };
+        }
+
+        const prefix = 'jcr:content/metadata/';
+        const keys = Object.keys(hit).filter(key => key.startsWith(prefix));
+        if (keys.length === 0) {
+            return null;
+        }
+        const metadata = {};
+        keys.forEach(key => {
+            metadata[key.slice(prefix.length)] = hit[key];
+        });
+        return metadata;
+    }
+
     /**
      * Replace values in metadata object recursively
      * Searches for searchValue in all string values and replaces with replaceValue
@@ -252,6 +649,174 @@ class AEMAssetClient extends AEMClientBase {
         return replaced;
     }
 
+    /**
+     * Search and replace values in asset metadata and write the changes back to AEM
+     * @param {Object} replaceConfig - Replacement configuration
+     * @param {string} replaceConfig.searchValue - Text (or regular expression with regex=true) to search for
+     * @param {string} replaceConfig.replaceValue - Replacement text ($1, $2... refer to regex groups)
+     * @param {string[]} replaceConfig.fields - Only replace in these metadata keys (default: all non-jcr: keys)
+     * @param {boolean} replaceConfig.caseSensitive - Match case (default: false)
+     * @param {boolean} replaceConfig.regex - Treat searchValue as a regular expression (default: false)
+     * @param {boolean} replaceConfig.dryRun - Only report the changes (default: true)
+     * @param {string} replaceConfig.query - Narrow the scanned assets (same as searchAssets query)
+     * @param {string} replaceConfig.filename - Narrow the scanned assets by filename
+     * @param {string} replaceConfig.title - Narrow the scanned assets by dc:title
+     * @param {string} replaceConfig.damPath - DAM path to scan (default: /content/dam)
+     * @param {number} replaceConfig.limit - Maximum number of assets to scan (default: 100)
+     * @param {number} replaceConfig.offset - Offset of the first scanned asset (default: 0)
+     * @param {string} replaceConfig.pagination - "offset" (default) or "cursor" (stable walk, see searchAssetsPage)
+     * @param {string} replaceConfig.cursor - Continuation cursor of the previous call (implies cursor pagination)
+     * @returns {Promise<Object>} { success, dryRun, scanned, total, changes: [{ path, fields: [{ field, before, after }], status }], updated, failed, message }
+     */
+    async bulkReplaceMetadata(replaceConfig = {}) {
+        try {
+            const {
+                searchValue,
+                replaceValue = '',
+                fields,
+                caseSensitive = false,
+                regex = false,
+                dryRun = true,
+                query,
+                filename,
+                title,
+                damPath = '/content/dam',
+                limit = 100,
+                offset = 0,
+                pagination = 'offset',
+                cursor
+            } = replaceConfig;
+
+            if (searchValue === undefined || searchValue === null || searchValue === '') {
+                throw new Error('searchValue is required');
+            }
+
+            const pattern = this.buildReplacePattern(searchValue, { caseSensitive, regex });
+            // Without regex the replacement is literal, so "$" must not be read as a group reference
+            const replacement = regex ? replaceValue : replaceValue.replace(/\$/g, '$$$$');
+
+            // With explicit fields the query returns them directly; otherwise every property is needed
+            const searchConfig = {
+                query,
+                filename,
+                title,
+                damPath,
+                limit,
+                offset,
+                metadataProperties: fields,
+                fullMetadata: !fields
+            };
+            const searchResult = pagination === 'cursor' || cursor
+                ? await this.searchAssetsPage(searchConfig, { cursor, pageSize: limit })
+                : await this.searchAssets(searchConfig);
+
+            const changes = [];
+            for (const asset of searchResult.results) {
+                const fieldChanges = this.diffMetadataReplacement(asset.metadata, pattern, replacement, fields);
+                if (fieldChanges.length > 0) {
+                    changes.push({
+                        path: asset.path,
+                        name: asset.name,
+                        fields: fieldChanges,
+                        status: dryRun ? 'planned' : 'pending'
+                    });
+                }
+            }
+
+            if (!dryRun) {
+                for (const change of changes) {
+                    const updates = {};
+                    change.fields.forEach(({ field, after }) => {
+                        updates[field] = after;
+                    });
+                    try {
+                        const updateResult = await this.updateAssetMetadata(change.path, updates, true);
+                        if (updateResult.success) {
+                            change.status = 'updated';
+                        } else {
+                            change.status = 'failed';
+                            change.error = updateResult.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+                        }
+                    } catch (error) {
+                        change.status = 'failed';
+                        change.error = error.message;
+                    }
+                }
+            }
+
+            const updated = changes.filter(change => change.status === 'updated').length;
+            const failed = changes.filter(change => change.status === 'failed').length;
+            const fieldCount = changes.reduce((count, change) => count + change.fields.length, 0);
+
+            return {
+                success: failed === 0,
+                dryRun,
+                searchValue,
+                replaceValue,
+                fields: fields || null,
+                caseSensitive,
+                regex,
+                damPath,
+                scanned: searchResult.count,
+                total: searchResult.total,
+                nextCursor: searchResult.nextCursor || null,
+                changes,
+                updated,
+                failed,
+                message: dryRun
+                    ? `Dry run: ${fieldCount} value(s) in ${changes.length} of ${searchResult.count} scanned asset(s) would change`
+                    : `Updated ${updated} asset(s)${failed > 0 ? `, ${failed} failed` : ''}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to replace metadata: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the global regular expression used for a metadata replacement
+     * @param {string} searchValue - Literal text or regular expression source
+     * @param {Object} options - { caseSensitive, regex }
+     * @returns {RegExp} Pattern with the global flag
+     */
+    buildReplacePattern(searchValue, { caseSensitive = false, regex = false } = {}) {
+        const flags = caseSensitive ? 'g' : 'gi';
+        try {
+            return new RegExp(regex ? searchValue : this.escapeRegex(searchValue), flags);
+        } catch (error) {
+            throw new Error(`Invalid regular expression "${searchValue}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute the before/after values of a replacement in the top-level metadata properties
+     * @param {Object} metadata - Asset metadata (jcr:content/metadata)
+     * @param {RegExp} pattern - Global search pattern
+     * @param {string} replacement - Replacement passed to String.replace
+     * @param {string[]} fields - Keys to consider (default: every key that is not maintained by AEM)
+     * @returns {Array} [{ field, before, after }] for the properties that change
+     */
+    diffMetadataReplacement(metadata = {}, pattern, replacement, fields) {
+        const keys = fields || Object.keys(metadata).filter(key => !isProtectedProperty(key));
+        const changes = [];
+
+        for (const field of keys) {
+            const before = metadata[field];
+            let after;
+            if (typeof before === 'string') {
+                after = before.replace(pattern, replacement);
+            } else if (Array.isArray(before) && before.every(item => typeof item === 'string')) {
+                after = before.map(item => item.replace(pattern, replacement));
+            } else {
+                continue;
+            }
+
+            if (JSON.stringify(after) !== JSON.stringify(before)) {
+                changes.push({ field, before, after });
+            }
+        }
+        return changes;
+    }
+
     /**
      * Escape special characters for glob patterns in QueryBuilder
      * @param {string} value - Value to escape
@@ -260,7 +825,7 @@ class AEMAssetClient extends AEMClientBase {
     escapeGlobValue(value) {
         if (!value) return '';
         // Escape glob special characters: \, *, ?, [, ], {, }
-        return value.replace(/[\\*?\[\]{}]/g, '\\$&');
+        return value.replace(/[\\*?[\]{}]/g, '\\$&');
     }
 
     /**
@@ -285,6 +850,167 @@ class AEMAssetClient extends AEMClientBase {
         return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+    /**
+     * Export the metadata of all assets below a folder as CSV
+     * @param {string} folderPath - DAM folder (subfolders included)
+     * @param {Object} options - Export options
+     * @param {string[]} options.columns - Metadata properties to export (default: DEFAULT_EXPORT_COLUMNS)
+     * @param {number} options.maxAssets - Stop after this many assets (default: 5000)
+     * @returns {Promise<Object>} { success, folderPath, columns, count, truncated, csv, message }
+     */
+    async exportMetadataCsv(folderPath, options = {}) {
+        try {
+            const { columns = DEFAULT_EXPORT_COLUMNS, maxAssets = 5000 } = options;
+            if (!folderPath || (folderPath !== '/content/dam' && !folderPath.startsWith('/content/dam/'))) {
+                throw new Error('Folder path must be /content/dam or below');
+            }
+            if (columns.length === 0) {
+                throw new Error('At least one column is required');
+            }
+
+            // A cursor walk keeps large folders consistent while assets are added or removed
+            const assets = [];
+            let truncated = false;
+            for await (const asset of this.iterateAssets({ damPath: folderPath, metadataProperties: columns }, { pageSize: 200 })) {
+                if (assets.length === maxAssets) {
+                    truncated = true;
+                    break;
+                }
+                assets.push(asset);
+            }
+            assets.sort((a, b) => a.path.localeCompare(b.path));
+
+            return {
+                success: true,
+                folderPath,
+                columns,
+                count: assets.length,
+                truncated,
+                csv: formatMetadataCsv(assets, columns),
+                message: `Exported the metadata of ${assets.length} asset(s) below ${folderPath}${truncated ? ` (stopped at ${maxAssets})` : ''}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to export metadata: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import asset metadata from CSV
+     *
+     * Every row is compared with the current metadata of its asset, so the result is a diff;
+     * only changed values are written. Empty cells leave a property unchanged. Rows are
+     * validated against the folder metadata schemas and applied in batches.
+     * @param {string} csvText - CSV with an assetPath column and one column per property
+     * @param {Object} options - Import options
+     * @param {boolean} options.dryRun - Only report the changes (default: true)
+     * @param {boolean} options.validate - Validate against the metadata schemas (default: true)
+     * @param {number} options.batchSize - Rows applied per batch (default: 20)
+     * @returns {Promise<Object>} { success, dryRun, columns, rows: [{ line, assetPath, status, changes, errors }], summary, errors, message }
+     */
+    async importMetadataCsv(csvText, options = {}) {
+        try {
+            const { dryRun = true, validate = true, batchSize = 20 } = options;
+            const { columns, rows, errors } = parseMetadataCsv(csvText);
+            const summary = { total: rows.length + errors.filter(error => error.line > 1).length, updated: 0, unchanged: 0, invalid: 0, failed: 0 };
+
+            // A broken header or any invalid row stops the import before anything is compared
+            if (errors.length > 0) {
+                summary.invalid = summary.total - rows.length;
+                return {
+                    success: false,
+                    dryRun,
+                    columns,
+                    rows: [],
+                    summary,
+                    errors,
+                    message: `CSV has ${errors.length} error(s); nothing was ${dryRun ? 'compared' : 'imported'}`
+                };
+            }
+
+            // Schemas are looked up once per folder
+            const schemas = new Map();
+            const getSchema = (assetPath) => {
+                const folder = assetPath.slice(0, assetPath.lastIndexOf('/'));
+                if (!schemas.has(folder)) {
+                    schemas.set(folder, this.getMetadataSchema(assetPath));
+                }
+                return schemas.get(folder);
+            };
+
+            const results = await this.mapConcurrent(rows, async (row) => {
+                const result = { line: row.line, assetPath: row.assetPath, status: 'unchanged', changes: [], errors: [] };
+                try {
+                    if (!await this.pathExists(row.assetPath)) {
+                        return { ...result, status: 'invalid', errors: [{ field: 'assetPath', message: 'Asset not found' }] };
+                    }
+                    const current = await this.getAssetMetadata(row.assetPath);
+
+                    const updates = {};
+                    for (const column of columns) {
+                        const value = toMetadataValue(row.values[column.name], column, current[column.name]);
+                        if (value !== undefined && !isSameMetadataValue(current[column.name], value)) {
+                            updates[column.name] = value;
+                            result.changes.push({ field: column.name, before: current[column.name] ?? null, after: value });
+                        }
+                    }
+
+                    if (validate && result.changes.length > 0) {
+                        const schema = await getSchema(row.assetPath);
+                        result.errors = validateMetadataUpdate(updates, [], schema ? schema.fields : null);
+                    }
+                    if (result.errors.length > 0) {
+                        result.status = 'invalid';
+                    } else if (result.changes.length > 0) {
+                        result.status = dryRun ? 'changed' : 'pending';
+                    }
+                    result.updates = updates;
+                } catch (error) {
+                    result.status = 'failed';
+                    result.errors = [{ field: null, message: error.message }];
+                }
+                return result;
+            });
+
+            if (!dryRun) {
+                const pending = results.filter(result => result.status === 'pending');
+                for (let i = 0; i < pending.length; i += batchSize) {
+                    await this.mapConcurrent(pending.slice(i, i + batchSize), async (result) => {
+                        try {
+                            const update = await this.updateAssetMetadata(result.assetPath, result.updates, true, { validate });
+                            result.status = update.success ? 'updated' : 'invalid';
+                            result.errors = update.errors;
+                        } catch (error) {
+                            result.status = 'failed';
+                            result.errors = [{ field: null, message: error.message }];
+                        }
+                    });
+                }
+            }
+
+            results.forEach(result => {
+                delete result.updates;
+                if (result.status === 'changed' || result.status === 'updated') summary.updated++;
+                else if (result.status === 'unchanged') summary.unchanged++;
+                else if (result.status === 'invalid') summary.invalid++;
+                else summary.failed++;
+            });
+
+            return {
+                success: summary.invalid === 0 && summary.failed === 0,
+                dryRun,
+                columns,
+                rows: results,
+                summary,
+                errors: [],
+                message: dryRun
+                    ? `Dry run: ${summary.updated} of ${summary.total} asset(s) would be updated`
+                    : `${summary.updated} of ${summary.total} asset(s) updated`
+            };
+        } catch (error) {
+            throw new Error(`Failed to import metadata: ${error.message}`);
+        }
+    }
+
     /**
      * Rename an asset in AEM DAM
      * @param {string} assetPath - Current path of the asset (e.g., /content/dam/Ford/old-name.png)
@@ -361,78 +1087,363 @@ class AEMAssetClient extends AEMClientBase {
     }
 
     /**
-     * Update asset metadata in AEM DAM
-     * @param {string} assetPath - Path of the asset (e.g., /content/dam/Ford/asset.png)
-     * @param {Object} metadata - Metadata properties to update (e.g., {'dc:description': 'Ford'})
-     * @param {boolean} merge - If true, merge with existing metadata; if false, replace (default: true)
-     * @returns {Promise<Object>} Result with success status
+     * Move an asset to another DAM folder
+     *
+     * Pages referencing the asset would break, so the move is refused while references exist
+     * unless adjustReferences is set; the references are then rewritten to the new path.
+     * @param {string} assetPath - Path of the asset (e.g., /content/dam/Ford/logo.png)
+     * @param {string} destinationFolder - Target DAM folder (e.g., /content/dam/Ford/archive)
+     * @param {Object} options - Move options
+     * @param {string} options.newName - Name in the target folder (default: the current name)
+     * @param {boolean} options.adjustReferences - Rewrite page references to the new path (default: false)
+     * @returns {Promise<Object>} { success, oldPath, newPath, references, adjusted, failed, republish, message }
      */
-    async updateAssetMetadata(assetPath, metadata, merge = true) {
+    async moveAsset(assetPath, destinationFolder, options = {}) {
         try {
-            if (!assetPath || !metadata || Object.keys(metadata).length === 0) {
-                throw new Error('Asset path and metadata are required');
+            const { newName, adjustReferences = false } = options;
+            const newPath = this.getTargetPath(assetPath, destinationFolder, newName);
+            if (newPath === assetPath) {
+                throw new Error('Asset is already at the target path');
             }
+            await this.checkTransferPaths(assetPath, newPath);
 
-            // Validate asset path format
-            if (!assetPath.startsWith('/content/dam/')) {
-                throw new Error('Asset path must start with /content/dam/');
+            const references = await this.getAssetReferences(assetPath);
+            if (references.length > 0 && !adjustReferences) {
+                return {
+                    success: false,
+                    oldPath: assetPath,
+                    newPath,
+                    references,
+                    message: `Asset is referenced by ${references.length} page(s); set adjustReferences to move it and update them`
+                };
             }
 
-            // Check if asset exists
-            try {
-                await this.axiosInstance.head(assetPath);
-            } catch (error) {
-                if (error.response && error.response.status === 404) {
-                    throw new Error(`Asset not found at path: ${assetPath}`);
-                }
-                throw error;
-            }
+            await this.postSlingOperation(assetPath, 'move', newPath);
+            const adjustment = await this.adjustAssetReferences(references, assetPath, newPath);
 
-            // If merging, get existing metadata first
-            let existingMetadata = {};
-            if (merge) {
-                try {
-                    const metadataResponse = await this.axiosInstance.get(
-                        `${assetPath}/jcr:content/metadata.json`
-                    );
-                    existingMetadata = metadataResponse.data || {};
-                } catch (error) {
-                    // If metadata doesn't exist yet, start with empty object
-                    if (error.response && error.response.status !== 404) {
-                        throw error;
-                    }
-                }
-            }
+            return {
+                success: true,
+                oldPath: assetPath,
+                newPath,
+                references,
+                ...adjustment,
+                message: `Asset moved to ${newPath}` +
+                    (references.length > 0 ? `, ${adjustment.adjusted.length} reference(s) updated` : '') +
+                    (adjustment.failed.length > 0 ? `, ${adjustment.failed.length} failed` : '')
+            };
+        } catch (error) {
+            throw new Error(`Failed to move asset: ${error.message}`);
+        }
+    }
 
-            // Merge or replace metadata
-            const updatedMetadata = merge 
-                ? { ...existingMetadata, ...metadata }
-                : metadata;
+    /**
+     * Copy an asset, with its renditions and metadata, to a DAM folder
+     * @param {string} assetPath - Path of the asset (e.g., /content/dam/Ford/logo.png)
+     * @param {string} destinationFolder - Target DAM folder (e.g., /content/dam/Lincoln)
+     * @param {Object} options - Copy options
+     * @param {string} options.newName - Name of the copy (default: the current name)
+     * @returns {Promise<Object>} { success, sourcePath, newPath, message }
+     */
+    async copyAsset(assetPath, destinationFolder, options = {}) {
+        try {
+            const newPath = this.getTargetPath(assetPath, destinationFolder, options.newName);
+            await this.checkTransferPaths(assetPath, newPath);
+            await this.postSlingOperation(assetPath, 'copy', newPath);
 
-            // Update metadata using POST to the metadata node
-            // AEM uses Sling POST servlet - we need to post properties individually
-            const metadataPath = `${assetPath}/jcr:content/metadata`;
-            
-            // Build form data with properties
-            const formData = new URLSearchParams();
-            
-            // Add each metadata property
-            Object.keys(updatedMetadata).forEach(key => {
-                const value = updatedMetadata[key];
-                if (value !== null && value !== undefined) {
-                    // Handle array values
-                    if (Array.isArray(value)) {
-                        value.forEach((item, index) => {
-                            formData.append(`${key}`, item);
-                        });
-                    } else {
-                        formData.append(key, value.toString());
+            return {
+                success: true,
+                sourcePath: assetPath,
+                newPath,
+                message: `Asset copied to ${newPath}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to copy asset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an asset
+     *
+     * Refused while pages reference the asset, unless adjustReferences is set; the references
+     * are then removed from the pages after the asset is deleted.
+     * @param {string} assetPath - Path of the asset (e.g., /content/dam/Ford/logo.png)
+     * @param {Object} options - Delete options
+     * @param {boolean} options.adjustReferences - Remove page references to the asset (default: false)
+     * @returns {Promise<Object>} { success, assetPath, references, adjusted, failed, republish, message }
+     */
+    async deleteAsset(assetPath, options = {}) {
+        try {
+            const { adjustReferences = false } = options;
+            if (!assetPath || !assetPath.startsWith('/content/dam/')) {
+                throw new Error('Asset path must start with /content/dam/');
+            }
+            if (!await this.pathExists(assetPath)) {
+                throw new Error(`Asset not found at path: ${assetPath}`);
+            }
+
+            const references = await this.getAssetReferences(assetPath);
+            if (references.length > 0 && !adjustReferences) {
+                return {
+                    success: false,
+                    assetPath,
+                    references,
+                    message: `Asset is referenced by ${references.length} page(s); set adjustReferences to delete it and remove the references`
+                };
+            }
+
+            await this.axiosInstance.delete(assetPath);
+            const adjustment = await this.adjustAssetReferences(references, assetPath, null);
+
+            return {
+                success: true,
+                assetPath,
+                references,
+                ...adjustment,
+                message: `Asset deleted: ${assetPath}` +
+                    (references.length > 0 ? `, ${adjustment.adjusted.length} reference(s) removed` : '') +
+                    (adjustment.failed.length > 0 ? `, ${adjustment.failed.length} failed` : '')
+            };
+        } catch (error) {
+            throw new Error(`Failed to delete asset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the pages referencing an asset (or one of its renditions)
+     * @param {string} assetPath - Path of the asset
+     * @returns {Promise<Array>} [{ pagePath, title, published, properties: [property paths] }]
+     */
+    async getAssetReferences(assetPath) {
+        try {
+            const params = new URLSearchParams();
+            params.append('path', assetPath);
+            params.append('predicate', 'wcmcontent');
+            params.append('exact', 'false');
+
+            const response = await this.axiosInstance.get(`/bin/wcm/references.json?${params.toString()}`);
+            return (response.data?.pages || [])
+                .filter(page => page.srcPath && page.srcPath !== assetPath)
+                .map(page => ({
+                    pagePath: page.srcPath,
+                    title: page.srcTitle || page.srcPath.split('/').pop(),
+                    published: page.published === true || page.published === 'true',
+                    properties: page.references || []
+                }));
+        } catch (error) {
+            throw new Error(`Failed to check asset references: ${error.message}`);
+        }
+    }
+
+    /**
+     * Point the referencing properties at a new asset path, or remove the references (newPath null)
+     *
+     * Properties holding exactly the asset path (or one of its values) are updated or removed;
+     * text containing the path (e.g. rich text links) can only be rewritten, not removed.
+     * @returns {Promise<Object>} { adjusted: [property paths], failed: [{ property, error }], republish: [published page paths] }
+     */
+    async adjustAssetReferences(references, oldPath, newPath) {
+        const properties = references.flatMap(reference => reference.properties);
+        const outcomes = await this.mapConcurrent(properties, async (property) => {
+            try {
+                const nodePath = property.slice(0, property.lastIndexOf('/'));
+                const name = property.slice(property.lastIndexOf('/') + 1);
+                const response = await this.axiosInstance.get(`${nodePath}.json`);
+                const value = response.data?.[name];
+                if (value === undefined) {
+                    return { property, error: 'Property not found' };
+                }
+
+                const updated = rewriteReferenceValue(value, oldPath, newPath);
+                if (updated === undefined) {
+                    return { property, error: 'The asset path is part of a text value and cannot be removed' };
+                }
+
+                const formData = new URLSearchParams();
+                formData.append('_charset_', 'utf-8');
+                if (updated === null) {
+                    formData.append(`${name}@Delete`, '');
+                } else if (Array.isArray(updated)) {
+                    formData.append(`${name}@TypeHint`, 'String[]');
+                    updated.forEach(item => formData.append(name, item));
+                } else {
+                    formData.append(name, updated);
+                }
+                await this.axiosInstance.post(nodePath, formData.toString(), {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
                     }
+                });
+                return { property };
+            } catch (error) {
+                return { property, error: error.message };
+            }
+        });
+
+        const failedProperties = new Set(outcomes.filter(outcome => outcome.error).map(outcome => outcome.property));
+        return {
+            adjusted: outcomes.filter(outcome => !outcome.error).map(outcome => outcome.property),
+            failed: outcomes.filter(outcome => outcome.error),
+            // Published pages keep serving the old reference until they are published again
+            republish: references
+                .filter(reference => reference.published && reference.properties.some(property => !failedProperties.has(property)))
+                .map(reference => reference.pagePath)
+        };
+    }
+
+    /**
+     * Build the target path of a move or copy
+     */
+    getTargetPath(assetPath, destinationFolder, newName) {
+        if (!assetPath || !destinationFolder) {
+            throw new Error('Asset path and destination folder are required');
+        }
+        if (!assetPath.startsWith('/content/dam/')) {
+            throw new Error('Asset path must start with /content/dam/');
+        }
+        if (destinationFolder !== '/content/dam' && !destinationFolder.startsWith('/content/dam/')) {
+            throw new Error('Destination folder must be /content/dam or below');
+        }
+
+        // Sanitize the name (remove path separators if present)
+        const name = (newName || assetPath).split('/').pop();
+        return `${destinationFolder.replace(/\/+$/, '')}/${name}`;
+    }
+
+    /**
+     * Check that the source asset and destination folder exist and the target is free
+     */
+    async checkTransferPaths(assetPath, newPath) {
+        const destinationFolder = newPath.slice(0, newPath.lastIndexOf('/'));
+        if (!await this.pathExists(assetPath)) {
+            throw new Error(`Asset not found at path: ${assetPath}`);
+        }
+        if (!await this.pathExists(destinationFolder)) {
+            throw new Error(`Destination folder not found: ${destinationFolder}`);
+        }
+        if (await this.pathExists(newPath)) {
+            throw new Error(`Asset already exists at target path: ${newPath}`);
+        }
+    }
+
+    /**
+     * Check whether a repository path exists
+     */
+    async pathExists(path) {
+        try {
+            await this.axiosInstance.head(path);
+            return true;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Run a Sling POST move or copy of a node
+     */
+    async postSlingOperation(sourcePath, operation, destinationPath) {
+        const formData = new URLSearchParams();
+        formData.append(':operation', operation);
+        formData.append(':dest', destinationPath);
+
+        await this.axiosInstance.post(sourcePath, formData.toString(), {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+    }
+
+    /**
+     * Update asset metadata in AEM DAM
+     *
+     * Values are checked against the metadata schema of the asset's folder before anything is
+     * written; validation errors are returned per field instead of being thrown.
+     * @param {string} assetPath - Path of the asset (e.g., /content/dam/Ford/asset.png)
+     * @param {Object} metadata - Properties to set (e.g., {'dc:description': 'Ford'}). Values may be strings,
+     *   numbers, booleans, arrays (multi-value) or { type: 'Date' | 'Boolean' | 'Long' | 'Double' | 'String', value }
+     * @param {boolean} merge - If true, keep the other properties; if false, remove every other editable property (default: true)
+     * @param {Object} options - Update options
+     * @param {string[]} options.remove - Properties to remove
+     * @param {boolean} options.validate - Validate against the folder's metadata schema (default: true)
+     * @returns {Promise<Object>} { success, assetPath, mode, updated, removed, schema, errors, message }
+     */
+    async updateAssetMetadata(assetPath, metadata = {}, merge = true, options = {}) {
+        try {
+            const { remove = [], validate = true } = options;
+
+            if (!assetPath || (Object.keys(metadata).length === 0 && remove.length === 0 && merge)) {
+                throw new Error('Asset path and metadata are required');
+            }
+            if (!merge && Object.keys(metadata).length === 0) {
+                throw new Error('Replace mode requires metadata: without it every editable property would be removed');
+            }
+
+            // Validate asset path format
+            if (!assetPath.startsWith('/content/dam/')) {
+                throw new Error('Asset path must start with /content/dam/');
+            }
+
+            // Check if asset exists
+            try {
+                await this.axiosInstance.head(assetPath);
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new Error(`Asset not found at path: ${assetPath}`);
+                }
+                throw error;
+            }
+
+            // Replace mode removes the editable properties that are not part of the update
+            const removals = new Set(remove);
+            if (!merge) {
+                const existingMetadata = await this.getAssetMetadata(assetPath);
+                Object.keys(existingMetadata)
+                    .filter(key => !isProtectedProperty(key) && !(key in metadata))
+                    .forEach(key => removals.add(key));
+            }
+
+            let schema = null;
+            if (validate) {
+                schema = await this.getMetadataSchema(assetPath);
+            }
+            const fields = schema ? schema.fields : null;
+
+            const errors = validateMetadataUpdate(metadata, [...removals], fields);
+            if (errors.length > 0) {
+                return {
+                    success: false,
+                    assetPath,
+                    mode: merge ? 'merge' : 'replace',
+                    updated: [],
+                    removed: [],
+                    schema: schema ? schema.path : null,
+                    errors,
+                    message: `Metadata not updated: ${errors.length} invalid field(s)`
+                };
+            }
+
+            // Sling POST only touches the posted properties
+            const metadataPath = `${assetPath}/jcr:content/metadata`;
+            const formData = new URLSearchParams();
+            formData.append('_charset_', 'utf-8');
+
+            Object.keys(metadata).forEach(key => {
+                const value = metadata[key];
+                if (value === null || value === undefined) {
+                    removals.add(key);
+                    return;
+                }
+                const typeHint = getTypeHint(value, fields && fields[key]);
+                if (typeHint) {
+                    formData.append(`${key}@TypeHint`, typeHint);
                 }
+                serializeValue(value, typeHint).forEach(item => formData.append(key, item));
             });
+            removals.forEach(key => formData.append(`${key}@Delete`, ''));
 
-            // Use POST with proper content type
-            const response = await this.axiosInstance.post(metadataPath, formData.toString(), {
+            await this.axiosInstance.post(metadataPath, formData.toString(), {
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
@@ -440,10 +1451,16 @@ class AEMAssetClient extends AEMClientBase {
                 validateStatus: (status) => status < 400 || status === 412
             });
 
+            const updated = Object.keys(metadata).filter(key => !removals.has(key));
             return {
                 success: true,
                 assetPath: assetPath,
-                metadata: updatedMetadata,
+                mode: merge ? 'merge' : 'replace',
+                metadata,
+                updated,
+                removed: [...removals],
+                schema: schema ? schema.path : null,
+                errors: [],
                 message: `Metadata updated for asset: ${assetPath.split('/').pop()}`
             };
         } catch (error) {
@@ -451,15 +1468,494 @@ class AEMAssetClient extends AEMClientBase {
         }
     }
 
+    /**
+     * Get the metadata properties of an asset (jcr:content/metadata)
+     * @param {string} assetPath - Path of the asset
+     * @returns {Promise<Object>} Metadata properties (empty when the node does not exist yet)
+     */
+    async getAssetMetadata(assetPath) {
+        try {
+            const response = await this.axiosInstance.get(`${assetPath}/jcr:content/metadata.json`);
+            return response.data || {};
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Find and parse the metadata schema that applies to an asset
+     *
+     * The schema is assigned on a folder (jcr:content/metadataSchema) and inherited by its
+     * subfolders; folders without one use the default schema.
+     * @param {string} assetPath - Path of the asset
+     * @returns {Promise<Object|null>} { path, fields } or null when the schema cannot be read
+     */
+    async getMetadataSchema(assetPath) {
+        let schemaPath = DEFAULT_METADATA_SCHEMA;
+
+        const segments = assetPath.split('/').slice(0, -1);
+        while (segments.length > 2) {
+            const folderPath = segments.join('/');
+            try {
+                const response = await this.axiosInstance.get(`${folderPath}/jcr:content.json`);
+                if (response.data && response.data.metadataSchema) {
+                    schemaPath = response.data.metadataSchema;
+                    break;
+                }
+            } catch (error) {
+                // Folders without jcr:content (plain sling:Folder) inherit from their parent
+                if (!error.response || error.response.status !== 404) {
+                    throw error;
+                }
+            }
+            segments.pop();
+        }
+
+        try {
+            const response = await this.axiosInstance.get(`${schemaPath}.infinity.json`);
+            return { path: schemaPath, fields: parseMetadataSchema(response.data) };
+        } catch (error) {
+            // Schemas under /conf may not be readable for every user; write without schema checks then
+            console.warn(`Warning: Could not read metadata schema ${schemaPath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Upload an asset to AEM DAM using the direct binary upload flow
+     * (initiateUpload → part uploads → completeUpload), then apply metadata
+     * @param {Object} uploadConfig - Upload configuration
+     * @param {string} uploadConfig.assetName - File name of the asset (e.g., hero-image.jpg)
+     * @param {string} uploadConfig.damPath - DAM folder to upload into (e.g., /content/dam/mysite/images)
+     * @param {string} uploadConfig.assetData - Base64 encoded binary (plain or data: URI)
+     * @param {string} uploadConfig.assetUrl - URL to download the binary from (alternative to assetData)
+     * @param {string} uploadConfig.mimeType - MIME type of the asset (default: taken from download or application/octet-stream)
+     * @param {Object} uploadConfig.metadata - Metadata properties to apply after upload
+     * @returns {Promise<Object>} Result with asset path, file size and processing status
+     */
+    async uploadAsset(uploadConfig = {}) {
+        try {
+            const {
+                assetName,
+                damPath,
+                assetData,
+                assetUrl,
+                mimeType,
+                metadata = {}
+            } = uploadConfig;
+
+            if (!assetName || !damPath) {
+                throw new Error('Asset name and DAM path are required');
+            }
+
+            if (!assetData && !assetUrl) {
+                throw new Error('Either assetData or assetUrl is required');
+            }
+
+            // Validate DAM path format
+            if (!damPath.startsWith('/content/dam')) {
+                throw new Error('DAM path must start with /content/dam');
+            }
+
+            const folderPath = damPath.replace(/\/$/, '');
+            const fileName = assetName.split('/').pop();
+            const binary = await this.resolveAssetBinary({ assetData, assetUrl });
+            const finalMimeType = (mimeType && mimeType !== 'application/octet-stream')
+                ? mimeType
+                : (binary.mimeType || mimeType || 'application/octet-stream');
+
+            // Step 1: initiate the upload to get the blob storage URIs
+            const initiateData = new URLSearchParams();
+            initiateData.append('fileName', fileName);
+            initiateData.append('fileSize', binary.buffer.length.toString());
+
+            const initiateResponse = await this.axiosInstance.post(
+                `${folderPath}.initiateUpload.json`,
+                initiateData.toString(),
+                {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                }
+            );
+
+            const initiateResult = initiateResponse.data || {};
+            const fileInfo = (initiateResult.files || []).find(file => file.fileName === fileName)
+                || (initiateResult.files || [])[0];
+
+            if (!fileInfo || !fileInfo.uploadToken || !Array.isArray(fileInfo.uploadURIs) || fileInfo.uploadURIs.length === 0) {
+                throw new Error('initiateUpload response did not include upload URIs (is direct binary upload enabled?)');
+            }
+
+            // Step 2: PUT each part directly to blob storage
+            // Blob storage URIs are pre-signed, so the AEM credentials must not be sent with them
+            const parts = this.calculateUploadParts(binary.buffer.length, fileInfo);
+            for (const part of parts) {
+                await axios.put(part.uri, binary.buffer.subarray(part.start, part.end), {
+                    headers: {
+                        'Content-Type': finalMimeType,
+                        'Content-Length': (part.end - part.start).toString()
+                    },
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity
+                });
+            }
+
+            // Step 3: complete the upload so AEM creates the asset and starts processing
+            const completeData = new URLSearchParams();
+            completeData.append('fileName', fileName);
+            completeData.append('mimeType', finalMimeType);
+            completeData.append('uploadToken', fileInfo.uploadToken);
+
+            const completeURI = initiateResult.completeURI || `${folderPath}.completeUpload.json`;
+            await this.axiosInstance.post(
+                completeURI,
+                completeData.toString(),
+                {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                }
+            );
+
+            const fullPath = `${folderPath}/${fileName}`;
+
+            // Apply supplied metadata once the asset node exists
+            let metadataApplied = false;
+            let metadataError = null;
+            if (metadata && Object.keys(metadata).length > 0) {
+                try {
+                    const metadataResult = await this.updateAssetMetadata(fullPath, metadata, true);
+                    metadataApplied = metadataResult.success;
+                    if (!metadataResult.success) {
+                        metadataError = metadataResult.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+                    }
+                } catch (error) {
+                    // The binary is already in AEM, so report the metadata failure instead of failing the upload
+                    metadataError = error.message;
+                }
+            }
+
+            const processingStatus = await this.getAssetProcessingStatus(fullPath);
+
+            let message = `Asset uploaded to ${fullPath} in ${parts.length} part(s)`;
+            if (metadataError) {
+                message += ` (metadata could not be applied: ${metadataError})`;
+            }
+
+            return {
+                success: true,
+                fullPath,
+                assetName: fileName,
+                mimeType: finalMimeType,
+                fileSize: binary.buffer.length,
+                parts: parts.length,
+                metadataApplied,
+                metadataError,
+                processingStatus,
+                url: `${this.authorUrl}${fullPath}`,
+                message
+            };
+        } catch (error) {
+            throw new Error(`Failed to upload asset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve the asset binary from base64 data or a downloadable URL
+     * @param {Object} source - Binary source
+     * @param {string} source.assetData - Base64 encoded binary (plain or data: URI)
+     * @param {string} source.assetUrl - URL to download the binary from
+     * @returns {Promise<Object>} Object with buffer and detected mimeType (if any)
+     */
+    async resolveAssetBinary({ assetData, assetUrl }) {
+        if (assetData) {
+            // Accept data URIs like data:image/png;base64,iVBORw0...
+            const dataUriMatch = assetData.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+            const base64 = dataUriMatch ? dataUriMatch[3] : assetData;
+            const buffer = Buffer.from(base64.replace(/\s/g, ''), 'base64');
+
+            if (buffer.length === 0) {
+                throw new Error('assetData is empty or not valid base64');
+            }
+
+            return {
+                buffer,
+                mimeType: dataUriMatch ? dataUriMatch[1] : undefined
+            };
+        }
+
+        // Redirects are followed here so every hop is checked; the lookup also checks the
+        // addresses a host name resolves to when the connection is made
+        let url = checkDownloadUrl(assetUrl);
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            try {
+                response = await axios.get(url.href, {
+                    responseType: 'arraybuffer',
+                    maxContentLength: MAX_ASSET_DOWNLOAD_BYTES,
+                    maxBodyLength: MAX_ASSET_DOWNLOAD_BYTES,
+                    maxRedirects: 0,
+                    validateStatus: (status) => status >= 200 && status < 400,
+                    lookup: lookupPublicAddress,
+                    timeout: 120000
+                });
+            } catch (error) {
+                if (/maxContentLength/.test(error.message)) {
+                    throw new Error(`Asset at ${assetUrl} is larger than the download limit of ${MAX_ASSET_DOWNLOAD_BYTES / (1024 * 1024)} MB; upload it with assetData or in AEM directly`);
+                }
+                throw new Error(`Could not download asset from ${assetUrl}: ${error.message}`);
+            }
+
+            const location = response.status >= 300 && response.headers?.location;
+            if (!location) {
+                break;
+            }
+            if (redirects >= MAX_ASSET_DOWNLOAD_REDIRECTS) {
+                throw new Error(`Could not download asset from ${assetUrl}: more than ${MAX_ASSET_DOWNLOAD_REDIRECTS} redirects`);
+            }
+            url = checkDownloadUrl(new URL(location, url).href);
+        }
+
+        const buffer = Buffer.from(response.data);
+        if (buffer.length === 0) {
+            throw new Error(`Downloaded asset from ${assetUrl} is empty`);
+        }
+
+        const contentType = response.headers?.['content-type'];
+        return {
+            buffer,
+            mimeType: contentType ? contentType.split(';')[0].trim() : undefined
+        };
+    }
+
+    /**
+     * Split a binary into upload parts according to the initiateUpload limits
+     * @param {number} fileSize - Total size of the binary in bytes
+     * @param {Object} fileInfo - File entry from the initiateUpload response
+     * @returns {Array<Object>} Parts with uri, start and end (exclusive) byte offsets
+     */
+    calculateUploadParts(fileSize, fileInfo) {
+        const uris = fileInfo.uploadURIs;
+        const minPartSize = fileInfo.minPartSize || 1;
+        const maxPartSize = fileInfo.maxPartSize || fileSize;
+
+        // Use as few URIs as possible while staying within the part size limits
+        const partSize = Math.max(minPartSize, Math.ceil(fileSize / uris.length));
+        if (partSize > maxPartSize) {
+            throw new Error(`File size ${fileSize} exceeds the maximum upload size (${uris.length} parts of ${maxPartSize} bytes)`);
+        }
+
+        const parts = [];
+        for (let start = 0, index = 0; start < fileSize; start += partSize, index++) {
+            parts.push({
+                uri: uris[index],
+                start,
+                end: Math.min(start + partSize, fileSize)
+            });
+        }
+
+        return parts;
+    }
+
+    /**
+     * Get the DAM processing status of an asset (dam:assetState)
+     * @param {string} assetPath - Path of the asset
+     * @returns {Promise<string>} Processing status (e.g., processing, processed, failed) or unknown
+     */
+    async getAssetProcessingStatus(assetPath) {
+        try {
+            const response = await this.axiosInstance.get(`${assetPath}/jcr:content.json`);
+            return response.data?.['dam:assetState'] || 'unknown';
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Get the details of one asset: format, size, dimensions, checksum, processing status,
+     * renditions, versions and the pages referencing it
+     * @param {string} assetPath - Path of the asset (e.g., /content/dam/Ford/logo.png)
+     * @param {Object} options - Detail options
+     * @param {boolean} options.includeThumbnail - Also download a small thumbnail rendition (default: false)
+     * @returns {Promise<Object>} { success, path, name, title, mimeType, size, width, height, checksum, status, created,
+     *   modified, metadata, renditions, versions, references, thumbnail, warnings }
+     */
+    async getAsset(assetPath, options = {}) {
+        try {
+            const { includeThumbnail = false } = options;
+            if (!assetPath || !assetPath.startsWith('/content/dam/')) {
+                throw new Error('Asset path must start with /content/dam/');
+            }
+
+            let node;
+            try {
+                const response = await this.axiosInstance.get(`${assetPath}.2.json`);
+                node = response.data || {};
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new Error(`Asset not found at path: ${assetPath}`);
+                }
+                throw error;
+            }
+            if (node['jcr:primaryType'] && node['jcr:primaryType'] !== 'dam:Asset') {
+                throw new Error(`Not an asset: ${assetPath} is a ${node['jcr:primaryType']}`);
+            }
+
+            const content = node['jcr:content'] || {};
+            const metadata = Object.fromEntries(Object.entries(content.metadata || {})
+                .filter(([, value]) => value === null || typeof value !== 'object' || Array.isArray(value)));
+            const renditions = await this.getAssetRenditions(assetPath);
+            const original = renditions.find(rendition => rendition.name === 'original');
+
+            // Versions, references and the thumbnail are extras; a failure is reported, not thrown
+            const warnings = [];
+            const [versions, references, thumbnail] = await Promise.all([
+                this.getAssetVersions(node['jcr:uuid']).catch(error => {
+                    warnings.push(error.message);
+                    return null;
+                }),
+                this.getAssetReferences(assetPath).catch(error => {
+                    warnings.push(error.message);
+                    return null;
+                }),
+                includeThumbnail
+                    ? this.getAssetThumbnail(assetPath, renditions).catch(error => {
+                        warnings.push(`Failed to load thumbnail: ${error.message}`);
+                        return null;
+                    })
+                    : null
+            ]);
+
+            const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+            return {
+                success: true,
+                path: assetPath,
+                name: assetPath.split('/').pop(),
+                title: metadata['dc:title'] || null,
+                mimeType: metadata['dc:format'] || original?.mimeType || null,
+                size: toNumber(metadata['dam:size']) ?? original?.size ?? null,
+                width: toNumber(metadata['tiff:ImageWidth'] ?? metadata['exif:PixelXDimension']),
+                height: toNumber(metadata['tiff:ImageLength'] ?? metadata['exif:PixelYDimension']),
+                checksum: metadata['dam:sha1'] ? { algorithm: 'sha1', value: metadata['dam:sha1'] } : null,
+                status: content['dam:assetState'] || 'unknown',
+                created: node['jcr:created'] || null,
+                createdBy: node['jcr:createdBy'] || null,
+                modified: content['jcr:lastModified'] || null,
+                modifiedBy: content['jcr:lastModifiedBy'] || null,
+                lastReplicated: content['cq:lastReplicated'] || null,
+                lastReplicationAction: content['cq:lastReplicationAction'] || null,
+                metadata,
+                renditions,
+                versions,
+                references,
+                thumbnail,
+                warnings
+            };
+        } catch (error) {
+            throw new Error(`Failed to get asset: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the renditions of an asset
+     * @param {string} assetPath - Path of the asset
+     * @returns {Promise<Array>} [{ name, path, mimeType, size, modified }]
+     */
+    async getAssetRenditions(assetPath) {
+        try {
+            const response = await this.axiosInstance.get(`${assetPath}/jcr:content/renditions.2.json`);
+            return Object.entries(response.data || {})
+                .filter(([, value]) => value && typeof value === 'object' && !Array.isArray(value))
+                .map(([name, rendition]) => {
+                    const resource = rendition['jcr:content'] || {};
+                    return {
+                        name,
+                        path: `${assetPath}/jcr:content/renditions/${name}`,
+                        mimeType: resource['jcr:mimeType'] || null,
+                        // Sling JSON renders binary properties as their length
+                        size: typeof resource[':jcr:data'] === 'number' ? resource[':jcr:data'] : null,
+                        modified: resource['jcr:lastModified'] || null
+                    };
+                })
+                .sort((a, b) => (a.name === 'original' ? -1 : b.name === 'original' ? 1 : a.name.localeCompare(b.name)));
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return [];
+            }
+            throw new Error(`Failed to list renditions: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the versions of an asset from the version storage, newest first
+     * @param {string} uuid - jcr:uuid of the asset
+     * @returns {Promise<Array>} [{ name, created, comment }]
+     */
+    async getAssetVersions(uuid) {
+        if (!uuid) return [];
+        try {
+            const params = new URLSearchParams();
+            params.append('path', '/jcr:system/jcr:versionStorage');
+            params.append('type', 'nt:version');
+            params.append('property', 'jcr:frozenNode/jcr:frozenUuid');
+            params.append('property.value', uuid);
+            params.append('orderby', '@jcr:created');
+            params.append('orderby.sort', 'desc');
+            params.append('p.limit', '-1');
+            params.append('p.hits', 'selective');
+            params.append('p.properties', 'jcr:path jcr:created jcr:frozenNode/jcr:content/cq:versionComment');
+
+            const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+            return (response.data?.hits || [])
+                .filter(hit => hit['jcr:path'] && !hit['jcr:path'].endsWith('/jcr:rootVersion'))
+                .map(hit => ({
+                    name: hit['jcr:path'].split('/').pop(),
+                    created: hit['jcr:created'] || null,
+                    comment: hit['jcr:frozenNode']?.['jcr:content']?.['cq:versionComment'] || null
+                }));
+        } catch (error) {
+            throw new Error(`Failed to list versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the smallest available thumbnail rendition
+     * @param {string} assetPath - Path of the asset
+     * @param {Array} renditions - Renditions from getAssetRenditions
+     * @returns {Promise<Object|null>} { rendition, mimeType, data (base64) } or null when no thumbnail exists
+     */
+    async getAssetThumbnail(assetPath, renditions) {
+        const name = THUMBNAIL_RENDITIONS.find(candidate => renditions.some(rendition => rendition.name === candidate));
+        if (!name) return null;
+
+        const rendition = renditions.find(candidate => candidate.name === name);
+        const response = await this.axiosInstance.get(rendition.path, { responseType: 'arraybuffer' });
+        return {
+            rendition: name,
+            mimeType: rendition.mimeType || 'image/png',
+            data: Buffer.from(response.data).toString('base64')
+        };
+    }
+
     /**
      * List all assets in a specific DAM folder
      * @param {string} folderPath - DAM folder path (e.g., '/content/dam/Ford')
      * @param {number} limit - Maximum number of results (default: 100)
      * @param {number} offset - Result offset for pagination (default: 0)
-     * @returns {Promise<Object>} List of assets in the folder
+     * @param {Object} options - Listing options
+     * @param {string[]} options.metadataProperties - Metadata returned with each asset (default: DEFAULT_METADATA_PROPERTIES)
+     * @param {boolean} options.fullMetadata - Fetch the complete metadata node of every asset (default: false)
+     * @returns {Promise<Object>} List of assets in the folder with timing
      */
-    async listAssetsInFolder(folderPath, limit = 100, offset = 0) {
+    async listAssetsInFolder(folderPath, limit = 100, offset = 0, options = {}) {
         try {
+            const startedAt = Date.now();
+            const { metadataProperties = DEFAULT_METADATA_PROPERTIES, fullMetadata = false } = options;
+
             if (!folderPath) {
                 throw new Error('Folder path is required');
             }
@@ -485,6 +1981,8 @@ class AEMAssetClient extends AEMClientBase {
             // Order by modification date (newest first)
             params.append('orderby', '@jcr:content/jcr:lastModified');
             params.append('orderby.sort', 'desc');
+
+            this.appendMetadataProperties(params, fullMetadata ? [] : metadataProperties);
             
             // Execute QueryBuilder query
             const queryBuilderUrl = `/bin/querybuilder.json?${params.toString()}`;
@@ -494,46 +1992,14 @@ class AEMAssetClient extends AEMClientBase {
                 response = await this.axiosInstance.get(queryBuilderUrl);
             } catch (error) {
                 if (error.response && error.response.status === 401) {
-                    const authMethod = this.credentials.token ? 'Bearer token' : 'username/password';
+                    const authMethod = this.getAuthMethodLabel();
                     throw new Error(`Authentication failed (401). Using ${authMethod}. Please check your credentials.`);
                 }
                 throw error;
             }
             
-            // Parse results
-            const results = [];
-            if (response.data && response.data.hits) {
-                for (const hit of response.data.hits) {
-                    const assetPath = hit.path;
-                    const assetName = assetPath.split('/').pop();
-                    
-                    // Get asset metadata
-                    let assetTitle = '';
-                    let assetMetadata = {};
-                    
-                    try {
-                        const metadataResponse = await this.axiosInstance.get(
-                            `${assetPath}/jcr:content/metadata.json`
-                        );
-                        assetMetadata = metadataResponse.data || {};
-                        assetTitle = assetMetadata['dc:title'] || assetName;
-                    } catch (metadataError) {
-                        // If metadata fetch fails, use asset name as title
-                        if (metadataError.response && metadataError.response.status === 401) {
-                            console.warn(`Warning: Could not fetch metadata for ${assetPath} due to authentication error`);
-                        }
-                        assetTitle = assetName;
-                    }
-
-                    results.push({
-                        path: assetPath,
-                        name: assetName,
-                        title: assetTitle,
-                        metadata: assetMetadata,
-                        url: `${this.authorUrl}${assetPath}`
-                    });
-                }
-            }
+            const queryMs = Date.now() - startedAt;
+            const { results, metadataFetches, metadataMs } = await this.buildAssetResults(response.data?.hits || [], fullMetadata);
 
             return {
                 success: true,
@@ -543,6 +2009,7 @@ class AEMAssetClient extends AEMClientBase {
                 count: results.length,
                 limit,
                 offset,
+                timing: { totalMs: Date.now() - startedAt, queryMs, metadataMs, metadataFetches },
                 message: `Found ${results.length} asset(s) in ${folderPath}`
             };
         } catch (error) {
@@ -550,18 +2017,478 @@ class AEMAssetClient extends AEMClientBase {
         }
     }
 
-    // Future asset methods can be added here:
-    // - getAssetInfo()
-    // - deleteAsset()
-    // - getAssetRenditions()
-    // - etc.
+    /**
+     * Create a DAM folder (sling:OrderedFolder), optionally with its missing parent folders
+     * @param {string} folderPath - Folder path (e.g., /content/dam/campaigns/summer)
+     * @param {Object} options - Folder options
+     * @param {string} options.title - Folder title (default: the folder name)
+     * @param {string} options.metadataSchema - Metadata schema name or path assigned to the folder
+     * @param {string} options.processingProfile - Processing profile name or path assigned to the folder
+     * @param {boolean} options.createParents - Create missing parent folders (default: true)
+     * @returns {Promise<Object>} { success, folderPath, title, createdParents, metadataSchema, processingProfile, message }
+     */
+    async createFolder(folderPath, options = {}) {
+        try {
+            const { title, createParents = true } = options;
+            const segments = this.getFolderSegments(folderPath);
+            if (segments.length === 2) {
+                throw new Error('/content/dam already exists');
+            }
+            if (await this.pathExists(folderPath)) {
+                throw new Error(`Folder already exists: ${folderPath}`);
+            }
+
+            const metadataSchema = await this.resolveFolderSetting(options.metadataSchema, METADATA_SCHEMAS_ROOT, 'Metadata schema');
+            const processingProfile = await this.resolveFolderSetting(options.processingProfile, PROCESSING_PROFILES_ROOT, 'Processing profile');
+
+            // Parents are created top-down so each one gets a proper folder type and title
+            const createdParents = [];
+            for (let depth = 3; depth < segments.length; depth++) {
+                const parentPath = `/${segments.slice(0, depth).join('/')}`;
+                if (await this.pathExists(parentPath)) continue;
+                if (!createParents) {
+                    throw new Error(`Parent folder not found: ${parentPath}`);
+                }
+                await this.postFolder(parentPath, { title: segments[depth - 1] });
+                createdParents.push(parentPath);
+            }
+
+            const folderTitle = title || segments[segments.length - 1];
+            await this.postFolder(folderPath, { title: folderTitle, metadataSchema, processingProfile });
+
+            return {
+                success: true,
+                folderPath,
+                title: folderTitle,
+                createdParents,
+                metadataSchema,
+                processingProfile,
+                message: `Folder created: ${folderPath}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to create folder: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the DAM folder tree below a path with asset counts
+     * @param {string} rootPath - Root folder (default: /content/dam)
+     * @param {Object} options - Listing options
+     * @param {number} options.depth - Folder levels below the root to include (default: 2)
+     * @returns {Promise<Object>} { success, tree: { path, name, title, assetCount, totalAssetCount, metadataSchema, processingProfile, children }, folderCount }
+     */
+    async listFolderTree(rootPath = '/content/dam', options = {}) {
+        try {
+            const { depth = 2 } = options;
+            const rootDepth = this.getFolderSegments(rootPath).length;
+
+            const params = new URLSearchParams();
+            params.append('path', rootPath);
+            params.append('path.self', 'true');
+            params.append('type', 'sling:Folder');
+            params.append('p.limit', '-1');
+            params.append('p.hits', 'selective');
+            params.append('p.properties', 'jcr:path jcr:content/jcr:title jcr:content/metadataSchema jcr:content/processingProfile');
+
+            const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+            const folders = (response.data?.hits || [])
+                .filter(hit => hit['jcr:path'] && !hit['jcr:path'].includes('/jcr:content'))
+                .filter(hit => hit['jcr:path'].split('/').length - 1 - rootDepth <= depth)
+                .map(hit => {
+                    const content = hit['jcr:content'] || {};
+                    const path = hit['jcr:path'];
+                    return {
+                        path,
+                        name: path.split('/').pop(),
+                        title: content['jcr:title'] || hit['jcr:content/jcr:title'] || path.split('/').pop(),
+                        metadataSchema: content.metadataSchema || hit['jcr:content/metadataSchema'] || null,
+                        processingProfile: content.processingProfile || hit['jcr:content/processingProfile'] || null,
+                        children: []
+                    };
+                });
+
+            if (!folders.some(folder => folder.path === rootPath)) {
+                throw new Error(`Folder not found: ${rootPath}`);
+            }
+
+            const counts = await this.mapConcurrent(folders, folder => this.countFolderAssets(folder.path));
+            folders.forEach((folder, index) => {
+                folder.assetCount = counts[index];
+            });
+
+            // Link the folders into a tree and sum the asset counts bottom-up
+            const byPath = new Map(folders.map(folder => [folder.path, folder]));
+            folders.forEach(folder => {
+                const parent = byPath.get(folder.path.slice(0, folder.path.lastIndexOf('/')));
+                if (parent && folder.path !== rootPath) {
+                    parent.children.push(folder);
+                }
+            });
+            const sumTotals = (folder) => {
+                folder.children.sort((a, b) => a.name.localeCompare(b.name));
+                folder.totalAssetCount = folder.assetCount + folder.children.reduce((sum, child) => sum + sumTotals(child), 0);
+                return folder.totalAssetCount;
+            };
+            const tree = byPath.get(rootPath);
+            sumTotals(tree);
+
+            return {
+                success: true,
+                tree,
+                depth,
+                folderCount: folders.length,
+                message: `Found ${folders.length - 1} folder(s) below ${rootPath}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list folders: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count the assets directly inside a folder
+     */
+    async countFolderAssets(folderPath) {
+        const params = new URLSearchParams();
+        params.append('path', folderPath);
+        params.append('path.flat', 'true');
+        params.append('type', 'dam:Asset');
+        params.append('p.limit', '0');
+        params.append('p.guessTotal', 'false');
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        return response.data?.total || 0;
+    }
+
+    /**
+     * Rename a DAM folder (its node name, its title or both)
+     *
+     * A new name changes the path of every asset inside, so the rename is refused while pages
+     * reference those assets, unless adjustReferences is set.
+     * @param {string} folderPath - Folder path
+     * @param {Object} options - Rename options
+     * @param {string} options.newName - New node name
+     * @param {string} options.title - New title
+     * @param {boolean} options.adjustReferences - Rewrite page references to the assets (default: false)
+     * @returns {Promise<Object>} { success, oldPath, newPath, title, references, adjusted, failed, republish, message }
+     */
+    async renameFolder(folderPath, options = {}) {
+        try {
+            const { newName, title, adjustReferences = false } = options;
+            const segments = this.getFolderSegments(folderPath);
+            if (segments.length === 2) {
+                throw new Error('/content/dam cannot be renamed');
+            }
+            if (!newName && !title) {
+                throw new Error('A new name or title is required');
+            }
+            if (!await this.pathExists(folderPath)) {
+                throw new Error(`Folder not found: ${folderPath}`);
+            }
+
+            let newPath = folderPath;
+            let references = [];
+            let adjustment = { adjusted: [], failed: [], republish: [] };
+            if (newName && newName !== segments[segments.length - 1]) {
+                newPath = `${folderPath.slice(0, folderPath.lastIndexOf('/'))}/${newName}`;
+                // Validates the new name
+                this.getFolderSegments(newPath);
+                if (await this.pathExists(newPath)) {
+                    throw new Error(`Folder already exists at target path: ${newPath}`);
+                }
+
+                references = await this.getAssetReferences(folderPath);
+                if (references.length > 0 && !adjustReferences) {
+                    return {
+                        success: false,
+                        oldPath: folderPath,
+                        newPath,
+                        references,
+                        message: `Assets in the folder are referenced by ${references.length} page(s); set adjustReferences to rename it and update them`
+                    };
+                }
+
+                await this.postSlingOperation(folderPath, 'move', newPath);
+                adjustment = await this.adjustAssetReferences(references, folderPath, newPath);
+            }
+
+            if (title) {
+                await this.postFolder(newPath, { title }, false);
+            }
+
+            return {
+                success: true,
+                oldPath: folderPath,
+                newPath,
+                title: title || null,
+                references,
+                ...adjustment,
+                message: newPath !== folderPath ? `Folder renamed to ${newPath}` : `Folder title set to "${title}"`
+            };
+        } catch (error) {
+            throw new Error(`Failed to rename folder: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an empty DAM folder
+     * @param {string} folderPath - Folder path
+     * @returns {Promise<Object>} { success, folderPath, message }
+     */
+    async deleteFolder(folderPath) {
+        try {
+            const segments = this.getFolderSegments(folderPath);
+            if (segments.length === 2) {
+                throw new Error('/content/dam cannot be deleted');
+            }
+
+            let children;
+            try {
+                const response = await this.axiosInstance.get(`${folderPath}.1.json`);
+                children = Object.entries(response.data || {})
+                    .filter(([key, value]) => key !== 'jcr:content' && value && typeof value === 'object' && !Array.isArray(value))
+                    .map(([key]) => key);
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new Error(`Folder not found: ${folderPath}`);
+                }
+                throw error;
+            }
+            if (children.length > 0) {
+                throw new Error(`Folder is not empty (${children.length} item(s): ${children.slice(0, 5).join(', ')}${children.length > 5 ? ', ...' : ''})`);
+            }
+
+            await this.axiosInstance.delete(folderPath);
+            return {
+                success: true,
+                folderPath,
+                message: `Folder deleted: ${folderPath}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to delete folder: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a DAM folder path and split it into segments
+     * @returns {string[]} Path segments (e.g. ['content', 'dam', 'campaigns'])
+     */
+    getFolderSegments(folderPath) {
+        if (!folderPath || (folderPath !== '/content/dam' && !folderPath.startsWith('/content/dam/'))) {
+            throw new Error('Folder path must be /content/dam or below');
+        }
+        const segments = folderPath.split('/').slice(1);
+        const invalid = segments.slice(2).find(segment => !segment || INVALID_FOLDER_NAME.test(segment));
+        if (invalid !== undefined) {
+            throw new Error(`Invalid folder name "${invalid}": use no spaces or any of * / : [ ] | # % { } ? & " '`);
+        }
+        return segments;
+    }
+
+    /**
+     * Resolve a metadata schema / processing profile name to its path and check that it exists
+     * @returns {Promise<string|null>} Path, or null when no setting is given
+     */
+    async resolveFolderSetting(value, root, label) {
+        if (!value) return null;
+        const path = value.startsWith('/') ? value : `${root}/${value}`;
+        if (!await this.pathExists(path)) {
+            throw new Error(`${label} not found: ${path}`);
+        }
+        return path;
+    }
+
+    /**
+     * Create a folder node, or update the title and settings of an existing one (create = false)
+     */
+    async postFolder(folderPath, { title, metadataSchema, processingProfile } = {}, create = true) {
+        const formData = new URLSearchParams();
+        formData.append('_charset_', 'utf-8');
+        if (create) {
+            formData.append('jcr:primaryType', 'sling:OrderedFolder');
+            formData.append('jcr:content/jcr:primaryType', 'nt:unstructured');
+        }
+        if (title) {
+            formData.append('jcr:content/jcr:title', title);
+        }
+        if (metadataSchema) {
+            formData.append('jcr:content/metadataSchema', metadataSchema);
+        }
+        if (processingProfile) {
+            formData.append('jcr:content/processingProfile', processingProfile);
+        }
+
+        await this.axiosInstance.post(folderPath, formData.toString(), {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+    }
+}
+
+/**
+ * Compare a current metadata value with a CSV value
+ */
+function isSameMetadataValue(current, value) {
+    const { type, value: raw } = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { type: null, value };
+    const normalize = item => (type === 'Date' && !Number.isNaN(new Date(item).getTime()) ? new Date(item).getTime() : String(item));
+    const currentValues = (Array.isArray(current) ? current : [current]).filter(item => item !== undefined && item !== null);
+    const newValues = Array.isArray(raw) ? raw : [raw];
+    return Array.isArray(current) === Array.isArray(raw) &&
+        currentValues.length === newValues.length &&
+        currentValues.every((item, index) => normalize(item) === normalize(newValues[index]));
+}
+
+/**
+ * Rewrite a property value referencing an asset
+ * @param {string|string[]} value - Property value
+ * @param {string} oldPath - Asset path
+ * @param {string|null} newPath - New asset path, or null to remove the reference
+ * @returns {string|string[]|null|undefined} New value; null deletes the property, undefined means it cannot be removed
+ */
+function rewriteReferenceValue(value, oldPath, newPath) {
+    // Renditions are referenced below the asset path (e.g. logo.png/jcr:content/renditions/...)
+    const matchesAsset = item => item === oldPath || String(item).startsWith(`${oldPath}/`);
+    // In text (e.g. rich text HTML) the path must end where a reference ends, so logo.png does not match logo.png-v2.png
+    const pattern = new RegExp(`${oldPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=$|[/"')\\s?#])`, 'g');
+    const rewrite = item => (matchesAsset(item) ? `${newPath}${String(item).slice(oldPath.length)}` : String(item).replace(pattern, () => newPath));
+
+    if (Array.isArray(value)) {
+        if (newPath !== null) return value.map(rewrite);
+        if (value.some(item => !matchesAsset(item) && String(item).search(pattern) !== -1)) return undefined;
+        const remaining = value.filter(item => !matchesAsset(item));
+        return remaining.length > 0 ? remaining : null;
+    }
+    if (newPath !== null) return rewrite(value);
+    return matchesAsset(value) ? null : undefined;
+}
+
+/**
+ * Resolve a metadata property name to its path relative to the asset node
+ * ("dc:title" → jcr:content/metadata/dc:title; paths with "/" are kept)
+ */
+function toMetadataProperty(name) {
+    return name.includes('/') ? name : `${METADATA_PATH}/${name}`;
+}
+
+/**
+ * Parse a date range bound: ISO 8601 or a relative duration like "-7d" / "-1w" (from now)
+ * @returns {string} ISO 8601 date
+ */
+function parseDateBound(value, label) {
+    const relative = /^([+-]?\d+)([smhdwMy])$/.exec(String(value).trim());
+    const date = relative
+        ? new Date(Date.now() + Number(relative[1]) * DURATION_UNITS[relative[2]])
+        : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date for ${label}: "${value}" (use ISO 8601 or a relative value like -7d)`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Fingerprint the filters of a search, so a cursor cannot continue a different search
+ */
+function getSearchSignature(searchConfig) {
+    const { query, filename, title, damPath = '/content/dam', mimeType, created, modified, tags, tagsMatch, properties, size, width, height } = searchConfig;
+    const filters = { query, filename, title, damPath, mimeType, created, modified, tags, tagsMatch, properties, size, width, height };
+    return crypto.createHash('sha1').update(JSON.stringify(filters)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Encode cursor state as an opaque token
+ */
+function encodeCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor token and check that it belongs to the same search
+ */
+function decodeCursor(cursor, signature) {
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!state || !state.until || !Array.isArray(state.seen)) {
+        throw new Error('Invalid cursor');
+    }
+    if (state.signature !== signature) {
+        throw new Error('Cursor belongs to a different search; repeat the original filters or start without a cursor');
+    }
+    return state;
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ */
+function isPrivateAddress(address) {
+    const normalized = address.toLowerCase();
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1 or ::ffff:a00:1)
+    const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(normalized);
+    if (mapped) {
+        if (mapped[1]) return isPrivateAddress(mapped[1]);
+        const high = parseInt(mapped[2], 16);
+        const low = parseInt(mapped[3], 16);
+        return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    if (net.isIPv4(normalized)) {
+        const [a, b] = normalized.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 198 && (b === 18 || b === 19));
+    }
+    return normalized === '::' || normalized === '::1' || /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+}
+
+/**
+ * Validate an assetUrl: http(s) only and no private, loopback or link-local hosts
+ * @returns {URL} Parsed URL
+ */
+function checkDownloadUrl(assetUrl) {
+    let url;
+    try {
+        url = new URL(assetUrl);
+    } catch (error) {
+        throw new Error(`Invalid assetUrl: ${assetUrl}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`assetUrl must be an http or https URL, got ${url.protocol}`);
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+        throw new Error(`assetUrl must point to a public host, got ${url.hostname}`);
+    }
+    return url;
+}
+
+/**
+ * DNS lookup for downloads that refuses host names resolving to non-public addresses
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const blocked = addresses.find(item => isPrivateAddress(item.address));
+        if (blocked) {
+            callback(new Error(`assetUrl must point to a public host, ${hostname} resolves to ${blocked.address}`));
+            return;
+        }
+        callback(null, addresses);
+    });
 }
 
 /**
  * Create AEM Asset Client instance
  */
-function createAEMAssetClient(authorUrl, credentials) {
-    return new AEMAssetClient(authorUrl, credentials);
+function createAEMAssetClient(authorUrl, credentials, options = {}) {
+    return new AEMAssetClient(authorUrl, credentials, options);
 }
 
 module.exports = {
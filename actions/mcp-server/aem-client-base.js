@@ -18,15 +18,88 @@ governing permissions and limitations under the License.
  */
 
 const axios = require('axios');
+const { ImsTokenProvider, isImsCredentials } = require('./ims-token-provider');
+
+// Default retry policy, overridable per environment profile ("retry" in AEM_ENVIRONMENTS)
+const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,          // Retries after the first attempt (0 disables retries)
+    baseDelayMs: 500,       // First backoff delay, doubled on every retry
+    maxDelayMs: 10000,      // Upper bound for a single backoff delay
+    maxRetryAfterMs: 30000, // Give up instead of waiting longer than this for Retry-After
+    retryConflicts: true    // Retry Oak merge conflicts (OakState0001) of idempotent calls
+};
+
+// Methods that can be repeated without side effects
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Statuses retried for idempotent methods (429 and 503 are retried for every method)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Parallel requests used when one call per item cannot be avoided (e.g. metadata fallbacks)
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Merge a retry policy with the defaults (false disables retries)
+ * @param {Object|boolean} policy - Partial retry policy
+ * @returns {Object} Complete retry policy
+ */
+function normalizeRetryPolicy(policy) {
+    if (policy === false) {
+        return { ...DEFAULT_RETRY_POLICY, maxRetries: 0 };
+    }
+    const merged = { ...DEFAULT_RETRY_POLICY };
+    for (const [key, value] of Object.entries(policy || {})) {
+        if (key in DEFAULT_RETRY_POLICY && value !== undefined && value !== null) {
+            merged[key] = typeof DEFAULT_RETRY_POLICY[key] === 'number' ? Number(value) : value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
 /**
  * Base AEM API Client
  * Provides authentication and basic HTTP client setup
+ *
+ * Credentials can be a static bearer token ({ token }), basic auth ({ username, password }),
+ * OAuth server-to-server ({ clientId, clientSecret, scopes }) or AEM Cloud technical
+ * account JSON ({ serviceCredentials }). IMS credentials are exchanged for an access token
+ * on the first request and refreshed when AEM answers 401.
+ *
+ * Failed calls are retried with exponential backoff and jitter: idempotent methods on
+ * network errors, 408/429/5xx and Oak merge conflicts, and any method on 429/503 (honouring
+ * Retry-After). Pass { retry: false } in a request config to opt out, or { idempotent: true }
+ * to treat a POST as safe to repeat.
  */
 class AEMClientBase {
-    constructor(authorUrl, credentials) {
+    /**
+     * @param {string} authorUrl - AEM Author URL
+     * @param {Object} credentials - AEM credentials
+     * @param {Object} options - Client options
+     * @param {Object|boolean} options.retry - Retry policy (see DEFAULT_RETRY_POLICY), false to disable
+     * @param {number} options.concurrency - Maximum parallel requests for per-item calls (default: 5)
+     */
+    constructor(authorUrl, credentials, options = {}) {
         this.authorUrl = authorUrl.replace(/\/$/, ''); // Remove trailing slash
         this.credentials = credentials;
+        this.retryPolicy = normalizeRetryPolicy(options.retry);
+        this.concurrency = Math.max(1, Number(options.concurrency) || DEFAULT_CONCURRENCY);
+        this.requestLog = [];
         this.axiosInstance = axios.create({
             baseURL: this.authorUrl,
             timeout: 30000,
@@ -37,7 +110,11 @@ class AEMClientBase {
 
         // Setup authentication
         if (credentials) {
-            if (credentials.token) {
+            if (isImsCredentials(credentials)) {
+                // IMS token exchange (OAuth server-to-server or technical account)
+                this.tokenProvider = new ImsTokenProvider(credentials);
+                this.setupImsAuthentication();
+            } else if (credentials.token) {
                 // Bearer token authentication
                 this.axiosInstance.defaults.headers.common['Authorization'] = `Bearer ${credentials.token}`;
             } else if (credentials.username && credentials.password) {
@@ -48,9 +125,196 @@ class AEMClientBase {
                 };
             }
         }
+
+        this.setupRetries();
+    }
+
+    /**
+     * Count attempts on every request and retry failed calls according to the retry policy
+     */
+    setupRetries() {
+        this.axiosInstance.interceptors.request.use((config) => {
+            config.retryState = config.retryState || { attempts: 0 };
+            config.retryState.attempts += 1;
+            return config;
+        });
+
+        this.axiosInstance.interceptors.response.use(
+            (response) => {
+                // Replayed calls (retries, IMS token refresh) were already recorded by the inner request
+                if (response.attempts === undefined) {
+                    response.attempts = this.recordRequest(response.config, response.status);
+                }
+                return response;
+            },
+            async (error) => {
+                if (error.attempts !== undefined) {
+                    throw error;
+                }
+
+                const config = error.config;
+                const attempts = config?.retryState?.attempts || 1;
+                const delay = config ? this.getRetryDelay(error, attempts) : null;
+
+                if (delay === null) {
+                    error.attempts = this.recordRequest(config, error.response?.status);
+                    throw error;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return this.axiosInstance.request(config);
+            }
+        );
+    }
+
+    /**
+     * Decide whether a failed call is retried and how long to wait first
+     * @param {Error} error - Axios error
+     * @param {number} attempts - Attempts made so far
+     * @returns {number|null} Delay in milliseconds, or null when the call is not retried
+     */
+    getRetryDelay(error, attempts) {
+        const config = error.config;
+        const policy = this.retryPolicy;
+        if (config.retry === false || attempts > policy.maxRetries) {
+            return null;
+        }
+
+        const method = (config.method || 'get').toLowerCase();
+        const idempotent = config.idempotent === true || IDEMPOTENT_METHODS.includes(method);
+        const status = error.response?.status;
+
+        let retryable;
+        if (!error.response) {
+            // Network error or timeout: the request may have been applied, only repeat safe calls
+            retryable = idempotent && error.code !== 'ERR_CANCELED';
+        } else if (status === 429 || status === 503) {
+            retryable = true;
+        } else if (policy.retryConflicts && this.isConflictError(error)) {
+            // A conflicting write may have been partly applied, only repeat safe calls
+            retryable = idempotent;
+        } else {
+            retryable = idempotent && RETRYABLE_STATUSES.includes(status);
+        }
+        if (!retryable) {
+            return null;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null && (status === 429 || status === 503)) {
+            return retryAfter <= policy.maxRetryAfterMs ? retryAfter : null;
+        }
+
+        // Exponential backoff with jitter (50-100% of the capped delay)
+        const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempts - 1));
+        return Math.round(backoff * (0.5 + Math.random() / 2));
+    }
+
+    /**
+     * Check if error is an Oak merge conflict of concurrent writes (OakState0001)
+     */
+    isConflictError(error) {
+        if (!error.response) return false;
+
+        const status = error.response.status;
+        const errorText = `${JSON.stringify(error.response.data || {})} ${error.message || ''}`.toLowerCase();
+
+        // Sling reports Oak merge conflicts as 500s (or 409s), naming the Oak error code
+        return (status === 500 || status === 409) && (
+            errorText.includes('oakstate0001') ||
+            errorText.includes('unresolved conflicts')
+        );
+    }
+
+    /**
+     * Record a finished call for the request statistics
+     * @returns {number} Attempts the call needed
+     */
+    recordRequest(config, status) {
+        const attempts = config?.retryState?.attempts || 1;
+        this.requestLog.push({
+            method: (config?.method || 'get').toUpperCase(),
+            url: (config?.url || '').split('?')[0],
+            status: status || null,
+            attempts
+        });
+        return attempts;
+    }
+
+    /**
+     * Summarize the calls made by this client (reported in tool response metadata)
+     * @returns {Object} { total, retried, attempts, calls: [{ method, url, status, attempts }] }
+     */
+    getRequestStats() {
+        return {
+            total: this.requestLog.length,
+            retried: this.requestLog.filter(call => call.attempts > 1).length,
+            attempts: this.requestLog.reduce((sum, call) => sum + call.attempts, 0),
+            calls: this.requestLog.map(call => ({ ...call }))
+        };
+    }
+
+    /**
+     * Attach the IMS access token to every request and retry once with a fresh token on 401
+     */
+    setupImsAuthentication() {
+        this.axiosInstance.interceptors.request.use(async (config) => {
+            const accessToken = await this.tokenProvider.getAccessToken();
+            config.headers = config.headers || {};
+            config.headers['Authorization'] = `Bearer ${accessToken}`;
+            return config;
+        });
+
+        this.axiosInstance.interceptors.response.use(null, async (error) => {
+            const config = error.config;
+            if (!error.response || error.response.status !== 401 || !config || config._imsTokenRefreshed) {
+                throw error;
+            }
+
+            // The cached token was revoked or expired early: fetch a new one and replay the request
+            this.tokenProvider.invalidate();
+            config._imsTokenRefreshed = true;
+            return this.axiosInstance.request(config);
+        });
+    }
+
+    /**
+     * Map items through an async function with at most `concurrency` calls in flight
+     * @param {Array} items - Items to process
+     * @param {Function} fn - Async function (item, index) => result
+     * @param {number} concurrency - Parallel calls (default: the client concurrency)
+     * @returns {Promise<Array>} Results in item order
+     */
+    async mapConcurrent(items, fn, concurrency = this.concurrency) {
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Human-readable name of the authentication method (used in error messages)
+     * @returns {string}
+     */
+    getAuthMethodLabel() {
+        if (this.tokenProvider) {
+            return this.tokenProvider.grantType === 'jwt' ? 'IMS technical account' : 'IMS OAuth server-to-server';
+        }
+        if (this.credentials && this.credentials.token) {
+            return 'Bearer token';
+        }
+        return 'username/password';
     }
 }
 
 module.exports = {
-    AEMClientBase
+    AEMClientBase,
+    DEFAULT_RETRY_POLICY,
+    DEFAULT_CONCURRENCY
 };
@@ -0,0 +1,293 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * AEM Environments - Named AEM environment profiles (dev, stage, prod, ...)
+ *
+ * Profiles are read from the AEM_ENVIRONMENTS action input / environment variable
+ * (a JSON object or string) or from the JSON file named by AEM_ENVIRONMENTS_FILE:
+ *
+ * {
+ *   "default": "dev",
+ *   "environments": {
+ *     "dev": {
+ *       "authorUrl": "https://author-pXXXX-eYYYY.adobeaemcloud.com",
+ *       "publishUrl": "https://publish-pXXXX-eYYYY.adobeaemcloud.com",
+ *       "auth": { "type": "basic", "username": "$AEM_DEV_USERNAME", "password": "$AEM_DEV_PASSWORD" }
+ *     }
+ *   }
+ * }
+ *
+ * Supported auth types: "basic" (username, password), "token" (static bearer token),
+ * "oauth" (clientId, clientSecret, scopes - Adobe IMS server-to-server) and
+ * "technical-account" (serviceCredentials JSON or serviceCredentialsFile from the
+ * AEM Developer Console). IMS tokens are obtained and refreshed by the AEM client.
+ *
+ * An optional "retry" object overrides the client retry policy for the profile
+ * ({ maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs, retryConflicts }), or
+ * false disables retries.
+ *
+ * String values of the form $NAME or ${NAME} are resolved from the action inputs or
+ * environment variables, so secrets don't have to live in the profile JSON.
+ * Without any profile, a "default" profile is built from AEM_AUTHOR_URL, AEM_USERNAME,
+ * AEM_PASSWORD and AEM_TOKEN.
+ */
+
+const fs = require('fs');
+
+// Action inputs of the current invocation (Runtime passes inputs as params, not env vars)
+let actionInputs = {};
+
+/**
+ * Make the action inputs of the current invocation available to profile lookups
+ * @param {Object} params - Adobe I/O Runtime action parameters
+ */
+function configureEnvironments(params = {}) {
+    actionInputs = params;
+}
+
+/**
+ * Read a setting from the action inputs, falling back to environment variables
+ */
+function getSetting(name) {
+    const value = actionInputs[name];
+    return value !== undefined && value !== '' ? value : process.env[name];
+}
+
+/**
+ * Resolve $NAME / ${NAME} references in a profile value
+ */
+function resolveValue(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const match = value.match(/^\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?$/);
+    return match ? getSetting(match[1]) : value;
+}
+
+/**
+ * Load the raw profile configuration from AEM_ENVIRONMENTS or AEM_ENVIRONMENTS_FILE
+ * @returns {Object|null} Raw configuration or null when no profiles are configured
+ */
+function loadRawConfig() {
+    let config = getSetting('AEM_ENVIRONMENTS');
+    const configFile = getSetting('AEM_ENVIRONMENTS_FILE');
+
+    if (!config && configFile) {
+        try {
+            config = fs.readFileSync(configFile, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read AEM environments file ${configFile}: ${error.message}`);
+        }
+    }
+
+    if (!config) {
+        return null;
+    }
+
+    if (typeof config === 'string') {
+        try {
+            config = JSON.parse(config);
+        } catch (error) {
+            throw new Error(`AEM environments configuration is not valid JSON: ${error.message}`);
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Read AEM Cloud technical account JSON given inline (serviceCredentials) or as a file (serviceCredentialsFile)
+ */
+function resolveServiceCredentials(auth) {
+    const inline = resolveValue(auth.serviceCredentials);
+    if (inline) {
+        return inline;
+    }
+
+    const file = resolveValue(auth.serviceCredentialsFile);
+    if (!file) {
+        return null;
+    }
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read service credentials file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Normalize a profile definition into { name, authorUrl, publishUrl, authMethod, credentials }
+ */
+function normalizeProfile(name, raw = {}) {
+    const auth = raw.auth || {};
+    const username = resolveValue(auth.username);
+    const password = resolveValue(auth.password);
+    const token = resolveValue(auth.token);
+    const clientId = resolveValue(auth.clientId);
+    const clientSecret = resolveValue(auth.clientSecret);
+    const serviceCredentials = resolveServiceCredentials(auth);
+    const authMethod = auth.type || (serviceCredentials ? 'technical-account'
+        : (clientId ? 'oauth' : (token ? 'token' : (username ? 'basic' : 'none'))));
+
+    const credentials = {};
+    if (authMethod === 'basic' && username && password) {
+        credentials.username = username;
+        credentials.password = password;
+    } else if (authMethod === 'token' && token) {
+        credentials.token = token;
+    } else if (authMethod === 'oauth' && clientId && clientSecret) {
+        credentials.clientId = clientId;
+        credentials.clientSecret = clientSecret;
+        credentials.scopes = resolveValue(auth.scopes);
+        credentials.imsUrl = resolveValue(auth.imsUrl);
+    } else if (authMethod === 'technical-account' && serviceCredentials) {
+        credentials.serviceCredentials = serviceCredentials;
+        credentials.imsUrl = resolveValue(auth.imsUrl);
+    }
+
+    return {
+        name,
+        description: raw.description || '',
+        authorUrl: resolveValue(raw.authorUrl || raw.author),
+        publishUrl: resolveValue(raw.publishUrl || raw.publish) || null,
+        authMethod,
+        credentials,
+        retry: raw.retry === undefined ? null : raw.retry
+    };
+}
+
+/**
+ * Build the legacy "default" profile from AEM_AUTHOR_URL / AEM_USERNAME / AEM_PASSWORD / AEM_TOKEN
+ */
+function buildLegacyProfile() {
+    const authorUrl = getSetting('AEM_AUTHOR_URL');
+    if (!authorUrl) {
+        return null;
+    }
+
+    const username = getSetting('AEM_USERNAME');
+    const password = getSetting('AEM_PASSWORD');
+    const token = getSetting('AEM_TOKEN');
+
+    // For AEM Cloud Service, prefer username/password over token for QueryBuilder API compatibility
+    const isAEMCloudService = authorUrl.includes('adobeaemcloud.com');
+    let auth = {};
+    if (username && password && (isAEMCloudService || !token)) {
+        auth = { type: 'basic', username, password };
+    } else if (token) {
+        auth = { type: 'token', token };
+    }
+
+    return normalizeProfile('default', {
+        description: 'Built from AEM_AUTHOR_URL and AEM_* credentials',
+        authorUrl,
+        publishUrl: getSetting('AEM_PUBLISH_URL'),
+        auth
+    });
+}
+
+/**
+ * Load all configured profiles
+ * @returns {Object} { defaultEnvironment, profiles: { name: profile } }
+ */
+function loadEnvironments() {
+    const raw = loadRawConfig();
+    const profiles = {};
+    let defaultEnvironment = getSetting('AEM_DEFAULT_ENVIRONMENT');
+
+    if (raw) {
+        const definitions = raw.environments || raw;
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (definition && typeof definition === 'object') {
+                profiles[name] = normalizeProfile(name, definition);
+            }
+        }
+        defaultEnvironment = defaultEnvironment || raw.default;
+    } else {
+        const legacy = buildLegacyProfile();
+        if (legacy) {
+            profiles[legacy.name] = legacy;
+        }
+    }
+
+    if (!defaultEnvironment || !profiles[defaultEnvironment]) {
+        defaultEnvironment = Object.keys(profiles)[0] || null;
+    }
+
+    return { defaultEnvironment, profiles };
+}
+
+/**
+ * Resolve a named profile (or the default one) for tool calls
+ * @param {string} environment - Profile name (optional, default profile when omitted)
+ * @returns {Object} Profile, or { error } when it cannot be used
+ */
+function resolveEnvironment(environment) {
+    let config;
+    try {
+        config = loadEnvironments();
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const names = Object.keys(config.profiles);
+    if (names.length === 0) {
+        return {
+            error: 'No AEM environment is configured. Define profiles in AEM_ENVIRONMENTS (JSON) or AEM_ENVIRONMENTS_FILE, or set AEM_AUTHOR_URL with AEM_USERNAME/AEM_PASSWORD or AEM_TOKEN.'
+        };
+    }
+
+    const name = environment || config.defaultEnvironment;
+    const profile = config.profiles[name];
+    if (!profile) {
+        return { error: `Unknown AEM environment "${name}". Configured environments: ${names.join(', ')}` };
+    }
+
+    if (!profile.authorUrl) {
+        return { error: `AEM environment "${name}" has no authorUrl` };
+    }
+
+    if (Object.keys(profile.credentials).length === 0) {
+        return { error: `AEM environment "${name}" has no usable credentials for auth method "${profile.authMethod}"` };
+    }
+
+    return profile;
+}
+
+/**
+ * List configured profiles without secrets
+ * @returns {Object} { defaultEnvironment, environments: [...] }
+ */
+function listEnvironments() {
+    const config = loadEnvironments();
+    return {
+        defaultEnvironment: config.defaultEnvironment,
+        environments: Object.values(config.profiles).map(profile => ({
+            name: profile.name,
+            description: profile.description,
+            authorUrl: profile.authorUrl || null,
+            publishUrl: profile.publishUrl,
+            authMethod: profile.authMethod,
+            retry: profile.retry,
+            hasCredentials: Object.keys(profile.credentials).length > 0,
+            isDefault: profile.name === config.defaultEnvironment
+        }))
+    };
+}
+
+module.exports = {
+    configureEnvironments,
+    loadEnvironments,
+    resolveEnvironment,
+    listEnvironments
+};
@@ -0,0 +1,886 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * AEM Content Fragment Client - Content Fragment lifecycle via the Sites OpenAPI
+ *
+ * This module provides:
+ * - Fragment creation from a Content Fragment Model (/adobe/sites/cf/fragments)
+ * - Fragment read by path or ID, with field values and ETag
+ * - Fragment listing by folder and model
+ * - Field updates with ETag-based optimistic locking (JSON Patch + If-Match)
+ * - Fragment deletion
+ * - Named variations (create, list with differences from master, update)
+ * - Language copies in parallel locale folders (/content/dam/<site>/<locale>/...)
+ * - Content Fragment Models: listing per configuration, field definitions, creation and
+ *   extension from a field spec (/adobe/sites/cf/models)
+ *
+ * Fragment IDs are the UUIDs of the fragment nodes; model IDs are the URL-safe Base64
+ * encoding of the model path.
+ */
+
+const { AEMClientBase } = require('./aem-client-base');
+const { parseFieldSpec, describeModelField, validateFragmentFields } = require('./fragment-model');
+
+const FRAGMENTS_API = '/adobe/sites/cf/fragments';
+const MODELS_API = '/adobe/sites/cf/models';
+
+// Page size of fragment listings (the API allows at most 50)
+const DEFAULT_LIST_LIMIT = 50;
+
+// Result note for updates locked only to the version read right before them
+const UNCHECKED_NOTE = ' (no ETag given: changes made before this update was read are not detected)';
+
+/**
+ * AEM Content Fragment Client - Extends base client with Content Fragment operations
+ */
+class AEMFragmentClient extends AEMClientBase {
+    constructor(authorUrl, credentials, options = {}) {
+        super(authorUrl, credentials, options);
+
+        // The OpenAPI endpoints expect the IMS client ID as API key
+        const apiKey = this.tokenProvider?.clientId || credentials?.apiKey;
+        if (apiKey) {
+            this.axiosInstance.defaults.headers.common['X-Api-Key'] = apiKey;
+        }
+    }
+
+    /**
+     * Create a Content Fragment from a model
+     * @param {Object} fragmentConfig - Fragment configuration
+     * @param {string} fragmentConfig.fragmentTitle - Title
+     * @param {string} fragmentConfig.fragmentPath - Parent folder (e.g., /content/dam/mysite/fragments)
+     * @param {string} fragmentConfig.modelPath - Content Fragment Model path or ID
+     * @param {Object} fragmentConfig.fields - Field values by field name (arrays for multi-value fields)
+     * @param {string} fragmentConfig.name - Node name (default: derived from the title)
+     * @param {string} fragmentConfig.description - Description
+     * @param {boolean} fragmentConfig.validate - Check the fields against the model before creating (default: true)
+     * @returns {Promise<Object>} { success, fragment, fullPath, message }
+     */
+    async createContentFragment(fragmentConfig) {
+        try {
+            const {
+                fragmentTitle,
+                fragmentPath,
+                modelPath,
+                fields = {},
+                name,
+                description,
+                validate = true
+            } = fragmentConfig;
+
+            if (!fragmentTitle || !fragmentPath || !modelPath) {
+                throw new Error('fragmentTitle, fragmentPath, and modelPath are required');
+            }
+            if (!fragmentPath.startsWith('/content/dam/')) {
+                throw new Error('Fragment path must start with /content/dam/');
+            }
+
+            if (validate) {
+                await this.checkFieldsAgainstModel(fields, modelPath);
+            }
+
+            const body = {
+                title: fragmentTitle,
+                name: name || fragmentTitle.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
+                modelId: toModelId(modelPath),
+                parentPath: fragmentPath,
+                fields: Object.entries(fields).map(([fieldName, value]) => ({ name: fieldName, values: toFieldValues(value) }))
+            };
+            if (description) {
+                body.description = description;
+            }
+
+            const response = await this.axiosInstance.post(FRAGMENTS_API, body);
+            const fragment = toFragment(response.data, response.headers);
+
+            return {
+                success: true,
+                fragment,
+                fullPath: fragment.path || `${fragmentPath}/${body.name}`,
+                message: 'Content Fragment created successfully'
+            };
+        } catch (error) {
+            throw new Error(`Failed to create content fragment: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * Get a Content Fragment with its field values
+     * @param {string} fragment - Fragment path (/content/dam/...) or ID
+     * @returns {Promise<Object>} { id, path, title, description, model, status, fields, created, modified, etag }
+     */
+    async getContentFragment(fragment) {
+        try {
+            const id = await this.resolveFragmentId(fragment);
+            const response = await this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}`);
+            return toFragment(response.data, response.headers);
+        } catch (error) {
+            throw new Error(`Failed to get content fragment: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * List Content Fragments below a folder, optionally of one model
+     * @param {Object} options - Listing options
+     * @param {string} options.folderPath - DAM folder (default: /content/dam)
+     * @param {string|string[]} options.model - Model path(s) or ID(s)
+     * @param {number} options.limit - Page size (default: 50)
+     * @param {string} options.cursor - Cursor of the next page, from a previous listing
+     * @returns {Promise<Object>} { success, items, count, cursor, message }
+     */
+    async listContentFragments(options = {}) {
+        try {
+            const { folderPath = '/content/dam', model, limit = DEFAULT_LIST_LIMIT, cursor } = options;
+
+            const filter = { path: folderPath };
+            if (model) {
+                filter.modelIds = [].concat(model).map(toModelId);
+            }
+
+            const params = new URLSearchParams();
+            params.append('query', JSON.stringify({ filter }));
+            params.append('limit', String(Math.min(limit, DEFAULT_LIST_LIMIT)));
+            if (cursor) {
+                params.append('cursor', cursor);
+            }
+
+            const response = await this.axiosInstance.get(`${FRAGMENTS_API}/search?${params.toString()}`);
+            const items = (response.data?.items || []).map(item => toFragment(item));
+
+            return {
+                success: true,
+                folderPath,
+                items,
+                count: items.length,
+                cursor: response.data?.cursor || null,
+                message: `Found ${items.length} content fragment(s) below ${folderPath}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list content fragments: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * Update fields (and title / description) of a Content Fragment
+     *
+     * Field values are checked against the fragment's model first. Changes are sent as
+     * JSON Patch with If-Match, so the update fails instead of overwriting a fragment that
+     * was changed since the given ETag was read. Without an ETag the one read right before
+     * the update is used, which keeps the positional patch paths tied to that version.
+     * @param {string} fragment - Fragment path or ID
+     * @param {Object} changes - { fields: { name: value }, title, description }
+     * @param {Object} options - Update options
+     * @param {string} options.etag - ETag from getContentFragment (default: the current one, read right before the update)
+     * @returns {Promise<Object>} { success, id, path, updated, etag, etagChecked (whether options.etag was given), fragment, message }
+     */
+    async updateContentFragment(fragment, changes = {}, options = {}) {
+        try {
+            const { fields = {}, title, description } = changes;
+            if (Object.keys(fields).length === 0 && title === undefined && description === undefined) {
+                throw new Error('No changes given');
+            }
+
+            const id = await this.resolveFragmentId(fragment);
+            const current = await this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}`);
+            const currentFragment = toFragment(current.data, current.headers);
+            const etag = options.etag || currentFragment.etag;
+
+            const operations = toPatchOperations(changes, currentFragment.fields, 'fragment');
+            if (Object.keys(fields).length > 0) {
+                await this.checkFieldsAgainstModel(fields, currentFragment.model.id || currentFragment.model.path, { partial: true });
+            }
+            const headers = { 'Content-Type': 'application/json-patch+json' };
+            if (etag) {
+                headers['If-Match'] = etag;
+            }
+            const response = await this.axiosInstance.patch(`${FRAGMENTS_API}/${encodeURIComponent(id)}`, operations, { headers });
+            const updated = toFragment(response.data, response.headers);
+
+            return {
+                success: true,
+                id,
+                path: updated.path || currentFragment.path,
+                updated: [
+                    ...Object.keys(fields),
+                    ...(title !== undefined ? ['title'] : []),
+                    ...(description !== undefined ? ['description'] : [])
+                ],
+                etag: updated.etag,
+                etagChecked: Boolean(options.etag),
+                fragment: updated,
+                message: `Content fragment updated (${operations.length} change(s))${options.etag ? '' : UNCHECKED_NOTE}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to update content fragment: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * Delete a Content Fragment
+     * @param {string} fragment - Fragment path or ID
+     * @param {Object} options - Delete options
+     * @param {string} options.etag - Only delete if the fragment still has this ETag (default: none, deleted whatever its state)
+     * @returns {Promise<Object>} { success, id, path, etagChecked, message }
+     */
+    async deleteContentFragment(fragment, options = {}) {
+        try {
+            const id = await this.resolveFragmentId(fragment);
+            const current = await this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}`);
+            const currentFragment = toFragment(current.data, current.headers);
+            const { etag } = options;
+
+            await this.axiosInstance.delete(`${FRAGMENTS_API}/${encodeURIComponent(id)}`, {
+                headers: etag ? { 'If-Match': etag } : {}
+            });
+
+            return {
+                success: true,
+                id,
+                path: currentFragment.path,
+                etagChecked: Boolean(etag),
+                message: `Content fragment deleted: ${currentFragment.path || id}${etag ? '' : ' (no ETag given, not checked for changes)'}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to delete content fragment: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * List Content Fragment Models, optionally of one configuration
+     * @param {Object} options - Listing options
+     * @param {string} options.configurationFolder - Configuration (e.g., /conf/wknd; default: all)
+     * @param {number} options.limit - Page size (default: 50)
+     * @param {string} options.cursor - Cursor of the next page, from a previous listing
+     * @returns {Promise<Object>} { success, items, count, cursor, message }
+     */
+    async listContentFragmentModels(options = {}) {
+        try {
+            const { configurationFolder, limit = DEFAULT_LIST_LIMIT, cursor } = options;
+
+            const params = new URLSearchParams();
+            if (configurationFolder) {
+                params.append('configurationFolder', configurationFolder.replace(/\/+$/, ''));
+            }
+            params.append('limit', String(Math.min(limit, DEFAULT_LIST_LIMIT)));
+            if (cursor) {
+                params.append('cursor', cursor);
+            }
+
+            const response = await this.axiosInstance.get(`${MODELS_API}?${params.toString()}`);
+            const items = (response.data?.items || []).map(item => toModel(item));
+
+            return {
+                success: true,
+                configurationFolder: configurationFolder || null,
+                items,
+                count: items.length,
+                cursor: response.data?.cursor || null,
+                message: `Found ${items.length} content fragment model(s)${configurationFolder ? ` in ${configurationFolder}` : ''}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list content fragment models: ${describeApiError(error, 'model')}`);
+        }
+    }
+
+    /**
+     * Get a Content Fragment Model with its field definitions
+     * @param {string} model - Model path (/conf/...) or ID
+     * @returns {Promise<Object>} { id, path, name, title, description, status, configurationFolder, fields, etag }
+     */
+    async getContentFragmentModel(model) {
+        try {
+            if (!model) {
+                throw new Error('Model path or ID is required');
+            }
+            const response = await this.axiosInstance.get(`${MODELS_API}/${encodeURIComponent(toModelId(model))}`);
+            return toModel(response.data, response.headers);
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                throw new Error(`Failed to get content fragment model: Model not found: ${model}. Use aem-list-content-fragment-models to see the available models`);
+            }
+            throw new Error(`Failed to get content fragment model: ${describeApiError(error, 'model')}`);
+        }
+    }
+
+    /**
+     * Create a Content Fragment Model from a field spec (see fragment-model.js)
+     * @param {string} configurationFolder - Configuration (e.g., /conf/wknd)
+     * @param {Object} modelConfig - { title, name, description, fields: field spec }
+     * @returns {Promise<Object>} { success, model, message }
+     */
+    async createContentFragmentModel(configurationFolder, modelConfig = {}) {
+        try {
+            const { title, name, description, fields } = modelConfig;
+            if (!configurationFolder || !configurationFolder.startsWith('/conf/')) {
+                throw new Error('Configuration folder must start with /conf/');
+            }
+            if (!title) {
+                throw new Error('title is required');
+            }
+
+            const parsed = parseFieldSpec(fields);
+            if (parsed.errors) {
+                throw new Error(`Invalid field spec:\n${parsed.errors.map(error => `- ${error}`).join('\n')}`);
+            }
+
+            const body = {
+                configurationFolder: configurationFolder.replace(/\/+$/, ''),
+                title,
+                name: name || title.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
+                fields: parsed.fields
+            };
+            if (description) {
+                body.description = description;
+            }
+
+            const response = await this.axiosInstance.post(MODELS_API, body);
+            const model = toModel(response.data, response.headers);
+
+            return {
+                success: true,
+                model,
+                message: `Content fragment model created with ${parsed.fields.length} field(s)`
+            };
+        } catch (error) {
+            throw new Error(`Failed to create content fragment model: ${describeApiError(error, 'model')}`);
+        }
+    }
+
+    /**
+     * Add fields to an existing Content Fragment Model
+     *
+     * Fields are appended with JSON Patch and If-Match, so a concurrent change cannot slip in
+     * between the duplicate-name check and the update. Existing fields are never changed;
+     * fragments of the model get the new fields empty, so new required fields have to be
+     * filled before those fragments can be saved in the editor.
+     * @param {string} model - Model path or ID
+     * @param {Object} fields - Field spec of the fields to add
+     * @param {Object} options - Update options
+     * @param {string} options.etag - ETag from getContentFragmentModel (default: the current one)
+     * @returns {Promise<Object>} { success, model, added, etagChecked (whether options.etag was given), message }
+     */
+    async addContentFragmentModelFields(model, fields, options = {}) {
+        try {
+            const parsed = parseFieldSpec(fields);
+            if (parsed.errors) {
+                throw new Error(`Invalid field spec:\n${parsed.errors.map(error => `- ${error}`).join('\n')}`);
+            }
+
+            const id = toModelId(model);
+            const current = await this.getContentFragmentModel(model);
+            const existing = parsed.fields.filter(field => current.fields.some(item => item.name === field.name));
+            if (existing.length > 0) {
+                throw new Error(`Field(s) already in the model: ${existing.map(field => field.name).join(', ')}`);
+            }
+
+            const headers = { 'Content-Type': 'application/json-patch+json' };
+            const etag = options.etag || current.etag;
+            if (etag) {
+                headers['If-Match'] = etag;
+            }
+            const operations = parsed.fields.map(field => ({ op: 'add', path: '/fields/-', value: field }));
+            const response = await this.axiosInstance.patch(`${MODELS_API}/${encodeURIComponent(id)}`, operations, { headers });
+
+            return {
+                success: true,
+                model: toModel(response.data, response.headers),
+                added: parsed.fields.map(field => field.name),
+                etagChecked: Boolean(options.etag),
+                message: `Added ${parsed.fields.length} field(s) to ${current.title || current.path}${options.etag ? '' : UNCHECKED_NOTE}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to extend content fragment model: ${describeApiError(error, 'model')}`);
+        }
+    }
+
+    /**
+     * List the variations of a Content Fragment and how they differ from master
+     * @param {string} fragment - Fragment path or ID
+     * @returns {Promise<Object>} { success, id, path, title, variations: [{ name, title, description, fields, differentFields }], message }
+     */
+    async listContentFragmentVariations(fragment) {
+        try {
+            const id = await this.resolveFragmentId(fragment);
+            const [master, variations] = await Promise.all([
+                this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}`),
+                this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}/variations`)
+            ]);
+            const masterFragment = toFragment(master.data, master.headers);
+            const items = (variations.data?.items || []).map(item => toVariation(item, masterFragment.fields));
+
+            return {
+                success: true,
+                id,
+                path: masterFragment.path,
+                title: masterFragment.title,
+                variations: items,
+                message: `${items.length} variation(s), ${items.filter(item => item.differentFields.length > 0).length} differ from master`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list content fragment variations: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * Create a named variation of a Content Fragment
+     *
+     * AEM starts the variation as a copy of master; the given field values are then set on
+     * the variation only.
+     * @param {string} fragment - Fragment path or ID
+     * @param {Object} variationConfig - { title, name, description, fields: { name: value } }
+     * @returns {Promise<Object>} { success, id, path, variation, message }
+     */
+    async createContentFragmentVariation(fragment, variationConfig = {}) {
+        try {
+            const { title, name, description, fields = {} } = variationConfig;
+            if (!title) {
+                throw new Error('title is required');
+            }
+
+            const id = await this.resolveFragmentId(fragment);
+            const master = await this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}`);
+            const masterFragment = toFragment(master.data, master.headers);
+            // Check the fields before creating, so a typo does not leave a half-made variation
+            const operations = Object.keys(fields).length > 0 ? toPatchOperations({ fields }, masterFragment.fields, 'fragment') : [];
+            if (operations.length > 0) {
+                await this.checkFieldsAgainstModel(fields, masterFragment.model.id || masterFragment.model.path, { partial: true });
+            }
+
+            const body = {
+                title,
+                name: name || title.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')
+            };
+            if (description) {
+                body.description = description;
+            }
+            const created = await this.axiosInstance.post(`${FRAGMENTS_API}/${encodeURIComponent(id)}/variations`, body);
+            let variation = created.data || {};
+
+            if (operations.length > 0) {
+                const variationName = variation.name || body.name;
+                const etag = created.headers?.etag || created.headers?.ETag;
+                const response = await this.axiosInstance.patch(`${FRAGMENTS_API}/${encodeURIComponent(id)}/variations/${encodeURIComponent(variationName)}`, operations, {
+                    headers: {
+                        'Content-Type': 'application/json-patch+json',
+                        ...(etag ? { 'If-Match': etag } : {})
+                    }
+                });
+                variation = response.data || variation;
+            }
+
+            const result = toVariation({ ...body, ...variation }, masterFragment.fields);
+            return {
+                success: true,
+                id,
+                path: masterFragment.path,
+                variation: result,
+                message: `Variation "${result.name}" created${result.differentFields.length > 0 ? `, differs from master in ${result.differentFields.join(', ')}` : ', same as master'}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to create content fragment variation: ${describeApiError(error, 'variation')}`);
+        }
+    }
+
+    /**
+     * Update fields (and title / description) of a Content Fragment variation
+     *
+     * Field values are checked against the model of the fragment first.
+     * @param {string} fragment - Fragment path or ID
+     * @param {string} variationName - Variation name (from listContentFragmentVariations)
+     * @param {Object} changes - { fields: { name: value }, title, description }
+     * @param {Object} options - Update options
+     * @param {string} options.etag - ETag of the variation, from its previous update (default: the current one, read right before the update)
+     * @returns {Promise<Object>} { success, id, path, updated, etag, etagChecked (whether options.etag was given), variation, message }
+     */
+    async updateContentFragmentVariation(fragment, variationName, changes = {}, options = {}) {
+        try {
+            const { fields = {}, title, description } = changes;
+            if (!variationName) {
+                throw new Error('Variation name is required');
+            }
+            if (Object.keys(fields).length === 0 && title === undefined && description === undefined) {
+                throw new Error('No changes given');
+            }
+
+            const id = await this.resolveFragmentId(fragment);
+            const variationUrl = `${FRAGMENTS_API}/${encodeURIComponent(id)}/variations/${encodeURIComponent(variationName)}`;
+            const [master, current] = await Promise.all([
+                this.axiosInstance.get(`${FRAGMENTS_API}/${encodeURIComponent(id)}`),
+                this.axiosInstance.get(variationUrl).catch(error => {
+                    if (error.response && error.response.status === 404) {
+                        throw new Error(`Variation "${variationName}" not found. Use aem-list-content-fragment-variations to see the variations of this fragment`);
+                    }
+                    throw error;
+                })
+            ]);
+            const masterFragment = toFragment(master.data, master.headers);
+            // Variations hold the same fields as master; fall back to the master field list
+            const currentFields = current.data?.fields?.length > 0 ? toFragment(current.data).fields : masterFragment.fields;
+            const operations = toPatchOperations(changes, currentFields, 'variation');
+            if (Object.keys(fields).length > 0) {
+                await this.checkFieldsAgainstModel(fields, masterFragment.model.id || masterFragment.model.path, { partial: true });
+            }
+
+            const headers = { 'Content-Type': 'application/json-patch+json' };
+            const etag = options.etag || current.headers?.etag || current.headers?.ETag;
+            if (etag) {
+                headers['If-Match'] = etag;
+            }
+            const response = await this.axiosInstance.patch(variationUrl, operations, { headers });
+            const variation = toVariation({ name: variationName, ...(response.data || {}) }, masterFragment.fields);
+
+            return {
+                success: true,
+                id,
+                path: masterFragment.path,
+                updated: [
+                    ...Object.keys(fields),
+                    ...(title !== undefined ? ['title'] : []),
+                    ...(description !== undefined ? ['description'] : [])
+                ],
+                etag: response.headers?.etag || response.headers?.ETag || null,
+                etagChecked: Boolean(options.etag),
+                variation,
+                message: `Variation "${variationName}" updated (${operations.length} change(s))${options.etag ? '' : UNCHECKED_NOTE}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to update content fragment variation: ${describeApiError(error, 'variation')}`);
+        }
+    }
+
+    /**
+     * Create language copies of a Content Fragment in the parallel locale folders
+     *
+     * The locale is a path segment of the fragment (/content/dam/mysite/en/articles/a →
+     * /content/dam/mysite/de/articles/a). Missing folders are created; existing copies are
+     * left untouched. Copies include all variations.
+     * @param {string} fragment - Fragment path or ID
+     * @param {string[]} locales - Target locales (e.g., ['de', 'fr-ch'])
+     * @param {Object} options - Copy options
+     * @param {string} options.sourceLocale - Locale segment of the source path (default: detected)
+     * @returns {Promise<Object>} { success, sourcePath, sourceLocale, copies: [{ locale, path, status, error }], variations, message }
+     */
+    async createLanguageCopies(fragment, locales = [], options = {}) {
+        try {
+            if (locales.length === 0) {
+                throw new Error('At least one target locale is required');
+            }
+
+            const id = await this.resolveFragmentId(fragment);
+            const { path: sourcePath, variations } = await this.listContentFragmentVariations(id);
+            const segments = sourcePath.split('/');
+            const localeIndex = findLocaleSegment(segments, options.sourceLocale);
+            if (localeIndex === -1) {
+                throw new Error(options.sourceLocale
+                    ? `Locale "${options.sourceLocale}" is not part of ${sourcePath}`
+                    : `No locale folder found in ${sourcePath} (expected e.g. /content/dam/mysite/en/...). Pass sourceLocale if the locale folder has another name`);
+            }
+            const sourceLocale = segments[localeIndex];
+
+            const copies = await this.mapConcurrent([...new Set(locales)], async (locale) => {
+                const target = [...segments];
+                target[localeIndex] = locale;
+                const targetPath = target.join('/');
+                try {
+                    if (locale === sourceLocale) {
+                        return { locale, path: targetPath, status: 'skipped', error: 'Same locale as the source' };
+                    }
+                    if (await this.nodeExists(targetPath)) {
+                        return { locale, path: targetPath, status: 'exists' };
+                    }
+                    await this.ensureFolders(target.slice(0, -1).join('/'));
+                    await this.postSlingOperation(sourcePath, 'copy', targetPath);
+                    return { locale, path: targetPath, status: 'created' };
+                } catch (error) {
+                    return { locale, path: targetPath, status: 'failed', error: error.message };
+                }
+            });
+
+            const created = copies.filter(copy => copy.status === 'created').length;
+            const failed = copies.filter(copy => copy.status === 'failed').length;
+            return {
+                success: failed === 0,
+                sourcePath,
+                sourceLocale,
+                copies,
+                variations,
+                message: `${created} language cop${created === 1 ? 'y' : 'ies'} created${failed > 0 ? `, ${failed} failed` : ''}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to create language copies: ${describeApiError(error)}`);
+        }
+    }
+
+    /**
+     * Check whether a repository node exists
+     */
+    async nodeExists(path) {
+        try {
+            await this.axiosInstance.get(`${path}.json`);
+            return true;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create the missing DAM folders of a path
+     */
+    async ensureFolders(folderPath) {
+        const segments = folderPath.split('/').filter(Boolean);
+        // /content/dam itself always exists
+        for (let depth = 3; depth <= segments.length; depth++) {
+            const path = `/${segments.slice(0, depth).join('/')}`;
+            if (await this.nodeExists(path)) continue;
+
+            const formData = new URLSearchParams();
+            formData.append('jcr:primaryType', 'sling:OrderedFolder');
+            formData.append('jcr:content/jcr:primaryType', 'nt:unstructured');
+            formData.append('jcr:content/jcr:title', segments[depth - 1]);
+            await this.axiosInstance.post(path, formData.toString(), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+        }
+    }
+
+    /**
+     * Run a Sling POST move or copy of a node
+     */
+    async postSlingOperation(sourcePath, operation, destinationPath) {
+        const formData = new URLSearchParams();
+        formData.append(':operation', operation);
+        formData.append(':dest', destinationPath);
+
+        await this.axiosInstance.post(sourcePath, formData.toString(), {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+    }
+
+    /**
+     * Check field values against the model of a fragment
+     * @param {Object} fields - Field values by name
+     * @param {string} model - Model path or ID
+     * @param {Object} options - { partial: true for updates, where required fields may be left out }
+     * @throws {Error} Listing every field that does not match the model
+     */
+    async checkFieldsAgainstModel(fields, model, options = {}) {
+        const { title, path, fields: modelFields } = await this.getContentFragmentModel(model);
+        const errors = validateFragmentFields(fields, modelFields, options);
+        if (errors.length > 0) {
+            throw new Error(`Fields do not match the model "${title || path}":\n${errors.map(error => `- ${error.field}: ${error.message}`).join('\n')}`);
+        }
+    }
+
+    /**
+     * Resolve a fragment path to its ID (IDs are passed through)
+     * @param {string} fragment - Fragment path or ID
+     * @returns {Promise<string>} Fragment ID
+     */
+    async resolveFragmentId(fragment) {
+        if (!fragment) {
+            throw new Error('Fragment path or ID is required');
+        }
+        if (!fragment.startsWith('/')) {
+            return fragment;
+        }
+
+        let node;
+        try {
+            const response = await this.axiosInstance.get(`${fragment}.json`);
+            node = response.data || {};
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                throw new Error(`Content fragment not found at path: ${fragment}`);
+            }
+            throw error;
+        }
+        if (!node['jcr:uuid']) {
+            throw new Error(`Not a content fragment: ${fragment}`);
+        }
+        return node['jcr:uuid'];
+    }
+}
+
+/**
+ * Convert a model path to its ID (IDs are passed through)
+ */
+function toModelId(model) {
+    return model.startsWith('/') ? Buffer.from(model).toString('base64url') : model;
+}
+
+/**
+ * Wrap a field value as the values array of the API
+ */
+function toFieldValues(value) {
+    if (value === null || value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build the JSON Patch operations of a field / title / description update
+ * @param {Object} changes - { fields, title, description }
+ * @param {Array} currentFields - Fields of the fragment or variation ({ name, multiple })
+ * @param {string} subject - fragment or variation, for error messages
+ */
+function toPatchOperations({ fields = {}, title, description }, currentFields, subject) {
+    const operations = [];
+    const unknown = [];
+    for (const [name, value] of Object.entries(fields)) {
+        const index = currentFields.findIndex(field => field.name === name);
+        if (index === -1) {
+            unknown.push(name);
+            continue;
+        }
+        const values = toFieldValues(value);
+        if (!currentFields[index].multiple && values.length > 1) {
+            throw new Error(`Field "${name}" does not accept multiple values`);
+        }
+        operations.push({ op: 'replace', path: `/fields/${index}/values`, value: values });
+    }
+    if (unknown.length > 0) {
+        throw new Error(`Unknown field(s): ${unknown.join(', ')}. Fields of this ${subject}: ${currentFields.map(field => field.name).join(', ')}`);
+    }
+    if (title !== undefined) {
+        operations.push({ op: 'replace', path: '/title', value: title });
+    }
+    if (description !== undefined) {
+        operations.push({ op: 'replace', path: '/description', value: description });
+    }
+    return operations;
+}
+
+/**
+ * Find the locale segment of a DAM path (/content/dam/<site>/<locale>/...)
+ * @returns {number} Segment index or -1
+ */
+function findLocaleSegment(segments, sourceLocale) {
+    if (sourceLocale) {
+        return segments.indexOf(sourceLocale, 3);
+    }
+    return segments.findIndex((segment, index) => index > 2 && index < segments.length - 1 && /^[a-z]{2}([-_][a-zA-Z]{2})?$/.test(segment));
+}
+
+/**
+ * Normalize a variation returned by the API and compare it with master
+ * @param {Object} data - Variation
+ * @param {Array} masterFields - Master fields from toFragment
+ * @returns {Object} { name, title, description, fields, differentFields }
+ */
+function toVariation(data = {}, masterFields = []) {
+    const fields = (data.fields || []).map(field => ({
+        name: field.name,
+        type: field.type,
+        multiple: field.multiple === true,
+        values: field.values || []
+    }));
+    // Fields a variation does not list are inherited from master
+    const differentFields = fields
+        .filter(field => {
+            const master = masterFields.find(item => item.name === field.name);
+            return master && JSON.stringify(master.values) !== JSON.stringify(field.values);
+        })
+        .map(field => field.name);
+
+    return {
+        name: data.name,
+        title: data.title || data.name,
+        description: data.description || '',
+        fields,
+        differentFields,
+        modified: data.modified || null
+    };
+}
+
+/**
+ * Normalize a fragment returned by the API
+ * @param {Object} data - Fragment (or listing item)
+ * @param {Object} headers - Response headers (for the ETag)
+ */
+function toFragment(data = {}, headers = {}) {
+    const model = data.model || {};
+    return {
+        id: data.id,
+        path: data.path,
+        title: data.title,
+        description: data.description || '',
+        model: {
+            id: model.id || null,
+            path: model.path || (model.id ? Buffer.from(model.id, 'base64url').toString() : null),
+            title: model.title || model.name || null
+        },
+        status: data.status || null,
+        fields: (data.fields || []).map(field => ({
+            name: field.name,
+            type: field.type,
+            multiple: field.multiple === true,
+            values: field.values || []
+        })),
+        created: data.created || null,
+        modified: data.modified || null,
+        etag: (headers && (headers.etag || headers.ETag)) || data.etag || null
+    };
+}
+
+/**
+ * Normalize a model returned by the API
+ * @param {Object} data - Model (or listing item)
+ * @param {Object} headers - Response headers (for the ETag)
+ */
+function toModel(data = {}, headers = {}) {
+    const path = data.path || (data.id ? Buffer.from(data.id, 'base64url').toString() : null);
+    return {
+        id: data.id || null,
+        path,
+        name: data.name || (path ? path.split('/').pop() : null),
+        title: data.title || data.name || null,
+        description: data.description || '',
+        status: data.status || null,
+        configurationFolder: data.configurationFolder || (path && path.includes('/settings/') ? path.split('/settings/')[0] : null),
+        fields: (data.fields || []).map(describeModelField),
+        modified: data.modified || null,
+        etag: (headers && (headers.etag || headers.ETag)) || data.etag || null
+    };
+}
+
+/**
+ * Describe an API error, preferring the problem details returned by AEM
+ * @param {Error} error - Request error
+ * @param {string} subject - What was changed, for ETag conflicts (fragment or model)
+ */
+function describeApiError(error, subject = 'fragment') {
+    const status = error.response?.status;
+    if (status === 412) {
+        return `The ${subject} was changed by someone else since it was read (ETag mismatch). Get it again and reapply the changes`;
+    }
+    const detail = error.response?.data?.detail || error.response?.data?.title;
+    return detail ? `${detail} (status ${status})` : error.message;
+}
+
+/**
+ * Create AEM Content Fragment Client instance
+ */
+function createAEMFragmentClient(authorUrl, credentials, options = {}) {
+    return new AEMFragmentClient(authorUrl, credentials, options);
+}
+
+module.exports = {
+    AEMFragmentClient,
+    createAEMFragmentClient
+};
@@ -0,0 +1,270 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * AEM GraphQL Client - Headless delivery through AEM GraphQL persisted queries
+ *
+ * This module provides:
+ * - GraphQL endpoint listing per configuration (/content/cq:graphql/<configuration>/endpoint)
+ * - Persisted query listing (/graphql/list.json)
+ * - Persisted query execution with variables (/graphql/execute.json/<configuration>/<name>;var=value)
+ * - Persisted query creation and update, with cache settings (/graphql/persist.json)
+ *
+ * Configurations are named as in the persisted query paths ("wknd" for /conf/wknd).
+ */
+
+const { AEMClientBase } = require('./aem-client-base');
+
+const GRAPHQL_ENDPOINTS_ROOT = '/content/cq:graphql';
+const PERSISTED_QUERIES_FOLDER = 'settings/graphql/persistentQueries';
+
+// Persisted query names become node names and URL segments
+const QUERY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * AEM GraphQL Client - Extends base client with GraphQL persisted query operations
+ */
+class AEMGraphQLClient extends AEMClientBase {
+    /**
+     * List the GraphQL endpoints of all configurations
+     * @returns {Promise<Object>} { success, endpoints: [{ configuration, path, url }], message }
+     */
+    async listGraphQLEndpoints() {
+        try {
+            let tree = {};
+            try {
+                const response = await this.axiosInstance.get(`${GRAPHQL_ENDPOINTS_ROOT}.2.json`);
+                tree = response.data || {};
+            } catch (error) {
+                // No endpoint has been created yet
+                if (!error.response || error.response.status !== 404) {
+                    throw error;
+                }
+            }
+
+            const endpoints = Object.entries(tree)
+                .filter(([name, node]) => !name.includes(':') && node && typeof node === 'object' && node.endpoint)
+                .map(([configuration]) => ({
+                    configuration,
+                    path: `${GRAPHQL_ENDPOINTS_ROOT}/${configuration}/endpoint`,
+                    url: `${this.authorUrl}${GRAPHQL_ENDPOINTS_ROOT}/${configuration}/endpoint.json`
+                }));
+
+            return {
+                success: true,
+                endpoints,
+                message: `Found ${endpoints.length} GraphQL endpoint(s)`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list GraphQL endpoints: ${describeGraphQLError(error)}`);
+        }
+    }
+
+    /**
+     * List persisted queries, optionally of one configuration
+     * @param {Object} options - Listing options
+     * @param {string} options.configuration - Configuration name or /conf path (default: all)
+     * @returns {Promise<Object>} { success, queries: [{ configuration, name, shortPath, path, query, cacheControl }], message }
+     */
+    async listPersistedQueries(options = {}) {
+        try {
+            const configuration = options.configuration ? toConfigurationName(options.configuration) : null;
+
+            const response = await this.axiosInstance.get('/graphql/list.json');
+            const items = Array.isArray(response.data) ? response.data : (response.data?.items || []);
+            const queries = items
+                .map(toPersistedQuery)
+                .filter(query => query.name && (!configuration || query.configuration === configuration));
+
+            return {
+                success: true,
+                configuration,
+                queries,
+                message: `Found ${queries.length} persisted quer${queries.length === 1 ? 'y' : 'ies'}${configuration ? ` in ${configuration}` : ''}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list persisted queries: ${describeGraphQLError(error)}`);
+        }
+    }
+
+    /**
+     * Execute a persisted query
+     * @param {string} configuration - Configuration name or /conf path
+     * @param {string} name - Persisted query name
+     * @param {Object} variables - Query variables (objects and arrays are sent as JSON)
+     * @returns {Promise<Object>} { success, url, data, errors, items, cacheControl, durationMs, message }
+     */
+    async executePersistedQuery(configuration, name, variables = {}) {
+        try {
+            if (!configuration || !name) {
+                throw new Error('configuration and name are required');
+            }
+
+            const url = `/graphql/execute.json/${toConfigurationName(configuration)}/${encodeURIComponent(name)}${toVariableSegment(variables)}`;
+            const startedAt = Date.now();
+            let response;
+            try {
+                response = await this.axiosInstance.get(url);
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new Error(`Persisted query not found: /${toConfigurationName(configuration)}/${name}. Use aem-list-persisted-queries to see the available queries`);
+                }
+                throw error;
+            }
+
+            const body = response.data || {};
+            const errors = (body.errors || []).map(error => error.message || String(error));
+            // Item counts of the list and paginated fields (e.g. adventureList.items)
+            const items = Object.entries(body.data || {})
+                .filter(([, value]) => value && Array.isArray(value.items || value.edges))
+                .map(([field, value]) => ({ field, count: (value.items || value.edges).length }));
+
+            return {
+                success: errors.length === 0,
+                url,
+                data: body.data ?? null,
+                errors,
+                items,
+                cacheControl: response.headers?.['cache-control'] || null,
+                durationMs: Date.now() - startedAt,
+                message: errors.length === 0
+                    ? `Query returned ${items.length > 0 ? items.map(item => `${item.count} ${item.field} item(s)`).join(', ') : 'data'}`
+                    : `Query returned ${errors.length} error(s)`
+            };
+        } catch (error) {
+            throw new Error(`Failed to execute persisted query: ${describeGraphQLError(error)}`);
+        }
+    }
+
+    /**
+     * Create or update a persisted query
+     * @param {string} configuration - Configuration name or /conf path
+     * @param {string} name - Persisted query name
+     * @param {string} query - GraphQL query text
+     * @param {Object} options - Cache options
+     * @param {number} options.maxAge - Cache-Control max-age in seconds (browsers)
+     * @param {number} options.sMaxAge - Surrogate-Control max-age in seconds (CDN)
+     * @returns {Promise<Object>} { success, action, configuration, name, shortPath, path, message }
+     */
+    async savePersistedQuery(configuration, name, query, options = {}) {
+        try {
+            if (!configuration || !name) {
+                throw new Error('configuration and name are required');
+            }
+            if (!QUERY_NAME_PATTERN.test(name)) {
+                throw new Error(`Invalid query name "${name}": use only letters, digits, "-" and "_"`);
+            }
+            if (!query || !query.trim()) {
+                throw new Error('Query text is required');
+            }
+
+            const configurationName = toConfigurationName(configuration);
+            const { queries } = await this.listPersistedQueries({ configuration: configurationName });
+            const exists = queries.some(item => item.name === name);
+
+            const body = { query };
+            if (options.maxAge !== undefined) {
+                body['cache-control'] = { 'max-age': options.maxAge };
+            }
+            if (options.sMaxAge !== undefined) {
+                body['surrogate-control'] = { 'max-age': options.sMaxAge };
+            }
+
+            // PUT creates a persisted query, POST updates an existing one
+            const url = `/graphql/persist.json/${configurationName}/${encodeURIComponent(name)}`;
+            const config = { headers: { 'Content-Type': 'application/json' } };
+            const response = exists
+                ? await this.axiosInstance.post(url, body, config)
+                : await this.axiosInstance.put(url, body, config);
+
+            return {
+                success: true,
+                action: exists ? 'updated' : 'created',
+                configuration: configurationName,
+                name,
+                shortPath: response.data?.shortPath || `/${configurationName}/${name}`,
+                path: response.data?.path || `/conf/${configurationName}/${PERSISTED_QUERIES_FOLDER}/${name}`,
+                message: `Persisted query ${exists ? 'updated' : 'created'}: /${configurationName}/${name}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to save persisted query: ${describeGraphQLError(error)}`);
+        }
+    }
+}
+
+/**
+ * Turn a configuration path (/conf/wknd) into its name (wknd)
+ */
+function toConfigurationName(configuration) {
+    return configuration.replace(/^\/conf\//, '').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Build the ";name=value" variable segment of a persisted query URL
+ */
+function toVariableSegment(variables) {
+    return Object.entries(variables)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => {
+            const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return `;${encodeURIComponent(key)}=${encodeURIComponent(text)}`;
+        })
+        .join('');
+}
+
+/**
+ * Normalize an entry of /graphql/list.json
+ */
+function toPersistedQuery(item = {}) {
+    const longForm = typeof item.path === 'object' && item.path !== null ? item.path.longForm : item.path;
+    let shortPath = typeof item.path === 'object' && item.path !== null ? item.path.shortForm : null;
+    if (!shortPath && longForm) {
+        const match = /^\/conf\/(.+)\/settings\/graphql\/persistentQueries\/([^/]+)$/.exec(longForm);
+        shortPath = match ? `/${match[1]}/${match[2]}` : null;
+    }
+    const segments = (shortPath || '').split('/').filter(Boolean);
+    const info = item.info || item;
+
+    return {
+        configuration: segments.slice(0, -1).join('/') || null,
+        name: segments[segments.length - 1] || null,
+        shortPath,
+        path: longForm && longForm.startsWith('/conf/') ? longForm : null,
+        query: info.query || null,
+        cacheControl: info['cache-control'] || null
+    };
+}
+
+/**
+ * Describe an error, preferring GraphQL error messages returned by AEM
+ */
+function describeGraphQLError(error) {
+    const data = error.response?.data;
+    const messages = Array.isArray(data?.errors) ? data.errors.map(item => item.message).filter(Boolean) : [];
+    if (messages.length > 0) {
+        return `${messages.join('; ')} (status ${error.response.status})`;
+    }
+    const detail = data?.message || data?.detail;
+    return detail ? `${detail} (status ${error.response.status})` : error.message;
+}
+
+/**
+ * Create AEM GraphQL Client instance
+ */
+function createAEMGraphQLClient(authorUrl, credentials, options = {}) {
+    return new AEMGraphQLClient(authorUrl, credentials, options);
+}
+
+module.exports = {
+    AEMGraphQLClient,
+    createAEMGraphQLClient
+};
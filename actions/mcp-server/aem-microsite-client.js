@@ -11,60 +11,154 @@ governing permissions and limitations under the License.
 */
 
 /**
- * AEM Microsite Client - Client for AEM microsite, component, and content fragment operations
+ * AEM Microsite Client - Client for AEM microsite and component operations
  * 
  * This module provides utilities for:
  * - Site creation using Quick Site Creation
- * - Template management
+ * - Template discovery (editable templates and site template packages)
  * - Component creation and management
- * - Content Fragment creation
- * - Workflow operations
  */
 
 const { AEMClientBase } = require('./aem-client-base');
+const { getPresetComponents, DEFAULT_PRESET } = require('./page-presets');
+
+// Editable templates live in /conf/<conf>/settings/wcm/templates/<template>
+const TEMPLATES_FOLDER = '/settings/wcm/templates/';
+
+// Site template packages uploaded in the Quick Site Creation wizard
+const SITE_TEMPLATES_ROOT = '/conf/global/site-templates';
+
+// Preferred site template thumbnails, largest first
+const SITE_TEMPLATE_THUMBNAILS = ['cq5dam.thumbnail.319.319.png', 'cq5dam.thumbnail.140.100.png', 'cq5dam.thumbnail.48.48.png'];
+
+// Template names accepted before discovery existed
+const LEGACY_TEMPLATE_ALIASES = {
+    standard: '/conf/site-templates/settings/wcm/templates/standard-template',
+    basic: '/conf/site-templates/settings/wcm/templates/basic-template'
+};
 
 /**
  * AEM Microsite Client - Extends base client with microsite-specific operations
  */
 class AEMMicrositeClient extends AEMClientBase {
     /**
-     * List available site templates
+     * Discover the templates installed on the instance
+     *
+     * Combines the editable page templates of every configuration (/conf/<conf>/settings/wcm/templates)
+     * with the site template packages uploaded for Quick Site Creation (/conf/global/site-templates).
+     * @param {Object} options - Discovery options
+     * @param {string} options.status - Only return templates with this status (enabled, draft or disabled)
+     * @returns {Array} [{ id, type, name, description, path, status, allowedPaths, thumbnail }]
      */
-    async listSiteTemplates() {
+    async listTemplates(options = {}) {
         try {
-            // AEM Quick Site Creation template endpoint
-            const response = await this.axiosInstance.get('/libs/wcm/core/content/sites/templates.json');
-            return response.data;
+            const { status } = options;
+            const [pageTemplates, siteTemplates] = await Promise.all([
+                this.listPageTemplates(),
+                this.listSiteTemplatePackages()
+            ]);
+
+            const templates = [...pageTemplates, ...siteTemplates];
+            return status ? templates.filter(template => template.status === status) : templates;
         } catch (error) {
-            throw new Error(`Failed to list site templates: ${error.message}`);
+            throw new Error(`Failed to list templates: ${error.message}`);
         }
     }
 
     /**
-     * Get available Quick Site Creation templates
+     * List editable page templates (cq:Template nodes below /conf/<conf>/settings/wcm/templates)
      */
-    async getQuickSiteTemplates() {
-        try {
-            // Default Quick Site Creation templates in AEM CS
-            const templates = [
-                {
-                    id: 'aem-site-template-standard',
-                    name: 'Standard Site Template',
-                    description: 'The standard AEM Quick Site Creation template with modern styling',
-                    path: '/conf/site-templates/settings/wcm/templates/standard-template'
-                },
-                {
-                    id: 'aem-site-template-basic',
-                    name: 'Basic Site Template',
-                    description: 'A basic template for simple sites',
-                    path: '/conf/site-templates/settings/wcm/templates/basic-template'
-                }
-            ];
-            
-            return templates;
-        } catch (error) {
-            throw new Error(`Failed to get Quick Site templates: ${error.message}`);
+    async listPageTemplates() {
+        const params = new URLSearchParams();
+        params.append('path', '/conf');
+        params.append('type', 'cq:Template');
+        params.append('p.limit', '-1');
+        params.append('p.hits', 'full');
+        params.append('p.nodedepth', '2');
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        return (response.data?.hits || [])
+            .filter(hit => hit['jcr:path'] && hit['jcr:path'].includes(TEMPLATES_FOLDER))
+            .map(hit => {
+                const path = hit['jcr:path'];
+                const [confPath, name] = path.split(TEMPLATES_FOLDER);
+                const content = hit['jcr:content'] || {};
+
+                return {
+                    id: `${confPath.replace(/^\/conf\//, '')}/${name}`,
+                    type: 'page-template',
+                    name: content['jcr:title'] || hit['jcr:title'] || name,
+                    description: content['jcr:description'] || hit['jcr:description'] || '',
+                    path,
+                    status: content.status || 'enabled',
+                    allowedPaths: toArray(content.allowedPaths || hit.allowedPaths),
+                    thumbnail: hit['thumbnail.png'] ? `${path}/thumbnail.png` : null
+                };
+            });
+    }
+
+    /**
+     * List site template packages (.zip assets used by the Quick Site Creation wizard)
+     */
+    async listSiteTemplatePackages() {
+        const params = new URLSearchParams();
+        params.append('path', SITE_TEMPLATES_ROOT);
+        params.append('type', 'dam:Asset');
+        params.append('p.limit', '-1');
+        params.append('p.hits', 'full');
+        params.append('p.nodedepth', '3');
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        return (response.data?.hits || [])
+            .filter(hit => hit['jcr:path'])
+            .map(hit => {
+                const path = hit['jcr:path'];
+                const fileName = path.split('/').pop();
+                const content = hit['jcr:content'] || {};
+                const metadata = content.metadata || {};
+                const renditions = content.renditions || {};
+                const thumbnail = SITE_TEMPLATE_THUMBNAILS.find(rendition => renditions[rendition]);
+
+                return {
+                    id: `site-templates/${fileName.replace(/\.zip$/, '')}`,
+                    type: 'site-template',
+                    name: metadata['dc:title'] || content['jcr:title'] || fileName,
+                    description: metadata['dc:description'] || '',
+                    path,
+                    // Uploaded packages are offered by the wizard as soon as they are processed
+                    status: 'enabled',
+                    allowedPaths: [],
+                    thumbnail: thumbnail ? `${path}/jcr:content/renditions/${thumbnail}` : null
+                };
+            });
+    }
+
+    /**
+     * Resolve a template ID, path or legacy alias (standard / basic) to a page template
+     * that may be used at targetPath
+     * @param {string} template - Template ID (see listTemplates), template path or legacy alias
+     * @param {string} targetPath - Path of the page to create with the template
+     * @returns {Object} The discovered template
+     */
+    async resolveTemplate(template, targetPath) {
+        const reference = LEGACY_TEMPLATE_ALIASES[template] || template;
+        const templates = await this.listTemplates();
+        const match = templates.find(candidate => candidate.id === reference || candidate.path === reference);
+
+        if (!match) {
+            const available = templates.filter(candidate => candidate.type === 'page-template').map(candidate => candidate.id);
+            throw new Error(`Template "${template}" was not found. Available templates: ${available.length > 0 ? available.join(', ') : 'none'}`);
+        }
+        if (match.type === 'site-template') {
+            throw new Error(`"${template}" is a site template package; it can only be applied through the Quick Site Creation wizard in the Sites console. Use one of its page templates instead`);
+        }
+        if (match.status !== 'enabled') {
+            throw new Error(`Template "${match.id}" is ${match.status}; enable it in the template console before using it`);
         }
+        if (targetPath && !isPathAllowed(targetPath, match.allowedPaths)) {
+            throw new Error(`Template "${match.id}" is not allowed at ${targetPath} (allowed paths: ${match.allowedPaths.join(', ')})`);
+        }
+        return match;
     }
 
     /**
@@ -76,16 +170,18 @@ class AEMMicrositeClient extends AEMClientBase {
      * @param {string} siteConfig.parentPath - Parent path (default: /content)
      * @param {string} siteConfig.language - Language code (default: en)
      * @param {string} siteConfig.country - Country code (default: US)
+     * @param {Object} siteConfig.properties - Additional jcr:content properties
      */
     async createSite(siteConfig) {
         try {
             let {
                 siteName,
                 siteTitle,
-                templatePath = '/conf/site-templates/settings/wcm/templates/standard-template',
+                templatePath = LEGACY_TEMPLATE_ALIASES.standard,
                 parentPath = '/content',
                 language = 'en',
-                country = 'US'
+                country = 'US',
+                properties = {}
             } = siteConfig;
 
             // Validate required fields
@@ -99,8 +195,8 @@ class AEMMicrositeClient extends AEMClientBase {
             }
 
             // Sanitize site name (remove spaces, special chars, replace with hyphens)
-            const sanitizedSiteName = siteName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '-');
-            const sitePath = `${parentPath}/${sanitizedSiteName}`;
+            const sitePath = this.buildSitePath(siteName, parentPath);
+            const sanitizedSiteName = sitePath.split('/').pop();
 
             // Create site using AEM's Sling POST servlet
             // Use form-encoded data for proper cq:Page creation
@@ -112,6 +208,7 @@ class AEMMicrositeClient extends AEMClientBase {
             formData.append('jcr:content/sling:resourceType', 'core/wcm/components/page/v3/page');
             formData.append('jcr:content/language', language);
             formData.append('jcr:content/country', country);
+            this.appendProperties(formData, 'jcr:content', properties);
 
             // POST to create the site
             await this.axiosInstance.post(
@@ -140,6 +237,14 @@ class AEMMicrositeClient extends AEMClientBase {
     /**
      * Create a microsite with home page and initial structure
      * siteName is optional and will be derived from siteTitle if not provided
+     * @param {Object} micrositeConfig - Microsite configuration (see createSite for site fields)
+     * @param {string[]} micrositeConfig.pages - Page names to create under the site root
+     * @param {boolean} micrositeConfig.atomic - All-or-nothing: stop at the first failed page (default: false)
+     * @param {string} micrositeConfig.onFailure - In atomic mode, "rollback" deletes the created nodes,
+     *   "report" leaves them in place (default: rollback)
+     * @param {boolean} micrositeConfig.resume - Keep existing site/pages and only create the missing ones
+     * @param {string} micrositeConfig.pagePreset - Page preset for every page (see page-presets.js, default: teaser)
+     * @returns {Object} Site details plus an operation report (status, createdNodes, existingNodes, missingNodes, ...)
      */
     async createMicrosite(micrositeConfig) {
         try {
@@ -148,7 +253,11 @@ class AEMMicrositeClient extends AEMClientBase {
                 siteTitle,
                 templatePath,
                 parentPath = '/content',
-                pages = ['main', 'about', 'contact'] // Changed default from 'home' to 'main' to match /content/demo/main.html structure
+                pages = ['main', 'about', 'contact'], // Changed default from 'home' to 'main' to match /content/demo/main.html structure
+                atomic = false,
+                onFailure = 'rollback',
+                resume = false,
+                pagePreset = DEFAULT_PRESET
             } = micrositeConfig;
 
             // Derive siteName from siteTitle if not provided
@@ -156,26 +265,65 @@ class AEMMicrositeClient extends AEMClientBase {
                 siteName = siteTitle.toLowerCase().replace(/\s+/g, '-');
             }
 
-            // First, create the site root (similar to /content/demo structure)
-            const siteResult = await this.createSite({
-                siteName,
-                siteTitle,
-                templatePath,
-                parentPath
-            });
+            const sitePath = this.buildSitePath(siteName, parentPath);
+            const plannedNodes = [sitePath, ...pages.map(pageName => `${sitePath}/${pageName}`)];
+            const createdNodes = [];
+            const existingNodes = [];
+            const failedNodes = [];
+
+            // First, create the site root (similar to /content/demo structure).
+            // Creating over an existing node only updates it, so nodes that existed before this
+            // run are tracked as existing and never rolled back.
+            let siteResult;
+            const siteExists = await this.nodeExists(sitePath);
+            if (resume && siteExists && await this.pageExists(sitePath)) {
+                existingNodes.push(sitePath);
+                siteResult = {
+                    success: true,
+                    sitePath,
+                    siteName: sitePath.split('/').pop(),
+                    siteTitle,
+                    authorUrl: `${this.authorUrl}/editor.html${sitePath}.html`
+                };
+            } else {
+                siteResult = await this.createSite({
+                    siteName,
+                    siteTitle,
+                    templatePath,
+                    parentPath
+                });
+                (siteExists ? existingNodes : createdNodes).push(sitePath);
+            }
 
             // Then create initial page structure (pages like /content/demo/main.html)
             const createdPages = [];
+            let failure = null;
             for (const pageName of pages) {
+                const pagePath = `${sitePath}/${pageName}`;
+                // Capitalize first letter for page title
+                const pageTitle = pageName.charAt(0).toUpperCase() + pageName.slice(1);
+
                 try {
-                    // Capitalize first letter for page title
-                    const pageTitle = pageName.charAt(0).toUpperCase() + pageName.slice(1);
-                    
+                    const pageExisted = await this.nodeExists(pagePath);
+                    if (resume && pageExisted && await this.pageExists(pagePath)) {
+                        existingNodes.push(pagePath);
+                        createdPages.push({
+                            pageName,
+                            pageTitle,
+                            pagePath,
+                            url: `${this.authorUrl}/editor.html${pagePath}.html`,
+                            existing: true
+                        });
+                        continue;
+                    }
+
                     const pageResult = await this.createPage({
-                        sitePath: siteResult.sitePath,
+                        sitePath,
                         pageName,
-                        pageTitle: pageTitle
+                        pageTitle: pageTitle,
+                        preset: pagePreset
                     });
+                    (pageExisted ? existingNodes : createdNodes).push(pageResult.pagePath);
                     createdPages.push({
                         pageName: pageResult.pageName,
                         pageTitle: pageResult.pageTitle,
@@ -183,20 +331,261 @@ class AEMMicrositeClient extends AEMClientBase {
                         url: pageResult.url
                     });
                 } catch (pageError) {
-                    console.warn(`Could not create page ${pageName}: ${pageError.message}`);
+                    if (!atomic) {
+                        console.warn(`Could not create page ${pageName}: ${pageError.message}`);
+                        failedNodes.push({ path: pagePath, error: pageError.message });
+                        continue;
+                    }
+                    failure = { path: pagePath, error: pageError.message };
+                    break;
+                }
+            }
+
+            const report = {
+                createdNodes,
+                existingNodes,
+                failedNodes
+            };
+
+            if (failure) {
+                report.failure = failure;
+                if (onFailure === 'rollback') {
+                    report.rollback = await this.rollbackNodes(createdNodes);
+                    report.status = report.rollback.failed.length === 0 ? 'rolled-back' : 'rollback-incomplete';
+                } else {
+                    report.status = 'incomplete';
                 }
+            } else {
+                report.status = failedNodes.length > 0 ? 'partial' : 'complete';
+            }
+
+            // Nodes that should exist after a complete run but don't
+            const remaining = new Set(existingNodes);
+            const deleted = new Set(report.rollback ? report.rollback.deleted : []);
+            createdNodes.filter(path => !deleted.has(path)).forEach(path => remaining.add(path));
+            report.missingNodes = plannedNodes.filter(path => !remaining.has(path));
+
+            let message;
+            if (report.status === 'complete') {
+                message = `Microsite created with ${createdPages.length} pages (structure similar to /content/demo/main.html)`;
+            } else if (report.status === 'partial') {
+                message = `Microsite created with ${createdPages.length} of ${pages.length} pages; ${failedNodes.length} failed`;
+            } else if (report.status === 'rolled-back') {
+                message = `Creating ${failure.path} failed; rolled back ${report.rollback.deleted.length} created nodes`;
+            } else if (report.status === 'rollback-incomplete') {
+                message = `Creating ${failure.path} failed and ${report.rollback.failed.length} nodes could not be rolled back`;
+            } else {
+                message = `Creating ${failure.path} failed; ${report.missingNodes.length} nodes are missing. Run again with resume to finish`;
             }
 
             return {
                 ...siteResult,
+                success: !failure,
                 pages: createdPages,
-                message: `Microsite created with ${createdPages.length} pages (structure similar to /content/demo/main.html)`
+                ...report,
+                message
             };
         } catch (error) {
             throw new Error(`Failed to create microsite: ${error.message}`);
         }
     }
 
+    /**
+     * Build the site root path the same way createSite does
+     */
+    buildSitePath(siteName, parentPath = '/content') {
+        return buildSitePath(siteName, parentPath);
+    }
+
+    /**
+     * Delete nodes created by an operation, most recent first
+     * @param {string[]} nodePaths - Created node paths in creation order
+     * @returns {Object} { deleted: [paths], failed: [{ path, error }] }
+     */
+    async rollbackNodes(nodePaths) {
+        const deleted = [];
+        const failed = [];
+        for (const nodePath of [...nodePaths].reverse()) {
+            try {
+                await this.axiosInstance.delete(nodePath, {
+                    validateStatus: (status) => (status >= 200 && status < 300) || status === 404
+                });
+                deleted.push(nodePath);
+            } catch (error) {
+                failed.push({ path: nodePath, error: error.message });
+            }
+        }
+        return { deleted, failed };
+    }
+
+    /**
+     * Build a microsite from a validated blueprint (see blueprint.js)
+     * @param {Object} blueprint - { site, pages } with nested pages and components
+     * @param {Object} options - Build options
+     * @param {boolean} options.atomic - Stop at the first failed page and roll back everything created
+     * @param {boolean} options.overwrite - Build into an existing site, updating its existing pages (default: false)
+     * @returns {Object} { success, sitePath, authorUrl, tree, counts, createdNodes, rollback, message }
+     */
+    async createFromBlueprint(blueprint, options = {}) {
+        try {
+            const { site, pages = [] } = blueprint;
+            const { atomic = false, overwrite = false } = options;
+
+            // Nodes that existed before this run are updated in place and never rolled back
+            const sitePath = this.buildSitePath(site.name || site.title.toLowerCase().replace(/\s+/g, '-'), site.parentPath);
+            const siteExists = await this.nodeExists(sitePath);
+            if (siteExists && !overwrite) {
+                throw new Error(`Site already exists: ${sitePath}. Set overwrite to build into the existing site`);
+            }
+
+            const siteResult = await this.createSite({
+                siteName: site.name,
+                siteTitle: site.title,
+                templatePath: site.template,
+                parentPath: site.parentPath,
+                language: site.language,
+                country: site.country,
+                properties: site.properties
+            });
+
+            const state = {
+                atomic,
+                aborted: false,
+                createdNodes: siteExists ? [] : [siteResult.sitePath],
+                counts: { created: siteExists ? 0 : 1, updated: siteExists ? 1 : 0, failed: 0, skipped: 0 }
+            };
+            const tree = {
+                name: siteResult.siteName,
+                path: siteResult.sitePath,
+                type: 'site',
+                status: siteExists ? 'updated' : 'created',
+                children: await this.buildPageTree(siteResult.sitePath, pages, state)
+            };
+
+            let rollback = null;
+            if (state.aborted) {
+                rollback = await this.rollbackNodes(state.createdNodes);
+                this.markRolledBack(tree, new Set(rollback.deleted));
+            }
+
+            const { counts } = state;
+            let message = `Blueprint built: ${counts.created} nodes created`;
+            if (counts.updated > 0) {
+                message += `, ${counts.updated} existing nodes updated`;
+            }
+            if (counts.failed > 0) {
+                message += `, ${counts.failed} failed, ${counts.skipped} skipped`;
+            }
+            if (rollback) {
+                message += `; rolled back ${rollback.deleted.length} nodes`;
+            }
+
+            return {
+                success: counts.failed === 0,
+                sitePath: siteResult.sitePath,
+                siteName: siteResult.siteName,
+                authorUrl: siteResult.authorUrl,
+                tree,
+                counts,
+                createdNodes: state.createdNodes,
+                rollback,
+                message
+            };
+        } catch (error) {
+            throw new Error(`Failed to create microsite from blueprint: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create blueprint pages depth-first and return their result nodes
+     */
+    async buildPageTree(parentPath, pages, state) {
+        const results = [];
+        for (const page of pages) {
+            const pagePath = `${parentPath}/${page.name}`;
+            if (state.aborted) {
+                results.push(this.skipPageTree(parentPath, page, state));
+                continue;
+            }
+
+            const node = { name: page.name, path: pagePath, type: 'page', status: 'created', children: [] };
+            try {
+                const pageExisted = await this.nodeExists(pagePath);
+                await this.createPage({
+                    sitePath: parentPath,
+                    pageName: page.name,
+                    pageTitle: page.title || page.name.charAt(0).toUpperCase() + page.name.slice(1),
+                    templatePath: page.template,
+                    properties: page.properties,
+                    // Blueprint pages only get the components they declare, or those of their preset
+                    components: page.components || (page.preset ? undefined : []),
+                    preset: page.preset
+                });
+                if (pageExisted) {
+                    node.status = 'updated';
+                    state.counts.updated += 1;
+                } else {
+                    state.createdNodes.push(pagePath);
+                    state.counts.created += 1;
+                }
+                node.components = (page.components || []).length;
+                node.children = await this.buildPageTree(pagePath, page.children || [], state);
+            } catch (error) {
+                node.status = 'failed';
+                node.error = error.message;
+                state.counts.failed += 1;
+                if (state.atomic) {
+                    state.aborted = true;
+                }
+                // Children of a failed page cannot be created
+                node.children = (page.children || []).map(child => this.skipPageTree(pagePath, child, state));
+            }
+            results.push(node);
+        }
+        return results;
+    }
+
+    /**
+     * Result node for a blueprint page that was not attempted (and all its children)
+     */
+    skipPageTree(parentPath, page, state) {
+        const pagePath = `${parentPath}/${page.name}`;
+        state.counts.skipped += 1;
+        return {
+            name: page.name,
+            path: pagePath,
+            type: 'page',
+            status: 'skipped',
+            children: (page.children || []).map(child => this.skipPageTree(pagePath, child, state))
+        };
+    }
+
+    /**
+     * Mark result nodes deleted by a rollback
+     */
+    markRolledBack(node, deletedPaths) {
+        if (node.status === 'created' && deletedPaths.has(node.path)) {
+            node.status = 'rolled-back';
+        }
+        node.children.forEach(child => this.markRolledBack(child, deletedPaths));
+    }
+
+    /**
+     * Check if any node exists at the given path, whatever its type.
+     * Decides which nodes a run may roll back, so only a 404 counts as missing
+     * and every other error is thrown before anything is written.
+     */
+    async nodeExists(nodePath) {
+        try {
+            const response = await this.axiosInstance.get(`${nodePath}.json`, {
+                validateStatus: (status) => (status >= 200 && status < 300) || status === 404
+            });
+            return response.status !== 404;
+        } catch (error) {
+            throw new Error(`Could not check whether ${nodePath} exists: ${error.message}`);
+        }
+    }
+
     /**
      * Check if a page exists at the given path
      */
@@ -241,31 +630,18 @@ class AEMMicrositeClient extends AEMClientBase {
         return false;
     }
 
-    /**
-     * Check if error is a conflict error (OakState0001 or similar)
-     */
-    isConflictError(error) {
-        if (!error.response) return false;
-        
-        const status = error.response.status;
-        const errorText = JSON.stringify(error.response.data || {}).toLowerCase();
-        const errorMessage = (error.message || '').toLowerCase();
-        
-        // Check for conflict indicators
-        return (
-            status === 500 || 
-            status === 409 ||
-            errorText.includes('oakstate0001') ||
-            errorText.includes('unresolved conflicts') ||
-            errorText.includes('conflict') ||
-            errorMessage.includes('oakstate0001') ||
-            errorMessage.includes('unresolved conflicts') ||
-            errorMessage.includes('invaliditemstateexception')
-        );
-    }
-
     /**
      * Create a page under a site
+     * @param {Object} pageConfig - Page configuration
+     * @param {string} pageConfig.sitePath - Parent path (site root or parent page)
+     * @param {string} pageConfig.pageName - Page node name
+     * @param {string} pageConfig.pageTitle - Page title
+     * @param {string} pageConfig.templatePath - Page template path
+     * @param {Object} pageConfig.properties - Additional jcr:content properties
+     * @param {Array} pageConfig.components - Components for the root container
+     *   ([{ name, resourceType, properties, children }])
+     * @param {string} pageConfig.preset - Page preset used when no components are given
+     *   (empty, teaser, hero-text, landing, article; default: teaser)
      */
     async createPage(pageConfig) {
         try {
@@ -273,7 +649,10 @@ class AEMMicrositeClient extends AEMClientBase {
                 sitePath,
                 pageName,
                 pageTitle,
-                templatePath = '/conf/site-templates/settings/wcm/templates/page-template'
+                templatePath = '/conf/site-templates/settings/wcm/templates/page-template',
+                properties = {},
+                components,
+                preset = DEFAULT_PRESET
             } = pageConfig;
 
             const pagePath = `${sitePath}/${pageName}`;
@@ -285,6 +664,7 @@ class AEMMicrositeClient extends AEMClientBase {
             formData.append('jcr:content/jcr:title', pageTitle);
             formData.append('jcr:content/cq:template', templatePath);
             formData.append('jcr:content/sling:resourceType', 'core/wcm/components/page/v3/page');
+            this.appendProperties(formData, 'jcr:content', properties);
             
             // Add root container node
             formData.append('jcr:content/root/jcr:primaryType', 'nt:unstructured');
@@ -295,29 +675,12 @@ class AEMMicrositeClient extends AEMClientBase {
             formData.append('jcr:content/root/container/jcr:primaryType', 'nt:unstructured');
             formData.append('jcr:content/root/container/sling:resourceType', 'core/wcm/components/container/v1/container');
 
-            // Add title node under root
-            formData.append('jcr:content/root/container/title/jcr:primaryType', 'nt:unstructured');
-            formData.append('jcr:content/root/container/title/sling:resourceType', 'core/wcm/components/title/v3/title');
-
-            
-            // Add teaser component under container_1
-            formData.append('jcr:content/root/container/teaser/jcr:primaryType', 'nt:unstructured');
-            formData.append('jcr:content/root/container/teaser/sling:resourceType', 'core/wcm/components/teaser/v2/teaser');
-            formData.append('jcr:content/root/container/teaser/actionsEnabled', 'true');
-            formData.append('jcr:content/root/container/teaser/altValueFromDAM', 'false');
-            formData.append('jcr:content/root/container/teaser/descriptionFromPage', 'false');
-            formData.append('jcr:content/root/container/teaser/disableLazyLoading', 'true');
-            formData.append('jcr:content/root/container/teaser/fileReference', '/content/dam/site-templates/Image@2x.png');
-            formData.append('jcr:content/root/container/teaser/imageFromPageImage', 'false');
-            formData.append('jcr:content/root/container/teaser/isDecorative', 'false');
-            formData.append('jcr:content/root/container/teaser/jcr:description', '<p>Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.</p>');
-            formData.append('jcr:content/root/container/teaser/jcr:title', 'This is a Teaser');
-            formData.append('jcr:content/root/container/teaser/pretitle', 'Teaser');
-            formData.append('jcr:content/root/container/teaser/textIsRich', 'true');
-            
-            // Add container_2 node under container
-            //formData.append('jcr:content/root/container/container_2/jcr:primaryType', 'nt:unstructured');
-            //formData.append('jcr:content/root/container/container_2/sling:resourceType', 'core/wcm/components/container/v1/container');
+            // Explicit components win over the preset; the default preset is the original title + teaser scaffold
+            this.appendComponents(
+                formData,
+                'jcr:content/root/container',
+                components || getPresetComponents(preset, { pageTitle, pageName })
+            );
 
             await this.axiosInstance.post(
                 pagePath,
@@ -340,6 +703,47 @@ class AEMMicrositeClient extends AEMClientBase {
         }
     }
 
+    /**
+     * Append jcr properties under a relative path to a Sling POST form
+     * Booleans, numbers and arrays get @TypeHint so they are stored with the right JCR type.
+     */
+    appendProperties(formData, basePath, properties = {}) {
+        const typeHint = (value) => {
+            if (typeof value === 'boolean') return 'Boolean';
+            if (typeof value === 'number') return Number.isInteger(value) ? 'Long' : 'Double';
+            return 'String';
+        };
+
+        for (const [name, value] of Object.entries(properties || {})) {
+            const key = `${basePath}/${name}`;
+            if (Array.isArray(value)) {
+                if (value.length === 0) continue;
+                value.forEach(item => formData.append(key, String(item)));
+                formData.append(`${key}@TypeHint`, `${typeHint(value[0])}[]`);
+            } else {
+                formData.append(key, String(value));
+                if (typeof value !== 'string') {
+                    formData.append(`${key}@TypeHint`, typeHint(value));
+                }
+            }
+        }
+    }
+
+    /**
+     * Append a component tree ([{ name, resourceType, properties, children }]) to a Sling POST form
+     */
+    appendComponents(formData, basePath, components = []) {
+        for (const component of components) {
+            const componentPath = `${basePath}/${component.name}`;
+            formData.append(`${componentPath}/jcr:primaryType`, 'nt:unstructured');
+            formData.append(`${componentPath}/sling:resourceType`, component.resourceType);
+            this.appendProperties(formData, componentPath, component.properties);
+            if (component.children) {
+                this.appendComponents(formData, componentPath, component.children);
+            }
+        }
+    }
+
     /**
      * Delete a site
      */
@@ -575,125 +979,47 @@ class AEMMicrositeClient extends AEMClientBase {
             throw new Error(`Failed to create file: ${error.message}`);
         }
     }
+}
 
-    /**
-     * Create a Content Fragment
-     */
-    async createContentFragment(fragmentConfig) {
-        try {
-            const {
-                fragmentTitle,
-                fragmentPath,
-                modelPath,
-                fields = {}
-            } = fragmentConfig;
-
-            if (!fragmentTitle || !fragmentPath || !modelPath) {
-                throw new Error('fragmentTitle, fragmentPath, and modelPath are required');
-            }
-
-            // Sanitize fragment name from title
-            const fragmentName = fragmentTitle.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
-            const fullPath = `${fragmentPath}/${fragmentName}`;
-
-            // Create content fragment using Sling POST
-            const formData = new URLSearchParams();
-            formData.append('jcr:primaryType', 'dam:Asset');
-            formData.append('jcr:content/contentFragment', 'true');
-            formData.append('jcr:content/jcr:title', fragmentTitle);
-            formData.append('jcr:content/cq:model', modelPath);
-            formData.append('jcr:content/data/cq:model', modelPath);
-
-            // Add fragment fields
-            Object.entries(fields).forEach(([key, value]) => {
-                formData.append(`jcr:content/data/master/${key}`, String(value));
-            });
-
-            await this.axiosInstance.post(
-                fullPath,
-                formData.toString(),
-                {
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                }
-            );
+/**
+ * Build a site root path from a site name (sanitized into a JCR node name)
+ */
+function buildSitePath(siteName, parentPath = '/content') {
+    const sanitizedSiteName = siteName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '-');
+    return `${parentPath}/${sanitizedSiteName}`;
+}
 
-            return {
-                success: true,
-                fragmentTitle,
-                fullPath,
-                message: 'Content Fragment created successfully'
-            };
-        } catch (error) {
-            throw new Error(`Failed to create content fragment: ${error.message}`);
-        }
-    }
+/**
+ * Normalize a single- or multi-value JCR property to an array
+ */
+function toArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
 
-    /**
-     * Start an AEM workflow
-     */
-    async startWorkflow(workflowConfig) {
+/**
+ * Check a path against template allowedPaths (regular expressions; empty means allowed everywhere)
+ */
+function isPathAllowed(path, allowedPaths) {
+    if (allowedPaths.length === 0) return true;
+    return allowedPaths.some(pattern => {
         try {
-            const {
-                workflowModel,
-                payloadPath,
-                workflowTitle,
-                workflowData = {}
-            } = workflowConfig;
-
-            if (!workflowModel || !payloadPath) {
-                throw new Error('workflowModel and payloadPath are required');
-            }
-
-            // Create workflow instance using AEM Workflow API
-            const formData = new URLSearchParams();
-            formData.append('model', workflowModel);
-            formData.append('payloadType', 'JCR_PATH');
-            formData.append('payload', payloadPath);
-            
-            if (workflowTitle) {
-                formData.append('workflowTitle', workflowTitle);
-            }
-
-            // Add workflow data
-            Object.entries(workflowData).forEach(([key, value]) => {
-                formData.append(`workflowData[${key}]`, String(value));
-            });
-
-            const response = await this.axiosInstance.post(
-                '/etc/workflow/instances',
-                formData.toString(),
-                {
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                }
-            );
-
-            // Extract workflow ID from response
-            const workflowId = response.headers?.location?.split('/').pop() || 'unknown';
-
-            return {
-                success: true,
-                workflowId,
-                status: 'RUNNING',
-                message: 'Workflow started successfully'
-            };
+            return new RegExp(`^${pattern}$`).test(path);
         } catch (error) {
-            throw new Error(`Failed to start workflow: ${error.message}`);
+            return false;
         }
-    }
+    });
 }
 
 /**
  * Create AEM Microsite Client instance
  */
-function createAEMMicrositeClient(authorUrl, credentials) {
-    return new AEMMicrositeClient(authorUrl, credentials);
+function createAEMMicrositeClient(authorUrl, credentials, options = {}) {
+    return new AEMMicrositeClient(authorUrl, credentials, options);
 }
 
 module.exports = {
     AEMMicrositeClient,
-    createAEMMicrositeClient
+    createAEMMicrositeClient,
+    buildSitePath
 };
@@ -0,0 +1,300 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * AEM Replication Client - Publish and unpublish content
+ *
+ * This module provides:
+ * - Activation / deactivation of pages, sites and assets (/bin/replicate.json)
+ * - Tree replication (all pages or assets below a path, optionally modified-only)
+ * - Scheduled activation / deactivation (Activate Later / Deactivate Later workflows)
+ * - Replication agent queue status
+ */
+
+const { AEMClientBase } = require('./aem-client-base');
+
+// Paths sent per /bin/replicate.json call when replicating a tree
+const REPLICATION_BATCH_SIZE = 50;
+
+// Workflow models behind "Activate Later" / "Deactivate Later"
+const SCHEDULED_WORKFLOW_MODELS = {
+    Activate: '/var/workflow/models/scheduled_activation',
+    Deactivate: '/var/workflow/models/scheduled_deactivation'
+};
+
+/**
+ * AEM Replication Client - Extends base client with replication operations
+ */
+class AEMReplicationClient extends AEMClientBase {
+    /**
+     * Publish (activate) or unpublish (deactivate) content
+     * @param {Object} options - Replication options
+     * @param {string[]} options.paths - Page, site or asset paths
+     * @param {string} options.action - "Activate" or "Deactivate"
+     * @param {boolean} options.includeChildren - Also replicate all pages/assets below each path
+     * @param {boolean} options.onlyModified - With includeChildren and Activate, skip content that is already published and unchanged
+     * @param {string|Date} options.scheduleAt - Replicate at this date/time instead of now (ISO 8601)
+     * @param {boolean} options.dryRun - Only resolve the paths that would be replicated
+     * @param {string} options.agent - Replication agent for the queue status (default: publish)
+     * @returns {Object} { success, action, replicated, skipped, failed, scheduled, queue, message }
+     */
+    async replicate(options) {
+        try {
+            const {
+                paths = [],
+                action = 'Activate',
+                includeChildren = false,
+                onlyModified = false,
+                scheduleAt,
+                dryRun = false,
+                agent = 'publish'
+            } = options;
+
+            if (!['Activate', 'Deactivate'].includes(action)) {
+                throw new Error(`Unsupported replication action: ${action}`);
+            }
+            if (paths.length === 0) {
+                throw new Error('At least one path is required');
+            }
+
+            let scheduleTime = null;
+            if (scheduleAt) {
+                scheduleTime = new Date(scheduleAt);
+                if (Number.isNaN(scheduleTime.getTime())) {
+                    throw new Error(`Invalid schedule date: ${scheduleAt}`);
+                }
+                if (scheduleTime.getTime() <= Date.now()) {
+                    throw new Error(`Schedule date must be in the future: ${scheduleTime.toISOString()}`);
+                }
+            }
+
+            // Resolve the paths to replicate
+            const targets = [];
+            const skipped = [];
+            for (const path of paths) {
+                if (!includeChildren) {
+                    targets.push(path);
+                    continue;
+                }
+                const tree = await this.listReplicationTree(path);
+                for (const item of tree) {
+                    if (action === 'Activate' && onlyModified && !item.modified) {
+                        skipped.push(item.path);
+                    } else {
+                        targets.push(item.path);
+                    }
+                }
+            }
+
+            // Unpublish children before their parents
+            const ordered = [...new Set(targets)];
+            if (action === 'Deactivate') {
+                ordered.sort((a, b) => b.split('/').length - a.split('/').length);
+            }
+
+            const result = {
+                success: true,
+                action,
+                dryRun,
+                replicated: [],
+                skipped,
+                failed: [],
+                scheduled: [],
+                scheduleAt: scheduleTime ? scheduleTime.toISOString() : null,
+                queue: null
+            };
+
+            if (dryRun) {
+                result.replicated = ordered;
+                result.message = `Dry run: ${ordered.length} path(s) would be ${action === 'Activate' ? 'published' : 'unpublished'}`;
+                return result;
+            }
+
+            if (scheduleTime) {
+                for (const path of ordered) {
+                    try {
+                        const workflowId = await this.scheduleReplication(path, action, scheduleTime);
+                        result.scheduled.push({ path, workflowId });
+                    } catch (error) {
+                        result.failed.push({ path, error: error.message });
+                    }
+                }
+            } else {
+                for (let i = 0; i < ordered.length; i += REPLICATION_BATCH_SIZE) {
+                    const batch = ordered.slice(i, i + REPLICATION_BATCH_SIZE);
+                    try {
+                        await this.replicatePaths(batch, action);
+                        result.replicated.push(...batch);
+                    } catch (error) {
+                        batch.forEach(path => result.failed.push({ path, error: error.message }));
+                    }
+                }
+            }
+
+            // Queue status is informational; replication already succeeded or failed at this point
+            try {
+                result.queue = await this.getQueueStatus(agent);
+            } catch (error) {
+                result.queue = { agent, error: error.message };
+            }
+
+            const verb = action === 'Activate' ? 'published' : 'unpublished';
+            result.success = result.failed.length === 0;
+            if (scheduleTime) {
+                result.message = `${result.scheduled.length} path(s) scheduled to be ${verb} at ${result.scheduleAt}`;
+            } else {
+                result.message = `${result.replicated.length} path(s) ${verb}`;
+            }
+            if (result.failed.length > 0) {
+                result.message += `, ${result.failed.length} failed`;
+            }
+            return result;
+        } catch (error) {
+            throw new Error(`Failed to replicate content: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send one replication request for a batch of paths
+     * @param {string[]} paths - Paths to replicate
+     * @param {string} action - "Activate" or "Deactivate"
+     */
+    async replicatePaths(paths, action) {
+        const formData = new URLSearchParams();
+        formData.append('_charset_', 'utf-8');
+        formData.append('cmd', action);
+        paths.forEach(path => formData.append('path', path));
+
+        await this.axiosInstance.post(
+            '/bin/replicate.json',
+            formData.toString(),
+            {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            }
+        );
+    }
+
+    /**
+     * Start an Activate Later / Deactivate Later workflow for a path
+     * @returns {string} Workflow instance ID
+     */
+    async scheduleReplication(path, action, scheduleTime) {
+        const formData = new URLSearchParams();
+        formData.append('model', SCHEDULED_WORKFLOW_MODELS[action]);
+        formData.append('payloadType', 'JCR_PATH');
+        formData.append('payload', path);
+        formData.append('absoluteTime', String(scheduleTime.getTime()));
+        formData.append('workflowTitle', `${action} ${path} at ${scheduleTime.toISOString()}`);
+
+        const response = await this.axiosInstance.post(
+            '/etc/workflow/instances',
+            formData.toString(),
+            {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            }
+        );
+        return response.headers?.location?.split('/').pop() || 'unknown';
+    }
+
+    /**
+     * List the pages (or DAM assets, below /content/dam) of a tree with their replication state
+     * @param {string} rootPath - Root of the tree (included in the result)
+     * @returns {Array} [{ path, lastModified, lastReplicated, lastReplicationAction, modified }]
+     */
+    async listReplicationTree(rootPath) {
+        const isDam = rootPath === '/content/dam' || rootPath.startsWith('/content/dam/');
+        const modifiedProperty = isDam ? 'jcr:content/jcr:lastModified' : 'jcr:content/cq:lastModified';
+
+        const params = new URLSearchParams();
+        params.append('path', rootPath);
+        params.append('path.self', 'true');
+        params.append('type', isDam ? 'dam:Asset' : 'cq:Page');
+        params.append('p.limit', '-1');
+        params.append('p.hits', 'selective');
+        params.append('p.properties', `jcr:path ${modifiedProperty} jcr:content/cq:lastReplicated jcr:content/cq:lastReplicationAction`);
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        const items = (response.data?.hits || [])
+            .filter(hit => hit['jcr:path'])
+            .map(hit => this.toReplicationItem(hit['jcr:path'], hit, modifiedProperty));
+
+        // A page root is always part of its tree; a DAM root may be a folder, which is not replicated
+        if (!isDam && !items.some(item => item.path === rootPath)) {
+            items.unshift(this.toReplicationItem(rootPath, {}, modifiedProperty));
+        }
+        return items;
+    }
+
+    /**
+     * Build a replication tree item from a QueryBuilder hit
+     */
+    toReplicationItem(path, hit = {}, modifiedProperty) {
+        // Selective hits return relative properties either nested or with their relative path as key
+        const read = (property) => {
+            if (hit[property] !== undefined) return hit[property];
+            return property.split('/').reduce((value, key) => (value ? value[key] : undefined), hit);
+        };
+
+        const lastModified = read(modifiedProperty) || null;
+        const lastReplicated = read('jcr:content/cq:lastReplicated') || null;
+        const lastReplicationAction = read('jcr:content/cq:lastReplicationAction') || null;
+        const modified = lastReplicationAction !== 'Activate' ||
+            !lastReplicated ||
+            (lastModified !== null && new Date(lastModified) > new Date(lastReplicated));
+
+        return { path, lastModified, lastReplicated, lastReplicationAction, modified };
+    }
+
+    /**
+     * Get the queue status of a replication agent
+     * @param {string} agent - Agent name (default: publish)
+     * @returns {Object} { agent, blocked, paused, pending, items: [{ path, type, time, attempts }] }
+     */
+    async getQueueStatus(agent = 'publish') {
+        try {
+            const response = await this.axiosInstance.get(`/etc/replication/agents.author/${encodeURIComponent(agent)}/jcr:content.queue.json`);
+            const queueStatus = response.data?.metaData?.queueStatus || {};
+            const queue = response.data?.queue || [];
+
+            return {
+                agent,
+                blocked: queueStatus.isBlocked === true,
+                paused: queueStatus.isPaused === true,
+                pending: queue.length,
+                items: queue.map(item => ({
+                    path: item.path,
+                    type: item.type,
+                    time: item.time ? new Date(item.time).toISOString() : null,
+                    attempts: item.numProcessed || 0
+                }))
+            };
+        } catch (error) {
+            throw new Error(`Failed to get replication queue status: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Create AEM Replication Client instance
+ */
+function createAEMReplicationClient(authorUrl, credentials, options = {}) {
+    return new AEMReplicationClient(authorUrl, credentials, options);
+}
+
+module.exports = {
+    AEMReplicationClient,
+    createAEMReplicationClient
+};
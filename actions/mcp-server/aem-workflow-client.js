@@ -0,0 +1,431 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * AEM Workflow Client - Start, monitor and control workflow instances
+ *
+ * This module provides:
+ * - Workflow start (/etc/workflow/instances)
+ * - Instance status, current steps, failures and history
+ * - Instance listing by status, model and payload (including failed instances)
+ * - Terminate, suspend and resume
+ * - Waiting for an instance to finish, with a timeout
+ *
+ * Instances are stored below /var/workflow/instances/<server>/<date>/<id>; they can be
+ * addressed by that path or by their ID alone. State changes go through the workflow
+ * API, which serves the same instances below /etc/workflow/instances.
+ */
+
+const { AEMClientBase } = require('./aem-client-base');
+
+const INSTANCES_ROOT = '/var/workflow/instances';
+const INSTANCES_API_ROOT = '/etc/workflow/instances';
+
+// Failed work items scanned per requested instance (an instance can fail several times)
+const FAILED_ITEMS_PER_INSTANCE = 5;
+
+// Instance states that no longer change by themselves
+const FINAL_STATES = ['COMPLETED', 'ABORTED', 'STALE'];
+
+// State changes accepted by the workflow engine, and the states they apply to
+const STATE_ACTIONS = {
+    terminate: { state: 'ABORTED', from: ['RUNNING', 'SUSPENDED', 'STALE'] },
+    suspend: { state: 'SUSPENDED', from: ['RUNNING'] },
+    resume: { state: 'RUNNING', from: ['SUSPENDED'] }
+};
+
+/**
+ * AEM Workflow Client - Extends base client with workflow operations
+ */
+class AEMWorkflowClient extends AEMClientBase {
+    /**
+     * Start a workflow for a payload
+     * @param {Object} workflowConfig - Workflow configuration
+     * @param {string} workflowConfig.workflowModel - Model path (e.g., /var/workflow/models/dam/update_asset)
+     * @param {string} workflowConfig.payloadPath - Content or asset path
+     * @param {string} workflowConfig.workflowTitle - Instance title
+     * @param {Object} workflowConfig.workflowData - Additional workflow data
+     * @returns {Promise<Object>} { success, workflowId, instancePath, status, message }
+     */
+    async startWorkflow(workflowConfig) {
+        try {
+            const {
+                workflowModel,
+                payloadPath,
+                workflowTitle,
+                workflowData = {}
+            } = workflowConfig;
+
+            if (!workflowModel || !payloadPath) {
+                throw new Error('workflowModel and payloadPath are required');
+            }
+
+            // Create workflow instance using AEM Workflow API
+            const formData = new URLSearchParams();
+            formData.append('model', workflowModel);
+            formData.append('payloadType', 'JCR_PATH');
+            formData.append('payload', payloadPath);
+
+            if (workflowTitle) {
+                formData.append('workflowTitle', workflowTitle);
+            }
+
+            // Add workflow data
+            Object.entries(workflowData).forEach(([key, value]) => {
+                formData.append(`workflowData[${key}]`, String(value));
+            });
+
+            const response = await this.axiosInstance.post(
+                '/etc/workflow/instances',
+                formData.toString(),
+                {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                }
+            );
+
+            // The Location header points to the new instance (absolute or relative URL)
+            const location = response.headers?.location || '';
+            const instancePath = location ? toInstancePath(location.replace(/^https?:\/\/[^/]+/, '')) : null;
+
+            return {
+                success: true,
+                workflowId: location.split('/').pop() || 'unknown',
+                instancePath,
+                status: 'RUNNING',
+                message: 'Workflow started successfully'
+            };
+        } catch (error) {
+            throw new Error(`Failed to start workflow: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the status of a workflow instance
+     * @param {string} instance - Instance path or ID
+     * @param {Object} options - Read options
+     * @param {boolean} options.includeHistory - Include the step history (default: true)
+     * @returns {Promise<Object>} { id, path, title, status, model, payload, initiator, startTime, endTime, currentSteps, failure, history }
+     */
+    async getWorkflowInstance(instance, options = {}) {
+        try {
+            const { includeHistory = true } = options;
+            const path = await this.resolveInstancePath(instance);
+
+            let node;
+            try {
+                const response = await this.axiosInstance.get(`${path}.4.json`);
+                node = response.data || {};
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new Error(`Workflow instance not found: ${path}`);
+                }
+                throw error;
+            }
+
+            const result = toWorkflowInstance(path, node);
+            if (!includeHistory) {
+                delete result.history;
+            }
+            return result;
+        } catch (error) {
+            throw new Error(`Failed to get workflow instance: ${error.message}`);
+        }
+    }
+
+    /**
+     * List workflow instances
+     * @param {Object} options - Listing options
+     * @param {string} options.status - RUNNING, SUSPENDED, COMPLETED, ABORTED, STALE or FAILED (running with a failed step; default: RUNNING)
+     * @param {string} options.model - Only instances of this model
+     * @param {string} options.payload - Only instances for this payload path
+     * @param {number} options.limit - Maximum number of instances (default: 50)
+     * @returns {Promise<Object>} { success, status, instances, count, message }
+     */
+    async listWorkflowInstances(options = {}) {
+        try {
+            const { status = 'RUNNING', model, payload, limit = 50 } = options;
+            const normalizedStatus = status.toUpperCase();
+            if (![...FINAL_STATES, 'RUNNING', 'SUSPENDED', 'FAILED'].includes(normalizedStatus)) {
+                throw new Error(`Unsupported status "${status}" (use RUNNING, SUSPENDED, COMPLETED, ABORTED, STALE or FAILED)`);
+            }
+
+            const instances = normalizedStatus === 'FAILED'
+                ? await this.listFailedInstances({ model, payload, limit })
+                : await this.queryInstances({ status: normalizedStatus, model, payload, limit });
+
+            return {
+                success: true,
+                status: normalizedStatus,
+                instances,
+                count: instances.length,
+                message: `Found ${instances.length} ${normalizedStatus.toLowerCase()} workflow instance(s)`
+            };
+        } catch (error) {
+            throw new Error(`Failed to list workflow instances: ${error.message}`);
+        }
+    }
+
+    /**
+     * Terminate, suspend or resume a workflow instance
+     * @param {string} instance - Instance path or ID
+     * @param {string} action - terminate, suspend or resume
+     * @returns {Promise<Object>} { success, path, action, previousStatus, status, message }
+     */
+    async controlWorkflowInstance(instance, action) {
+        try {
+            const change = STATE_ACTIONS[action];
+            if (!change) {
+                throw new Error(`Unsupported action "${action}" (use ${Object.keys(STATE_ACTIONS).join(', ')})`);
+            }
+
+            const current = await this.getWorkflowInstance(instance, { includeHistory: false });
+            if (!change.from.includes(current.status)) {
+                throw new Error(`Cannot ${action} a workflow instance that is ${current.status}`);
+            }
+
+            // The workflow engine handles state changes posted to the instance through the workflow API
+            const formData = new URLSearchParams();
+            formData.append('state', change.state);
+            await this.axiosInstance.post(toWorkflowApiPath(current.path), formData.toString(), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            const updated = await this.getWorkflowInstance(current.path, { includeHistory: false });
+            if (updated.status !== change.state) {
+                throw new Error(`Workflow instance is still ${updated.status} after requesting ${change.state}`);
+            }
+
+            return {
+                success: true,
+                path: current.path,
+                action,
+                previousStatus: current.status,
+                status: updated.status,
+                message: `Workflow instance ${current.status} → ${updated.status}`
+            };
+        } catch (error) {
+            throw new Error(`Failed to ${action} workflow instance: ${error.message}`);
+        }
+    }
+
+    /**
+     * Wait until a workflow instance has finished
+     *
+     * Polling stops when the instance is completed, aborted or stale, and also when it is
+     * suspended or a step has failed, since those need someone to act first.
+     * @param {string} instance - Instance path or ID
+     * @param {Object} options - Wait options
+     * @param {number} options.timeoutMs - Give up after this time (default: 60000)
+     * @param {number} options.intervalMs - Time between polls (default: 2000)
+     * @returns {Promise<Object>} { finished, timedOut, waitedMs, polls, instance }
+     */
+    async waitForWorkflow(instance, options = {}) {
+        const { timeoutMs = 60000, intervalMs = 2000 } = options;
+        const startedAt = Date.now();
+        let polls = 0;
+
+        for (;;) {
+            const current = await this.getWorkflowInstance(instance);
+            polls++;
+            const finished = FINAL_STATES.includes(current.status);
+            const stopped = current.status === 'SUSPENDED' || current.failure !== null;
+            const waitedMs = Date.now() - startedAt;
+
+            if (finished || stopped || waitedMs + intervalMs > timeoutMs) {
+                return {
+                    finished,
+                    timedOut: !finished && !stopped,
+                    waitedMs,
+                    polls,
+                    instance: current
+                };
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+
+    /**
+     * Resolve an instance ID to its path (paths are passed through)
+     * @param {string} instance - Instance path or ID (e.g., update_asset_12)
+     * @returns {Promise<string>} Instance path
+     */
+    async resolveInstancePath(instance) {
+        if (!instance) {
+            throw new Error('Workflow instance path or ID is required');
+        }
+        if (instance.startsWith('/')) {
+            return toInstancePath(instance);
+        }
+
+        const params = new URLSearchParams();
+        params.append('path', INSTANCES_ROOT);
+        params.append('type', 'cq:Workflow');
+        params.append('nodename', instance);
+        params.append('p.limit', '2');
+        params.append('p.hits', 'selective');
+        params.append('p.properties', 'jcr:path');
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        const paths = (response.data?.hits || []).map(hit => hit['jcr:path']).filter(Boolean);
+        if (paths.length === 0) {
+            throw new Error(`Workflow instance not found: ${instance}`);
+        }
+        if (paths.length > 1) {
+            throw new Error(`Workflow instance ID "${instance}" is ambiguous; use the instance path (e.g., ${paths[0]})`);
+        }
+        return paths[0];
+    }
+
+    /**
+     * Query instances by status, model and payload, newest first
+     */
+    async queryInstances({ status, model, payload, limit }) {
+        const params = new URLSearchParams();
+        params.append('path', INSTANCES_ROOT);
+        params.append('type', 'cq:Workflow');
+        params.append('1_property', 'status');
+        params.append('1_property.value', status);
+        if (model) {
+            params.append('2_property', 'modelId');
+            params.append('2_property.value', model);
+        }
+        if (payload) {
+            params.append('3_property', 'data/payload/path');
+            params.append('3_property.value', payload);
+        }
+        params.append('orderby', '@startTime');
+        params.append('orderby.sort', 'desc');
+        params.append('p.limit', String(limit));
+        params.append('p.hits', 'full');
+        params.append('p.nodedepth', '3');
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        return (response.data?.hits || [])
+            .filter(hit => hit['jcr:path'])
+            .map(hit => {
+                const instance = toWorkflowInstance(hit['jcr:path'], hit);
+                delete instance.history;
+                return instance;
+            });
+    }
+
+    /**
+     * List running instances with a failed step (found through their newest failed work items)
+     */
+    async listFailedInstances({ model, payload, limit }) {
+        const params = new URLSearchParams();
+        params.append('path', INSTANCES_ROOT);
+        params.append('type', 'cq:WorkItem');
+        params.append('property', 'metaData/failureMessage');
+        params.append('property.operation', 'exists');
+        params.append('orderby', '@startTime');
+        params.append('orderby.sort', 'desc');
+        params.append('p.limit', String(limit * FAILED_ITEMS_PER_INSTANCE));
+        params.append('p.hits', 'selective');
+        params.append('p.properties', 'jcr:path');
+
+        const response = await this.axiosInstance.get(`/bin/querybuilder.json?${params.toString()}`);
+        const paths = [...new Set((response.data?.hits || [])
+            .map(hit => (hit['jcr:path'] || '').split('/workItems/')[0])
+            .filter(Boolean))];
+
+        const instances = await this.mapConcurrent(paths, path => this.getWorkflowInstance(path, { includeHistory: false }).catch(() => null));
+        return instances
+            .filter(instance => instance && instance.status === 'RUNNING' && instance.failure)
+            .filter(instance => (!model || instance.model === model) && (!payload || instance.payload === payload))
+            .sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)))
+            .slice(0, limit);
+    }
+}
+
+/**
+ * Map a workflow API instance URL (/etc/workflow/instances/...) to the instance path
+ */
+function toInstancePath(path) {
+    return path.replace(new RegExp(`^${INSTANCES_API_ROOT}/`), `${INSTANCES_ROOT}/`).replace(/\.json$/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Map an instance path to its workflow API URL (/etc/workflow/instances/...)
+ */
+function toWorkflowApiPath(path) {
+    return path.replace(new RegExp(`^${INSTANCES_ROOT}/`), `${INSTANCES_API_ROOT}/`);
+}
+
+/**
+ * Read the title of a workflow step from a work item or history entry
+ */
+function getStepTitle(item = {}) {
+    const workItem = item.workItem || item;
+    return workItem.nodeTitle || workItem.title || (workItem.metaData && workItem.metaData.title) || workItem.nodeId || null;
+}
+
+/**
+ * Normalize a workflow instance node
+ * @param {string} path - Instance path
+ * @param {Object} node - Instance node tree (.4.json or a full QueryBuilder hit)
+ */
+function toWorkflowInstance(path, node = {}) {
+    const data = node.data || {};
+    const payload = data.payload || {};
+    const metaData = data.metaData || {};
+
+    const workItems = Object.values(node.workItems || {}).filter(item => item && typeof item === 'object');
+    const currentSteps = workItems.map(item => ({
+        step: getStepTitle(item),
+        assignee: item.assignee || null,
+        startTime: item.startTime || null
+    }));
+    const failedItem = workItems.find(item => item.metaData && item.metaData.failureMessage);
+
+    const history = Object.values(node.history || {})
+        .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+        .map(entry => ({
+            date: entry.date || (entry.workItem && entry.workItem.endTime) || null,
+            step: getStepTitle(entry),
+            action: entry.action || null,
+            user: entry.user || null,
+            comment: entry.comment || null
+        }))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    return {
+        id: path.split('/').pop(),
+        path,
+        title: metaData.workflowTitle || null,
+        status: node.status || node.state || null,
+        model: node.modelId || node.model || null,
+        payload: payload.path || (typeof data.payload === 'string' ? data.payload : null) || null,
+        initiator: node.initiator || null,
+        startTime: node.startTime || null,
+        endTime: node.endTime || null,
+        currentSteps,
+        failure: failedItem ? { step: getStepTitle(failedItem), message: failedItem.metaData.failureMessage } : null,
+        history
+    };
+}
+
+/**
+ * Create AEM Workflow Client instance
+ */
+function createAEMWorkflowClient(authorUrl, credentials, options = {}) {
+    return new AEMWorkflowClient(authorUrl, credentials, options);
+}
+
+module.exports = {
+    AEMWorkflowClient,
+    createAEMWorkflowClient
+};
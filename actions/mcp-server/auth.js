@@ -0,0 +1,236 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Inbound Authentication - Verifies callers of the MCP endpoint itself
+ *
+ * Callers authenticate with either:
+ * - an API key in the x-api-key header (MCP_API_KEYS, comma-separated)
+ * - a bearer JWT signed with MCP_JWT_SECRET (HS256/384/512) or MCP_JWT_PUBLIC_KEY (RS256/384/512)
+ *
+ * Browser callers are additionally restricted to MCP_ALLOWED_ORIGINS (comma-separated); without
+ * it, no origin is allowed. When no API key or JWT key is configured, every request is rejected
+ * unless MCP_AUTH_DISABLED=true explicitly turns authentication off (e.g. for local runs).
+ */
+
+const crypto = require('crypto')
+const { getBearerToken } = require('../utils')
+
+// Allowed clock skew when checking exp/nbf claims
+const CLOCK_TOLERANCE_SECONDS = 30
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }
+const RSA_ALGORITHMS = { RS256: 'RSA-SHA256', RS384: 'RSA-SHA384', RS512: 'RSA-SHA512' }
+
+/**
+ * Read a configuration value from action inputs, falling back to environment variables
+ */
+function getConfigValue (params, name) {
+    return params[name] || process.env[name] || ''
+}
+
+/**
+ * Split a comma-separated configuration value into a trimmed list
+ */
+function parseList (value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).filter(Boolean)
+    }
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * Get the configured list of allowed CORS origins (empty when not configured)
+ */
+function getAllowedOrigins (params) {
+    return parseList(getConfigValue(params, 'MCP_ALLOWED_ORIGINS'))
+}
+
+/**
+ * Check whether inbound authentication was explicitly turned off (MCP_AUTH_DISABLED=true)
+ */
+function isAuthDisabled (params) {
+    return String(getConfigValue(params, 'MCP_AUTH_DISABLED')).toLowerCase() === 'true'
+}
+
+/**
+ * Resolve the Access-Control-Allow-Origin value for a request
+ * @returns {string|null} '*', the echoed request origin, or null when the origin is not allowed
+ */
+function resolveAllowedOrigin (params) {
+    const allowedOrigins = getAllowedOrigins(params)
+    if (allowedOrigins.includes('*')) {
+        return '*'
+    }
+
+    const origin = params.__ow_headers?.origin
+    if (origin && allowedOrigins.includes(origin)) {
+        return origin
+    }
+    return null
+}
+
+/**
+ * Decode a base64url JWT segment
+ */
+function decodeSegment (segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual (a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest()
+    const hashB = crypto.createHash('sha256').update(String(b)).digest()
+    return crypto.timingSafeEqual(hashA, hashB)
+}
+
+/**
+ * Verify a JWT signature and its time, issuer and audience claims (tokens must carry exp)
+ * @param {string} token - Compact JWT
+ * @param {Object} options - Verification options
+ * @param {string} options.secret - HMAC signing key
+ * @param {string} options.publicKey - PEM public key for RSA signatures
+ * @param {string} options.issuer - Expected iss claim (optional)
+ * @param {string} options.audience - Expected aud claim (optional)
+ * @returns {Object} Decoded payload
+ */
+function verifyJwt (token, options = {}) {
+    const segments = String(token).split('.')
+    if (segments.length !== 3) {
+        throw new Error('Malformed token')
+    }
+
+    let header
+    let payload
+    try {
+        header = decodeSegment(segments[0])
+        payload = decodeSegment(segments[1])
+    } catch (error) {
+        throw new Error('Malformed token')
+    }
+
+    const signingInput = `${segments[0]}.${segments[1]}`
+    const signature = Buffer.from(segments[2], 'base64url')
+
+    if (HMAC_ALGORITHMS[header.alg] && options.secret) {
+        const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], options.secret).update(signingInput).digest()
+        if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+            throw new Error('Invalid token signature')
+        }
+    } else if (RSA_ALGORITHMS[header.alg] && options.publicKey) {
+        const valid = crypto.createVerify(RSA_ALGORITHMS[header.alg]).update(signingInput).verify(options.publicKey, signature)
+        if (!valid) {
+            throw new Error('Invalid token signature')
+        }
+    } else {
+        // Also rejects alg "none" and algorithms that don't match the configured key type
+        throw new Error(`Unsupported token algorithm: ${header.alg}`)
+    }
+
+    // Tokens without exp would never expire
+    const now = Math.floor(Date.now() / 1000)
+    if (typeof payload.exp !== 'number') {
+        throw new Error('Token has no expiry (exp claim)')
+    }
+    if (now > payload.exp + CLOCK_TOLERANCE_SECONDS) {
+        throw new Error('Token has expired')
+    }
+    if (typeof payload.nbf === 'number' && now + CLOCK_TOLERANCE_SECONDS < payload.nbf) {
+        throw new Error('Token is not yet valid')
+    }
+    if (options.issuer && payload.iss !== options.issuer) {
+        throw new Error('Token issuer is not accepted')
+    }
+    if (options.audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud]
+        if (!audiences.includes(options.audience)) {
+            throw new Error('Token audience is not accepted')
+        }
+    }
+
+    return payload
+}
+
+/**
+ * Authenticate an inbound MCP request
+ * @param {Object} params - Adobe I/O Runtime action parameters
+ * @returns {Object} { ok: true, principal } or { ok: false, statusCode, message }
+ */
+function authenticateRequest (params) {
+    const headers = params.__ow_headers || {}
+
+    // Browser requests must come from an allowed origin
+    if (headers.origin && resolveAllowedOrigin(params) === null) {
+        return { ok: false, statusCode: 403, message: `Forbidden: origin ${headers.origin} is not allowed` }
+    }
+
+    const apiKeys = parseList(getConfigValue(params, 'MCP_API_KEYS'))
+    const jwtSecret = getConfigValue(params, 'MCP_JWT_SECRET')
+    const jwtPublicKey = getConfigValue(params, 'MCP_JWT_PUBLIC_KEY').replace(/\\n/g, '\n')
+
+    if (apiKeys.length === 0 && !jwtSecret && !jwtPublicKey) {
+        if (isAuthDisabled(params)) {
+            return { ok: true, principal: null, authDisabled: true }
+        }
+        // Fail closed: a server without keys must not be reachable by anyone
+        return { ok: false, statusCode: 401, message: 'Unauthorized: inbound authentication is not configured (set MCP_API_KEYS or MCP_JWT_SECRET/MCP_JWT_PUBLIC_KEY)' }
+    }
+
+    const apiKey = headers['x-api-key']
+    if (apiKey) {
+        if (apiKeys.length > 0 && apiKeys.some(key => safeEqual(key, apiKey))) {
+            return { ok: true, principal: { type: 'api-key' } }
+        }
+        return { ok: false, statusCode: 401, message: 'Unauthorized: invalid API key' }
+    }
+
+    const token = getBearerToken(params)
+    if (token) {
+        if (!jwtSecret && !jwtPublicKey) {
+            return { ok: false, statusCode: 401, message: 'Unauthorized: bearer tokens are not accepted by this server' }
+        }
+
+        let payload
+        try {
+            payload = verifyJwt(token, {
+                secret: jwtSecret,
+                publicKey: jwtPublicKey,
+                issuer: getConfigValue(params, 'MCP_JWT_ISSUER'),
+                audience: getConfigValue(params, 'MCP_JWT_AUDIENCE')
+            })
+        } catch (error) {
+            return { ok: false, statusCode: 401, message: `Unauthorized: ${error.message}` }
+        }
+
+        // Valid token, but it may still lack the scope required to use the server
+        const requiredScope = getConfigValue(params, 'MCP_JWT_REQUIRED_SCOPE')
+        if (requiredScope) {
+            const scopes = parseList(String(payload.scope || payload.scp || '').replace(/\s+/g, ','))
+            if (!scopes.includes(requiredScope)) {
+                return { ok: false, statusCode: 403, message: `Forbidden: token is missing the ${requiredScope} scope` }
+            }
+        }
+
+        return { ok: true, principal: { type: 'jwt', subject: payload.sub, claims: payload } }
+    }
+
+    return { ok: false, statusCode: 401, message: 'Unauthorized: provide an x-api-key header or a bearer token' }
+}
+
+module.exports = {
+    authenticateRequest,
+    verifyJwt,
+    getAllowedOrigins,
+    resolveAllowedOrigin
+}
@@ -0,0 +1,143 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Microsite Blueprint - Declarative description of a whole microsite
+ *
+ * A blueprint (JSON or YAML) describes the site root and a nested page tree. Every page
+ * can set its title, template, jcr:content properties and the components placed in its
+ * root container (or a named preset from page-presets.js):
+ *
+ * site:
+ *   name: summer-campaign
+ *   title: Summer Campaign
+ * pages:
+ *   - name: main
+ *     title: Home
+ *     properties: { hideInNav: true }
+ *     components:
+ *       - name: title
+ *         resourceType: core/wcm/components/title/v3/title
+ *         properties: { jcr:title: Welcome, type: h1 }
+ *     children:
+ *       - name: offers
+ */
+
+const { z } = require('zod');
+const yaml = require('js-yaml');
+const { PAGE_PRESET_NAMES } = require('./page-presets');
+
+// JCR property value: scalar or multi-value
+const propertyValue = z.union([
+    z.string(),
+    z.number(),
+    z.boolean(),
+    z.array(z.union([z.string(), z.number(), z.boolean()]))
+]);
+
+// JCR node names used for pages and components
+const nodeName = z.string()
+    .min(1)
+    .regex(/^[A-Za-z0-9_][A-Za-z0-9_.-]*$/, 'must contain only letters, digits, "_", "-" and "." (no slashes or spaces)');
+
+const propertiesSchema = z.record(propertyValue).optional();
+
+const componentSchema = z.lazy(() => z.object({
+    name: nodeName,
+    resourceType: z.string().min(1),
+    properties: propertiesSchema,
+    children: z.array(componentSchema).optional()
+}).strict());
+
+const pageSchema = z.lazy(() => z.object({
+    name: nodeName,
+    title: z.string().optional(),
+    template: z.string().startsWith('/').optional(),
+    properties: propertiesSchema,
+    preset: z.enum(PAGE_PRESET_NAMES).optional(),
+    components: z.array(componentSchema).optional(),
+    children: z.array(pageSchema).optional()
+}).strict());
+
+const blueprintSchema = z.object({
+    site: z.object({
+        name: nodeName.optional(),
+        title: z.string().min(1),
+        template: z.string().startsWith('/').optional(),
+        parentPath: z.string().startsWith('/').optional(),
+        language: z.string().optional(),
+        country: z.string().optional(),
+        properties: propertiesSchema
+    }).strict(),
+    pages: z.array(pageSchema).default([])
+}).strict();
+
+/**
+ * Parse and validate a blueprint
+ * @param {string|Object} input - Blueprint object, or a JSON / YAML document
+ * @returns {Object} { blueprint } or { errors: [string] }
+ */
+function parseBlueprint(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            // JSON is valid YAML, so one parser handles both formats
+            data = yaml.load(input);
+        } catch (error) {
+            return { errors: [`Blueprint is not valid JSON or YAML: ${error.message}`] };
+        }
+    }
+
+    const result = blueprintSchema.safeParse(data);
+    if (!result.success) {
+        return {
+            errors: result.error.issues.map(issue => `${issue.path.length > 0 ? issue.path.join('.') : 'blueprint'}: ${issue.message}`)
+        };
+    }
+
+    const duplicates = findDuplicateNames(result.data.pages, '');
+    if (duplicates.length > 0) {
+        return { errors: duplicates.map(path => `${path}: duplicate page name`) };
+    }
+
+    return { blueprint: result.data };
+}
+
+/**
+ * Find sibling pages sharing a name (they would map to the same JCR node)
+ */
+function findDuplicateNames(pages, parentPath) {
+    const seen = new Set();
+    const duplicates = [];
+    for (const page of pages) {
+        const path = `${parentPath}/${page.name}`;
+        if (seen.has(page.name)) {
+            duplicates.push(path);
+        }
+        seen.add(page.name);
+        duplicates.push(...findDuplicateNames(page.children || [], path));
+    }
+    return duplicates;
+}
+
+/**
+ * Count the pages of a blueprint (including nested ones)
+ */
+function countPages(pages = []) {
+    return pages.reduce((count, page) => count + 1 + countPages(page.children), 0);
+}
+
+module.exports = {
+    blueprintSchema,
+    parseBlueprint,
+    countPages
+};
@@ -0,0 +1,266 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Fragment Model - Content Fragment Model field specs and fragment validation
+ *
+ * Model fields are described with a compact, zod-like spec: a type name, "?" for an
+ * optional field and "[]" for a multi-value field, or an object with validation options.
+ * As in zod, fields are required unless marked optional.
+ *
+ * {
+ *   headline: { type: 'string', maxLength: 120 },
+ *   body: 'rich-text?',
+ *   tags: 'tag[]?',
+ *   price: { type: 'number', min: 0, optional: true },
+ *   status: { type: 'enum', values: ['draft', 'live'] },
+ *   author: { type: 'fragment', models: ['/conf/wknd/settings/dam/cfm/models/author'] }
+ * }
+ */
+
+const { z } = require('zod');
+
+// Spec types and the Sites API field type (and settings) they map to
+const FIELD_TYPES = {
+    string: { type: 'text' },
+    text: { type: 'long-text', mimeType: 'text/plain' },
+    'rich-text': { type: 'long-text', mimeType: 'text/html' },
+    markdown: { type: 'long-text', mimeType: 'text/x-markdown' },
+    number: { type: 'number', valueType: 'double' },
+    integer: { type: 'number', valueType: 'long' },
+    boolean: { type: 'boolean' },
+    date: { type: 'date', valueType: 'date' },
+    'date-time': { type: 'date', valueType: 'date-time' },
+    time: { type: 'date', valueType: 'time' },
+    enum: { type: 'enumeration' },
+    tag: { type: 'tag' },
+    reference: { type: 'content-reference' },
+    fragment: { type: 'content-fragment' },
+    json: { type: 'json' }
+};
+
+const SPEC_TYPE_NAMES = Object.keys(FIELD_TYPES);
+
+// Model field names become JCR property names and GraphQL fields
+const fieldName = z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'must start with a letter or "_" and contain only letters, digits and "_"');
+
+const fieldSpecObject = z.object({
+    type: z.enum(SPEC_TYPE_NAMES),
+    label: z.string().optional(),
+    description: z.string().optional(),
+    optional: z.boolean().optional(),
+    multiple: z.boolean().optional(),
+    maxLength: z.number().int().positive().optional(),
+    pattern: z.string().optional(),
+    min: z.number().optional(),
+    max: z.number().optional(),
+    values: z.array(z.string()).min(1).optional(),
+    models: z.array(z.string().startsWith('/')).optional(),
+    rootPath: z.string().startsWith('/').optional(),
+    defaultValue: z.any().optional()
+}).strict()
+    .refine(spec => spec.type !== 'enum' || spec.values, { message: 'enum fields need "values"' });
+
+/**
+ * Expand a shorthand spec ("tag[]?") into the object form
+ */
+function expandFieldSpec(spec) {
+    if (typeof spec !== 'string') return spec;
+    const match = /^([a-z-]+)(\[\])?(\?)?$/.exec(spec.trim());
+    if (!match) return { type: spec };
+    return {
+        type: match[1],
+        ...(match[2] ? { multiple: true } : {}),
+        ...(match[3] ? { optional: true } : {})
+    };
+}
+
+/**
+ * Turn a label out of a field name ("heroImage" → "Hero Image")
+ */
+function toLabel(name) {
+    const words = name.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Parse a field spec into Sites API model field definitions
+ * @param {Object} spec - { fieldName: 'type' | { type, ... } }
+ * @returns {Object} { fields: [API field definitions] } or { errors: [string] }
+ */
+function parseFieldSpec(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec) || Object.keys(spec).length === 0) {
+        return { errors: ['Field spec must be an object with at least one field'] };
+    }
+
+    const errors = [];
+    const fields = [];
+    for (const [name, rawSpec] of Object.entries(spec)) {
+        const nameResult = fieldName.safeParse(name);
+        if (!nameResult.success) {
+            errors.push(`${name}: ${nameResult.error.issues[0].message}`);
+            continue;
+        }
+        const result = fieldSpecObject.safeParse(expandFieldSpec(rawSpec));
+        if (!result.success) {
+            result.error.issues.forEach(issue => {
+                errors.push(`${name}${issue.path.length > 0 ? `.${issue.path.join('.')}` : ''}: ${issue.message}`);
+            });
+            continue;
+        }
+        fields.push(toModelField(name, result.data));
+    }
+
+    return errors.length > 0 ? { errors } : { fields };
+}
+
+/**
+ * Build a Sites API model field definition from a parsed spec
+ */
+function toModelField(name, spec) {
+    const field = {
+        name,
+        label: spec.label || toLabel(name),
+        ...FIELD_TYPES[spec.type],
+        required: spec.optional !== true,
+        multiple: spec.multiple === true
+    };
+    if (spec.description) field.description = spec.description;
+    if (spec.maxLength !== undefined) field.maxLength = spec.maxLength;
+    if (spec.pattern !== undefined) {
+        field.validationType = 'regex';
+        field.customValidationRegex = spec.pattern;
+    }
+    if (spec.min !== undefined) field.min = spec.min;
+    if (spec.max !== undefined) field.max = spec.max;
+    if (spec.values) field.values = spec.values;
+    if (spec.models) field.allowedContentFragmentModels = spec.models;
+    if (spec.rootPath) field.rootPath = spec.rootPath;
+    if (spec.defaultValue !== undefined) field.defaultValue = spec.defaultValue;
+    return field;
+}
+
+/**
+ * Normalize a model field returned by the Sites API
+ * @returns {Object} { name, label, type, required, multiple, validation }
+ */
+function describeModelField(field) {
+    const validation = {};
+    if (field.maxLength !== undefined) validation.maxLength = field.maxLength;
+    if (field.min !== undefined) validation.min = field.min;
+    if (field.max !== undefined) validation.max = field.max;
+    if (field.customValidationRegex) validation.pattern = field.customValidationRegex;
+    else if (field.validationType && field.validationType !== 'none') validation.format = field.validationType;
+    if (field.values) validation.values = field.values.map(value => (typeof value === 'object' && value !== null ? value.value : value));
+    if (field.allowedContentFragmentModels) validation.models = field.allowedContentFragmentModels;
+    if (field.rootPath) validation.rootPath = field.rootPath;
+    if (field.mimeType) validation.mimeType = field.mimeType;
+    if (field.valueType) validation.valueType = field.valueType;
+
+    return {
+        name: field.name,
+        label: field.label || field.name,
+        type: field.type,
+        required: field.required === true,
+        multiple: field.multiple === true,
+        validation
+    };
+}
+
+/**
+ * Validate one value against a described model field
+ * @returns {string|null} Error message
+ */
+function validateFieldValue(field, value) {
+    const { validation } = field;
+    const label = field.label;
+    if (field.type === 'text' || field.type === 'long-text') {
+        if (typeof value !== 'string') return `${label} must be text`;
+        if (validation.maxLength !== undefined && value.length > validation.maxLength) {
+            return `${label} must be at most ${validation.maxLength} characters (got ${value.length})`;
+        }
+        if (validation.pattern && !new RegExp(validation.pattern).test(value)) {
+            return `${label} must match ${validation.pattern}`;
+        }
+        if (validation.format === 'email' && !/^[^\s@]+@[^\s@]+$/.test(value)) return `${label} must be an e-mail address`;
+        if (validation.format === 'url' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) return `${label} must be a URL`;
+    } else if (field.type === 'number') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return `${label} must be a number, got ${JSON.stringify(value)}`;
+        if (validation.valueType === 'long' && !Number.isInteger(number)) return `${label} must be a whole number, got ${value}`;
+        if (validation.min !== undefined && number < validation.min) return `${label} must be at least ${validation.min}`;
+        if (validation.max !== undefined && number > validation.max) return `${label} must be at most ${validation.max}`;
+    } else if (field.type === 'boolean') {
+        if (![true, false, 'true', 'false'].includes(value)) return `${label} must be true or false, got ${JSON.stringify(value)}`;
+    } else if (field.type === 'date' || field.type === 'date-time') {
+        if (validation.valueType !== 'time' && Number.isNaN(new Date(value).getTime())) {
+            return `${label} must be a date (ISO 8601), got ${JSON.stringify(value)}`;
+        }
+    } else if (field.type === 'enumeration') {
+        if (validation.values && !validation.values.includes(String(value))) {
+            return `${label} must be one of: ${validation.values.join(', ')} (got ${JSON.stringify(value)})`;
+        }
+    } else if (field.type === 'content-reference' || field.type === 'content-fragment') {
+        if (typeof value !== 'string' || !value.startsWith('/')) return `${label} must be a repository path, got ${JSON.stringify(value)}`;
+        if (validation.rootPath && !value.startsWith(`${validation.rootPath}/`)) return `${label} must be below ${validation.rootPath}`;
+    }
+    return null;
+}
+
+/**
+ * Validate fragment field values against a model
+ * @param {Object} values - Field values by name
+ * @param {Array} modelFields - Fields from describeModelField
+ * @param {Object} options - { partial: true skips required checks (updates) }
+ * @returns {Array} [{ field, message }]
+ */
+function validateFragmentFields(values, modelFields, { partial = false } = {}) {
+    const errors = [];
+    const byName = new Map(modelFields.map(field => [field.name, field]));
+
+    for (const [name, value] of Object.entries(values)) {
+        const field = byName.get(name);
+        if (!field) {
+            errors.push({ field: name, message: `Unknown field. Fields of this model: ${modelFields.map(item => item.name).join(', ')}` });
+            continue;
+        }
+        const items = Array.isArray(value) ? value : [value];
+        if (Array.isArray(value) && !field.multiple) {
+            errors.push({ field: name, message: `${field.label} does not accept multiple values` });
+            continue;
+        }
+        for (const item of items) {
+            if (item === null || item === undefined || item === '') continue;
+            const message = validateFieldValue(field, item);
+            if (message) {
+                errors.push({ field: name, message });
+                break;
+            }
+        }
+    }
+
+    if (!partial) {
+        modelFields
+            .filter(field => field.required)
+            .filter(field => [].concat(values[field.name] ?? []).every(item => item === null || item === ''))
+            .forEach(field => errors.push({ field: field.name, message: `${field.label} is required` }));
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SPEC_TYPE_NAMES,
+    parseFieldSpec,
+    describeModelField,
+    validateFragmentFields
+};
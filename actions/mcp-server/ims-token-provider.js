@@ -0,0 +1,239 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * IMS Token Provider - Exchanges Adobe IMS credentials for AEM access tokens
+ *
+ * Supports two credential types:
+ * - OAuth server-to-server: { clientId, clientSecret, scopes } exchanged at /ims/token/v3
+ * - AEM Cloud "technical account" JSON (Developer Console service credentials), exchanged
+ *   with a signed JWT at /ims/exchange/jwt
+ *
+ * Tokens are cached per credential (shared by all clients in a warm container) until
+ * shortly before they expire.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_IMS_URL = 'https://ims-na1.adobelogin.com';
+const DEFAULT_OAUTH_SCOPES = ['AdobeID', 'openid', 'read_organizations', 'additional_info.projectedProductContext'];
+
+// Refresh tokens this long before they expire (capped at 10% of the token lifetime)
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Token lifetime assumed when IMS does not report expires_in (the usual IMS lifetime)
+const DEFAULT_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// Lifetime of the JWT assertion sent to IMS for technical accounts
+const JWT_ASSERTION_TTL_SECONDS = 5 * 60;
+
+// Cached tokens and in-flight requests, keyed by credential
+const tokenCache = new Map();
+const pendingRequests = new Map();
+
+/**
+ * Check whether credentials need an IMS token exchange
+ * @param {Object} credentials - AEM client credentials
+ * @returns {boolean}
+ */
+function isImsCredentials(credentials) {
+    return !!(credentials && (credentials.serviceCredentials || (credentials.clientId && credentials.clientSecret)));
+}
+
+/**
+ * Normalize an IMS endpoint ("ims-na1.adobelogin.com" or a full URL) to a base URL
+ */
+function normalizeImsUrl(imsUrl) {
+    const url = imsUrl || DEFAULT_IMS_URL;
+    return (/^https?:\/\//.test(url) ? url : `https://${url}`).replace(/\/$/, '');
+}
+
+/**
+ * Split scopes given as an array or a comma/space-separated string
+ */
+function parseScopes(scopes) {
+    if (Array.isArray(scopes)) {
+        return scopes.map(scope => String(scope).trim()).filter(Boolean);
+    }
+    return String(scopes || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Parse AEM Cloud service credentials (object or JSON string) into the integration block
+ */
+function parseServiceCredentials(serviceCredentials) {
+    let parsed = serviceCredentials;
+    if (typeof parsed === 'string') {
+        try {
+            parsed = JSON.parse(parsed);
+        } catch (error) {
+            throw new Error(`Service credentials are not valid JSON: ${error.message}`);
+        }
+    }
+
+    // The Developer Console download wraps the credentials in { ok, integration, statusCode }
+    const integration = parsed.integration || parsed;
+    const technicalAccount = integration.technicalAccount || {};
+    const missing = ['id', 'org', 'privateKey'].filter(field => !integration[field]);
+    if (!technicalAccount.clientId) missing.push('technicalAccount.clientId');
+    if (!technicalAccount.clientSecret) missing.push('technicalAccount.clientSecret');
+    if (missing.length > 0) {
+        throw new Error(`Service credentials are missing: ${missing.join(', ')}`);
+    }
+
+    return integration;
+}
+
+/**
+ * Build the signed JWT assertion for a technical account
+ */
+function createJwtAssertion(integration, imsUrl) {
+    const clientId = integration.technicalAccount.clientId;
+    const payload = {
+        exp: Math.floor(Date.now() / 1000) + JWT_ASSERTION_TTL_SECONDS,
+        iss: integration.org,
+        sub: integration.id,
+        aud: `${imsUrl}/c/${clientId}`
+    };
+    for (const metascope of parseScopes(integration.metascopes)) {
+        payload[`${imsUrl}/s/${metascope}`] = true;
+    }
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}`;
+    const privateKey = integration.privateKey.replace(/\\r\\n|\\n/g, '\n');
+    const signature = crypto.createSign('RSA-SHA256').update(signingInput).sign(privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+}
+
+/**
+ * Adobe IMS token provider for OAuth server-to-server and technical account credentials
+ */
+class ImsTokenProvider {
+    /**
+     * @param {Object} credentials - IMS credentials
+     * @param {string} credentials.clientId - OAuth client ID
+     * @param {string} credentials.clientSecret - OAuth client secret
+     * @param {string|string[]} credentials.scopes - OAuth scopes (optional)
+     * @param {Object|string} credentials.serviceCredentials - AEM Cloud technical account JSON
+     * @param {string} credentials.imsUrl - IMS base URL (optional, taken from the service credentials or ims-na1)
+     */
+    constructor(credentials) {
+        if (credentials.serviceCredentials) {
+            this.integration = parseServiceCredentials(credentials.serviceCredentials);
+            this.imsUrl = normalizeImsUrl(credentials.imsUrl || this.integration.imsEndpoint);
+            this.clientId = this.integration.technicalAccount.clientId;
+            this.grantType = 'jwt';
+            this.cacheKey = `jwt|${this.imsUrl}|${this.clientId}|${this.integration.id}`;
+        } else {
+            this.imsUrl = normalizeImsUrl(credentials.imsUrl);
+            this.clientId = credentials.clientId;
+            this.clientSecret = credentials.clientSecret;
+            const scopes = parseScopes(credentials.scopes);
+            this.scopes = scopes.length > 0 ? scopes : DEFAULT_OAUTH_SCOPES;
+            this.grantType = 'client_credentials';
+            this.cacheKey = `oauth|${this.imsUrl}|${this.clientId}|${this.scopes.join(',')}`;
+        }
+    }
+
+    /**
+     * Get a valid access token, requesting a new one when the cached token is about to expire
+     * @param {boolean} forceRefresh - Ignore the cached token
+     * @returns {Promise<string>} Access token
+     */
+    async getAccessToken(forceRefresh = false) {
+        const cached = tokenCache.get(this.cacheKey);
+        if (!forceRefresh && cached && Date.now() < cached.refreshAt) {
+            return cached.accessToken;
+        }
+
+        // Concurrent callers share one token request
+        if (!pendingRequests.has(this.cacheKey)) {
+            const request = this.requestToken()
+                .then(token => {
+                    tokenCache.set(this.cacheKey, token);
+                    return token.accessToken;
+                })
+                .finally(() => pendingRequests.delete(this.cacheKey));
+            pendingRequests.set(this.cacheKey, request);
+        }
+        return pendingRequests.get(this.cacheKey);
+    }
+
+    /**
+     * Drop the cached token (e.g. after AEM rejected it)
+     */
+    invalidate() {
+        tokenCache.delete(this.cacheKey);
+    }
+
+    /**
+     * Exchange the credentials for a new access token
+     * @returns {Promise<Object>} { accessToken, expiresAt, refreshAt }
+     */
+    async requestToken() {
+        const form = new URLSearchParams();
+        let tokenUrl;
+        if (this.grantType === 'jwt') {
+            tokenUrl = `${this.imsUrl}/ims/exchange/jwt`;
+            form.append('client_id', this.clientId);
+            form.append('client_secret', this.integration.technicalAccount.clientSecret);
+            form.append('jwt_token', createJwtAssertion(this.integration, this.imsUrl));
+        } else {
+            tokenUrl = `${this.imsUrl}/ims/token/v3`;
+            form.append('grant_type', 'client_credentials');
+            form.append('client_id', this.clientId);
+            form.append('client_secret', this.clientSecret);
+            form.append('scope', this.scopes.join(','));
+        }
+
+        let response;
+        try {
+            response = await axios.post(tokenUrl, form.toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 30000
+            });
+        } catch (error) {
+            const detail = error.response?.data?.error_description || error.response?.data?.error || error.message;
+            throw new Error(`Failed to obtain IMS access token: ${detail}`);
+        }
+
+        const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+        if (!accessToken) {
+            throw new Error('Failed to obtain IMS access token: response did not contain an access_token');
+        }
+
+        // /ims/token/v3 reports expires_in in seconds, /ims/exchange/jwt in milliseconds
+        const reportedMs = this.grantType === 'jwt' ? Number(expiresIn) : Number(expiresIn) * 1000;
+        const lifetimeMs = Number.isFinite(reportedMs) && reportedMs > 0 ? reportedMs : DEFAULT_TOKEN_LIFETIME_MS;
+        const expiresAt = Date.now() + lifetimeMs;
+        return {
+            accessToken,
+            expiresAt,
+            refreshAt: expiresAt - Math.min(REFRESH_MARGIN_MS, lifetimeMs / 10)
+        };
+    }
+}
+
+/**
+ * Clear all cached IMS tokens
+ */
+function clearTokenCache() {
+    tokenCache.clear();
+}
+
+module.exports = {
+    ImsTokenProvider,
+    isImsCredentials,
+    clearTokenCache
+};
@@ -15,16 +15,27 @@ governing permissions and limitations under the License.
  *
  * Following the exact pattern from TypeScript SDK examples but adapted for Adobe I/O Runtime.
  * Uses the stateless pattern where fresh server and transport instances are created per request.
+ * Set MCP_STATEFUL_SESSIONS=true to issue mcp-session-id values and keep session state in a
+ * pluggable session store (see session-store.js) across Runtime invocations.
  */
 
+const { randomUUID } = require('crypto')
 const { Core } = require('@adobe/aio-sdk')
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js')
 const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js')
+const { LATEST_PROTOCOL_VERSION } = require('@modelcontextprotocol/sdk/types.js')
 const { registerTools, registerResources, registerPrompts } = require('./tools.js')
+const { createSessionStore } = require('./session-store.js')
+const { authenticateRequest, resolveAllowedOrigin } = require('./auth.js')
+const { configureEnvironments } = require('./aem-environments.js')
 
 // Global logger variable
 let logger = null
 
+// Session store is kept at module level so warm containers reuse in-memory sessions
+let sessionStore = null
+let sessionStoreKey = null
+
 /**
  * Create MCP server instance with all capabilities
  * Following the exact pattern from SDK examples
@@ -102,17 +113,34 @@ function createCompatibleRequest (params) {
 }
 
 /**
- * Create minimal res object compatible with StreamableHTTPServerTransport
+ * Build CORS headers using the configured allowed origins (MCP_ALLOWED_ORIGINS)
  */
-function createCompatibleResponse () {
-    let statusCode = 200
-    let headers = {
-        'Access-Control-Allow-Origin': '*',
+function getCorsHeaders (params) {
+    const headers = {
         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS, DELETE',
         'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, x-api-key, mcp-session-id, Last-Event-ID',
         'Access-Control-Expose-Headers': 'Content-Type, mcp-session-id, Last-Event-ID',
         'Access-Control-Max-Age': '86400'
     }
+
+    const allowedOrigin = resolveAllowedOrigin(params)
+    if (allowedOrigin) {
+        headers['Access-Control-Allow-Origin'] = allowedOrigin
+    }
+    if (allowedOrigin !== '*') {
+        // The response depends on the request origin, so caches must key on it
+        headers.Vary = 'Origin'
+    }
+
+    return headers
+}
+
+/**
+ * Create minimal res object compatible with StreamableHTTPServerTransport
+ */
+function createCompatibleResponse (params) {
+    let statusCode = 200
+    let headers = getCorsHeaders(params)
     let body = ''
     let headersSent = false
 
@@ -181,15 +209,11 @@ function createCompatibleResponse () {
 /**
  * Handle health check requests
  */
-function handleHealthCheck () {
+function handleHealthCheck (params) {
     return {
         statusCode: 200,
         headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS, DELETE',
-            'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, x-api-key, mcp-session-id, Last-Event-ID',
-            'Access-Control-Expose-Headers': 'Content-Type, mcp-session-id, Last-Event-ID',
-            'Access-Control-Max-Age': '86400',
+            ...getCorsHeaders(params),
             'Content-Type': 'application/json'
         },
         body: JSON.stringify({
@@ -207,55 +231,222 @@ function handleHealthCheck () {
 /**
  * Handle CORS OPTIONS requests
  */
-function handleOptionsRequest () {
+function handleOptionsRequest (params) {
     return {
         statusCode: 200,
+        headers: getCorsHeaders(params),
+        body: ''
+    }
+}
+
+/**
+ * Check whether stateful session mode is enabled (action input or environment variable)
+ */
+function isStatefulMode (params) {
+    const value = params.MCP_STATEFUL_SESSIONS ?? process.env.MCP_STATEFUL_SESSIONS
+    return String(value).toLowerCase() === 'true'
+}
+
+/**
+ * Get (or create) the session store configured by the action inputs
+ */
+function getSessionStore (params) {
+    const options = {
+        type: params.MCP_SESSION_STORE || process.env.MCP_SESSION_STORE,
+        directory: params.MCP_SESSION_DIR || process.env.MCP_SESSION_DIR,
+        ttlSeconds: params.MCP_SESSION_TTL || process.env.MCP_SESSION_TTL
+    }
+    const key = JSON.stringify(options)
+
+    if (!sessionStore || (sessionStoreKey !== null && sessionStoreKey !== key)) {
+        sessionStore = createSessionStore(options)
+        sessionStoreKey = key
+    }
+
+    return sessionStore
+}
+
+/**
+ * Replace the session store (e.g. with a Redis or database-backed adapter)
+ * @param {Object} store - Object implementing async get/set/delete, or null to reset to the configured store
+ */
+function setSessionStore (store) {
+    sessionStore = store
+    // A custom store is kept regardless of the action inputs
+    sessionStoreKey = null
+}
+
+/**
+ * Check whether a JSON-RPC payload (single or batch) contains an initialize request
+ */
+function isInitializeBody (body) {
+    const messages = Array.isArray(body) ? body : [body]
+    return messages.some(message => message && message.method === 'initialize')
+}
+
+/**
+ * Resolve once the SDK has finished writing a response
+ */
+function waitForResponseEnd (res) {
+    return new Promise(resolve => {
+        // Override the end method to know when response is done
+        const originalEnd = res.end.bind(res)
+        res.end = function (chunk) {
+            const result = originalEnd(chunk)
+            // Give a small delay to ensure all writes are captured
+            setTimeout(() => resolve(), 10)
+            return result
+        }
+    })
+}
+
+/**
+ * Bring a fresh server and transport into an existing session by replaying the session's
+ * initialize request (the transport then takes the session ID from sessionIdGenerator)
+ */
+async function restoreSession (transport, params, session) {
+    const req = createCompatibleRequest(params)
+    req.method = 'POST'
+    req.body = {
+        jsonrpc: '2.0',
+        id: `restore-${session.id}`,
+        method: 'initialize',
+        params: {
+            protocolVersion: session.protocolVersion || LATEST_PROTOCOL_VERSION,
+            capabilities: session.capabilities || {},
+            clientInfo: session.clientInfo || { name: 'unknown', version: '0.0.0' }
+        }
+    }
+
+    // The replayed initialize response is not returned to the client
+    const res = createCompatibleResponse(params)
+    const responseComplete = waitForResponseEnd(res)
+    await transport.handleRequest(req, res, req.body)
+    await responseComplete
+}
+
+/**
+ * Build a JSON-RPC error response for Adobe I/O Runtime
+ */
+function jsonRpcErrorResponse (params, statusCode, code, message, extraHeaders = {}) {
+    return {
+        statusCode,
         headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS, DELETE',
-            'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, x-api-key, mcp-session-id, Last-Event-ID',
-            'Access-Control-Expose-Headers': 'Content-Type, mcp-session-id, Last-Event-ID',
-            'Access-Control-Max-Age': '86400'
+            ...getCorsHeaders(params),
+            'Content-Type': 'application/json',
+            ...extraHeaders
         },
-        body: ''
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            error: { code, message },
+            id: null
+        })
+    }
+}
+
+/**
+ * Identify the caller a session belongs to (JWT subject, or the kind of credential)
+ */
+function getSessionOwner (principal) {
+    if (!principal) {
+        return null
     }
+    return principal.type === 'jwt' ? `jwt:${principal.subject ?? ''}` : principal.type
 }
 
 /**
- * Handle MCP requests using the SDK - following the exact stateless pattern
+ * Handle MCP requests using the SDK - following the exact stateless pattern,
+ * or the stateful pattern when MCP_STATEFUL_SESSIONS is enabled
+ * @param {Object} params - Adobe I/O Runtime action parameters
+ * @param {Object} principal - Authenticated caller from authenticateRequest (null when auth is disabled)
  */
-async function handleMcpRequest (params) {
+async function handleMcpRequest (params, principal = null) {
     // Following the exact pattern from simpleStatelessStreamableHttp.ts
     const server = createMcpServer()
     let transport = null
+    let req = null
 
     try {
-        logger?.info('Creating fresh MCP server and transport (stateless pattern)')
-
         // Create minimal compatible req/res objects
-        const req = createCompatibleRequest(params)
-        const res = createCompatibleResponse()
+        req = createCompatibleRequest(params)
+        const res = createCompatibleResponse(params)
+
+        const stateful = isStatefulMode(params)
+        const store = stateful ? getSessionStore(params) : null
+        const requestSessionId = req.headers['mcp-session-id']
+        const owner = getSessionOwner(principal)
+        let session = null
+
+        if (stateful) {
+            logger?.info('Creating MCP server and transport (stateful pattern)')
+
+            if (requestSessionId && !isInitializeBody(req.body)) {
+                session = await store.get(requestSessionId)
+                if (!session) {
+                    logger?.warn(`Unknown or expired session: ${requestSessionId}`)
+                    return jsonRpcErrorResponse(params, 404, -32001, 'Session not found')
+                }
+                // Sessions only answer to the caller that created them
+                if ((session.owner ?? null) !== owner) {
+                    logger?.warn(`Session ${requestSessionId} belongs to another caller`)
+                    return jsonRpcErrorResponse(params, 404, -32001, 'Session not found')
+                }
+            }
+            const restoredSession = session
+
+            transport = new StreamableHTTPServerTransport({
+                // Each invocation gets a fresh transport; a restored session keeps its ID
+                sessionIdGenerator: () => (restoredSession ? restoredSession.id : randomUUID()),
+                enableJsonResponse: true, // Enable JSON response mode for MCP Inspector compatibility
+                onsessioninitialized: async sessionId => {
+                    if (restoredSession) {
+                        return
+                    }
+                    const now = new Date().toISOString()
+                    session = await store.set(sessionId, {
+                        owner,
+                        createdAt: now,
+                        lastSeenAt: now,
+                        requestCount: 0,
+                        clientInfo: req.body?.params?.clientInfo || null,
+                        capabilities: req.body?.params?.capabilities || null,
+                        protocolVersion: req.body?.params?.protocolVersion || null,
+                        context: {}
+                    })
+                    logger?.info(`Session initialized: ${sessionId}`)
+                },
+                onsessionclosed: async sessionId => {
+                    await store.delete(sessionId)
+                    session = null
+                    logger?.info(`Session closed: ${sessionId}`)
+                }
+            })
+        } else {
+            logger?.info('Creating fresh MCP server and transport (stateless pattern)')
 
-        // Create fresh transport for this request (stateless)
-        transport = new StreamableHTTPServerTransport({
-            sessionIdGenerator: undefined, // Let SDK manage sessions
-            enableJsonResponse: true, // Enable JSON response mode for MCP Inspector compatibility
-        })
+            // Create fresh transport for this request (stateless)
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: undefined, // Let SDK manage sessions
+                enableJsonResponse: true, // Enable JSON response mode for MCP Inspector compatibility
+            })
+        }
 
         // Connect server to transport
         await server.connect(transport)
 
-        // Create a promise that resolves when the response is complete
-        const responseComplete = new Promise(resolve => {
-            // Override the end method to know when response is done
-            const originalEnd = res.end.bind(res)
-            res.end = function (chunk) {
-                const result = originalEnd(chunk)
-                // Give a small delay to ensure all writes are captured
-                setTimeout(() => resolve(), 10)
-                return result
+        if (stateful && session) {
+            await restoreSession(transport, params, session)
+            // Tool handlers read and update the session context through extra.authInfo.extra
+            req.auth = {
+                token: '',
+                clientId: session.clientInfo?.name || 'unknown',
+                scopes: [],
+                extra: { sessionId: session.id, sessionContext: session.context || {} }
             }
-        })
+        }
+
+        // Create a promise that resolves when the response is complete
+        const responseComplete = waitForResponseEnd(res)
 
         // Let the SDK handle everything - this is the key line!
         await transport.handleRequest(req, res, req.body)
@@ -263,6 +454,16 @@ async function handleMcpRequest (params) {
         // Wait for the response to be complete
         await responseComplete
 
+        // Persist session activity so the next invocation can pick it up
+        if (stateful && session) {
+            session = await store.set(session.id, {
+                ...session,
+                context: req.auth?.extra.sessionContext || session.context,
+                lastSeenAt: new Date().toISOString(),
+                requestCount: (session.requestCount || 0) + 1
+            })
+        }
+
         // Cleanup (following the pattern from examples)
         res.on('close', () => {
             logger?.info('Request closed, cleaning up')
@@ -281,7 +482,7 @@ async function handleMcpRequest (params) {
             message: error.message,
             stack: error.stack,
             name: error.name,
-            body: req.body ? (typeof req.body === 'string' ? req.body.substring(0, 500) : JSON.stringify(req.body).substring(0, 500)) : 'no body'
+            body: req?.body ? (typeof req.body === 'string' ? req.body.substring(0, 500) : JSON.stringify(req.body).substring(0, 500)) : 'no body'
         }
         
         logger?.error('Error in handleMcpRequest:', JSON.stringify(errorDetails, null, 2))
@@ -299,7 +500,7 @@ async function handleMcpRequest (params) {
         return {
             statusCode: 500,
             headers: {
-                'Access-Control-Allow-Origin': '*',
+                ...getCorsHeaders(params),
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -338,29 +539,56 @@ async function main (params) {
             }
         }
 
+        // Make action inputs (AEM environment profiles) available to the AEM tools
+        configureEnvironments(params)
+
         logger.info('MCP Server using official TypeScript SDK v1.17.4')
         logger.info(`Request method: ${params.__ow_method}`)
 
+        // Authenticate callers before anything reaches the SDK (health check and preflight stay public)
+        const method = params.__ow_method?.toLowerCase()
+        let principal = null
+        if (method === 'post' || method === 'delete') {
+            const auth = authenticateRequest(params)
+            if (!auth.ok) {
+                logger.warn(`Rejected ${method} request: ${auth.message}`)
+                const extraHeaders = auth.statusCode === 401 ? { 'WWW-Authenticate': 'Bearer realm="mcp-server"' } : {}
+                return jsonRpcErrorResponse(params, auth.statusCode, auth.statusCode === 401 ? -32001 : -32003, auth.message, extraHeaders)
+            }
+            if (auth.authDisabled) {
+                logger.warn('Inbound authentication is disabled by MCP_AUTH_DISABLED: set MCP_API_KEYS or MCP_JWT_SECRET/MCP_JWT_PUBLIC_KEY')
+            }
+            principal = auth.principal
+        }
+
         // Route requests
         switch (params.__ow_method?.toLowerCase()) {
         case 'get':
             logger.info('Health check request')
-            return handleHealthCheck()
+            return handleHealthCheck(params)
 
         case 'options':
             logger.info('CORS preflight request')
-            return handleOptionsRequest()
+            return handleOptionsRequest(params)
 
         case 'post':
             logger.info('MCP protocol request - delegating to SDK')
-            return await handleMcpRequest(params)
+            return await handleMcpRequest(params, principal)
+
+        case 'delete':
+            if (isStatefulMode(params)) {
+                logger.info('MCP session termination request - delegating to SDK')
+                return await handleMcpRequest(params, principal)
+            }
+            logger.warn('DELETE requires stateful sessions (MCP_STATEFUL_SESSIONS=true)')
+            return jsonRpcErrorResponse(params, 405, -32000, "Method 'delete' not allowed. Session termination requires MCP_STATEFUL_SESSIONS=true")
 
         default:
             logger.warn(`Method not allowed: ${params.__ow_method}`)
         return {
             statusCode: 405,
             headers: {
-                    'Access-Control-Allow-Origin': '*',
+                ...getCorsHeaders(params),
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -384,7 +612,7 @@ async function main (params) {
         return {
             statusCode: 500,
             headers: {
-                'Access-Control-Allow-Origin': '*',
+                ...getCorsHeaders(params),
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -400,4 +628,4 @@ async function main (params) {
 }
 
 // Export for Adobe I/O Runtime
-module.exports = { main }
+module.exports = { main, setSessionStore }
@@ -0,0 +1,212 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Metadata CSV - Spreadsheet format for DAM asset metadata
+ *
+ * One row per asset: the first column is the asset path, every other column a metadata
+ * property. Multi-value properties are joined with "|". Headers may carry the type suffix
+ * used by the AEM Assets metadata importer, e.g. "prism:expirationDate {{Date}}" or
+ * "dc:subject {{String: multi}}". Cells that a spreadsheet would run as a formula (starting with
+ * =, +, -, @, tab or carriage return) are written with a leading "'", which is removed on import.
+ *
+ * assetPath,dc:title,cq:tags
+ * /content/dam/brand/logo.png,Brand Logo,brand:logo|brand:primary
+ */
+
+const { isProtectedProperty } = require('./metadata-schema');
+
+const PATH_COLUMNS = ['assetPath', 'path'];
+const MULTI_VALUE_SEPARATOR = '|';
+const COLUMN_TYPES = ['String', 'Date', 'Boolean', 'Long', 'Double'];
+
+// First characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV cell when needed, and escape cells that would be evaluated as a formula
+ */
+function toCsvCell(value) {
+    let text = Array.isArray(value) ? value.join(MULTI_VALUE_SEPARATOR) : (value === null || value === undefined ? '' : String(value));
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write asset metadata as CSV
+ * @param {Array} assets - [{ path, metadata }]
+ * @param {string[]} columns - Metadata properties to write
+ * @returns {string} CSV text
+ */
+function formatMetadataCsv(assets, columns) {
+    const lines = [['assetPath', ...columns].map(toCsvCell).join(',')];
+    for (const asset of assets) {
+        const metadata = asset.metadata || {};
+        lines.push([asset.path, ...columns.map(column => metadata[column])].map(toCsvCell).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain commas, quotes and line breaks)
+ * @returns {Array} [{ line, cells }] with the line number each row starts on
+ */
+function splitCsvRows(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted cell starting on line ${rowLine}`);
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+    }
+
+    // Blank lines carry no row
+    return rows.filter(row => row.cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a column header ("dc:subject {{String: multi}}")
+ * @returns {Object} { name, type, multiple }
+ */
+function parseColumn(header) {
+    const match = /^(.*?)\s*\{\{\s*(\w+)\s*(?::\s*(multi))?\s*\}\}\s*$/.exec(header);
+    if (!match) {
+        return { name: header.trim(), type: null, multiple: false };
+    }
+    return { name: match[1].trim(), type: match[2], multiple: match[3] === 'multi' };
+}
+
+/**
+ * Parse and validate a metadata CSV
+ * @param {string} text - CSV text (header row first)
+ * @returns {Object} { columns: [{ name, type, multiple }], rows: [{ line, assetPath, values }], errors: [{ line, message }] }
+ */
+function parseMetadataCsv(text) {
+    const rows = splitCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        return { columns: [], rows: [], errors: [{ line: 1, message: 'CSV is empty' }] };
+    }
+
+    const [header, ...dataRows] = rows;
+    const errors = [];
+    if (!PATH_COLUMNS.includes(header.cells[0].trim())) {
+        errors.push({ line: header.line, message: `The first column must be "assetPath" (got "${header.cells[0]}")` });
+    }
+
+    const columns = header.cells.slice(1).map(parseColumn);
+    const seen = new Set();
+    columns.forEach((column, index) => {
+        if (!column.name) {
+            errors.push({ line: header.line, message: `Column ${index + 2} has no name` });
+        } else if (seen.has(column.name)) {
+            errors.push({ line: header.line, message: `Duplicate column "${column.name}"` });
+        } else if (isProtectedProperty(column.name)) {
+            errors.push({ line: header.line, message: `Column "${column.name}" is maintained by AEM and cannot be imported` });
+        } else if (column.type && !COLUMN_TYPES.includes(column.type)) {
+            errors.push({ line: header.line, message: `Column "${column.name}" has an unsupported type "${column.type}" (use ${COLUMN_TYPES.join(', ')})` });
+        }
+        seen.add(column.name);
+    });
+    if (columns.length === 0) {
+        errors.push({ line: header.line, message: 'No metadata columns' });
+    }
+    if (errors.length > 0) {
+        return { columns, rows: [], errors };
+    }
+
+    const parsed = [];
+    const paths = new Map();
+    for (const row of dataRows) {
+        const assetPath = row.cells[0].trim();
+        if (row.cells.length > columns.length + 1) {
+            errors.push({ line: row.line, message: `Row has ${row.cells.length} cells, the header has ${columns.length + 1}` });
+        } else if (!assetPath.startsWith('/content/dam/')) {
+            errors.push({ line: row.line, message: `Asset path must start with /content/dam/ (got "${assetPath}")` });
+        } else if (paths.has(assetPath)) {
+            errors.push({ line: row.line, message: `${assetPath} is already listed on line ${paths.get(assetPath)}` });
+        } else {
+            paths.set(assetPath, row.line);
+            const values = {};
+            columns.forEach((column, index) => {
+                values[column.name] = row.cells[index + 1] ?? '';
+            });
+            parsed.push({ line: row.line, assetPath, values });
+        }
+    }
+
+    return { columns, rows: parsed, errors };
+}
+
+/**
+ * Turn a CSV cell into a metadata value for updateAssetMetadata
+ * @param {string} cell - Cell text
+ * @param {Object} column - Parsed column ({ type, multiple })
+ * @param {*} currentValue - Current value of the property; arrays keep the value multi-valued
+ * @returns {*} String, array or { type, value }; undefined for an empty cell (property left unchanged)
+ */
+function toMetadataValue(cell, column, currentValue) {
+    let text = cell.trim();
+    if (text === '') return undefined;
+    // Undo the formula escape added on export
+    if (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1))) {
+        text = text.slice(1);
+    }
+
+    const value = column.multiple || Array.isArray(currentValue)
+        ? text.split(MULTI_VALUE_SEPARATOR).map(item => item.trim()).filter(item => item !== '')
+        : text;
+    return column.type && column.type !== 'String' ? { type: column.type, value } : value;
+}
+
+module.exports = {
+    formatMetadataCsv,
+    parseMetadataCsv,
+    toMetadataValue
+};
@@ -0,0 +1,225 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Metadata Schema - Validation and typing of DAM asset metadata
+ *
+ * Metadata schema forms (/conf/global/settings/dam/adminui-extension/metadataschema/<schema>)
+ * contain one form field per editable property, named ./jcr:content/metadata/<property>.
+ * This module turns a schema form into a field map and checks metadata updates against it,
+ * and builds the Sling POST type hints for typed values.
+ */
+
+const METADATA_PREFIX = './jcr:content/metadata/';
+
+// Schema used by folders that do not set jcr:content/metadataSchema
+const DEFAULT_METADATA_SCHEMA = '/conf/global/settings/dam/adminui-extension/metadataschema/default';
+
+// Properties maintained by AEM (asset processing, XMP extraction); never written or removed by replace mode
+const PROTECTED_METADATA_PREFIXES = [
+    'jcr:', 'dam:', 'tiff:', 'exif:', 'xmp:', 'xmpMM:', 'xmpTPg:', 'xmpRights:', 'crs:', 'photoshop:',
+    'pdf:', 'Iptc4xmpCore:', 'lr:'
+];
+const PROTECTED_METADATA_PROPERTIES = ['dc:format'];
+
+// Sling POST type hints accepted for explicit { type, value } values
+const VALUE_TYPES = ['String', 'Date', 'Boolean', 'Long', 'Double'];
+
+/**
+ * Map a schema form field resource type to a value type
+ */
+function getFieldType(resourceType = '') {
+    if (resourceType.includes('datepicker')) return 'date';
+    if (resourceType.includes('numberfield')) return 'number';
+    if (resourceType.includes('checkbox')) return 'boolean';
+    if (resourceType.includes('dropdown') || resourceType.endsWith('/select')) return 'select';
+    if (resourceType.includes('tagfield')) return 'tags';
+    return 'text';
+}
+
+/**
+ * Parse a metadata schema form (.infinity.json) into its fields
+ * @param {Object} schemaJson - Schema form node tree
+ * @returns {Object} Map of property name to { type, label, required, multiple, options }
+ */
+function parseMetadataSchema(schemaJson) {
+    const fields = {};
+
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+
+        if (typeof node.name === 'string' && node.name.startsWith(METADATA_PREFIX)) {
+            const resourceType = node['sling:resourceType'] || node.resourceType || '';
+            const type = getFieldType(resourceType);
+            // Dropdown choices are stored as child items; a datasource means they are computed
+            const options = type === 'select' && node.items && !node.datasource
+                ? Object.values(node.items).filter(item => item && item.value !== undefined).map(item => String(item.value))
+                : null;
+
+            fields[node.name.slice(METADATA_PREFIX.length)] = {
+                type,
+                label: node.fieldLabel || node.name.slice(METADATA_PREFIX.length),
+                required: node.required === true || node.required === 'true',
+                multiple: type === 'tags' || /mvtextfield|multifield/.test(resourceType) ||
+                    node.multiple === true || node.multiple === 'true' || node.multiSelect === true || node.multiSelect === 'true',
+                options: options && options.length > 0 ? options : null
+            };
+        }
+
+        Object.values(node).forEach(child => {
+            if (child && typeof child === 'object' && !Array.isArray(child)) {
+                visit(child);
+            }
+        });
+    };
+
+    visit(schemaJson);
+    return fields;
+}
+
+/**
+ * Check whether a metadata property is maintained by AEM
+ */
+function isProtectedProperty(key) {
+    return PROTECTED_METADATA_PROPERTIES.includes(key) || PROTECTED_METADATA_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Unwrap an explicit { type, value } metadata value
+ */
+function unwrapValue(value) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return { type: value.type, value: value.value };
+    }
+    return { type: null, value };
+}
+
+/**
+ * Validate one value against a schema field
+ * @returns {string|null} Error message
+ */
+function validateFieldValue(field, value) {
+    const values = Array.isArray(value) ? value : [value];
+
+    if (Array.isArray(value) && !field.multiple && field.type !== 'text') {
+        return `${field.label} does not accept multiple values`;
+    }
+    if (field.required && values.every(item => item === '' || item === null || item === undefined)) {
+        return `${field.label} is required`;
+    }
+
+    for (const item of values) {
+        if (item === '' || item === null || item === undefined) continue;
+        if (field.type === 'date' && Number.isNaN(new Date(item).getTime())) {
+            return `${field.label} must be a date (ISO 8601), got "${item}"`;
+        }
+        if (field.type === 'number' && (typeof item === 'boolean' || Number.isNaN(Number(item)))) {
+            return `${field.label} must be a number, got "${item}"`;
+        }
+        if (field.type === 'boolean' && ![true, false, 'true', 'false'].includes(item)) {
+            return `${field.label} must be true or false, got "${item}"`;
+        }
+        if (field.options && !field.options.includes(String(item))) {
+            return `${field.label} must be one of: ${field.options.join(', ')} (got "${item}")`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate a metadata update
+ * @param {Object} updates - Properties to write ({ key: value | [values] | { type, value } })
+ * @param {string[]} removals - Properties to remove
+ * @param {Object|null} fields - Schema fields from parseMetadataSchema (null skips schema checks)
+ * @returns {Array} [{ field, message }]
+ */
+function validateMetadataUpdate(updates, removals, fields) {
+    const errors = [];
+
+    for (const [key, rawValue] of Object.entries(updates)) {
+        if (isProtectedProperty(key)) {
+            errors.push({ field: key, message: `${key} is maintained by AEM and cannot be written` });
+            continue;
+        }
+
+        const { type, value } = unwrapValue(rawValue);
+        if (type !== null && !VALUE_TYPES.includes(type)) {
+            errors.push({ field: key, message: `Unsupported value type "${type}" (use ${VALUE_TYPES.join(', ')})` });
+            continue;
+        }
+        if (type === 'Date' && Number.isNaN(new Date(value).getTime())) {
+            errors.push({ field: key, message: `${key} must be a date (ISO 8601), got "${value}"` });
+            continue;
+        }
+
+        const field = fields && fields[key];
+        if (field) {
+            const message = validateFieldValue(field, value);
+            if (message) {
+                errors.push({ field: key, message });
+            }
+        }
+    }
+
+    for (const key of removals) {
+        if (isProtectedProperty(key)) {
+            errors.push({ field: key, message: `${key} is maintained by AEM and cannot be removed` });
+        } else if (fields && fields[key] && fields[key].required) {
+            errors.push({ field: key, message: `${fields[key].label} is required and cannot be removed` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Get the Sling POST type hint for a metadata value
+ * @param {*} rawValue - Value or { type, value }
+ * @param {Object} field - Schema field, if known
+ * @returns {string|null} Type hint (e.g. Date, Boolean, Long, String[]) or null for plain strings
+ */
+function getTypeHint(rawValue, field) {
+    const { type, value } = unwrapValue(rawValue);
+    const sample = Array.isArray(value) ? value[0] : value;
+
+    let baseType = type;
+    if (!baseType && field) {
+        baseType = { date: 'Date', boolean: 'Boolean', number: Number.isInteger(Number(sample)) ? 'Long' : 'Double' }[field.type] || null;
+    }
+    if (!baseType) {
+        if (typeof sample === 'boolean') baseType = 'Boolean';
+        else if (typeof sample === 'number') baseType = Number.isInteger(sample) ? 'Long' : 'Double';
+        else baseType = 'String';
+    }
+
+    if (Array.isArray(value)) return `${baseType}[]`;
+    return baseType === 'String' ? null : baseType;
+}
+
+/**
+ * Serialize a metadata value for Sling POST (dates as ISO 8601)
+ * @returns {string[]} Form values
+ */
+function serializeValue(rawValue, typeHint) {
+    const { value } = unwrapValue(rawValue);
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(item => (typeHint && typeHint.startsWith('Date') ? new Date(item).toISOString() : String(item)));
+}
+
+module.exports = {
+    DEFAULT_METADATA_SCHEMA,
+    parseMetadataSchema,
+    isProtectedProperty,
+    validateMetadataUpdate,
+    getTypeHint,
+    serializeValue
+};
@@ -0,0 +1,174 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Page Presets - Named component trees for new pages
+ *
+ * Each preset builds the components placed in a page's root container, in the
+ * { name, resourceType, properties, children } format accepted by createPage.
+ * "teaser" is the original scaffold (title + sample teaser) and stays the default.
+ */
+
+const TITLE = 'core/wcm/components/title/v3/title';
+const TEXT = 'core/wcm/components/text/v2/text';
+const TEASER = 'core/wcm/components/teaser/v2/teaser';
+const BUTTON = 'core/wcm/components/button/v2/button';
+const SEPARATOR = 'core/wcm/components/separator/v1/separator';
+const CONTAINER = 'core/wcm/components/container/v1/container';
+
+const DEFAULT_PRESET = 'teaser';
+
+/**
+ * Escape text for use inside rich text HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const PAGE_PRESETS = {
+    empty: {
+        description: 'Empty root container',
+        build: () => []
+    },
+
+    teaser: {
+        description: 'Title and a sample teaser with placeholder text and image (original scaffold)',
+        build: () => [
+            { name: 'title', resourceType: TITLE },
+            {
+                name: 'teaser',
+                resourceType: TEASER,
+                properties: {
+                    actionsEnabled: 'true',
+                    altValueFromDAM: 'false',
+                    descriptionFromPage: 'false',
+                    disableLazyLoading: 'true',
+                    fileReference: '/content/dam/site-templates/Image@2x.png',
+                    imageFromPageImage: 'false',
+                    isDecorative: 'false',
+                    'jcr:description': '<p>Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.</p>',
+                    'jcr:title': 'This is a Teaser',
+                    pretitle: 'Teaser',
+                    textIsRich: 'true'
+                }
+            }
+        ]
+    },
+
+    'hero-text': {
+        description: 'Hero teaser with the page title followed by a rich text block',
+        build: ({ pageTitle }) => [
+            {
+                name: 'hero',
+                resourceType: TEASER,
+                properties: {
+                    'jcr:title': pageTitle,
+                    titleType: 'h1',
+                    actionsEnabled: 'false',
+                    imageFromPageImage: 'true'
+                }
+            },
+            {
+                name: 'text',
+                resourceType: TEXT,
+                properties: { text: `<p>Introduce ${escapeHtml(pageTitle)} here.</p>`, textIsRich: 'true' }
+            }
+        ]
+    },
+
+    landing: {
+        description: 'Hero, intro text, three feature teasers and a call-to-action button',
+        build: ({ pageTitle }) => [
+            {
+                name: 'hero',
+                resourceType: TEASER,
+                properties: {
+                    'jcr:title': pageTitle,
+                    titleType: 'h1',
+                    actionsEnabled: 'false',
+                    imageFromPageImage: 'true'
+                }
+            },
+            {
+                name: 'intro',
+                resourceType: TEXT,
+                properties: { text: '<p>Summarize the offer in one or two sentences.</p>', textIsRich: 'true' }
+            },
+            {
+                name: 'features',
+                resourceType: CONTAINER,
+                properties: { layout: 'responsiveGrid' },
+                children: [1, 2, 3].map(index => ({
+                    name: `feature_${index}`,
+                    resourceType: TEASER,
+                    properties: {
+                        'jcr:title': `Feature ${index}`,
+                        'jcr:description': '<p>Describe this feature.</p>',
+                        textIsRich: 'true',
+                        actionsEnabled: 'false'
+                    }
+                }))
+            },
+            {
+                name: 'cta',
+                resourceType: BUTTON,
+                properties: { 'jcr:title': 'Get started' }
+            }
+        ]
+    },
+
+    article: {
+        description: 'Article heading, lead paragraph, separator and body text',
+        build: ({ pageTitle }) => [
+            { name: 'title', resourceType: TITLE, properties: { 'jcr:title': pageTitle, type: 'h1' } },
+            {
+                name: 'lead',
+                resourceType: TEXT,
+                properties: { text: '<p><b>Lead paragraph summarizing the article.</b></p>', textIsRich: 'true' }
+            },
+            { name: 'separator', resourceType: SEPARATOR },
+            {
+                name: 'body',
+                resourceType: TEXT,
+                properties: { text: '<p>Article body.</p>', textIsRich: 'true' }
+            }
+        ]
+    }
+};
+
+const PAGE_PRESET_NAMES = Object.keys(PAGE_PRESETS);
+
+/**
+ * Build the component tree of a named preset
+ * @param {string} presetName - Preset name (default: teaser)
+ * @param {Object} context - Values used by the preset ({ pageTitle, pageName })
+ * @returns {Array} Components for the root container
+ */
+function getPresetComponents(presetName = DEFAULT_PRESET, context = {}) {
+    const preset = PAGE_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown page preset "${presetName}". Available presets: ${PAGE_PRESET_NAMES.join(', ')}`);
+    }
+    return preset.build(context);
+}
+
+module.exports = {
+    PAGE_PRESETS,
+    PAGE_PRESET_NAMES,
+    DEFAULT_PRESET,
+    getPresetComponents
+};
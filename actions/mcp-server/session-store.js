@@ -0,0 +1,170 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * MCP Session Stores - Pluggable storage for stateful MCP sessions
+ *
+ * A session store is any object with async get(sessionId), set(sessionId, session)
+ * and delete(sessionId) methods. Two adapters are included:
+ * - InMemorySessionStore: default, survives only while the Runtime container stays warm
+ * - FileSessionStore: one JSON file per session, intended for local runs (aio app run)
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Default session lifetime (1 hour)
+const DEFAULT_TTL_SECONDS = 3600
+
+// Session IDs are UUIDs; anything else is rejected so it can't be used as a file path
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{1,128}$/
+
+/**
+ * Check whether a stored session has passed its expiry time
+ */
+function isExpired (session) {
+    return !!(session && session.expiresAt && Date.parse(session.expiresAt) <= Date.now())
+}
+
+/**
+ * In-memory session store
+ */
+class InMemorySessionStore {
+    constructor (options = {}) {
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS
+        this.sessions = new Map()
+    }
+
+    async get (sessionId) {
+        const session = this.sessions.get(sessionId)
+        if (!session) {
+            return null
+        }
+        if (isExpired(session)) {
+            this.sessions.delete(sessionId)
+            return null
+        }
+        return session
+    }
+
+    async set (sessionId, session) {
+        const stored = {
+            ...session,
+            id: sessionId,
+            expiresAt: new Date(Date.now() + this.ttlSeconds * 1000).toISOString()
+        }
+        this.sessions.set(sessionId, stored)
+        return stored
+    }
+
+    async delete (sessionId) {
+        return this.sessions.delete(sessionId)
+    }
+}
+
+/**
+ * File-backed session store (one <sessionId>.json file per session)
+ */
+class FileSessionStore {
+    constructor (options = {}) {
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS
+        this.directory = options.directory || path.join(os.tmpdir(), 'mcp-sessions')
+    }
+
+    getSessionFile (sessionId) {
+        if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+            return null
+        }
+        return path.join(this.directory, `${sessionId}.json`)
+    }
+
+    async get (sessionId) {
+        const file = this.getSessionFile(sessionId)
+        if (!file) {
+            return null
+        }
+
+        let session
+        try {
+            session = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+        } catch (error) {
+            // Missing or unreadable session files are treated as unknown sessions
+            return null
+        }
+
+        if (isExpired(session)) {
+            await this.delete(sessionId)
+            return null
+        }
+        return session
+    }
+
+    async set (sessionId, session) {
+        const file = this.getSessionFile(sessionId)
+        if (!file) {
+            throw new Error(`Invalid session ID: ${sessionId}`)
+        }
+
+        const stored = {
+            ...session,
+            id: sessionId,
+            expiresAt: new Date(Date.now() + this.ttlSeconds * 1000).toISOString()
+        }
+        await fs.promises.mkdir(this.directory, { recursive: true })
+        await fs.promises.writeFile(file, JSON.stringify(stored, null, 2), 'utf8')
+        return stored
+    }
+
+    async delete (sessionId) {
+        const file = this.getSessionFile(sessionId)
+        if (!file) {
+            return false
+        }
+        try {
+            await fs.promises.unlink(file)
+            return true
+        } catch (error) {
+            return false
+        }
+    }
+}
+
+/**
+ * Create a session store from action inputs
+ * @param {Object} options - Store options
+ * @param {string} options.type - Store type: memory (default) or file
+ * @param {string} options.directory - Directory for the file store
+ * @param {number|string} options.ttlSeconds - Session lifetime in seconds (default: 3600)
+ */
+function createSessionStore (options = {}) {
+    const type = (options.type || 'memory').toLowerCase()
+    const storeOptions = {
+        directory: options.directory,
+        ttlSeconds: parseInt(options.ttlSeconds, 10) || DEFAULT_TTL_SECONDS
+    }
+
+    switch (type) {
+    case 'memory':
+        return new InMemorySessionStore(storeOptions)
+    case 'file':
+        return new FileSessionStore(storeOptions)
+    default:
+        throw new Error(`Unknown session store type: ${options.type}. Supported: memory, file`)
+    }
+}
+
+module.exports = {
+    InMemorySessionStore,
+    FileSessionStore,
+    createSessionStore
+}
@@ -24,61 +24,393 @@ governing permissions and limitations under the License.
  */
 
 const { z } = require('zod')
-const { createAEMMicrositeClient } = require('./aem-microsite-client')
+const { createAEMMicrositeClient, buildSitePath } = require('./aem-microsite-client')
 const { createAEMAssetClient } = require('./aem-asset-client')
+const { createAEMReplicationClient } = require('./aem-replication-client')
+const { createAEMFragmentClient } = require('./aem-fragment-client')
+const { createAEMGraphQLClient } = require('./aem-graphql-client')
+const { createAEMWorkflowClient } = require('./aem-workflow-client')
+const { resolveEnvironment, listEnvironments } = require('./aem-environments')
+const { parseBlueprint, countPages } = require('./blueprint')
+const { PAGE_PRESETS, PAGE_PRESET_NAMES, DEFAULT_PRESET } = require('./page-presets')
+
+// Shared schema for the named environment profile argument of all AEM tools
+const environmentArg = z.string().optional().describe('Named AEM environment profile (e.g., "dev", "stage", "prod"). Uses the default profile when omitted; see aem-list-environments')
+
+// Shared schemas for asset search ranges
+const dateRangeArg = z.object({ from: z.string().optional(), to: z.string().optional() }).optional()
+const numberRangeArg = z.object({ min: z.number().optional(), max: z.number().optional() }).optional()
+
+/**
+ * Describe structured asset search filters in one line
+ */
+function formatSearchFilters(filters, tagsMatch = 'all') {
+    const parts = [];
+    const range = (value, unit = '') => `${value.min ?? value.from ?? '…'}${unit} – ${value.max ?? value.to ?? '…'}${unit}`;
+    if (filters.mimeType) parts.push(`type ${[].concat(filters.mimeType).join(' | ')}`);
+    if (filters.created) parts.push(`created ${range(filters.created)}`);
+    if (filters.modified) parts.push(`modified ${range(filters.modified)}`);
+    if (filters.tags && filters.tags.length > 0) parts.push(`tags ${filters.tags.join(tagsMatch === 'any' ? ' | ' : ' & ')}`);
+    (filters.properties || []).forEach(filter => {
+        parts.push(`${filter.name} ${filter.operation || 'equals'}${filter.value !== undefined ? ` "${filter.value}"` : ''}`);
+    });
+    if (filters.size) parts.push(`size ${range(filters.size, ' B')}`);
+    if (filters.width) parts.push(`width ${range(filters.width, ' px')}`);
+    if (filters.height) parts.push(`height ${range(filters.height, ' px')}`);
+    return parts.join(', ');
+}
+
+/**
+ * Format a byte count for display (e.g. 1.5 MB)
+ */
+function formatFileSize(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * List the pages referencing an asset
+ */
+function formatAssetReferences(references) {
+    let text = `\n🔗 Referenced by ${references.length} page(s):\n`;
+    references.forEach(reference => {
+        text += `  • ${reference.title} (${reference.pagePath})${reference.published ? ' [published]' : ''}\n`;
+        reference.properties.forEach(property => {
+            text += `      ${property}\n`;
+        });
+    });
+    return text;
+}
 
 /**
- * Helper function to get AEM credentials from parameters or environment variables
+ * Describe the references updated or removed after a move or delete
  */
-function getAEMCredentials(params) {
-    // Support both 'authorUrl' and 'server' parameter names
-    const finalAuthorUrl = params.authorUrl || params.server || process.env.AEM_AUTHOR_URL || 'https://author-p18253-e46622.adobeaemcloud.com';
-    const finalToken = params.token || process.env.AEM_TOKEN;
-    const finalUsername = params.username || process.env.AEM_USERNAME;
-    const finalPassword = params.password || process.env.AEM_PASSWORD;
+function formatReferenceAdjustment(result, verb) {
+    if (result.references.length === 0) {
+        return '\n🔗 No pages referenced the asset\n';
+    }
+    let text = `\n🔗 References ${verb}: ${result.adjusted.length}\n`;
+    result.adjusted.forEach(property => {
+        text += `  • ${property}\n`;
+    });
+    if (result.failed.length > 0) {
+        text += `\n❌ References not ${verb} (${result.failed.length}):\n`;
+        result.failed.forEach(failure => {
+            text += `  • ${failure.property}: ${failure.error}\n`;
+        });
+    }
+    if (result.republish.length > 0) {
+        text += `\n📢 Republish these pages to update the live site (aem-publish):\n`;
+        result.republish.forEach(path => {
+            text += `  • ${path}\n`;
+        });
+    }
+    return text;
+}
+
+/**
+ * Helper function to get AEM credentials from a named environment profile
+ * @param {Object} params - Tool parameters
+ * @param {string} params.environment - Profile name (optional, default profile when omitted)
+ * @returns {Object} { authorUrl, publishUrl, credentials, environment, authMethod, clientOptions } or { error }
+ */
+function getAEMCredentials(params = {}) {
+    const profile = resolveEnvironment(params.environment);
+    if (profile.error) {
+        return { error: profile.error };
+    }
 
     // Debug logging (only in development/debug mode)
     const isDebug = process.env.LOG_LEVEL === 'debug' || process.env.LOG_LEVEL === 'DEBUG';
     if (isDebug) {
-        console.log('[DEBUG] AEM Credentials check:', {
-            hasTokenParam: !!params.token,
-            hasTokenEnv: !!process.env.AEM_TOKEN,
-            tokenLength: process.env.AEM_TOKEN ? process.env.AEM_TOKEN.length : 0,
-            hasUsername: !!process.env.AEM_USERNAME,
-            hasPassword: !!process.env.AEM_PASSWORD,
-            authorUrl: finalAuthorUrl
+        console.log('[DEBUG] AEM environment:', {
+            environment: profile.name,
+            authorUrl: profile.authorUrl,
+            authMethod: profile.authMethod
         });
     }
 
-    const credentials = {};
-    // For AEM Cloud Service, prefer username/password over token for QueryBuilder API compatibility
-    // Check if this is an AEM Cloud Service instance
-    const isAEMCloudService = finalAuthorUrl.includes('adobeaemcloud.com');
-    
-    // Prefer username/password for AEM Cloud Service, or if both are available
-    if (finalUsername && finalPassword && (isAEMCloudService || !finalToken)) {
-        credentials.username = finalUsername;
-        credentials.password = finalPassword;
-        if (isDebug) {
-            console.log('[DEBUG] Using username/password authentication (preferred for AEM Cloud Service)');
-        }
-    } else if (finalToken) {
-        credentials.token = finalToken;
-        if (isDebug) {
-            console.log('[DEBUG] Using Bearer token authentication');
-        }
+    return {
+        authorUrl: profile.authorUrl,
+        publishUrl: profile.publishUrl,
+        credentials: profile.credentials,
+        environment: profile.name,
+        authMethod: profile.authMethod,
+        clientOptions: { retry: profile.retry }
+    };
+}
+
+/**
+ * Build a troubleshooting hint for 401 errors based on the environment profile's auth method
+ * @param {string} environment - Profile name used for the call
+ * @param {string} apiName - Name of the AEM API that rejected the call (for the hint text)
+ * @returns {string} Hint text (empty if the profile cannot be resolved)
+ */
+function getAuthErrorHint(environment, apiName = 'this API') {
+    const profile = resolveEnvironment(environment);
+    if (profile.error) {
+        return '';
+    }
+
+    let hint = `💡 **Authentication Issue Detected**\n\n`;
+    hint += `AEM rejected the credentials of environment "${profile.name}" (auth method: ${profile.authMethod}).\n\n`;
+    if (profile.authMethod === 'token') {
+        hint += `Bearer tokens may expire after 24 hours, and AEM Cloud Service may require username/password for ${apiName}.\n`;
+        hint += `Switch the profile to "oauth" or "technical-account" auth in AEM_ENVIRONMENTS so tokens are refreshed automatically, or use basic auth.\n\n`;
+    } else if (profile.authMethod === 'oauth' || profile.authMethod === 'technical-account') {
+        hint += `A fresh IMS token was also rejected. Check that the integration is added to this AEM environment and its technical account has permissions for ${apiName}.\n\n`;
     } else {
-        const envVars = [];
-        if (!process.env.AEM_TOKEN) envVars.push('AEM_TOKEN');
-        if (!process.env.AEM_USERNAME) envVars.push('AEM_USERNAME');
-        if (!process.env.AEM_PASSWORD) envVars.push('AEM_PASSWORD');
-        
-        return { 
-            error: `Authentication required. Please provide token or username/password as tool parameters, or set environment variables: ${envVars.join(', ')}. Current env vars status: AEM_TOKEN=${!!process.env.AEM_TOKEN}, AEM_USERNAME=${!!process.env.AEM_USERNAME}, AEM_PASSWORD=${!!process.env.AEM_PASSWORD}` 
-        };
+        hint += `Check the profile credentials in AEM_ENVIRONMENTS and the user's permissions in AEM.\n\n`;
+    }
+    return hint;
+}
+
+/**
+ * Render a blueprint result tree as indented text lines
+ * @param {Object} node - Result node ({ name, path, status, error, children })
+ * @param {number} depth - Indentation level
+ * @returns {string} Tree text
+ */
+function formatBlueprintTree(node, depth = 0) {
+    const icons = { created: '✅', updated: '🔄', failed: '❌', skipped: '⏭️', 'rolled-back': '↩️', planned: '📄' };
+    let text = `${'  '.repeat(depth)}${icons[node.status] || '•'} ${node.name} (${node.path})`;
+    if (node.components) {
+        text += ` - ${node.components} component(s)`;
+    }
+    if (node.error) {
+        text += ` - ${node.error}`;
+    }
+    text += '\n';
+    for (const child of node.children || []) {
+        text += formatBlueprintTree(child, depth + 1);
+    }
+    return text;
+}
+
+/**
+ * Render a DAM folder tree with asset counts
+ * @param {Object} folder - Folder node ({ name, path, title, assetCount, totalAssetCount, children })
+ * @param {number} depth - Indentation level
+ * @returns {string} Tree text
+ */
+function formatFolderTree(folder, depth = 0) {
+    let text = `${'  '.repeat(depth)}📁 ${folder.title} (${folder.path}) - ${folder.assetCount} asset(s)`;
+    if (folder.children.length > 0) {
+        text += `, ${folder.totalAssetCount} including subfolders`;
+    }
+    text += '\n';
+    for (const child of folder.children) {
+        text += formatFolderTree(child, depth + 1);
+    }
+    return text;
+}
+
+/**
+ * Render a workflow instance with its current steps and, optionally, its history
+ * @param {Object} instance - Instance from getWorkflowInstance
+ * @param {boolean} includeHistory - Render the step history
+ * @returns {string} Instance text
+ */
+function formatWorkflowInstance(instance, includeHistory = true) {
+    const icons = { RUNNING: '⏳', COMPLETED: '✅', ABORTED: '🛑', SUSPENDED: '⏸️ ', STALE: '⚠️' };
+    let text = `🔄 ${instance.title || instance.id}\n\n`;
+    text += `📂 Instance: ${instance.path}\n`;
+    text += `${icons[instance.status] || '📊'} Status: ${instance.status || 'unknown'}${instance.failure ? ' (step failed)' : ''}\n`;
+    text += `🎯 Model: ${instance.model || 'unknown'}\n`;
+    text += `📄 Payload: ${instance.payload || 'unknown'}\n`;
+    text += `👤 Started: ${instance.startTime || 'unknown'}${instance.initiator ? ` by ${instance.initiator}` : ''}\n`;
+    if (instance.endTime) {
+        text += `🏁 Ended: ${instance.endTime}\n`;
+    }
+    if (instance.failure) {
+        text += `\n❌ Failed at ${instance.failure.step || 'unknown step'}: ${instance.failure.message}\n`;
+    }
+    if (instance.currentSteps.length > 0 && !['COMPLETED', 'ABORTED'].includes(instance.status)) {
+        text += `\n⏳ Current step(s):\n`;
+        instance.currentSteps.forEach(step => {
+            text += `  • ${step.step || 'unknown step'}${step.assignee ? ` (assigned to ${step.assignee})` : ''}\n`;
+        });
+    }
+    if (includeHistory && instance.history && instance.history.length > 0) {
+        text += `\n📜 History (${instance.history.length}):\n`;
+        instance.history.forEach(entry => {
+            text += `  • ${entry.date || ''} ${entry.step || entry.action || 'step'}${entry.user ? ` - ${entry.user}` : ''}${entry.comment ? ` - "${entry.comment}"` : ''}\n`;
+        });
+    }
+    return text;
+}
+
+/**
+ * Render the outcome of waiting for a workflow
+ * @param {Object} wait - Result of waitForWorkflow
+ * @returns {string} Outcome text
+ */
+function formatWorkflowWait(wait) {
+    const seconds = Math.round(wait.waitedMs / 1000);
+    const { instance } = wait;
+    if (wait.finished) {
+        return `${instance.status === 'COMPLETED' ? '✅' : '🛑'} Workflow ${instance.status} after ${seconds}s\n`;
+    }
+    if (instance.failure) {
+        return `❌ Workflow step "${instance.failure.step || 'unknown'}" failed after ${seconds}s: ${instance.failure.message}\n`;
     }
+    if (instance.status === 'SUSPENDED') {
+        return `⏸️  Workflow is SUSPENDED (after ${seconds}s); resume it with aem-control-workflow\n`;
+    }
+    return `⏱️  Still ${instance.status} after ${seconds}s (timeout). Check again with aem-get-workflow (instance: ${instance.path}, waitForCompletion: true)\n`;
+}
+
+/**
+ * Render Content Fragment variations with the fields that differ from master
+ * @param {Array} variations - Variations ({ name, title, differentFields })
+ * @returns {string} One line per variation
+ */
+function formatVariationDiffs(variations) {
+    return variations.map(variation => {
+        const diff = variation.differentFields.length > 0
+            ? `differs from master in ${variation.differentFields.join(', ')}`
+            : 'same as master';
+        return `  • ${variation.title} (${variation.name}) - ${diff}\n`;
+    }).join('');
+}
+
+/**
+ * Render the field definitions of a Content Fragment Model
+ * @param {Array} fields - Fields ({ name, label, type, required, multiple, validation })
+ * @returns {string} One line per field
+ */
+function formatModelFields(fields) {
+    return fields.map(field => {
+        const flags = [field.type, field.required ? 'required' : 'optional'];
+        if (field.multiple) flags.push('multiple');
+        const rules = Object.entries(field.validation)
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(' | ') : value}`);
+        return `  • ${field.name} "${field.label}" (${flags.join(', ')})${rules.length > 0 ? ` - ${rules.join('; ')}` : ''}\n`;
+    }).join('');
+}
+
+/**
+ * Build the planned node tree of a blueprint (used for validateOnly)
+ */
+function planBlueprintTree(parentPath, pages) {
+    return pages.map(page => {
+        const path = `${parentPath}/${page.name}`;
+        return {
+            name: page.name,
+            path,
+            status: 'planned',
+            components: (page.components || []).length,
+            children: planBlueprintTree(path, page.children || [])
+        };
+    });
+}
+
+/**
+ * Build the handler shared by aem-publish and aem-unpublish
+ * @param {string} action - Replication action ("Activate" or "Deactivate")
+ * @returns {Function} Tool handler
+ */
+function createReplicationHandler(action) {
+    const verb = action === 'Activate' ? 'publish' : 'unpublish';
+
+    return async ({ paths, environment, includeChildren = false, onlyModified = false, scheduleAt, dryRun = false, agent = 'publish' }) => {
+        try {
+            const authResult = getAEMCredentials({ environment });
+            if (authResult.error) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `❌ Authentication Required\n\n${authResult.error}`
+                    }]
+                };
+            }
+
+            const aemClient = createAEMReplicationClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+            const result = await aemClient.replicate({
+                paths: Array.isArray(paths) ? paths : [paths],
+                action,
+                includeChildren,
+                onlyModified,
+                scheduleAt,
+                dryRun,
+                agent
+            });
+
+            let responseText = result.success
+                ? `${action === 'Activate' ? '🚀' : '📴'} ${dryRun ? 'Dry Run' : (result.scheduleAt ? 'Scheduled' : 'Done')}: ${result.message}\n\n`
+                : `⚠️ ${result.message}\n\n`;
+
+            const listPaths = (title, items) => {
+                if (items.length === 0) return;
+                responseText += `${title} (${items.length}):\n`;
+                items.slice(0, 50).forEach(item => {
+                    responseText += `  • ${item}\n`;
+                });
+                if (items.length > 50) {
+                    responseText += `  ... and ${items.length - 50} more\n`;
+                }
+                responseText += '\n';
+            };
+
+            if (dryRun) {
+                listPaths(`📋 Would ${verb}`, result.replicated);
+            } else if (result.scheduleAt) {
+                listPaths('⏰ Scheduled', result.scheduled.map(item => `${item.path} (workflow ${item.workflowId})`));
+            } else {
+                listPaths('✅ Replicated', result.replicated);
+            }
+            listPaths('⏭️ Unchanged, skipped', result.skipped);
+            listPaths('❌ Failed', result.failed.map(item => `${item.path}: ${item.error}`));
+
+            if (result.queue) {
+                if (result.queue.error) {
+                    responseText += `📬 Queue status (${result.queue.agent}): unavailable - ${result.queue.error}\n`;
+                } else {
+                    const state = result.queue.blocked ? 'BLOCKED' : (result.queue.paused ? 'paused' : 'active');
+                    responseText += `📬 Queue ${result.queue.agent}: ${state}, ${result.queue.pending} pending item(s)\n`;
+                }
+            }
 
-    return { authorUrl: finalAuthorUrl, credentials };
+            return {
+                content: [{
+                    type: 'text',
+                    text: responseText
+                }],
+                metadata: {
+                    success: result.success,
+                    action,
+                    dryRun,
+                    replicated: result.replicated,
+                    skipped: result.skipped,
+                    failed: result.failed,
+                    scheduled: result.scheduled,
+                    scheduleAt: result.scheduleAt,
+                    queue: result.queue,
+                    requests: aemClient.getRequestStats()
+                }
+            };
+        } catch (error) {
+            let errorText = `❌ Failed to ${verb} content\n\nError: ${error.message}\n\n`;
+            if (error.message && error.message.includes('401')) {
+                errorText += getAuthErrorHint(environment, 'replication');
+            } else if (error.message && error.message.includes('403')) {
+                errorText += `💡 The user needs replication permissions (crx:replicate) on the paths.\n`;
+            }
+            return {
+                content: [{
+                    type: 'text',
+                    text: errorText
+                }]
+            };
+        }
+    };
 }
 
 /**
@@ -255,6 +587,54 @@ function registerTools (server) {
     // AEM AUTOMATION TOOLS
     // ====================================
 
+    // AEM: List Environments
+    server.tool(
+        'aem-list-environments',
+        'List the named AEM environment profiles (e.g., dev, stage, prod) configured for this server. Shows author/publish URLs and auth method without exposing credentials.',
+        {},
+        async () => {
+            try {
+                const { defaultEnvironment, environments } = listEnvironments();
+
+                let responseText = '🌐 Configured AEM Environments\n\n';
+
+                if (environments.length === 0) {
+                    responseText += 'No environments configured.\n\n';
+                    responseText += '💡 Define profiles in AEM_ENVIRONMENTS (JSON) or AEM_ENVIRONMENTS_FILE, or set AEM_AUTHOR_URL with AEM_USERNAME/AEM_PASSWORD or AEM_TOKEN.\n';
+                } else {
+                    environments.forEach((env, index) => {
+                        responseText += `${index + 1}. **${env.name}**${env.isDefault ? ' (default)' : ''}\n`;
+                        if (env.description) {
+                            responseText += `   📝 ${env.description}\n`;
+                        }
+                        responseText += `   ✏️  Author: ${env.authorUrl || 'not set'}\n`;
+                        responseText += `   🌍 Publish: ${env.publishUrl || 'not set'}\n`;
+                        responseText += `   🔐 Auth: ${env.authMethod}${env.hasCredentials ? '' : ' (credentials missing)'}\n\n`;
+                    });
+                    responseText += `💡 Pass environment="${defaultEnvironment}" (or another name) to any AEM tool.`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        defaultEnvironment,
+                        environments
+                    }
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `❌ Failed to list environments\n\nError: ${error.message}`
+                    }]
+                };
+            }
+        }
+    )
+
     // AEM: Create Microsite
     server.tool(
         'aem-create-microsite',
@@ -262,48 +642,52 @@ function registerTools (server) {
         {
             siteName: z.string().optional().describe('The site name (optional, will be derived from siteTitle if not provided, e.g., "my-awesome-site")'),
             siteTitle: z.string().describe('The display title of the site (e.g., "My Awesome Site")'),
-            authorUrl: z.string().optional().describe('AEM Author URL (default: https://author-p18253-e46622.adobeaemcloud.com)'),
-            username: z.string().optional().describe('AEM username for authentication'),
-            password: z.string().optional().describe('AEM password for authentication'),
-            token: z.string().optional().describe('Bearer token for authentication (alternative to username/password)'),
-            templateType: z.enum(['standard', 'basic']).optional().describe('Template type: standard or basic (default: standard)'),
+            environment: environmentArg,
+            template: z.string().optional().describe('Template ID or path from aem-list-templates (e.g., "wknd/page-content"); "standard" and "basic" are accepted as aliases of the site-templates templates (default: the standard template)'),
             pages: z.array(z.string()).optional().describe('Initial pages to create (default: ["main", "about", "contact"] - creates pages similar to /content/demo/main.html structure)'),
             parentPath: z.string().optional().describe('Parent path for site creation (default: /content)'),
-            overwrite: z.boolean().optional().describe('If true, delete existing site and recreate it (default: false)')
+            overwrite: z.boolean().optional().describe('If true, delete existing site and recreate it (default: false)'),
+            atomic: z.boolean().optional().describe('All-or-nothing: stop at the first page that fails instead of skipping it (default: false)'),
+            onFailure: z.enum(['rollback', 'report']).optional().describe('In atomic mode: "rollback" deletes everything this run created, "report" leaves it and lists what is missing (default: rollback)'),
+            resume: z.boolean().optional().describe('Finish an interrupted creation: keep the existing site and pages and create only the missing ones (default: false)'),
+            pagePreset: z.enum(PAGE_PRESET_NAMES).optional().describe(`Content preset for the created pages: ${PAGE_PRESET_NAMES.map(name => `${name} (${PAGE_PRESETS[name].description})`).join('; ')}. Default: ${DEFAULT_PRESET}`)
         },
         async ({ 
             siteName, 
             siteTitle, 
-            authorUrl,
-            username,
-            password,
-            token,
-            templateType = 'standard',
+            environment,
+            template,
             pages = ['main', 'about', 'contact'], // Changed default to 'main' to match /content/demo/main.html structure
             parentPath = '/content',
-            overwrite = false
+            overwrite = false,
+            atomic = false,
+            onFailure = 'rollback',
+            resume = false,
+            pagePreset = DEFAULT_PRESET
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
-                if (authResult.error) {
+                if (overwrite && resume) {
                     return {
                         content: [{
                             type: 'text',
-                            text: `❌ Authentication Required\n\n${authResult.error}\n\nExample: "Create a microsite called my-site with username admin and password admin"`
+                            text: '❌ overwrite and resume cannot be combined: overwrite deletes the existing site, resume keeps it.'
                         }]
                     };
                 }
 
-                // Determine template path
-                const templatePaths = {
-                    standard: '/conf/site-templates/settings/wcm/templates/standard-template',
-                    basic: '/conf/site-templates/settings/wcm/templates/basic-template'
-                };
-                const templatePath = templatePaths[templateType] || templatePaths.standard;
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\nExample: "Create a microsite called my-site in the dev environment"`
+                        }]
+                    };
+                }
 
                 // Create AEM microsite client
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
 
                 // Derive siteName from siteTitle if not provided
                 let finalSiteName = siteName;
@@ -313,6 +697,21 @@ function registerTools (server) {
                 const sanitizedSiteName = finalSiteName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '-');
                 const sitePath = `${parentPath}/${sanitizedSiteName}`;
 
+                // Resolve the requested template against the templates installed on the instance
+                let templatePath;
+                if (template) {
+                    try {
+                        templatePath = (await aemClient.resolveTemplate(template, sitePath)).path;
+                    } catch (templateError) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `❌ Invalid template\n\n${templateError.message}\n\n💡 Use aem-list-templates to see the templates available in this environment.`
+                            }]
+                        };
+                    }
+                }
+
                 // If overwrite is true, try to delete whatever exists at the path first
                 if (overwrite) {
                     let deleted = false;
@@ -365,23 +764,55 @@ function registerTools (server) {
                     siteTitle,
                     templatePath,
                     parentPath,
-                    pages
+                    pages,
+                    atomic,
+                    onFailure,
+                    resume,
+                    pagePreset
                 });
 
-                let responseText = '🎉 Microsite Created Successfully!\n\n';
+                let responseText = result.success
+                    ? '🎉 Microsite Created Successfully!\n\n'
+                    : `⚠️ Microsite Creation Failed (${result.status})\n\n`;
                 responseText += `📝 Site Name: ${result.siteName}\n`;
                 responseText += `📄 Site Title: ${result.siteTitle}\n`;
                 responseText += `📂 Site Path: ${result.sitePath}\n`;
+                responseText += `📐 Template: ${templatePath || 'standard (default)'}\n`;
+                responseText += `🧩 Page Preset: ${pagePreset}\n`;
                 responseText += `🔗 Author URL: ${result.authorUrl}\n\n`;
                 
                 if (result.pages && result.pages.length > 0) {
                     responseText += `📑 Created Pages (${result.pages.length}):\n`;
                     result.pages.forEach(page => {
-                        responseText += `  • ${page.pageTitle} (${page.pageName})\n`;
+                        responseText += `  • ${page.pageTitle} (${page.pageName})${page.existing ? ' - already existed' : ''}\n`;
                     });
                 }
 
-                responseText += `\n✅ ${result.message}`;
+                if (result.failure) {
+                    responseText += `\n❌ Failed at: ${result.failure.path}\n`;
+                    responseText += `   ${result.failure.error}\n`;
+                }
+                if (result.failedNodes.length > 0) {
+                    responseText += `\n⚠️ Skipped Pages (${result.failedNodes.length}):\n`;
+                    result.failedNodes.forEach(node => {
+                        responseText += `  • ${node.path}: ${node.error}\n`;
+                    });
+                }
+                if (result.rollback) {
+                    responseText += `\n↩️ Rolled back ${result.rollback.deleted.length} created node(s)\n`;
+                    result.rollback.failed.forEach(node => {
+                        responseText += `  • Could not delete ${node.path}: ${node.error}\n`;
+                    });
+                }
+                if (result.status === 'incomplete' || result.status === 'partial') {
+                    responseText += `\n📋 Missing Nodes (${result.missingNodes.length}):\n`;
+                    result.missingNodes.forEach(path => {
+                        responseText += `  • ${path}\n`;
+                    });
+                    responseText += `\n💡 Run the same request with resume=true to create only the missing pages.\n`;
+                }
+
+                responseText += `\n${result.success ? '✅' : 'ℹ️'} ${result.message}`;
 
                 return {
                     content: [{
@@ -389,9 +820,18 @@ function registerTools (server) {
                         text: responseText
                     }],
                     metadata: {
-                        success: true,
+                        success: result.success,
+                        status: result.status,
                         sitePath: result.sitePath,
-                        authorUrl: result.authorUrl
+                        authorUrl: result.authorUrl,
+                        templatePath: templatePath || null,
+                        pagePreset,
+                        createdNodes: result.createdNodes,
+                        existingNodes: result.existingNodes,
+                        missingNodes: result.missingNodes,
+                        failure: result.failure || null,
+                        rollback: result.rollback || null,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
@@ -404,9 +844,6 @@ function registerTools (server) {
                 
                 // Check if this is an authentication error
                 const isAuthError = error.message && error.message.includes('401');
-                const hasUsernamePassword = process.env.AEM_USERNAME && process.env.AEM_PASSWORD;
-                // Check if token is being used (from params or env)
-                const isUsingToken = !!(token || process.env.AEM_TOKEN);
                 
                 let errorText = `❌ Failed to create microsite\n\nError: ${error.message}\n\n`;
                 
@@ -424,13 +861,9 @@ function registerTools (server) {
                     errorText += `2. **Delete manually first**: Use the aem-delete-site tool\n`;
                     errorText += `   Example: "Delete site at ${sitePath} with confirmation true"\n\n`;
                     errorText += `3. **Use a different name**: Choose a different site name\n\n`;
-                } else if (isAuthError && isUsingToken && hasUsernamePassword) {
-                    errorText += `💡 **Authentication Issue Detected**\n\n`;
-                    errorText += `You're using Bearer token authentication, but AEM Cloud Service may require username/password.\n\n`;
-                    errorText += `**Try using username/password instead:**\n`;
-                    errorText += `- Pass username and password as tool parameters, OR\n`;
-                    errorText += `- Ensure AEM_USERNAME and AEM_PASSWORD are set in your environment\n\n`;
-                    errorText += `Note: Bearer tokens may expire after 24 hours. If your token has expired, use username/password authentication.\n\n`;
+                    errorText += `4. **Finish an interrupted creation**: Use resume=true to keep the site and add missing pages\n\n`;
+                } else if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'page creation');
                 }
                 
                 errorText += `**Other possible causes:**\n`;
@@ -449,31 +882,170 @@ function registerTools (server) {
         }
     )
 
+    // AEM: Create Microsite from Blueprint
+    server.tool(
+        'aem-create-microsite-from-blueprint',
+        'Build a whole microsite from a declarative blueprint (JSON or YAML): site root, nested page hierarchy, titles, templates, page properties and components with their property values. Returns a per-node result tree.',
+        {
+            blueprint: z.union([z.string(), z.object({}).passthrough()]).describe('Blueprint as an object or a JSON/YAML document: { site: { name, title, template, parentPath, language, country, properties }, pages: [{ name, title, template, properties, preset, components: [{ name, resourceType, properties, children }], children: [...] }] }'),
+            environment: environmentArg,
+            atomic: z.boolean().optional().describe('Stop at the first failed page and roll back everything created (default: false, failed pages are reported and their children skipped)'),
+            overwrite: z.boolean().optional().describe('Build into a site that already exists, updating its existing pages; they are never rolled back (default: false, an existing site is refused)'),
+            validateOnly: z.boolean().optional().describe('Only validate the blueprint and show the planned tree, without calling AEM (default: false)')
+        },
+        async ({ blueprint, environment, atomic = false, overwrite = false, validateOnly = false }) => {
+            const parsed = parseBlueprint(blueprint);
+            if (parsed.errors) {
+                let errorText = `❌ Invalid blueprint (${parsed.errors.length} error${parsed.errors.length === 1 ? '' : 's'})\n\n`;
+                parsed.errors.forEach(error => {
+                    errorText += `  • ${error}\n`;
+                });
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }],
+                    metadata: {
+                        success: false,
+                        errors: parsed.errors
+                    }
+                };
+            }
+
+            const { site, pages } = parsed.blueprint;
+            if (validateOnly) {
+                const sitePath = buildSitePath(site.name || site.title.toLowerCase().replace(/\s+/g, '-'), site.parentPath);
+                const tree = { name: sitePath.split('/').pop(), path: sitePath, status: 'planned', children: planBlueprintTree(sitePath, pages) };
+
+                let responseText = `✅ Blueprint is valid: 1 site, ${countPages(pages)} page(s)\n\n`;
+                responseText += formatBlueprintTree(tree);
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        validateOnly: true,
+                        tree
+                    }
+                };
+            }
+
+            try {
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.createFromBlueprint(parsed.blueprint, { atomic, overwrite });
+
+                let responseText = result.success
+                    ? '🎉 Microsite Built from Blueprint!\n\n'
+                    : '⚠️ Blueprint Build Finished with Errors\n\n';
+                responseText += `📂 Site Path: ${result.sitePath}\n`;
+                responseText += `🔗 Author URL: ${result.authorUrl}\n\n`;
+                responseText += formatBlueprintTree(result.tree);
+                if (result.rollback && result.rollback.failed.length > 0) {
+                    responseText += `\n⚠️ Could not roll back:\n`;
+                    result.rollback.failed.forEach(node => {
+                        responseText += `  • ${node.path}: ${node.error}\n`;
+                    });
+                }
+                responseText += `\n${result.success ? '✅' : 'ℹ️'} ${result.message}`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        sitePath: result.sitePath,
+                        tree: result.tree,
+                        counts: result.counts,
+                        rollback: result.rollback,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                let errorText = `❌ Failed to build microsite from blueprint\n\nError: ${error.message}\n\n`;
+                if (error.message && error.message.includes('401')) {
+                    errorText += getAuthErrorHint(environment, 'page creation');
+                }
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
     // AEM: List Site Templates
     server.tool(
         'aem-list-templates',
-        'List available AEM Quick Site Creation templates that can be used to create new sites.',
+        'List the templates installed in AEM: editable page templates of every configuration (/conf/*/settings/wcm/templates) and Quick Site Creation site template packages, with their status, allowed paths and thumbnail.',
         {
-            authorUrl: z.string().optional().describe('AEM Author URL (default: https://author-p18253-e46622.adobeaemcloud.com)')
+            environment: environmentArg,
+            status: z.enum(['enabled', 'draft', 'disabled']).optional().describe('Only list templates with this status (default: all)')
         },
-        async ({ authorUrl }) => {
+        async ({ environment, status }) => {
             try {
-                // Use environment variable for authorUrl if not provided
-                const finalAuthorUrl = authorUrl || process.env.AEM_AUTHOR_URL || 'https://author-p18253-e46622.adobeaemcloud.com';
-                // For Quick Site Creation, we can provide the standard templates
-                // In a real implementation, you might query AEM for available templates
-                const aemClient = createAEMMicrositeClient(finalAuthorUrl, {});
-                const templates = await aemClient.getQuickSiteTemplates();
-
-                let responseText = '📚 Available AEM Quick Site Creation Templates\n\n';
-                templates.forEach((template, index) => {
-                    responseText += `${index + 1}. **${template.name}**\n`;
-                    responseText += `   ID: ${template.id}\n`;
-                    responseText += `   Description: ${template.description}\n`;
-                    responseText += `   Path: ${template.path}\n\n`;
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const templates = await aemClient.listTemplates({ status });
+
+                const statusIcons = { enabled: '🟢', draft: '🟡', disabled: '⚪' };
+                const sections = [
+                    { type: 'page-template', title: '📐 Page Templates' },
+                    { type: 'site-template', title: '📦 Site Template Packages' }
+                ];
+
+                let responseText = `📚 Templates in ${authResult.environment} (${templates.length})\n`;
+                if (templates.length === 0) {
+                    responseText += `\nNo templates found${status ? ` with status "${status}"` : ''}.\n`;
+                }
+                sections.forEach(section => {
+                    const sectionTemplates = templates.filter(template => template.type === section.type);
+                    if (sectionTemplates.length === 0) return;
+
+                    responseText += `\n${section.title}\n\n`;
+                    sectionTemplates.forEach((template, index) => {
+                        responseText += `${index + 1}. **${template.name}** ${statusIcons[template.status] || ''} ${template.status}\n`;
+                        responseText += `   ID: ${template.id}\n`;
+                        if (template.description) {
+                            responseText += `   Description: ${template.description}\n`;
+                        }
+                        responseText += `   Path: ${template.path}\n`;
+                        if (template.allowedPaths.length > 0) {
+                            responseText += `   Allowed Paths: ${template.allowedPaths.join(', ')}\n`;
+                        }
+                        if (template.thumbnail) {
+                            responseText += `   Thumbnail: ${authResult.authorUrl}${template.thumbnail}\n`;
+                        }
+                        responseText += '\n';
+                    });
                 });
 
-                responseText += '💡 Use the template ID or path when creating a new site.';
+                responseText += '💡 Pass an enabled page template ID or path as "template" when creating a microsite. Site template packages are applied through the Quick Site Creation wizard.';
 
                 return {
                     content: [{
@@ -481,7 +1053,9 @@ function registerTools (server) {
                         text: responseText
                     }],
                     metadata: {
-                        templates: templates
+                        environment: authResult.environment,
+                        templates: templates,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
@@ -500,22 +1074,16 @@ function registerTools (server) {
         'aem-list-sites',
         'List existing sites in AEM under a specified path.',
         {
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication'),
+            environment: environmentArg,
             parentPath: z.string().optional().describe('Parent path to list sites from (default: /content)')
         },
         async ({ 
-            authorUrl,
-            username,
-            password,
-            token,
+            environment,
             parentPath = '/content'
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
@@ -525,7 +1093,7 @@ function registerTools (server) {
                     };
                 }
 
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
                 const sites = await aemClient.listSites(parentPath);
 
                 let responseText = `📁 Sites in ${parentPath}\n\n`;
@@ -547,7 +1115,8 @@ function registerTools (server) {
                         text: responseText
                     }],
                     metadata: {
-                        sites: sites
+                        sites: sites,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
@@ -567,21 +1136,15 @@ function registerTools (server) {
         'Get detailed information about a specific AEM site.',
         {
             sitePath: z.string().describe('Full path to the site (e.g., /content/my-site)'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            environment: environmentArg
         },
         async ({ 
             sitePath,
-            authorUrl,
-            username,
-            password,
-            token
+            environment
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
@@ -591,7 +1154,7 @@ function registerTools (server) {
                     };
                 }
 
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
                 const siteInfo = await aemClient.getSiteInfo(sitePath);
 
                 let responseText = `📊 Site Information\n\n`;
@@ -606,7 +1169,8 @@ function registerTools (server) {
                         text: responseText
                     }],
                     metadata: {
-                        siteInfo: siteInfo
+                        siteInfo: siteInfo,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
@@ -626,18 +1190,12 @@ function registerTools (server) {
         'Delete an AEM site. Use with caution - this action cannot be undone!',
         {
             sitePath: z.string().describe('Full path to the site to delete (e.g., /content/my-site)'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication'),
+            environment: environmentArg,
             confirm: z.boolean().describe('Must be true to confirm deletion')
         },
         async ({ 
             sitePath,
-            authorUrl,
-            username,
-            password,
-            token,
+            environment,
             confirm
         }) => {
             try {
@@ -650,8 +1208,8 @@ function registerTools (server) {
                     };
                 }
 
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
@@ -661,14 +1219,19 @@ function registerTools (server) {
                     };
                 }
 
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
                 const result = await aemClient.deleteSite(sitePath);
 
                 return {
                     content: [{
                         type: 'text',
                         text: `✅ ${result.message}`
-                    }]
+                    }],
+                    metadata: {
+                        success: true,
+                        sitePath,
+                        requests: aemClient.getRequestStats()
+                    }
                 };
             } catch (error) {
                 return {
@@ -685,6 +1248,34 @@ function registerTools (server) {
     // AEM EXTENDED TOOLS
     // ====================================
 
+    // AEM: Publish
+    const replicationSchema = {
+        paths: z.union([z.string(), z.array(z.string()).min(1)]).describe('Page, site or asset path(s) (e.g., "/content/my-site" or ["/content/dam/my-site/hero.jpg"])'),
+        environment: environmentArg,
+        includeChildren: z.boolean().optional().describe('Also replicate every page (or DAM asset, below /content/dam) under each path (default: false)'),
+        scheduleAt: z.string().optional().describe('Replicate later at this ISO 8601 date/time (e.g., "2025-07-01T09:00:00Z") via the scheduled replication workflow'),
+        dryRun: z.boolean().optional().describe('Only list what would be replicated (default: false)'),
+        agent: z.string().optional().describe('Replication agent whose queue status is reported (default: publish)')
+    };
+
+    server.tool(
+        'aem-publish',
+        'Publish (activate) pages, sites or assets to the AEM publish tier. Supports a single path, whole trees (optionally only modified content), scheduled activation and reports the replication queue status.',
+        {
+            ...replicationSchema,
+            onlyModified: z.boolean().optional().describe('With includeChildren: skip content that is already published and unchanged (default: false)')
+        },
+        createReplicationHandler('Activate')
+    )
+
+    // AEM: Unpublish
+    server.tool(
+        'aem-unpublish',
+        'Unpublish (deactivate) pages, sites or assets from the AEM publish tier. Supports a single path, whole trees (children first), scheduled deactivation and reports the replication queue status.',
+        replicationSchema,
+        createReplicationHandler('Deactivate')
+    )
+
     // AEM: Create Component
     server.tool(
         'aem-create-component',
@@ -700,10 +1291,7 @@ function registerTools (server) {
                 label: z.string(),
                 required: z.boolean().optional()
             })).optional().describe('Component properties/fields for the dialog'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            environment: environmentArg
         },
         async ({ 
             componentName,
@@ -711,14 +1299,11 @@ function registerTools (server) {
             componentPath,
             componentGroup = 'Custom Components',
             properties = [],
-            authorUrl,
-            username,
-            password,
-            token
+            environment
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
@@ -728,7 +1313,7 @@ function registerTools (server) {
                     };
                 }
 
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
+                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
                 const result = await aemClient.createComponent({
                     componentName,
                     componentTitle,
@@ -765,7 +1350,8 @@ function registerTools (server) {
                     metadata: {
                         success: true,
                         componentPath: result.fullPath,
-                        componentName: result.componentName
+                        componentName: result.componentName,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
@@ -782,30 +1368,28 @@ function registerTools (server) {
     // AEM: Create Content Fragment
     server.tool(
         'aem-create-content-fragment',
-        'Create and manage AEM Content Fragments. Content Fragments are structured content elements that can be reused across channels.',
+        'Create an AEM Content Fragment from a Content Fragment Model. Content Fragments are structured content elements that can be reused across channels.',
         {
             fragmentTitle: z.string().describe('Title of the content fragment'),
             fragmentPath: z.string().describe('Path where the fragment will be created (e.g., "/content/dam/mysite/fragments")'),
-            modelPath: z.string().describe('Path to the Content Fragment Model (e.g., "/conf/mysite/settings/dam/cfm/models/article")'),
-            fields: z.record(z.any()).describe('Field values as key-value pairs (e.g., {"title": "My Article", "description": "Article description"})'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            modelPath: z.string().describe('Path to the Content Fragment Model (e.g., "/conf/mysite/settings/dam/cfm/models/article"); see aem-list-content-fragment-models'),
+            fields: z.record(z.any()).describe('Field values as key-value pairs (e.g., {"title": "My Article", "description": "Article description"}); arrays for multi-value fields'),
+            description: z.string().optional().describe('Description of the content fragment'),
+            validate: z.boolean().optional().describe('Check the fields against the model (names, types, required fields, validation rules) before creating (default: true)'),
+            environment: environmentArg
         },
         async ({ 
             fragmentTitle,
             fragmentPath,
             modelPath,
             fields = {},
-            authorUrl,
-            username,
-            password,
-            token
+            description,
+            validate = true,
+            environment
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
@@ -815,12 +1399,14 @@ function registerTools (server) {
                     };
                 }
 
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
                 const result = await aemClient.createContentFragment({
                     fragmentTitle,
                     fragmentPath,
                     modelPath,
-                    fields
+                    fields,
+                    description,
+                    validate
                 });
 
                 let responseText = '📝 Content Fragment Created Successfully!\n\n';
@@ -843,7 +1429,7 @@ function registerTools (server) {
                 responseText += `✅ ${result.message}\n\n`;
                 responseText += `📋 Next Steps:\n`;
                 responseText += `  1. Review the fragment in AEM Assets\n`;
-                responseText += `  2. Add variations if needed\n`;
+                responseText += `  2. Add variations with aem-create-content-fragment-variation if needed\n`;
                 responseText += `  3. Use the fragment in your pages or headless apps\n`;
 
                 return {
@@ -854,7 +1440,10 @@ function registerTools (server) {
                     metadata: {
                         success: true,
                         fragmentPath: result.fullPath,
-                        fragmentTitle: fragmentTitle
+                        fragmentTitle: fragmentTitle,
+                        fragmentId: result.fragment.id,
+                        etag: result.fragment.etag,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
@@ -868,90 +1457,2737 @@ function registerTools (server) {
         }
     )
 
-    // AEM: Upload Asset
+    // AEM: Get Content Fragment
     server.tool(
-        'aem-upload-asset',
-        'Upload digital assets (images, documents, videos) to AEM DAM (Digital Asset Management). Supports metadata and folder organization.',
+        'aem-get-content-fragment',
+        'Get a Content Fragment by path or ID with its model, status and field values. Also returns the ETag to pass to aem-update-content-fragment and aem-delete-content-fragment for conflict-safe changes.',
         {
-            assetName: z.string().describe('Name of the asset file (e.g., "hero-image.jpg", "product-guide.pdf")'),
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/fragments/article-1) or fragment ID'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.getContentFragment(fragment);
+
+                let responseText = `📝 ${result.title}\n\n`;
+                responseText += `📂 Path: ${result.path}\n`;
+                responseText += `🆔 ID: ${result.id}\n`;
+                responseText += `🎯 Model: ${result.model.title || result.model.path || result.model.id}\n`;
+                if (result.status) {
+                    responseText += `📊 Status: ${result.status}\n`;
+                }
+                if (result.description) {
+                    responseText += `📄 Description: ${result.description}\n`;
+                }
+                if (result.modified) {
+                    responseText += `✏️  Modified: ${result.modified.at || result.modified}${result.modified.by ? ` by ${result.modified.by}` : ''}\n`;
+                }
+                responseText += `🔖 ETag: ${result.etag || 'not returned'}\n`;
+
+                responseText += `\n⚙️  Fields (${result.fields.length}):\n`;
+                result.fields.forEach(field => {
+                    const value = field.multiple ? field.values : field.values[0];
+                    responseText += `  • ${field.name} (${field.type}${field.multiple ? ', multiple' : ''}): ${JSON.stringify(value ?? null)}\n`;
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        fragment: result,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to get content fragment\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: List Content Fragments
+    server.tool(
+        'aem-list-content-fragments',
+        'List Content Fragments below a DAM folder, optionally only those of one or more Content Fragment Models.',
+        {
+            folderPath: z.string().optional().describe('DAM folder (default: /content/dam)'),
+            model: z.union([z.string(), z.array(z.string())]).optional().describe('Content Fragment Model path(s) or ID(s) (e.g., "/conf/mysite/settings/dam/cfm/models/article")'),
+            limit: z.number().int().positive().max(50).optional().describe('Maximum number of fragments to return (default: 50)'),
+            cursor: z.string().optional().describe('Cursor from a previous response, to get the next page'),
+            environment: environmentArg
+        },
+        async ({
+            folderPath = '/content/dam',
+            model,
+            limit,
+            cursor,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listContentFragments({ folderPath, model, limit, cursor });
+
+                let responseText = `📝 Content Fragments below ${folderPath}${model ? ` (model: ${[].concat(model).join(', ')})` : ''}\n\n`;
+                if (result.items.length === 0) {
+                    responseText += 'No content fragments found.\n';
+                } else {
+                    result.items.forEach((item, index) => {
+                        responseText += `${index + 1}. **${item.title}**${item.status ? ` [${item.status}]` : ''}\n`;
+                        responseText += `   📂 ${item.path}\n`;
+                        responseText += `   🎯 ${item.model.title || item.model.path || item.model.id}\n`;
+                    });
+                }
+                if (result.cursor) {
+                    responseText += `\n💡 More fragments available. Pass cursor "${result.cursor}" to get the next page.\n`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        folderPath,
+                        count: result.count,
+                        items: result.items,
+                        cursor: result.cursor,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list content fragments\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Update Content Fragment
+    server.tool(
+        'aem-update-content-fragment',
+        'Update individual fields (and optionally title or description) of a Content Fragment. Pass the ETag from aem-get-content-fragment to make sure nobody changed the fragment in the meantime; the update is rejected on a mismatch. Without an ETag the update is only checked against the version read right before saving, so earlier concurrent changes can be overwritten.',
+        {
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/fragments/article-1) or fragment ID'),
+            fields: z.record(z.any()).optional().describe('Field values to set by field name (e.g., {"headline": "New headline", "tags": ["a", "b"]}); other fields are not changed'),
+            title: z.string().optional().describe('New fragment title'),
+            description: z.string().optional().describe('New fragment description'),
+            etag: z.string().optional().describe('ETag from aem-get-content-fragment; the update fails if the fragment changed since (default: the version read right before saving)'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            fields = {},
+            title,
+            description,
+            etag,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.updateContentFragment(fragment, { fields, title, description }, { etag });
+
+                let responseText = '✅ Content Fragment Updated\n\n';
+                responseText += `📂 Path: ${result.path}\n`;
+                responseText += `✏️  Updated: ${result.updated.join(', ')}\n`;
+                responseText += `🔖 New ETag: ${result.etag || 'not returned'}\n`;
+                if (!result.etagChecked) {
+                    responseText += '\n🔓 No ETag given: only checked against the version read right before saving. Pass the etag from aem-get-content-fragment to reject earlier concurrent changes.\n';
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        id: result.id,
+                        path: result.path,
+                        updated: result.updated,
+                        etag: result.etag,
+                        etagChecked: result.etagChecked,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to update content fragment\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Delete Content Fragment
+    server.tool(
+        'aem-delete-content-fragment',
+        'Delete a Content Fragment. Use with caution - this action cannot be undone! Pass the ETag from aem-get-content-fragment to only delete the version you have seen; without it the fragment is deleted whatever changed since.',
+        {
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/fragments/article-1) or fragment ID'),
+            etag: z.string().optional().describe('Only delete if the fragment still has this ETag (from aem-get-content-fragment; default: none, no conflict check)'),
+            confirm: z.boolean().describe('Must be true to confirm deletion'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            etag,
+            confirm,
+            environment
+        }) => {
+            try {
+                if (!confirm) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: '⚠️ Deletion Cancelled\n\nYou must set confirm=true to delete a content fragment.\n\nThis is a safety measure to prevent accidental deletions.'
+                        }]
+                    };
+                }
+
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.deleteContentFragment(fragment, { etag });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `✅ Content Fragment Deleted\n\n📂 Path: ${result.path || fragment}\n${result.etagChecked ? '' : '🔓 No ETag given: deleted without a conflict check\n'}`
+                    }],
+                    metadata: {
+                        success: true,
+                        id: result.id,
+                        path: result.path,
+                        etagChecked: result.etagChecked,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to delete content fragment\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: List Content Fragment Variations
+    server.tool(
+        'aem-list-content-fragment-variations',
+        'List the variations of a Content Fragment (e.g., short/long or channel-specific versions) and report which fields of each variation differ from master.',
+        {
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/fragments/article-1) or fragment ID'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listContentFragmentVariations(fragment);
+
+                let responseText = `🎭 Variations of ${result.title}\n\n`;
+                responseText += `📂 Path: ${result.path}\n\n`;
+                if (result.variations.length === 0) {
+                    responseText += 'Only master exists. Create a variation with aem-create-content-fragment-variation.\n';
+                } else {
+                    responseText += formatVariationDiffs(result.variations);
+                    responseText += `\n📊 ${result.message}\n`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        id: result.id,
+                        path: result.path,
+                        variations: result.variations,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list content fragment variations\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Create Content Fragment Variation
+    server.tool(
+        'aem-create-content-fragment-variation',
+        'Create a named variation of a Content Fragment. The variation starts as a copy of master; the given field values are set on the variation only.',
+        {
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/fragments/article-1) or fragment ID'),
+            title: z.string().describe('Variation title (e.g., "Short", "Social Media")'),
+            name: z.string().optional().describe('Variation name (default: derived from the title)'),
+            description: z.string().optional().describe('Variation description'),
+            fields: z.record(z.any()).optional().describe('Field values that differ from master (e.g., {"headline": "Short headline"}); arrays for multi-value fields'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            title,
+            name,
+            description,
+            fields = {},
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.createContentFragmentVariation(fragment, { title, name, description, fields });
+
+                let responseText = '🎭 Content Fragment Variation Created\n\n';
+                responseText += `📂 Fragment: ${result.path}\n`;
+                responseText += formatVariationDiffs([result.variation]);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        id: result.id,
+                        path: result.path,
+                        variation: result.variation,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to create content fragment variation\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Update Content Fragment Variation
+    server.tool(
+        'aem-update-content-fragment-variation',
+        'Update fields, title or description of a Content Fragment variation. Master and other variations are not changed. Reports the fields that still differ from master.',
+        {
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/fragments/article-1) or fragment ID'),
+            variation: z.string().describe('Variation name (see aem-list-content-fragment-variations)'),
+            fields: z.record(z.any()).optional().describe('Field values to set (e.g., {"headline": "Short headline"}); arrays for multi-value fields'),
+            title: z.string().optional().describe('New variation title'),
+            description: z.string().optional().describe('New variation description'),
+            etag: z.string().optional().describe('ETag of the variation, returned by its previous update; the update fails if the variation was changed since (default: the version read right before saving)'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            variation,
+            fields = {},
+            title,
+            description,
+            etag,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.updateContentFragmentVariation(fragment, variation, { fields, title, description }, { etag });
+
+                let responseText = '✅ Content Fragment Variation Updated\n\n';
+                responseText += `📂 Fragment: ${result.path}\n`;
+                responseText += `✏️  Updated: ${result.updated.join(', ')}\n`;
+                responseText += formatVariationDiffs([result.variation]);
+                if (result.etag) {
+                    responseText += `🔖 New ETag: ${result.etag}\n`;
+                }
+                if (!result.etagChecked) {
+                    responseText += '🔓 No ETag given: only checked against the version read right before saving\n';
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        id: result.id,
+                        path: result.path,
+                        updated: result.updated,
+                        etag: result.etag,
+                        etagChecked: result.etagChecked,
+                        variation: result.variation,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to update content fragment variation\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Create Language Copies
+    server.tool(
+        'aem-create-content-fragment-language-copies',
+        'Create language copies of a Content Fragment in the parallel locale folders (e.g., /content/dam/mysite/en/articles/a → /content/dam/mysite/de/articles/a). Missing folders are created, existing copies are left untouched, and copies include all variations.',
+        {
+            fragment: z.string().describe('Fragment path (e.g., /content/dam/mysite/en/fragments/article-1) or fragment ID'),
+            locales: z.array(z.string()).min(1).describe('Target locales, matching the locale folder names (e.g., ["de", "fr-ch"])'),
+            sourceLocale: z.string().optional().describe('Locale folder name of the source fragment (default: detected from the path)'),
+            environment: environmentArg
+        },
+        async ({
+            fragment,
+            locales,
+            sourceLocale,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.createLanguageCopies(fragment, locales, { sourceLocale });
+
+                const icons = { created: '✅', exists: '⏭️ ', skipped: '⏭️ ', failed: '❌' };
+                let responseText = `🌍 Language Copies of ${result.sourcePath} (${result.sourceLocale})\n\n`;
+                result.copies.forEach(copy => {
+                    responseText += `${icons[copy.status]} ${copy.locale}: ${copy.path} - ${copy.status}${copy.error ? ` (${copy.error})` : ''}\n`;
+                });
+                if (result.variations.length > 0) {
+                    responseText += `\n🎭 Copied variations (${result.variations.length}):\n`;
+                    responseText += formatVariationDiffs(result.variations);
+                }
+                responseText += `\n📊 ${result.message}\n`;
+                responseText += '💡 Translate the copies with aem-update-content-fragment and aem-update-content-fragment-variation.\n';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        sourcePath: result.sourcePath,
+                        sourceLocale: result.sourceLocale,
+                        copies: result.copies,
+                        variations: result.variations,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to create language copies\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: List Content Fragment Models
+    server.tool(
+        'aem-list-content-fragment-models',
+        'List Content Fragment Models, optionally of one configuration (e.g., /conf/mysite). Returns the model paths to use with aem-create-content-fragment.',
+        {
+            configurationFolder: z.string().optional().describe('Configuration folder (e.g., "/conf/mysite"); all configurations when omitted'),
+            limit: z.number().int().positive().max(50).optional().describe('Maximum number of models to return (default: 50)'),
+            cursor: z.string().optional().describe('Cursor from a previous response, to get the next page'),
+            environment: environmentArg
+        },
+        async ({
+            configurationFolder,
+            limit = 50,
+            cursor,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listContentFragmentModels({ configurationFolder, limit, cursor });
+
+                let responseText = `🧩 Content Fragment Models${configurationFolder ? ` in ${configurationFolder}` : ''} (${result.count})\n\n`;
+                if (result.count === 0) {
+                    responseText += 'No models found. Create one with aem-create-content-fragment-model.\n';
+                }
+                result.items.forEach(model => {
+                    responseText += `• ${model.title} - ${model.path}\n`;
+                    responseText += `  ${model.fields.length} field(s)${model.status ? `, ${model.status}` : ''}${model.description ? ` - ${model.description}` : ''}\n`;
+                });
+                if (result.cursor) {
+                    responseText += `\n➡️  More models available; pass cursor "${result.cursor}" to get the next page\n`;
+                }
+                responseText += '\n💡 Use aem-get-content-fragment-model to see the field definitions of a model.\n';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        configurationFolder: result.configurationFolder,
+                        models: result.items,
+                        cursor: result.cursor,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list content fragment models\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Get Content Fragment Model
+    server.tool(
+        'aem-get-content-fragment-model',
+        'Get a Content Fragment Model with its field definitions: names, types, required and multi-value flags and validation rules (max length, patterns, ranges, allowed values and models).',
+        {
+            model: z.string().describe('Model path (e.g., "/conf/mysite/settings/dam/cfm/models/article") or model ID'),
+            environment: environmentArg
+        },
+        async ({
+            model,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.getContentFragmentModel(model);
+
+                let responseText = `🧩 ${result.title}\n\n`;
+                responseText += `📂 Path: ${result.path}\n`;
+                responseText += `🆔 ID: ${result.id}\n`;
+                if (result.status) {
+                    responseText += `📊 Status: ${result.status}\n`;
+                }
+                if (result.description) {
+                    responseText += `📄 Description: ${result.description}\n`;
+                }
+                responseText += `🔖 ETag: ${result.etag || 'not returned'}\n`;
+                responseText += `\n⚙️  Fields (${result.fields.length}):\n`;
+                responseText += formatModelFields(result.fields);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        model: result,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to get content fragment model\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Create Content Fragment Model
+    server.tool(
+        'aem-create-content-fragment-model',
+        'Create a Content Fragment Model from a zod-like field spec. Each field is a type name ("string", "text", "rich-text", "markdown", "number", "integer", "boolean", "date", "date-time", "time", "enum", "tag", "reference", "fragment", "json"), with "?" for optional and "[]" for multi-value fields (e.g., "tag[]?"), or an object with type and validation options. Fields are required unless marked optional.',
+        {
+            configurationFolder: z.string().describe('Configuration folder to create the model in (e.g., "/conf/mysite")'),
+            title: z.string().describe('Model title (e.g., "Article")'),
+            name: z.string().optional().describe('Model node name (default: derived from the title)'),
+            description: z.string().optional().describe('Model description'),
+            fields: z.record(z.union([z.string(), z.record(z.any())])).describe('Field spec, e.g. {"headline": {"type": "string", "maxLength": 120}, "body": "rich-text?", "tags": "tag[]?", "status": {"type": "enum", "values": ["draft", "live"]}}. Object options: label, description, optional, multiple, maxLength, pattern, min, max, values, models (allowed fragment models), rootPath, defaultValue'),
+            environment: environmentArg
+        },
+        async ({
+            configurationFolder,
+            title,
+            name,
+            description,
+            fields,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.createContentFragmentModel(configurationFolder, { title, name, description, fields });
+
+                let responseText = '🧩 Content Fragment Model Created\n\n';
+                responseText += `📄 Title: ${result.model.title || title}\n`;
+                responseText += `📂 Path: ${result.model.path}\n`;
+                if (result.model.status) {
+                    responseText += `📊 Status: ${result.model.status}\n`;
+                }
+                responseText += `\n⚙️  Fields (${result.model.fields.length}):\n`;
+                responseText += formatModelFields(result.model.fields);
+                responseText += `\n💡 Create fragments of this model with aem-create-content-fragment (modelPath: ${result.model.path}).\n`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        model: result.model,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to create content fragment model\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Add Content Fragment Model Fields
+    server.tool(
+        'aem-add-content-fragment-model-fields',
+        'Extend a Content Fragment Model with new fields, using the same field spec as aem-create-content-fragment-model. Existing fields are left unchanged; existing fragments get the new fields empty.',
+        {
+            model: z.string().describe('Model path (e.g., "/conf/mysite/settings/dam/cfm/models/article") or model ID'),
+            fields: z.record(z.union([z.string(), z.record(z.any())])).describe('Field spec of the fields to add, e.g. {"subtitle": "string?", "readingTime": {"type": "integer", "min": 1, "optional": true}}'),
+            etag: z.string().optional().describe('ETag from aem-get-content-fragment-model; the update fails if the model was changed since (default: the version read right before saving)'),
+            environment: environmentArg
+        },
+        async ({
+            model,
+            fields,
+            etag,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMFragmentClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.addContentFragmentModelFields(model, fields, { etag });
+
+                let responseText = '🧩 Content Fragment Model Updated\n\n';
+                responseText += `📂 Path: ${result.model.path || model}\n`;
+                responseText += `➕ Added: ${result.added.join(', ')}\n`;
+                if (!result.etagChecked) {
+                    responseText += '🔓 No ETag given: only checked against the version read right before saving\n';
+                }
+                responseText += `\n⚙️  Fields (${result.model.fields.length}):\n`;
+                responseText += formatModelFields(result.model.fields);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        added: result.added,
+                        etagChecked: result.etagChecked,
+                        model: result.model,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to extend content fragment model\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the Sites API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: List GraphQL Endpoints
+    server.tool(
+        'aem-list-graphql-endpoints',
+        'List the AEM GraphQL endpoints (one per configuration) that headless front ends query.',
+        {
+            environment: environmentArg
+        },
+        async ({
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMGraphQLClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listGraphQLEndpoints();
+
+                let responseText = `🔌 GraphQL Endpoints (${result.endpoints.length})\n\n`;
+                if (result.endpoints.length === 0) {
+                    responseText += 'No GraphQL endpoints found. Create one in Tools → General → GraphQL.\n';
+                }
+                result.endpoints.forEach(endpoint => {
+                    responseText += `• ${endpoint.configuration}: ${endpoint.url}\n`;
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        endpoints: result.endpoints,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list GraphQL endpoints\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'AEM GraphQL');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: List Persisted Queries
+    server.tool(
+        'aem-list-persisted-queries',
+        'List the GraphQL persisted queries, optionally of one configuration, with their query text and cache settings.',
+        {
+            configuration: z.string().optional().describe('Configuration name or path (e.g., "wknd" or "/conf/wknd"); all configurations when omitted'),
+            environment: environmentArg
+        },
+        async ({
+            configuration,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMGraphQLClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listPersistedQueries({ configuration });
+
+                let responseText = `📜 Persisted Queries${result.configuration ? ` in ${result.configuration}` : ''} (${result.queries.length})\n\n`;
+                if (result.queries.length === 0) {
+                    responseText += 'No persisted queries found. Create one with aem-save-persisted-query.\n';
+                }
+                result.queries.forEach(query => {
+                    responseText += `• ${query.shortPath}`;
+                    if (query.cacheControl && query.cacheControl['max-age'] !== undefined) {
+                        responseText += ` (max-age ${query.cacheControl['max-age']}s)`;
+                    }
+                    responseText += '\n';
+                    if (query.query) {
+                        responseText += `  ${query.query.replace(/\s+/g, ' ').trim()}\n`;
+                    }
+                });
+                if (result.queries.length > 0) {
+                    responseText += '\n💡 Run a query with aem-execute-persisted-query.\n';
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        configuration: result.configuration,
+                        queries: result.queries,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list persisted queries\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'AEM GraphQL');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Execute Persisted Query
+    server.tool(
+        'aem-execute-persisted-query',
+        'Execute a GraphQL persisted query on AEM author, the way a headless front end does, and return its data, errors, item counts and cache headers.',
+        {
+            configuration: z.string().describe('Configuration name or path (e.g., "wknd")'),
+            name: z.string().describe('Persisted query name (e.g., "adventures-all"); see aem-list-persisted-queries'),
+            variables: z.record(z.any()).optional().describe('Query variables (e.g., {"activity": "Surfing", "limit": 5})'),
+            environment: environmentArg
+        },
+        async ({
+            configuration,
+            name,
+            variables = {},
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMGraphQLClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.executePersistedQuery(configuration, name, variables);
+
+                let responseText = `${result.success ? '✅' : '⚠️'} Persisted Query ${result.url}\n\n`;
+                responseText += `📊 ${result.message} in ${result.durationMs} ms\n`;
+                if (result.cacheControl) {
+                    responseText += `🗄️  Cache-Control: ${result.cacheControl}\n`;
+                }
+                if (result.errors.length > 0) {
+                    responseText += `\n❌ Errors (${result.errors.length}):\n`;
+                    result.errors.forEach(message => {
+                        responseText += `  • ${message}\n`;
+                    });
+                }
+                if (result.data !== null) {
+                    // Long results are cut in the text; the metadata keeps the full data
+                    const json = JSON.stringify(result.data, null, 2);
+                    responseText += `\n📦 Data:\n${json.length > 8000 ? `${json.slice(0, 8000)}\n… (${json.length - 8000} more characters in metadata.data)` : json}\n`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        url: result.url,
+                        data: result.data,
+                        errors: result.errors,
+                        items: result.items,
+                        cacheControl: result.cacheControl,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to execute persisted query\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'AEM GraphQL');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Save Persisted Query
+    server.tool(
+        'aem-save-persisted-query',
+        'Create a GraphQL persisted query, or update it if a query with this name already exists in the configuration. Optionally sets the cache lifetime for browsers and the CDN.',
+        {
+            configuration: z.string().describe('Configuration name or path (e.g., "wknd")'),
+            name: z.string().describe('Persisted query name (letters, digits, "-" and "_"; e.g., "adventures-by-activity")'),
+            query: z.string().describe('GraphQL query text (e.g., "query($activity: String) { adventureList(filter: {adventureActivity: {_expressions: [{value: $activity}]}}) { items { title } } }")'),
+            maxAge: z.number().int().min(0).optional().describe('Cache-Control max-age in seconds (browsers)'),
+            sMaxAge: z.number().int().min(0).optional().describe('Surrogate-Control max-age in seconds (CDN)'),
+            environment: environmentArg
+        },
+        async ({
+            configuration,
+            name,
+            query,
+            maxAge,
+            sMaxAge,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMGraphQLClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.savePersistedQuery(configuration, name, query, { maxAge, sMaxAge });
+
+                let responseText = `✅ Persisted Query ${result.action === 'created' ? 'Created' : 'Updated'}\n\n`;
+                responseText += `📜 Query: ${result.shortPath}\n`;
+                responseText += `📂 Path: ${result.path}\n`;
+                responseText += `🔗 Execute: ${authResult.authorUrl.replace(/\/$/, '')}/graphql/execute.json${result.shortPath}\n`;
+                responseText += '\n💡 Test it with aem-execute-persisted-query, and publish the query path to make it available on publish.\n';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        action: result.action,
+                        shortPath: result.shortPath,
+                        path: result.path,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to save persisted query\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'AEM GraphQL');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Upload Asset
+    server.tool(
+        'aem-upload-asset',
+        'Upload digital assets (images, documents, videos) to AEM DAM (Digital Asset Management). Supports metadata and folder organization.',
+        {
+            assetName: z.string().describe('Name of the asset file (e.g., "hero-image.jpg", "product-guide.pdf")'),
             damPath: z.string().describe('DAM path where asset will be uploaded (e.g., "/content/dam/mysite/images")'),
-            assetUrl: z.string().optional().describe('URL to download the asset from (if uploading from external source)'),
+            assetUrl: z.string().optional().describe('Public http(s) URL to download the asset from (if uploading from external source; up to 200 MB)'),
             assetData: z.string().optional().describe('Base64 encoded asset data (if uploading directly)'),
             mimeType: z.string().optional().describe('MIME type of the asset (e.g., "image/jpeg", "application/pdf")'),
             metadata: z.record(z.string()).optional().describe('Asset metadata as key-value pairs (e.g., {"dc:title": "Hero Image", "dc:description": "Main hero banner"})'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            environment: environmentArg
+        },
+        async ({ 
+            assetName,
+            damPath,
+            assetUrl,
+            assetData,
+            mimeType = 'application/octet-stream',
+            metadata = {},
+            environment
+        }) => {
+            try {
+                if (!assetUrl && !assetData) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: '❌ Asset Source Required\n\nPlease provide either:\n- assetUrl: URL to download the asset from\n- assetData: Base64 encoded asset data'
+                        }]
+                    };
+                }
+
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.uploadAsset({
+                    assetName,
+                    damPath,
+                    assetUrl,
+                    assetData,
+                    mimeType,
+                    metadata
+                });
+
+                let responseText = '📤 Asset Uploaded Successfully!\n\n';
+                responseText += `📄 Asset Name: ${assetName}\n`;
+                responseText += `📂 DAM Path: ${result.fullPath}\n`;
+                responseText += `🏷️  MIME Type: ${result.mimeType}\n`;
+                
+                if (result.fileSize) {
+                    responseText += `📊 File Size: ${result.fileSize} bytes (${result.parts} part(s))\n`;
+                }
+                
+                responseText += `⚙️  Processing Status: ${result.processingStatus}\n`;
+                
+                responseText += '\n';
+                
+                const metadataCount = Object.keys(metadata).length;
+                if (metadataCount > 0) {
+                    responseText += `🏷️  Metadata (${metadataCount})${result.metadataApplied ? '' : ' - NOT APPLIED'}:\n`;
+                    Object.entries(metadata).forEach(([key, value]) => {
+                        responseText += `  • ${key}: ${value}\n`;
+                    });
+                    responseText += '\n';
+                }
+
+                responseText += `✅ ${result.message}\n\n`;
+                responseText += `📋 Next Steps:\n`;
+                responseText += `  1. View the asset in AEM Assets\n`;
+                responseText += `  2. Process the asset (generate renditions)\n`;
+                responseText += `  3. Use the asset in your pages or content fragments\n`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        assetPath: result.fullPath,
+                        assetName: assetName,
+                        fileSize: result.fileSize,
+                        processingStatus: result.processingStatus,
+                        metadataApplied: result.metadataApplied,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `❌ Failed to upload asset\n\nError: ${error.message}\n\nPossible causes:\n- Invalid credentials\n- DAM path doesn't exist\n- Asset download failed (if using URL)\n- Invalid asset data\n- Insufficient permissions\n- File size too large`
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Start Workflow
+    server.tool(
+        'aem-start-workflow',
+        'Start an AEM workflow for content approval, asset processing, or custom automation. Workflows help orchestrate content operations.',
+        {
+            workflowModel: z.string().describe('Path to the workflow model (e.g., "/var/workflow/models/dam/update_asset")'),
+            payloadPath: z.string().describe('Path to the content/asset to process (e.g., "/content/mysite/en/home", "/content/dam/mysite/image.jpg")'),
+            workflowTitle: z.string().optional().describe('Title for this workflow instance'),
+            workflowData: z.record(z.any()).optional().describe('Additional workflow data as key-value pairs'),
+            waitForCompletion: z.boolean().optional().describe('Wait until the workflow has finished (or failed, or the timeout is reached) before returning (default: false)'),
+            timeoutSeconds: z.number().int().positive().max(240).optional().describe('Maximum time to wait with waitForCompletion (default: 60, max: 240)'),
+            environment: environmentArg
+        },
+        async ({ 
+            workflowModel,
+            payloadPath,
+            workflowTitle,
+            workflowData = {},
+            waitForCompletion = false,
+            timeoutSeconds = 60,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMWorkflowClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.startWorkflow({
+                    workflowModel,
+                    payloadPath,
+                    workflowTitle: workflowTitle || `Workflow for ${payloadPath}`,
+                    workflowData
+                });
+
+                let responseText = '🔄 Workflow Started Successfully!\n\n';
+                responseText += `📝 Workflow ID: ${result.workflowId}\n`;
+                responseText += `🎯 Model: ${workflowModel}\n`;
+                responseText += `📂 Payload: ${payloadPath}\n`;
+                
+                if (workflowTitle) {
+                    responseText += `📄 Title: ${workflowTitle}\n`;
+                }
+                
+                responseText += `📊 Status: ${result.status || 'RUNNING'}\n\n`;
+                
+                const dataCount = Object.keys(workflowData).length;
+                if (dataCount > 0) {
+                    responseText += `⚙️  Workflow Data (${dataCount}):\n`;
+                    Object.entries(workflowData).forEach(([key, value]) => {
+                        responseText += `  • ${key}: ${value}\n`;
+                    });
+                    responseText += '\n';
+                }
+
+                responseText += `✅ ${result.message}\n\n`;
+
+                let wait = null;
+                if (waitForCompletion && result.instancePath) {
+                    wait = await aemClient.waitForWorkflow(result.instancePath, { timeoutMs: timeoutSeconds * 1000 });
+                    responseText += formatWorkflowWait(wait);
+                } else {
+                    responseText += `📋 Monitoring:\n`;
+                    responseText += `  • Check the status with aem-get-workflow (instance: ${result.instancePath || result.workflowId})\n`;
+                    responseText += `  • Or start with waitForCompletion: true to wait for the result\n`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: wait ? wait.finished && wait.instance.status === 'COMPLETED' : true,
+                        workflowId: result.workflowId,
+                        instancePath: result.instancePath,
+                        payloadPath: payloadPath,
+                        status: wait ? wait.instance.status : result.status,
+                        timedOut: wait ? wait.timedOut : undefined,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `❌ Failed to start workflow\n\nError: ${error.message}\n\nPossible causes:\n- Invalid credentials\n- Workflow model doesn't exist\n- Payload path is invalid\n- Insufficient permissions\n- Workflow model is disabled`
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Get Workflow
+    server.tool(
+        'aem-get-workflow',
+        'Get the status of a workflow instance: state, model, payload, current steps, failure message and step history. Can wait until the workflow has finished, e.g. to publish an asset only after processing completed.',
+        {
+            instance: z.string().describe('Workflow instance path (e.g., "/var/workflow/instances/server0/2024-06-01/update_asset_1") or ID (e.g., "update_asset_1")'),
+            includeHistory: z.boolean().optional().describe('Include the step history (default: true)'),
+            waitForCompletion: z.boolean().optional().describe('Wait until the workflow has finished (or failed, or the timeout is reached) (default: false)'),
+            timeoutSeconds: z.number().int().positive().max(240).optional().describe('Maximum time to wait with waitForCompletion (default: 60, max: 240)'),
+            environment: environmentArg
+        },
+        async ({
+            instance,
+            includeHistory = true,
+            waitForCompletion = false,
+            timeoutSeconds = 60,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMWorkflowClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+
+                let wait = null;
+                let result;
+                if (waitForCompletion) {
+                    wait = await aemClient.waitForWorkflow(instance, { timeoutMs: timeoutSeconds * 1000 });
+                    result = wait.instance;
+                } else {
+                    result = await aemClient.getWorkflowInstance(instance, { includeHistory });
+                }
+
+                let responseText = formatWorkflowInstance(result, includeHistory);
+                if (wait) {
+                    responseText += `\n${formatWorkflowWait(wait)}`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        instance: result,
+                        finished: wait ? wait.finished : undefined,
+                        timedOut: wait ? wait.timedOut : undefined,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to get workflow\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'workflow status');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: List Workflows
+    server.tool(
+        'aem-list-workflows',
+        'List workflow instances by status (running, suspended, completed, aborted, stale, or failed - running with a failed step), optionally of one model or payload. Newest first.',
+        {
+            status: z.enum(['RUNNING', 'SUSPENDED', 'COMPLETED', 'ABORTED', 'STALE', 'FAILED']).optional().describe('Instance status (default: RUNNING)'),
+            model: z.string().optional().describe('Only instances of this workflow model (e.g., "/var/workflow/models/dam/update_asset")'),
+            payload: z.string().optional().describe('Only instances for this payload path (e.g., "/content/dam/mysite/hero.jpg")'),
+            limit: z.number().int().positive().max(200).optional().describe('Maximum number of instances (default: 50)'),
+            environment: environmentArg
+        },
+        async ({
+            status = 'RUNNING',
+            model,
+            payload,
+            limit = 50,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMWorkflowClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listWorkflowInstances({ status, model, payload, limit });
+
+                let responseText = `🔄 Workflow Instances: ${result.status} (${result.count})\n`;
+                if (model) {
+                    responseText += `🎯 Model: ${model}\n`;
+                }
+                if (payload) {
+                    responseText += `📂 Payload: ${payload}\n`;
+                }
+                responseText += '\n';
+                if (result.count === 0) {
+                    responseText += 'No matching workflow instances.\n';
+                }
+                result.instances.forEach(item => {
+                    responseText += `• ${item.title || item.id} - ${item.status}\n`;
+                    responseText += `  ${item.path}\n`;
+                    responseText += `  Model: ${item.model || 'unknown'} | Payload: ${item.payload || 'unknown'} | Started: ${item.startTime || 'unknown'}\n`;
+                    if (item.failure) {
+                        responseText += `  ❌ Failed at ${item.failure.step || 'unknown step'}: ${item.failure.message}\n`;
+                    } else if (item.currentSteps.length > 0) {
+                        responseText += `  ⏳ At: ${item.currentSteps.map(step => step.step || 'unknown step').join(', ')}\n`;
+                    }
+                });
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        status: result.status,
+                        instances: result.instances,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list workflows\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'the QueryBuilder API');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Control Workflow
+    server.tool(
+        'aem-control-workflow',
+        'Terminate, suspend or resume a workflow instance. Terminating cannot be undone and requires confirm=true.',
+        {
+            instance: z.string().describe('Workflow instance path or ID'),
+            action: z.enum(['terminate', 'suspend', 'resume']).describe('terminate (abort the instance), suspend (pause it) or resume (continue a suspended instance)'),
+            confirm: z.boolean().optional().describe('Must be true to terminate'),
+            environment: environmentArg
+        },
+        async ({
+            instance,
+            action,
+            confirm = false,
+            environment
+        }) => {
+            try {
+                if (action === 'terminate' && !confirm) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: '⚠️ Termination Cancelled\n\nYou must set confirm=true to terminate a workflow instance.\n\nA terminated workflow cannot be resumed; its remaining steps are not run.'
+                        }]
+                    };
+                }
+
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMWorkflowClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.controlWorkflowInstance(instance, action);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `✅ Workflow ${{ terminate: 'Terminated', suspend: 'Suspended', resume: 'Resumed' }[action]}\n\n📂 Instance: ${result.path}\n📊 Status: ${result.previousStatus} → ${result.status}\n`
+                    }],
+                    metadata: {
+                        success: true,
+                        path: result.path,
+                        previousStatus: result.previousStatus,
+                        status: result.status,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to ${action} workflow\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'workflow control');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Search Assets
+    server.tool(
+        'aem-search-assets',
+        'Search for assets in AEM DAM by filename and metadata properties (dc:title, dc:description, dc:subject, product:brand, product:sku). Returns matching assets with their metadata and paths. Supports search and replace to rename values in results.',
+        {
+            query: z.string().optional().describe('General search query that searches filename and metadata properties (dc:title, dc:description, dc:subject, product:brand, product:sku)'),
+            filename: z.string().optional().describe('Specific filename to search for (partial matches supported)'),
+            title: z.string().optional().describe('Specific dc:title metadata value to search for (partial matches supported)'),
+            damPath: z.string().optional().default('/content/dam').describe('DAM path to search within (default: /content/dam)'),
+            limit: z.number().optional().describe('Maximum number of results to return (default: 50)'),
+            offset: z.number().optional().describe('Result offset for pagination (default: 0)'),
+            searchValue: z.string().optional().describe('Value to search for in asset metadata values (case-insensitive). If provided, all matching values will be replaced with replaceValue.'),
+            replaceValue: z.string().optional().describe('Value to replace searchValue with in asset metadata. Required if searchValue is provided.'),
+            fullMetadata: z.boolean().optional().describe('Return every metadata property of each asset instead of the common ones (one extra request per asset, default: false)'),
+            mimeType: z.union([z.string(), z.array(z.string())]).optional().describe('MIME type(s) to match, wildcards allowed (e.g., "image/png" or ["image/*", "application/pdf"])'),
+            created: dateRangeArg.describe('Creation date range { from, to }: ISO 8601 or relative to now (e.g., { "from": "-7d" })'),
+            modified: dateRangeArg.describe('Modification date range { from, to }: ISO 8601 or relative to now (e.g., { "from": "-1w" } for last week)'),
+            tags: z.array(z.string()).optional().describe('Tag IDs the assets must carry (e.g., ["wknd:season/summer"])'),
+            tagsMatch: z.enum(['all', 'any']).optional().describe('Require all tags (default) or any of them'),
+            properties: z.array(z.object({
+                name: z.string().describe('Metadata property (e.g., "dc:creator") or path relative to the asset'),
+                operation: z.enum(['equals', 'unequals', 'like', 'exists', 'not']).optional().describe('equals (default), unequals, like (partial match), exists (has the property), not (lacks the property)'),
+                value: z.union([z.string(), z.number(), z.boolean()]).optional()
+            })).optional().describe('Filters on any metadata property'),
+            size: numberRangeArg.describe('File size range in bytes { min, max }'),
+            width: numberRangeArg.describe('Image width range in pixels { min, max }'),
+            height: numberRangeArg.describe('Image height range in pixels { min, max }'),
+            orderBy: z.string().optional().describe('Sort field: modified (default), created, name, title, size or any metadata property'),
+            sortOrder: z.enum(['asc', 'desc']).optional().describe('Sort direction (default: desc)'),
+            facets: z.array(z.string()).optional().describe('Return value counts for these fields: mimeType, tags or metadata properties (e.g., ["mimeType", "tags"])'),
+            pagination: z.enum(['offset', 'cursor']).optional().describe('"offset" (default) pages with limit/offset; "cursor" walks the full result set in stable creation order and returns a nextCursor'),
+            cursor: z.string().optional().describe('nextCursor from a previous response, to continue a cursor walk (implies pagination "cursor")'),
+            environment: environmentArg
+        },
+        async ({ 
+            query,
+            filename,
+            title,
+            damPath,
+            limit,
+            offset,
+            searchValue,
+            replaceValue,
+            fullMetadata = false,
+            mimeType,
+            created,
+            modified,
+            tags,
+            tagsMatch,
+            properties,
+            size,
+            width,
+            height,
+            orderBy,
+            sortOrder,
+            facets,
+            pagination = 'offset',
+            cursor,
+            environment
+        }) => {
+            try {
+                // Validate that at least one search parameter is provided
+                const structuredFilters = { mimeType, created, modified, tags, properties, size, width, height };
+                const hasStructuredFilter = Object.values(structuredFilters).some(value => value !== undefined && !(Array.isArray(value) && value.length === 0));
+                if (!query && !filename && !title && !hasStructuredFilter) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: '❌ Search Parameter Required\n\nPlease provide at least one of:\n- query: General search (searches filename and metadata: dc:title, dc:description, dc:subject, product:brand, product:sku)\n- filename: Search by filename\n- title: Search by dc:title metadata\n- mimeType, created, modified, tags, properties, size, width or height filters\n\nExample: "Search for assets with query summer" or "Find all PNGs tagged summer modified last week"'
+                        }]
+                    };
+                }
+
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                // Validate search and replace parameters
+                if (searchValue !== undefined && searchValue !== null && searchValue !== '' && replaceValue === undefined) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: '❌ Replace Value Required\n\nWhen using searchValue, you must also provide replaceValue.\n\nExample: "Search for assets with query summer and replace old-brand with new-brand"'
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const searchConfig = {
+                    query,
+                    filename,
+                    title,
+                    damPath: damPath || '/content/dam', // Default to /content/dam if not provided
+                    limit,
+                    offset,
+                    searchValue,
+                    replaceValue,
+                    fullMetadata,
+                    ...structuredFilters,
+                    tagsMatch,
+                    orderBy,
+                    sortOrder,
+                    facets
+                };
+                const useCursor = pagination === 'cursor' || Boolean(cursor);
+                const result = useCursor
+                    ? await aemClient.searchAssetsPage(searchConfig, { cursor, pageSize: limit })
+                    : await aemClient.searchAssets(searchConfig);
+
+                let responseText = '🔍 Asset Search Results\n\n';
+                responseText += `📊 Found: ${result.count} asset(s) (Total: ${result.total})\n`;
+                responseText += `⏱️  ${result.timing.totalMs} ms (query ${result.timing.queryMs} ms, ${result.timing.metadataFetches} metadata fetch(es))\n`;
+                responseText += `📂 Search Path: ${result.damPath}\n`;
+                
+                if (query) {
+                    responseText += `🔎 Query: "${query}"\n`;
+                } else if (filename || title) {
+                    const searchTerms = [];
+                    if (filename) searchTerms.push(`filename: "${filename}"`);
+                    if (title) searchTerms.push(`title: "${title}"`);
+                    responseText += `🔎 Search Terms: ${searchTerms.join(', ')}\n`;
+                }
+                if (hasStructuredFilter) {
+                    responseText += `🧮 Filters: ${formatSearchFilters(structuredFilters, tagsMatch)}\n`;
+                }
+                responseText += `↕️  Sorted by: ${[].concat(result.orderBy).join(', ')} (${result.sortOrder})\n`;
+                
+                if (searchValue !== undefined && searchValue !== null && searchValue !== '') {
+                    responseText += `🔄 Value Replacement: "${searchValue}" → "${replaceValue || ''}"\n`;
+                }
+                
+                responseText += '\n';
+
+                if (result.results.length === 0) {
+                    responseText += 'No assets found matching your search criteria.\n\n';
+                    responseText += '💡 Tips:\n';
+                    responseText += '  • Try a broader search query\n';
+                    responseText += '  • Check if the DAM path is correct\n';
+                    responseText += '  • Verify asset metadata exists\n';
+                } else {
+                    responseText += `📑 Results:\n\n`;
+                    result.results.forEach((asset, index) => {
+                        responseText += `${index + 1}. **${asset.name}**\n`;
+                        responseText += `   📄 Title: ${asset.title}\n`;
+                        responseText += `   📂 Path: ${asset.path}\n`;
+                        responseText += `   🔗 URL: ${asset.url}\n`;
+                        
+                        // Show some metadata if available
+                        if (asset.metadata && Object.keys(asset.metadata).length > 0) {
+                            const metadataKeys = Object.keys(asset.metadata).filter(key => !key.startsWith('jcr:')).slice(0, 3);
+                            if (metadataKeys.length > 0) {
+                                responseText += `   🏷️  Metadata: `;
+                                const metadataPairs = metadataKeys.map(key => {
+                                    const value = asset.metadata[key];
+                                    return `${key}: ${typeof value === 'string' && value.length > 30 ? value.substring(0, 27) + '...' : value}`;
+                                });
+                                responseText += metadataPairs.join(', ');
+                                responseText += '\n';
+                            }
+                        }
+                        responseText += '\n';
+                    });
+
+                    if (result.nextCursor) {
+                        responseText += `\n💡 More results available. Pass cursor "${result.nextCursor}" to continue.\n`;
+                    } else if (result.total > result.count && result.hasMore === undefined) {
+                        responseText += `\n💡 Showing ${result.count} of ${result.total} results. Use limit and offset parameters for pagination.\n`;
+                    }
+                }
+
+                const facetFields = Object.keys(result.facets);
+                if (facetFields.length > 0) {
+                    responseText += '\n📊 Facets:\n';
+                    facetFields.forEach(field => {
+                        const buckets = result.facets[field];
+                        responseText += `  ${field}: ${buckets.length > 0 ? buckets.slice(0, 10).map(bucket => `${bucket.value} (${bucket.count})`).join(', ') : 'no values'}\n`;
+                    });
+                }
+
+                responseText += `\n✅ ${result.message}`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        total: result.total,
+                        count: result.count,
+                        results: result.results,
+                        facets: result.facets,
+                        nextCursor: result.nextCursor || null,
+                        timing: result.timing,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                // Check if this is an authentication error
+                const isAuthError = error.message && error.message.includes('401');
+                
+                let errorText = `❌ Failed to search assets\n\nError: ${error.message}\n\n`;
+                
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'QueryBuilder API');
+                }
+                
+                errorText += `**Other possible causes:**\n`;
+                errorText += `- Invalid credentials\n`;
+                errorText += `- AEM QueryBuilder API not accessible\n`;
+                errorText += `- Invalid DAM path\n`;
+                errorText += `- Insufficient permissions\n`;
+                errorText += `- Network connectivity issues\n`;
+                
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Update Asset Metadata
+    const metadataScalar = z.union([z.string(), z.number(), z.boolean()])
+    server.tool(
+        'aem-update-asset-metadata',
+        'Update the metadata of a DAM asset. Values are validated against the metadata schema of the asset folder first; invalid values are reported per field and nothing is written. Supports merge and replace modes, property removal and typed values (dates, booleans, numbers, multi-value arrays).',
+        {
+            assetPath: z.string().describe('Path of the asset (e.g., /content/dam/brand/logo.png)'),
+            metadata: z.record(z.union([
+                metadataScalar,
+                z.array(metadataScalar),
+                z.object({
+                    type: z.enum(['String', 'Date', 'Boolean', 'Long', 'Double']),
+                    value: z.union([metadataScalar, z.array(metadataScalar)])
+                }),
+                z.null()
+            ])).optional().describe('Properties to set, e.g. {"dc:title": "Logo", "cq:tags": ["brand:logo"], "featured": true, "prism:expirationDate": {"type": "Date", "value": "2030-01-01"}}. null removes a property'),
+            mode: z.enum(['merge', 'replace']).optional().describe('"merge" keeps the other properties, "replace" removes every other editable property and requires metadata (properties AEM maintains, such as jcr:, dam:, exif:, xmp: and dc:format, are kept). Default: merge'),
+            remove: z.array(z.string()).optional().describe('Properties to remove (e.g., ["dc:rights"])'),
+            validate: z.boolean().optional().describe('Validate against the folder metadata schema before writing (default: true)'),
+            environment: environmentArg
+        },
+        async ({
+            assetPath,
+            metadata = {},
+            mode = 'merge',
+            remove = [],
+            validate = true,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.updateAssetMetadata(assetPath, metadata, mode === 'merge', { remove, validate });
+
+                let responseText;
+                if (!result.success) {
+                    responseText = '❌ Metadata Validation Failed\n\n';
+                    responseText += `📂 Asset: ${assetPath}\n`;
+                    responseText += `📋 Schema: ${result.schema || 'not available'}\n\n`;
+                    result.errors.forEach(error => {
+                        responseText += `  • ${error.field}: ${error.message}\n`;
+                    });
+                    responseText += '\nNothing was written. Fix the fields above and try again.';
+                } else {
+                    responseText = '✅ Asset Metadata Updated\n\n';
+                    responseText += `📂 Asset: ${assetPath}\n`;
+                    responseText += `🔀 Mode: ${result.mode}\n`;
+                    responseText += `📋 Schema: ${result.schema || (validate ? 'not available (not validated)' : 'validation skipped')}\n`;
+                    if (result.updated.length > 0) {
+                        responseText += `\n✏️  Updated (${result.updated.length}):\n`;
+                        result.updated.forEach(key => {
+                            responseText += `  • ${key}: ${JSON.stringify(metadata[key])}\n`;
+                        });
+                    }
+                    if (result.removed.length > 0) {
+                        responseText += `\n🗑️  Removed (${result.removed.length}):\n`;
+                        result.removed.forEach(key => {
+                            responseText += `  • ${key}\n`;
+                        });
+                    }
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        assetPath,
+                        mode: result.mode,
+                        schema: result.schema,
+                        updated: result.updated,
+                        removed: result.removed,
+                        errors: result.errors,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to update asset metadata\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'asset metadata updates');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Bulk Replace Metadata
+    server.tool(
+        'aem-bulk-replace-metadata',
+        'Search and replace values in the metadata of DAM assets and write the changes back to AEM. Runs as a dry run by default and shows a per-asset, per-field before/after diff; set dryRun=false to apply.',
+        {
+            searchValue: z.string().min(1).describe('Text to search for in metadata values (a regular expression when regex=true)'),
+            replaceValue: z.string().describe('Replacement text. With regex=true, $1, $2... refer to capture groups'),
+            fields: z.array(z.string()).optional().describe('Only replace in these metadata keys (e.g., ["dc:title", "dc:subject"]). Default: all keys except those maintained by AEM (jcr:, dam:, tiff:, exif:, xmp:, dc:format, ...)'),
+            caseSensitive: z.boolean().optional().describe('Match case (default: false)'),
+            regex: z.boolean().optional().describe('Treat searchValue as a regular expression (default: false)'),
+            dryRun: z.boolean().optional().describe('Only show the changes without saving them (default: true)'),
+            query: z.string().optional().describe('Only scan assets matching this search query (filename, dc:title, dc:description, dc:subject, product:brand, product:sku)'),
+            filename: z.string().optional().describe('Only scan assets whose filename matches'),
+            title: z.string().optional().describe('Only scan assets whose dc:title matches'),
+            damPath: z.string().optional().describe('DAM path to scan (default: /content/dam)'),
+            limit: z.number().int().positive().optional().describe('Maximum number of assets to scan (default: 100)'),
+            offset: z.number().int().min(0).optional().describe('Offset of the first scanned asset, to process large folders in pages (default: 0)'),
+            pagination: z.enum(['offset', 'cursor']).optional().describe('"cursor" walks all matching assets in stable creation order across calls; each response returns a nextCursor (default: offset)'),
+            cursor: z.string().optional().describe('nextCursor from a previous response, to continue a cursor walk (keep the other filters identical)'),
+            environment: environmentArg
+        },
+        async ({
+            searchValue,
+            replaceValue,
+            fields,
+            caseSensitive = false,
+            regex = false,
+            dryRun = true,
+            query,
+            filename,
+            title,
+            damPath = '/content/dam',
+            limit = 100,
+            offset = 0,
+            pagination = 'offset',
+            cursor,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.bulkReplaceMetadata({
+                    searchValue,
+                    replaceValue,
+                    fields,
+                    caseSensitive,
+                    regex,
+                    dryRun,
+                    query,
+                    filename,
+                    title,
+                    damPath,
+                    limit,
+                    offset,
+                    pagination,
+                    cursor
+                });
+
+                const statusIcons = { planned: '📝', updated: '✅', failed: '❌' };
+                let responseText = dryRun
+                    ? '🔍 Metadata Replace Preview (dry run)\n\n'
+                    : '🔄 Metadata Replace Results\n\n';
+                responseText += `🔎 Search: ${regex ? `/${searchValue}/` : `"${searchValue}"`}${caseSensitive ? ' (case-sensitive)' : ''}\n`;
+                responseText += `✏️  Replace: "${replaceValue}"\n`;
+                responseText += `🏷️  Fields: ${fields ? fields.join(', ') : 'all (except those maintained by AEM)'}\n`;
+                responseText += `📂 Scanned: ${result.scanned} asset(s) in ${result.damPath} (Total: ${result.total})\n\n`;
+
+                if (result.changes.length === 0) {
+                    responseText += 'No metadata values match the search.\n';
+                } else {
+                    result.changes.forEach((change, index) => {
+                        responseText += `${index + 1}. ${statusIcons[change.status] || ''} **${change.name}**\n`;
+                        responseText += `   📂 ${change.path}\n`;
+                        change.fields.forEach(({ field, before, after }) => {
+                            responseText += `   • ${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}\n`;
+                        });
+                        if (change.error) {
+                            responseText += `   Error: ${change.error}\n`;
+                        }
+                        responseText += '\n';
+                    });
+                }
+
+                if (result.nextCursor) {
+                    responseText += `💡 More assets to scan. Repeat the request with cursor "${result.nextCursor}" to continue.\n`;
+                } else if (pagination === 'offset' && !cursor && result.total > result.scanned + offset) {
+                    responseText += `💡 Only ${result.scanned} of ${result.total} assets were scanned. Use offset=${offset + result.scanned} to continue.\n`;
+                }
+                if (dryRun && result.changes.length > 0) {
+                    responseText += '💡 Run again with dryRun=false to apply these changes.\n';
+                }
+
+                responseText += `\n${result.success ? '✅' : '⚠️'} ${result.message}`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        dryRun: result.dryRun,
+                        scanned: result.scanned,
+                        total: result.total,
+                        nextCursor: result.nextCursor,
+                        changes: result.changes,
+                        updated: result.updated,
+                        failed: result.failed,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to replace metadata\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'asset metadata updates');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Export Metadata CSV
+    server.tool(
+        'aem-export-metadata',
+        'Export the metadata of all assets below a DAM folder (subfolders included) as CSV, one row per asset and one column per metadata property. The CSV is returned as a text/csv resource that can be edited in a spreadsheet and imported with aem-import-metadata.',
+        {
+            folderPath: z.string().describe('DAM folder to export (e.g., /content/dam/brand)'),
+            columns: z.array(z.string()).min(1).optional().describe('Metadata properties to export (default: dc:title, dc:description, dc:subject, cq:tags, product:brand, product:sku)'),
+            maxAssets: z.number().int().positive().optional().describe('Maximum number of assets to export (default: 5000)'),
+            environment: environmentArg
+        },
+        async ({
+            folderPath,
+            columns,
+            maxAssets,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.exportMetadataCsv(folderPath, { columns, maxAssets });
+
+                let responseText = '📤 Metadata Exported\n\n';
+                responseText += `📂 Folder: ${result.folderPath}\n`;
+                responseText += `📊 Assets: ${result.count}\n`;
+                responseText += `🏷️  Columns: assetPath, ${result.columns.join(', ')}\n`;
+                if (result.truncated) {
+                    responseText += `\n⚠️  Stopped after ${result.count} assets. Export subfolders separately or raise maxAssets.\n`;
+                }
+                responseText += '\n💡 Multi-value properties are separated by "|". Edit the CSV and pass it to aem-import-metadata.\n';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }, {
+                        type: 'resource',
+                        resource: {
+                            uri: `aem://${authResult.environment || 'default'}${result.folderPath}/metadata.csv`,
+                            mimeType: 'text/csv',
+                            text: result.csv
+                        }
+                    }],
+                    metadata: {
+                        success: true,
+                        folderPath: result.folderPath,
+                        columns: result.columns,
+                        count: result.count,
+                        truncated: result.truncated,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to export metadata\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'metadata export');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Import Metadata CSV
+    server.tool(
+        'aem-import-metadata',
+        'Import asset metadata from CSV (as written by aem-export-metadata: an assetPath column and one column per metadata property). Paths and columns are validated and each row is compared with the current metadata. Runs as a dry run by default and shows the per-row diff; set dryRun=false to apply the changes in batches.',
+        {
+            csv: z.string().min(1).describe('CSV text. First column assetPath, then metadata properties (e.g., "assetPath,dc:title,cq:tags"). Multi-values are separated by "|"; headers may carry a type like "prism:expirationDate {{Date}}". Empty cells leave a property unchanged'),
+            dryRun: z.boolean().optional().describe('Only show the changes without saving them (default: true)'),
+            validate: z.boolean().optional().describe('Validate the values against the folder metadata schemas (default: true)'),
+            batchSize: z.number().int().positive().max(100).optional().describe('Rows applied per batch (default: 20)'),
+            environment: environmentArg
+        },
+        async ({
+            csv,
+            dryRun = true,
+            validate = true,
+            batchSize = 20,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.importMetadataCsv(csv, { dryRun, validate, batchSize });
+
+                const statusIcons = { changed: '📝', updated: '✅', unchanged: '➖', invalid: '⚠️', failed: '❌' };
+                let responseText = dryRun
+                    ? '🔍 Metadata Import Preview (dry run)\n\n'
+                    : '📥 Metadata Import Results\n\n';
+
+                if (result.errors.length > 0) {
+                    responseText += '❌ The CSV was rejected:\n';
+                    result.errors.forEach(error => {
+                        responseText += `  • Line ${error.line}: ${error.message}\n`;
+                    });
+                    responseText += '\nNothing was imported. Fix the CSV and try again.';
+                } else {
+                    responseText += `🏷️  Columns: ${result.columns.map(column => column.name).join(', ')}\n`;
+                    responseText += `📊 Rows: ${result.summary.total} - ${dryRun ? 'to update' : 'updated'}: ${result.summary.updated}, unchanged: ${result.summary.unchanged}, invalid: ${result.summary.invalid}, failed: ${result.summary.failed}\n\n`;
+
+                    result.rows.filter(row => row.status !== 'unchanged').forEach(row => {
+                        responseText += `${statusIcons[row.status] || ''} Line ${row.line}: ${row.assetPath}\n`;
+                        row.changes.forEach(({ field, before, after }) => {
+                            responseText += `   • ${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}\n`;
+                        });
+                        row.errors.forEach(error => {
+                            responseText += `   Error${error.field ? ` (${error.field})` : ''}: ${error.message}\n`;
+                        });
+                    });
+
+                    if (dryRun && result.summary.updated > 0) {
+                        responseText += '\n💡 Run again with dryRun=false to apply these changes.\n';
+                    }
+                    responseText += `\n${result.success ? '✅' : '⚠️'} ${result.message}`;
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        dryRun: result.dryRun,
+                        summary: result.summary,
+                        rows: result.rows,
+                        errors: result.errors,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to import metadata\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'metadata import');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Get Asset
+    server.tool(
+        'aem-get-asset',
+        'Get the details of one DAM asset: MIME type, file size, dimensions, checksum, processing status, versions, renditions with their sizes and the pages referencing it. Optionally returns a small thumbnail image.',
+        {
+            assetPath: z.string().describe('Path of the asset (e.g., /content/dam/Ford/logo.png)'),
+            includeThumbnail: z.boolean().optional().describe('Return a small thumbnail rendition as image content (default: false)'),
+            environment: environmentArg
+        },
+        async ({
+            assetPath,
+            includeThumbnail = false,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const asset = await aemClient.getAsset(assetPath, { includeThumbnail });
+
+                const statusIcons = { processed: '✅', processing: '⏳', failed: '❌' };
+                let responseText = `🖼️  ${asset.title || asset.name}\n\n`;
+                responseText += `📂 Path: ${asset.path}\n`;
+                responseText += `🏷️  MIME Type: ${asset.mimeType || 'unknown'}\n`;
+                responseText += `📊 Size: ${formatFileSize(asset.size)}\n`;
+                if (asset.width && asset.height) {
+                    responseText += `📐 Dimensions: ${asset.width} × ${asset.height} px\n`;
+                }
+                if (asset.checksum) {
+                    responseText += `🔒 Checksum (${asset.checksum.algorithm}): ${asset.checksum.value}\n`;
+                }
+                responseText += `${statusIcons[asset.status] || '❔'} Processing: ${asset.status}\n`;
+                if (asset.created) {
+                    responseText += `📅 Created: ${asset.created}${asset.createdBy ? ` by ${asset.createdBy}` : ''}\n`;
+                }
+                if (asset.modified) {
+                    responseText += `✏️  Modified: ${asset.modified}${asset.modifiedBy ? ` by ${asset.modifiedBy}` : ''}\n`;
+                }
+                if (asset.lastReplicated) {
+                    responseText += `📢 Last ${asset.lastReplicationAction === 'Deactivate' ? 'unpublished' : 'published'}: ${asset.lastReplicated}\n`;
+                }
+                responseText += `🔗 URL: ${authResult.authorUrl}${asset.path}\n`;
+
+                responseText += `\n🎞️  Renditions (${asset.renditions.length}):\n`;
+                asset.renditions.forEach(rendition => {
+                    responseText += `  • ${rendition.name} - ${rendition.mimeType || 'unknown type'}, ${formatFileSize(rendition.size)}\n`;
+                });
+
+                if (asset.versions) {
+                    responseText += `\n🕘 Versions (${asset.versions.length}):\n`;
+                    asset.versions.forEach(version => {
+                        responseText += `  • ${version.name} - ${version.created || 'unknown date'}${version.comment ? ` - ${version.comment}` : ''}\n`;
+                    });
+                }
+
+                if (asset.references) {
+                    if (asset.references.length === 0) {
+                        responseText += '\n🔗 Not referenced by any page\n';
+                    } else {
+                        responseText += formatAssetReferences(asset.references);
+                    }
+                }
+
+                if (includeThumbnail && !asset.thumbnail) {
+                    responseText += '\n🖼️  No thumbnail rendition available\n';
+                }
+                if (asset.warnings.length > 0) {
+                    responseText += `\n⚠️  Warnings:\n`;
+                    asset.warnings.forEach(warning => {
+                        responseText += `  • ${warning}\n`;
+                    });
+                }
+
+                const content = [{
+                    type: 'text',
+                    text: responseText
+                }];
+                if (asset.thumbnail) {
+                    content.push({
+                        type: 'image',
+                        data: asset.thumbnail.data,
+                        mimeType: asset.thumbnail.mimeType
+                    });
+                }
+
+                const { thumbnail, ...details } = asset;
+                return {
+                    content,
+                    metadata: {
+                        ...details,
+                        thumbnailRendition: thumbnail ? thumbnail.rendition : null,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to get asset\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'asset details');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Rename Asset
+    server.tool(
+        'aem-rename-asset',
+        'Rename an asset in AEM DAM by changing its filename. The asset will be moved to a new path with the new name.',
+        {
+            assetPath: z.string().describe('Current path of the asset (e.g., /content/dam/Ford/old-name.png)'),
+            newName: z.string().describe('New name for the asset (e.g., new-name.png). Can include file extension.'),
+            environment: environmentArg
+        },
+        async ({
+            assetPath,
+            newName,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.renameAsset(assetPath, newName);
+
+                let responseText = '✅ Asset Renamed Successfully!\n\n';
+                responseText += `📄 Old Name: ${assetPath.split('/').pop()}\n`;
+                responseText += `📄 New Name: ${result.newName}\n`;
+                responseText += `📂 Old Path: ${result.oldPath}\n`;
+                responseText += `📂 New Path: ${result.newPath}\n`;
+                responseText += `🔗 New URL: ${authResult.authorUrl}${result.newPath}\n`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        oldPath: result.oldPath,
+                        newPath: result.newPath,
+                        newName: result.newName,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `❌ Failed to rename asset\n\nError: ${error.message}\n\nPossible causes:\n- Asset not found at the specified path\n- Target name already exists\n- Invalid asset path format\n- Insufficient permissions\n- Network connectivity issues`
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Move Asset
+    server.tool(
+        'aem-move-asset',
+        'Move a DAM asset to another folder. Pages referencing the asset are checked first: the move is refused while references exist, unless adjustReferences=true, which moves the asset and updates the references on those pages.',
+        {
+            assetPath: z.string().describe('Path of the asset (e.g., /content/dam/Ford/logo.png)'),
+            destinationFolder: z.string().describe('Target DAM folder (e.g., /content/dam/Ford/archive)'),
+            newName: z.string().optional().describe('Name in the target folder (default: the current name)'),
+            adjustReferences: z.boolean().optional().describe('Update pages referencing the asset to the new path (default: false, refuse when referenced)'),
+            environment: environmentArg
+        },
+        async ({
+            assetPath,
+            destinationFolder,
+            newName,
+            adjustReferences = false,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.moveAsset(assetPath, destinationFolder, { newName, adjustReferences });
+
+                let responseText;
+                if (!result.success) {
+                    responseText = '⚠️ Asset Not Moved\n\n';
+                    responseText += `📂 Asset: ${assetPath}\n`;
+                    responseText += formatAssetReferences(result.references);
+                    responseText += '\nMoving it would break these references. Set adjustReferences=true to move the asset and update the pages.';
+                } else {
+                    responseText = '✅ Asset Moved Successfully!\n\n';
+                    responseText += `📂 Old Path: ${result.oldPath}\n`;
+                    responseText += `📂 New Path: ${result.newPath}\n`;
+                    responseText += `🔗 New URL: ${authResult.authorUrl}${result.newPath}\n`;
+                    responseText += formatReferenceAdjustment(result, 'updated');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        oldPath: result.oldPath,
+                        newPath: result.newPath,
+                        references: result.references,
+                        adjusted: result.adjusted || [],
+                        failed: result.failed || [],
+                        republish: result.republish || [],
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to move asset\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'asset moves');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Copy Asset
+    server.tool(
+        'aem-copy-asset',
+        'Copy a DAM asset (with its renditions and metadata) to a folder, optionally under a new name.',
+        {
+            assetPath: z.string().describe('Path of the asset (e.g., /content/dam/Ford/logo.png)'),
+            destinationFolder: z.string().describe('Target DAM folder (e.g., /content/dam/Lincoln)'),
+            newName: z.string().optional().describe('Name of the copy (default: the current name)'),
+            environment: environmentArg
+        },
+        async ({
+            assetPath,
+            destinationFolder,
+            newName,
+            environment
+        }) => {
+            try {
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.copyAsset(assetPath, destinationFolder, { newName });
+
+                let responseText = '✅ Asset Copied Successfully!\n\n';
+                responseText += `📂 Source: ${result.sourcePath}\n`;
+                responseText += `📂 Copy: ${result.newPath}\n`;
+                responseText += `🔗 URL: ${authResult.authorUrl}${result.newPath}\n`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: true,
+                        sourcePath: result.sourcePath,
+                        newPath: result.newPath,
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to copy asset\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'asset copies');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Delete Asset
+    server.tool(
+        'aem-delete-asset',
+        'Delete a DAM asset. Use with caution - this action cannot be undone! Pages referencing the asset are checked first: the deletion is refused while references exist, unless adjustReferences=true, which deletes the asset and removes the references from those pages.',
+        {
+            assetPath: z.string().describe('Path of the asset (e.g., /content/dam/Ford/logo.png)'),
+            adjustReferences: z.boolean().optional().describe('Remove the references from pages using the asset (default: false, refuse when referenced)'),
+            confirm: z.boolean().describe('Must be true to confirm deletion'),
+            environment: environmentArg
+        },
+        async ({
+            assetPath,
+            adjustReferences = false,
+            confirm,
+            environment
+        }) => {
+            try {
+                if (!confirm) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: '⚠️ Deletion Cancelled\n\nYou must set confirm=true to delete an asset.\n\nThis is a safety measure to prevent accidental deletions.'
+                        }]
+                    };
+                }
+
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
+
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.deleteAsset(assetPath, { adjustReferences });
+
+                let responseText;
+                if (!result.success) {
+                    responseText = '⚠️ Asset Not Deleted\n\n';
+                    responseText += `📂 Asset: ${assetPath}\n`;
+                    responseText += formatAssetReferences(result.references);
+                    responseText += '\nDeleting it would break these references. Set adjustReferences=true to delete the asset and remove the references from the pages.';
+                } else {
+                    responseText = '✅ Asset Deleted\n\n';
+                    responseText += `📂 Path: ${result.assetPath}\n`;
+                    responseText += formatReferenceAdjustment(result, 'removed');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }],
+                    metadata: {
+                        success: result.success,
+                        assetPath,
+                        references: result.references,
+                        adjusted: result.adjusted || [],
+                        failed: result.failed || [],
+                        republish: result.republish || [],
+                        requests: aemClient.getRequestStats()
+                    }
+                };
+            } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to delete asset\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'asset deletion');
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: errorText
+                    }]
+                };
+            }
+        }
+    )
+
+    // AEM: Create DAM Folder
+    server.tool(
+        'aem-create-folder',
+        'Create a DAM folder (and its missing parent folders) with a title, optionally assigning a metadata schema and an asset processing profile to it.',
+        {
+            folderPath: z.string().describe('Folder path (e.g., /content/dam/campaigns/summer-2024)'),
+            title: z.string().optional().describe('Folder title (default: the folder name)'),
+            metadataSchema: z.string().optional().describe('Metadata schema name (e.g., "campaign") or path under /conf to assign to the folder'),
+            processingProfile: z.string().optional().describe('Processing profile name (e.g., "web-renditions") or path under /conf to assign to the folder'),
+            createParents: z.boolean().optional().describe('Create missing parent folders (default: true)'),
+            environment: environmentArg
         },
-        async ({ 
-            assetName,
-            damPath,
-            assetUrl,
-            assetData,
-            mimeType = 'application/octet-stream',
-            metadata = {},
-            authorUrl,
-            username,
-            password,
-            token
+        async ({
+            folderPath,
+            title,
+            metadataSchema,
+            processingProfile,
+            createParents = true,
+            environment
         }) => {
             try {
-                if (!assetUrl && !assetData) {
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: '❌ Asset Source Required\n\nPlease provide either:\n- assetUrl: URL to download the asset from\n- assetData: Base64 encoded asset data'
-                        }]
-                    };
-                }
-
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
                             type: 'text',
-                            text: `❌ Authentication Required\n\n${authResult.error}`
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
                         }]
                     };
                 }
 
-                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials);
-                const result = await aemClient.uploadAsset({
-                    assetName,
-                    damPath,
-                    assetUrl,
-                    assetData,
-                    mimeType,
-                    metadata
-                });
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.createFolder(folderPath, { title, metadataSchema, processingProfile, createParents });
 
-                let responseText = '📤 Asset Uploaded Successfully!\n\n';
-                responseText += `📄 Asset Name: ${assetName}\n`;
-                responseText += `📂 DAM Path: ${result.fullPath}\n`;
-                responseText += `🏷️  MIME Type: ${mimeType}\n`;
-                
-                if (result.fileSize) {
-                    responseText += `📊 File Size: ${result.fileSize}\n`;
+                let responseText = '✅ Folder Created Successfully!\n\n';
+                responseText += `📁 Path: ${result.folderPath}\n`;
+                responseText += `🏷️  Title: ${result.title}\n`;
+                if (result.metadataSchema) {
+                    responseText += `📋 Metadata Schema: ${result.metadataSchema}\n`;
                 }
-                
-                responseText += '\n';
-                
-                const metadataCount = Object.keys(metadata).length;
-                if (metadataCount > 0) {
-                    responseText += `🏷️  Metadata (${metadataCount}):\n`;
-                    Object.entries(metadata).forEach(([key, value]) => {
-                        responseText += `  • ${key}: ${value}\n`;
+                if (result.processingProfile) {
+                    responseText += `⚙️  Processing Profile: ${result.processingProfile}\n`;
+                }
+                if (result.createdParents.length > 0) {
+                    responseText += `\n📂 Parent folders created:\n`;
+                    result.createdParents.forEach(path => {
+                        responseText += `  • ${path}\n`;
                     });
-                    responseText += '\n';
                 }
-
-                responseText += `✅ ${result.message}\n\n`;
-                responseText += `📋 Next Steps:\n`;
-                responseText += `  1. View the asset in AEM Assets\n`;
-                responseText += `  2. Process the asset (generate renditions)\n`;
-                responseText += `  3. Use the asset in your pages or content fragments\n`;
+                responseText += `\n🔗 Assets UI: ${authResult.authorUrl}/assets.html${result.folderPath}\n`;
 
                 return {
                     content: [{
@@ -960,90 +4196,64 @@ function registerTools (server) {
                     }],
                     metadata: {
                         success: true,
-                        assetPath: result.fullPath,
-                        assetName: assetName
+                        folderPath: result.folderPath,
+                        title: result.title,
+                        createdParents: result.createdParents,
+                        metadataSchema: result.metadataSchema,
+                        processingProfile: result.processingProfile,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to create folder\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'folder creation');
+                }
+
                 return {
                     content: [{
                         type: 'text',
-                        text: `❌ Failed to upload asset\n\nError: ${error.message}\n\nPossible causes:\n- Invalid credentials\n- DAM path doesn't exist\n- Asset download failed (if using URL)\n- Invalid asset data\n- Insufficient permissions\n- File size too large`
+                        text: errorText
                     }]
                 };
             }
         }
     )
 
-    // AEM: Start Workflow
+    // AEM: List DAM Folders
     server.tool(
-        'aem-start-workflow',
-        'Start an AEM workflow for content approval, asset processing, or custom automation. Workflows help orchestrate content operations.',
+        'aem-list-folders',
+        'List the DAM folder tree below a path with the number of assets in each folder (directly and including subfolders).',
         {
-            workflowModel: z.string().describe('Path to the workflow model (e.g., "/var/workflow/models/dam/update_asset")'),
-            payloadPath: z.string().describe('Path to the content/asset to process (e.g., "/content/mysite/en/home", "/content/dam/mysite/image.jpg")'),
-            workflowTitle: z.string().optional().describe('Title for this workflow instance'),
-            workflowData: z.record(z.any()).optional().describe('Additional workflow data as key-value pairs'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            rootPath: z.string().optional().describe('Root folder (default: /content/dam)'),
+            depth: z.number().int().min(0).max(10).optional().describe('Folder levels below the root to include (default: 2)'),
+            environment: environmentArg
         },
-        async ({ 
-            workflowModel,
-            payloadPath,
-            workflowTitle,
-            workflowData = {},
-            authorUrl,
-            username,
-            password,
-            token
+        async ({
+            rootPath = '/content/dam',
+            depth = 2,
+            environment
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
                             type: 'text',
-                            text: `❌ Authentication Required\n\n${authResult.error}`
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
                         }]
                     };
                 }
 
-                const aemClient = createAEMMicrositeClient(authResult.authorUrl, authResult.credentials);
-                const result = await aemClient.startWorkflow({
-                    workflowModel,
-                    payloadPath,
-                    workflowTitle: workflowTitle || `Workflow for ${payloadPath}`,
-                    workflowData
-                });
-
-                let responseText = '🔄 Workflow Started Successfully!\n\n';
-                responseText += `📝 Workflow ID: ${result.workflowId}\n`;
-                responseText += `🎯 Model: ${workflowModel}\n`;
-                responseText += `📂 Payload: ${payloadPath}\n`;
-                
-                if (workflowTitle) {
-                    responseText += `📄 Title: ${workflowTitle}\n`;
-                }
-                
-                responseText += `📊 Status: ${result.status || 'RUNNING'}\n\n`;
-                
-                const dataCount = Object.keys(workflowData).length;
-                if (dataCount > 0) {
-                    responseText += `⚙️  Workflow Data (${dataCount}):\n`;
-                    Object.entries(workflowData).forEach(([key, value]) => {
-                        responseText += `  • ${key}: ${value}\n`;
-                    });
-                    responseText += '\n';
-                }
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.listFolderTree(rootPath, { depth });
 
-                responseText += `✅ ${result.message}\n\n`;
-                responseText += `📋 Monitoring:\n`;
-                responseText += `  1. Check workflow status in AEM Workflow Console\n`;
-                responseText += `  2. View workflow history for the payload\n`;
-                responseText += `  3. Monitor workflow inbox for tasks\n`;
+                let responseText = `📁 DAM Folders below ${rootPath} (depth ${result.depth})\n\n`;
+                responseText += formatFolderTree(result.tree);
+                responseText += `\n📊 ${result.folderCount - 1} folder(s), ${result.tree.totalAssetCount} asset(s)\n`;
 
                 return {
                     content: [{
@@ -1052,192 +4262,107 @@ function registerTools (server) {
                     }],
                     metadata: {
                         success: true,
-                        workflowId: result.workflowId,
-                        payloadPath: payloadPath
+                        rootPath,
+                        depth: result.depth,
+                        folderCount: result.folderCount,
+                        tree: result.tree,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to list folders\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'folder listing');
+                }
+
                 return {
                     content: [{
                         type: 'text',
-                        text: `❌ Failed to start workflow\n\nError: ${error.message}\n\nPossible causes:\n- Invalid credentials\n- Workflow model doesn't exist\n- Payload path is invalid\n- Insufficient permissions\n- Workflow model is disabled`
+                        text: errorText
                     }]
                 };
             }
         }
     )
 
-    // AEM: Search Assets
+    // AEM: Rename DAM Folder
     server.tool(
-        'aem-search-assets',
-        'Search for assets in AEM DAM by filename and metadata properties (dc:title, dc:description, dc:subject, product:brand, product:sku). Returns matching assets with their metadata and paths. Supports search and replace to rename values in results.',
+        'aem-rename-folder',
+        'Rename a DAM folder (its name in the path, its title or both). A new name changes the path of every asset inside, so the rename is refused while pages reference those assets, unless adjustReferences=true.',
         {
-            query: z.string().optional().describe('General search query that searches filename and metadata properties (dc:title, dc:description, dc:subject, product:brand, product:sku)'),
-            filename: z.string().optional().describe('Specific filename to search for (partial matches supported)'),
-            title: z.string().optional().describe('Specific dc:title metadata value to search for (partial matches supported)'),
-            damPath: z.string().optional().default('/content/dam').describe('DAM path to search within (default: /content/dam)'),
-            limit: z.number().optional().describe('Maximum number of results to return (default: 50)'),
-            offset: z.number().optional().describe('Result offset for pagination (default: 0)'),
-            searchValue: z.string().optional().describe('Value to search for in asset metadata values (case-insensitive). If provided, all matching values will be replaced with replaceValue.'),
-            replaceValue: z.string().optional().describe('Value to replace searchValue with in asset metadata. Required if searchValue is provided.'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            server: z.string().optional().describe('AEM Author URL (alias for authorUrl)'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            folderPath: z.string().describe('Folder path (e.g., /content/dam/campaigns/summer)'),
+            newName: z.string().optional().describe('New folder name (changes the path, e.g., "summer-2024")'),
+            title: z.string().optional().describe('New folder title'),
+            adjustReferences: z.boolean().optional().describe('Update pages referencing assets in the folder to the new path (default: false, refuse when referenced)'),
+            environment: environmentArg
         },
-        async ({ 
-            query,
-            filename,
+        async ({
+            folderPath,
+            newName,
             title,
-            damPath,
-            limit,
-            offset,
-            searchValue,
-            replaceValue,
-            authorUrl,
-            server,
-            username,
-            password,
-            token
+            adjustReferences = false,
+            environment
         }) => {
             try {
-                // Validate that at least one search parameter is provided
-                if (!query && !filename && !title) {
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: '❌ Search Parameter Required\n\nPlease provide at least one of:\n- query: General search (searches filename and metadata: dc:title, dc:description, dc:subject, product:brand, product:sku)\n- filename: Search by filename\n- title: Search by dc:title metadata\n\nExample: "Search for assets with query summer" or "Search assets with filename banner.jpg"'
-                        }]
-                    };
-                }
-
-                // Get credentials from params or environment variables (support both authorUrl and server)
-                const authResult = getAEMCredentials({ authorUrl: authorUrl || server, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
                             type: 'text',
-                            text: `❌ Authentication Required\n\n${authResult.error}\n\nDebug info:\n- AEM_AUTHOR_URL env: ${process.env.AEM_AUTHOR_URL ? 'set' : 'not set'}\n- AEM_TOKEN env: ${process.env.AEM_TOKEN ? 'set (length: ' + process.env.AEM_TOKEN.length + ')' : 'not set'}\n- AEM_USERNAME env: ${process.env.AEM_USERNAME ? 'set' : 'not set'}`
-                        }]
-                    };
-                }
-
-                // Validate search and replace parameters
-                if (searchValue !== undefined && searchValue !== null && searchValue !== '' && replaceValue === undefined) {
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: '❌ Replace Value Required\n\nWhen using searchValue, you must also provide replaceValue.\n\nExample: "Search for assets with query summer and replace old-brand with new-brand"'
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
                         }]
                     };
                 }
 
-                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials);
-                const result = await aemClient.searchAssets({
-                    query,
-                    filename,
-                    title,
-                    damPath: damPath || '/content/dam', // Default to /content/dam if not provided
-                    limit,
-                    offset,
-                    searchValue,
-                    replaceValue
-                });
-
-                let responseText = '🔍 Asset Search Results\n\n';
-                responseText += `📊 Found: ${result.count} asset(s) (Total: ${result.total})\n`;
-                responseText += `📂 Search Path: ${result.damPath}\n`;
-                
-                if (query) {
-                    responseText += `🔎 Query: "${query}"\n`;
-                } else {
-                    const searchTerms = [];
-                    if (filename) searchTerms.push(`filename: "${filename}"`);
-                    if (title) searchTerms.push(`title: "${title}"`);
-                    responseText += `🔎 Search Terms: ${searchTerms.join(', ')}\n`;
-                }
-                
-                if (searchValue !== undefined && searchValue !== null && searchValue !== '') {
-                    responseText += `🔄 Value Replacement: "${searchValue}" → "${replaceValue || ''}"\n`;
-                }
-                
-                responseText += '\n';
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.renameFolder(folderPath, { newName, title, adjustReferences });
 
-                if (result.results.length === 0) {
-                    responseText += 'No assets found matching your search criteria.\n\n';
-                    responseText += '💡 Tips:\n';
-                    responseText += '  • Try a broader search query\n';
-                    responseText += '  • Check if the DAM path is correct\n';
-                    responseText += '  • Verify asset metadata exists\n';
+                let responseText;
+                if (!result.success) {
+                    responseText = '⚠️ Folder Not Renamed\n\n';
+                    responseText += `📁 Folder: ${folderPath}\n`;
+                    responseText += formatAssetReferences(result.references);
+                    responseText += '\nRenaming it would break these references. Set adjustReferences=true to rename the folder and update the pages.';
                 } else {
-                    responseText += `📑 Results:\n\n`;
-                    result.results.forEach((asset, index) => {
-                        responseText += `${index + 1}. **${asset.name}**\n`;
-                        responseText += `   📄 Title: ${asset.title}\n`;
-                        responseText += `   📂 Path: ${asset.path}\n`;
-                        responseText += `   🔗 URL: ${asset.url}\n`;
-                        
-                        // Show some metadata if available
-                        if (asset.metadata && Object.keys(asset.metadata).length > 0) {
-                            const metadataKeys = Object.keys(asset.metadata).slice(0, 3);
-                            if (metadataKeys.length > 0) {
-                                responseText += `   🏷️  Metadata: `;
-                                const metadataPairs = metadataKeys.map(key => {
-                                    const value = asset.metadata[key];
-                                    return `${key}: ${typeof value === 'string' && value.length > 30 ? value.substring(0, 27) + '...' : value}`;
-                                });
-                                responseText += metadataPairs.join(', ');
-                                responseText += '\n';
-                            }
-                        }
-                        responseText += '\n';
-                    });
-
-                    if (result.total > result.count) {
-                        responseText += `\n💡 Showing ${result.count} of ${result.total} results. Use limit and offset parameters for pagination.\n`;
+                    responseText = '✅ Folder Renamed Successfully!\n\n';
+                    responseText += `📁 Old Path: ${result.oldPath}\n`;
+                    responseText += `📁 New Path: ${result.newPath}\n`;
+                    if (result.title) {
+                        responseText += `🏷️  Title: ${result.title}\n`;
+                    }
+                    if (result.newPath !== result.oldPath) {
+                        responseText += formatReferenceAdjustment(result, 'updated');
                     }
                 }
 
-                responseText += `\n✅ ${result.message}`;
-
                 return {
                     content: [{
                         type: 'text',
                         text: responseText
                     }],
                     metadata: {
-                        success: true,
-                        total: result.total,
-                        count: result.count,
-                        results: result.results
+                        success: result.success,
+                        oldPath: result.oldPath,
+                        newPath: result.newPath,
+                        title: result.title || null,
+                        references: result.references,
+                        adjusted: result.adjusted || [],
+                        failed: result.failed || [],
+                        republish: result.republish || [],
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
-                // Check if this is an authentication error
                 const isAuthError = error.message && error.message.includes('401');
-                const hasUsernamePassword = process.env.AEM_USERNAME && process.env.AEM_PASSWORD;
-                // Check if token is being used (from params or env)
-                const isUsingToken = !!(token || process.env.AEM_TOKEN);
-                
-                let errorText = `❌ Failed to search assets\n\nError: ${error.message}\n\n`;
-                
-                if (isAuthError && isUsingToken && hasUsernamePassword) {
-                    errorText += `💡 **Authentication Issue Detected**\n\n`;
-                    errorText += `You're using Bearer token authentication, but AEM Cloud Service may require username/password for QueryBuilder API.\n\n`;
-                    errorText += `**Try using username/password instead:**\n`;
-                    errorText += `- Pass username and password as tool parameters, OR\n`;
-                    errorText += `- Ensure AEM_USERNAME and AEM_PASSWORD are set in your environment\n\n`;
-                    errorText += `Note: Bearer tokens may expire after 24 hours. If your token has expired, use username/password authentication.\n\n`;
+
+                let errorText = `❌ Failed to rename folder\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'folder renames');
                 }
-                
-                errorText += `**Other possible causes:**\n`;
-                errorText += `- Invalid credentials\n`;
-                errorText += `- AEM QueryBuilder API not accessible\n`;
-                errorText += `- Invalid DAM path\n`;
-                errorText += `- Insufficient permissions\n`;
-                errorText += `- Network connectivity issues\n`;
-                
+
                 return {
                     content: [{
                         type: 'text',
@@ -1248,65 +4373,67 @@ function registerTools (server) {
         }
     )
 
-    // AEM: Rename Asset
+    // AEM: Delete DAM Folder
     server.tool(
-        'aem-rename-asset',
-        'Rename an asset in AEM DAM by changing its filename. The asset will be moved to a new path with the new name.',
+        'aem-delete-folder',
+        'Delete an empty DAM folder. Folders that still contain assets or subfolders are not deleted.',
         {
-            assetPath: z.string().describe('Current path of the asset (e.g., /content/dam/Ford/old-name.png)'),
-            newName: z.string().describe('New name for the asset (e.g., new-name.png). Can include file extension.'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            folderPath: z.string().describe('Folder path (e.g., /content/dam/campaigns/old)'),
+            confirm: z.boolean().describe('Must be true to confirm deletion'),
+            environment: environmentArg
         },
         async ({
-            assetPath,
-            newName,
-            authorUrl,
-            username,
-            password,
-            token
+            folderPath,
+            confirm,
+            environment
         }) => {
             try {
-                // Get credentials from params or environment variables
-                const authResult = getAEMCredentials({ authorUrl, username, password, token });
-                if (authResult.error) {
+                if (!confirm) {
                     return {
                         content: [{
                             type: 'text',
-                            text: `❌ Authentication Required\n\n${authResult.error}`
+                            text: '⚠️ Deletion Cancelled\n\nYou must set confirm=true to delete a folder.\n\nThis is a safety measure to prevent accidental deletions.'
                         }]
                     };
                 }
 
-                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials);
-                const result = await aemClient.renameAsset(assetPath, newName);
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
+                if (authResult.error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ Authentication Required\n\n${authResult.error}\n\n💡 Use aem-list-environments to see the configured environment profiles.`
+                        }]
+                    };
+                }
 
-                let responseText = '✅ Asset Renamed Successfully!\n\n';
-                responseText += `📄 Old Name: ${assetPath.split('/').pop()}\n`;
-                responseText += `📄 New Name: ${result.newName}\n`;
-                responseText += `📂 Old Path: ${result.oldPath}\n`;
-                responseText += `📂 New Path: ${result.newPath}\n`;
-                responseText += `🔗 New URL: ${authResult.authorUrl}${result.newPath}\n`;
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const result = await aemClient.deleteFolder(folderPath);
 
                 return {
                     content: [{
                         type: 'text',
-                        text: responseText
+                        text: `✅ Folder Deleted\n\n📁 Path: ${result.folderPath}\n`
                     }],
                     metadata: {
                         success: true,
-                        oldPath: result.oldPath,
-                        newPath: result.newPath,
-                        newName: result.newName
+                        folderPath: result.folderPath,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
+                const isAuthError = error.message && error.message.includes('401');
+
+                let errorText = `❌ Failed to delete folder\n\nError: ${error.message}\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'folder deletion');
+                }
+
                 return {
                     content: [{
                         type: 'text',
-                        text: `❌ Failed to rename asset\n\nError: ${error.message}\n\nPossible causes:\n- Asset not found at the specified path\n- Target name already exists\n- Invalid asset path format\n- Insufficient permissions\n- Network connectivity issues`
+                        text: errorText
                     }]
                 };
             }
@@ -1321,21 +4448,19 @@ function registerTools (server) {
             folder: z.string().describe('DAM folder path to search for assets (e.g., "/content/dam/Ford", "/content/dam/my-site/images")'),
             limit: z.number().optional().describe('Maximum number of results to return (default: 100)'),
             offset: z.number().optional().describe('Result offset for pagination (default: 0)'),
-            authorUrl: z.string().optional().describe('AEM Author URL'),
-            server: z.string().optional().describe('AEM Author URL (alias for authorUrl)'),
-            username: z.string().optional().describe('AEM username'),
-            password: z.string().optional().describe('AEM password'),
-            token: z.string().optional().describe('Bearer token for authentication')
+            fullMetadata: z.boolean().optional().describe('Return every metadata property of each asset instead of the common ones (one extra request per asset, default: false)'),
+            pagination: z.enum(['offset', 'cursor']).optional().describe('"offset" (default) pages with limit/offset; "cursor" walks the full result set in stable creation order and returns a nextCursor'),
+            cursor: z.string().optional().describe('nextCursor from a previous response, to continue a cursor walk (implies pagination "cursor")'),
+            environment: environmentArg
         },
         async ({
             folder,
             limit,
             offset,
-            authorUrl,
-            server,
-            username,
-            password,
-            token
+            fullMetadata = false,
+            pagination = 'offset',
+            cursor,
+            environment
         }) => {
             try {
                 if (!folder) {
@@ -1357,8 +4482,8 @@ function registerTools (server) {
                     };
                 }
 
-                // Get credentials from params or environment variables (support both authorUrl and server)
-                const authResult = getAEMCredentials({ authorUrl: authorUrl || server, username, password, token });
+                // Get credentials from the named environment profile
+                const authResult = getAEMCredentials({ environment });
                 if (authResult.error) {
                     return {
                         content: [{
@@ -1368,12 +4493,17 @@ function registerTools (server) {
                     };
                 }
 
-                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials);
-                const result = await aemClient.listAssetsInFolder(folder, limit, offset);
+                const aemClient = createAEMAssetClient(authResult.authorUrl, authResult.credentials, authResult.clientOptions);
+                const useCursor = pagination === 'cursor' || Boolean(cursor);
+                const result = useCursor
+                    ? { ...await aemClient.searchAssetsPage({ damPath: folder, fullMetadata }, { cursor, pageSize: limit }), folderPath: folder }
+                    : await aemClient.listAssetsInFolder(folder, limit, offset, { fullMetadata });
 
                 let responseText = '📁 Assets in Folder\n\n';
                 responseText += `📂 Folder: ${result.folderPath}\n`;
-                responseText += `📊 Found: ${result.count} asset(s) (Total: ${result.total})\n\n`;
+                responseText += `📊 Found: ${result.count} asset(s) (Total: ${result.total})\n`;
+                responseText += `⏱️  ${result.timing.totalMs} ms (query ${result.timing.queryMs} ms, ${result.timing.metadataFetches} metadata fetch(es))\n`;
+                responseText += '\n';
 
                 if (result.results.length === 0) {
                     responseText += 'No assets found in this folder.\n\n';
@@ -1391,7 +4521,7 @@ function registerTools (server) {
                         
                         // Show some metadata if available
                         if (asset.metadata && Object.keys(asset.metadata).length > 0) {
-                            const metadataKeys = Object.keys(asset.metadata).slice(0, 3);
+                            const metadataKeys = Object.keys(asset.metadata).filter(key => !key.startsWith('jcr:')).slice(0, 3);
                             if (metadataKeys.length > 0) {
                                 responseText += `   🏷️  Metadata: `;
                                 const metadataPairs = metadataKeys.map(key => {
@@ -1405,7 +4535,9 @@ function registerTools (server) {
                         responseText += '\n';
                     });
 
-                    if (result.total > result.count) {
+                    if (result.nextCursor) {
+                        responseText += `\n💡 More results available. Pass cursor "${result.nextCursor}" to continue.\n`;
+                    } else if (result.total > result.count && result.hasMore === undefined) {
                         responseText += `\n💡 Showing ${result.count} of ${result.total} results. Use limit and offset parameters for pagination.\n`;
                     }
                 }
@@ -1422,23 +4554,20 @@ function registerTools (server) {
                         folderPath: result.folderPath,
                         total: result.total,
                         count: result.count,
-                        results: result.results
+                        results: result.results,
+                        nextCursor: result.nextCursor || null,
+                        timing: result.timing,
+                        requests: aemClient.getRequestStats()
                     }
                 };
             } catch (error) {
                 // Check if this is an authentication error
                 const isAuthError = error.message && error.message.includes('401');
-                const hasUsernamePassword = process.env.AEM_USERNAME && process.env.AEM_PASSWORD;
-                const isUsingToken = !!(token || process.env.AEM_TOKEN);
                 
                 let errorText = `❌ Failed to list assets in folder\n\nError: ${error.message}\n\n`;
                 
-                if (isAuthError && isUsingToken && hasUsernamePassword) {
-                    errorText += `💡 **Authentication Issue Detected**\n\n`;
-                    errorText += `You're using Bearer token authentication, but AEM Cloud Service may require username/password for QueryBuilder API.\n\n`;
-                    errorText += `**Try using username/password instead:**\n`;
-                    errorText += `- Pass username and password as tool parameters, OR\n`;
-                    errorText += `- Ensure AEM_USERNAME and AEM_PASSWORD are set in your environment\n\n`;
+                if (isAuthError) {
+                    errorText += getAuthErrorHint(environment, 'QueryBuilder API');
                 }
                 
                 errorText += `**Other possible causes:**\n`;
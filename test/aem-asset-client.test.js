@@ -0,0 +1,925 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { createAEMAssetClient, AEMAssetClient } = require('../actions/mcp-server/aem-asset-client');
+
+// Mock axios instance
+const mockAxiosInstance = {
+    defaults: {
+        headers: {
+            common: {}
+        },
+        auth: null
+    },
+    interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+    },
+    get: jest.fn(),
+    head: jest.fn(),
+    post: jest.fn(),
+    delete: jest.fn()
+};
+
+// Mock axios
+jest.mock('axios', () => {
+    return {
+        create: jest.fn(() => mockAxiosInstance),
+        get: jest.fn(),
+        put: jest.fn()
+    };
+});
+
+const axios = require('axios');
+
+describe('AEM Asset Client', () => {
+    let aemClient;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAxiosInstance.get.mockReset();
+        mockAxiosInstance.head.mockReset();
+        mockAxiosInstance.post.mockReset();
+        mockAxiosInstance.delete.mockReset();
+        axios.get.mockReset();
+        axios.put.mockReset();
+        aemClient = createAEMAssetClient('https://author-test.adobeaemcloud.com', {
+            username: 'admin',
+            password: 'admin'
+        });
+    });
+
+    test('should create AEM asset client', () => {
+        expect(aemClient).toBeInstanceOf(AEMAssetClient);
+    });
+
+    describe('uploadAsset', () => {
+        const initiateResponse = {
+            data: {
+                completeURI: '/content/dam/test.completeUpload.json',
+                folderPath: '/content/dam/test',
+                files: [{
+                    fileName: 'hello.txt',
+                    mimeType: 'text/plain',
+                    uploadToken: 'token-123',
+                    uploadURIs: ['https://blob.test/part1', 'https://blob.test/part2'],
+                    minPartSize: 4,
+                    maxPartSize: 1024
+                }]
+            }
+        };
+
+        test('should upload base64 data through initiate, part and complete steps', async () => {
+            mockAxiosInstance.post
+                .mockResolvedValueOnce(initiateResponse)
+                .mockResolvedValueOnce({ status: 201, data: {} });
+            mockAxiosInstance.get.mockResolvedValue({ data: { 'dam:assetState': 'processing' } });
+            axios.put.mockResolvedValue({ status: 201 });
+
+            const result = await aemClient.uploadAsset({
+                assetName: 'hello.txt',
+                damPath: '/content/dam/test/',
+                assetData: Buffer.from('hello world').toString('base64'),
+                mimeType: 'text/plain'
+            });
+
+            expect(mockAxiosInstance.post.mock.calls[0][0]).toBe('/content/dam/test.initiateUpload.json');
+            expect(mockAxiosInstance.post.mock.calls[0][1]).toBe('fileName=hello.txt&fileSize=11');
+
+            // 11 bytes over 2 URIs → 6 + 5 byte parts
+            expect(axios.put).toHaveBeenCalledTimes(2);
+            expect(axios.put.mock.calls[0][0]).toBe('https://blob.test/part1');
+            expect(axios.put.mock.calls[0][1].toString()).toBe('hello ');
+            expect(axios.put.mock.calls[1][1].toString()).toBe('world');
+
+            expect(mockAxiosInstance.post.mock.calls[1][0]).toBe('/content/dam/test.completeUpload.json');
+            expect(mockAxiosInstance.post.mock.calls[1][1]).toContain('uploadToken=token-123');
+
+            expect(result.success).toBe(true);
+            expect(result.fullPath).toBe('/content/dam/test/hello.txt');
+            expect(result.fileSize).toBe(11);
+            expect(result.processingStatus).toBe('processing');
+        });
+
+        test('should download assetUrl and apply metadata after upload', async () => {
+            axios.get.mockResolvedValue({
+                data: Buffer.from('hello world'),
+                headers: { 'content-type': 'text/plain; charset=utf-8' }
+            });
+            mockAxiosInstance.post
+                .mockResolvedValueOnce(initiateResponse)
+                .mockResolvedValueOnce({ status: 201, data: {} })
+                .mockResolvedValueOnce({ status: 200, data: {} });
+            mockAxiosInstance.head.mockResolvedValue({ status: 200 });
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url.endsWith('/jcr:content.json') && url.includes('hello.txt')
+                ? { data: { 'dam:assetState': 'processed' } }
+                : { data: {} }));
+            axios.put.mockResolvedValue({ status: 201 });
+
+            const result = await aemClient.uploadAsset({
+                assetName: 'hello.txt',
+                damPath: '/content/dam/test',
+                assetUrl: 'https://example.com/hello.txt',
+                metadata: { 'dc:title': 'Hello' }
+            });
+
+            expect(result.mimeType).toBe('text/plain');
+            expect(result.metadataApplied).toBe(true);
+            expect(mockAxiosInstance.post.mock.calls[2][0]).toBe('/content/dam/test/hello.txt/jcr:content/metadata');
+            expect(result.processingStatus).toBe('processed');
+        });
+
+        test('should only download assetUrl from public http(s) hosts', async () => {
+            const urls = [
+                'file:///etc/passwd',
+                'http://169.254.169.254/latest/meta-data/',
+                'http://127.0.0.1:8080/',
+                'http://[::ffff:10.0.0.1]/',
+                'http://localhost/asset.png'
+            ];
+            for (const assetUrl of urls) {
+                await expect(aemClient.resolveAssetBinary({ assetUrl })).rejects.toThrow(/http or https URL|public host/);
+            }
+            expect(axios.get).not.toHaveBeenCalled();
+
+            axios.get.mockResolvedValueOnce({ status: 302, data: Buffer.alloc(0), headers: { location: 'http://192.168.0.10/asset.png' } });
+            await expect(aemClient.resolveAssetBinary({ assetUrl: 'https://example.com/asset.png' }))
+                .rejects.toThrow('assetUrl must point to a public host, got 192.168.0.10');
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('should limit the size of assetUrl downloads', async () => {
+            axios.get.mockRejectedValue(new Error('maxContentLength size of 209715200 exceeded'));
+
+            await expect(aemClient.resolveAssetBinary({ assetUrl: 'https://example.com/huge.mov' }))
+                .rejects.toThrow('Asset at https://example.com/huge.mov is larger than the download limit of 200 MB');
+            const config = axios.get.mock.calls[0][1];
+            expect(config.maxContentLength).toBe(200 * 1024 * 1024);
+            expect(config.maxRedirects).toBe(0);
+            expect(typeof config.lookup).toBe('function');
+        });
+
+        test('should reject when no binary source is provided', async () => {
+            await expect(
+                aemClient.uploadAsset({ assetName: 'a.png', damPath: '/content/dam/test' })
+            ).rejects.toThrow('Either assetData or assetUrl is required');
+        });
+
+        test('should reject files larger than the allowed parts', () => {
+            expect(() => aemClient.calculateUploadParts(5000, {
+                uploadURIs: ['u1', 'u2'],
+                minPartSize: 1,
+                maxPartSize: 1024
+            })).toThrow('exceeds the maximum upload size');
+        });
+    });
+
+    describe('bulkReplaceMetadata', () => {
+        const mockAssets = () => mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url.startsWith('/bin/querybuilder.json')
+            ? { data: { total: 2, hits: [{ path: '/content/dam/a.png' }, { path: '/content/dam/b.png' }] } }
+            : {
+                data: url.startsWith('/content/dam/a.png')
+                    ? { 'jcr:primaryType': 'nt:unstructured', 'dc:title': 'Ford Focus', 'dc:subject': ['ford', 'cars'], 'dc:description': 'A FORD car' }
+                    : { 'dc:title': 'Mustang' }
+            }));
+
+        test('should report per-field diffs without writing in dry run', async () => {
+            mockAssets();
+
+            const result = await aemClient.bulkReplaceMetadata({ searchValue: 'ford', replaceValue: 'Lincoln' });
+
+            expect(result.dryRun).toBe(true);
+            expect(result.scanned).toBe(2);
+            expect(result.changes).toEqual([{
+                path: '/content/dam/a.png',
+                name: 'a.png',
+                status: 'planned',
+                fields: [
+                    { field: 'dc:title', before: 'Ford Focus', after: 'Lincoln Focus' },
+                    { field: 'dc:subject', before: ['ford', 'cars'], after: ['Lincoln', 'cars'] },
+                    { field: 'dc:description', before: 'A FORD car', after: 'A Lincoln car' }
+                ]
+            }]);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('should honor fields, case sensitivity and regex groups', async () => {
+            mockAssets();
+
+            const caseSensitive = await aemClient.bulkReplaceMetadata({
+                searchValue: 'Ford',
+                replaceValue: 'Lincoln',
+                fields: ['dc:title', 'dc:description'],
+                caseSensitive: true
+            });
+            expect(caseSensitive.changes[0].fields).toEqual([
+                { field: 'dc:title', before: 'Ford Focus', after: 'Lincoln Focus' }
+            ]);
+
+            const regex = await aemClient.bulkReplaceMetadata({
+                searchValue: '^(\\w+) (\\w+)$',
+                replaceValue: '$2 $1',
+                fields: ['dc:title'],
+                regex: true
+            });
+            expect(regex.changes[0].fields[0].after).toBe('Focus Ford');
+
+            await expect(aemClient.bulkReplaceMetadata({ searchValue: '(', regex: true }))
+                .rejects.toThrow('Invalid regular expression');
+        });
+
+        test('should write only the changed fields and summarize failures', async () => {
+            mockAssets();
+            mockAxiosInstance.head.mockResolvedValue({ status: 200 });
+            mockAxiosInstance.post.mockResolvedValueOnce({ status: 200 });
+
+            const result = await aemClient.bulkReplaceMetadata({
+                searchValue: 'ford',
+                replaceValue: 'Lincoln',
+                fields: ['dc:subject'],
+                dryRun: false
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.updated).toBe(1);
+            const [url, body] = mockAxiosInstance.post.mock.calls[0];
+            const form = new URLSearchParams(body);
+            expect(url).toBe('/content/dam/a.png/jcr:content/metadata');
+            expect(form.getAll('dc:subject')).toEqual(['Lincoln', 'cars']);
+            expect(form.get('dc:subject@TypeHint')).toBe('String[]');
+            expect(form.has('dc:title')).toBe(false);
+
+            mockAxiosInstance.post.mockRejectedValueOnce(new Error('Request failed with status code 403'));
+            const failed = await aemClient.bulkReplaceMetadata({ searchValue: 'ford', replaceValue: 'Lincoln', dryRun: false });
+            expect(failed.success).toBe(false);
+            expect(failed.changes[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('403') });
+            expect(failed.message).toBe('Updated 0 asset(s), 1 failed');
+        });
+
+        test('should skip properties maintained by AEM unless fields are given', async () => {
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url.startsWith('/bin/querybuilder.json')
+                ? { data: { total: 1, hits: [{ path: '/content/dam/c.png' }] } }
+                : { data: { 'dc:title': 'Ford Focus', 'dam:Comments': 'ford', 'exif:Make': 'Ford' } }));
+            mockAxiosInstance.head.mockResolvedValue({ status: 200 });
+            mockAxiosInstance.post.mockResolvedValue({ status: 200 });
+
+            const dryRun = await aemClient.bulkReplaceMetadata({ searchValue: 'ford', replaceValue: 'Lincoln' });
+            expect(dryRun.changes[0].fields).toEqual([
+                { field: 'dc:title', before: 'Ford Focus', after: 'Lincoln Focus' }
+            ]);
+
+            const result = await aemClient.bulkReplaceMetadata({ searchValue: 'ford', replaceValue: 'Lincoln', dryRun: false });
+            expect(result.success).toBe(true);
+            expect(result.updated).toBe(1);
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(form.get('dc:title')).toBe('Lincoln Focus');
+            expect(form.has('exif:Make')).toBe(false);
+        });
+    });
+
+    describe('updateAssetMetadata', () => {
+        const schema = {
+            'jcr:primaryType': 'nt:unstructured',
+            items: {
+                tabs: {
+                    items: {
+                        tab1: {
+                            items: {
+                                col1: {
+                                    items: {
+                                        title: { 'sling:resourceType': 'dam/gui/coral/components/admin/schemaforms/formbuilder/textfield', name: './jcr:content/metadata/dc:title', fieldLabel: 'Title', required: 'true' },
+                                        expires: { 'sling:resourceType': 'dam/gui/coral/components/admin/schemaforms/formbuilder/datepickerfield', name: './jcr:content/metadata/prism:expirationDate', fieldLabel: 'Expires' },
+                                        status: {
+                                            'sling:resourceType': 'dam/gui/coral/components/admin/schemaforms/formbuilder/dropdownfield',
+                                            name: './jcr:content/metadata/status',
+                                            fieldLabel: 'Status',
+                                            items: { a: { text: 'Draft', value: 'draft' }, b: { text: 'Final', value: 'final' } }
+                                        },
+                                        tags: { 'sling:resourceType': 'cq/gui/components/coral/common/form/tagfield', name: './jcr:content/metadata/cq:tags', fieldLabel: 'Tags' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        const mockSchema = (existingMetadata = {}) => mockAxiosInstance.get.mockImplementation(url => {
+            if (url === '/content/dam/brand/jcr:content.json') {
+                return Promise.resolve({ data: { metadataSchema: '/conf/global/settings/dam/adminui-extension/metadataschema/brand' } });
+            }
+            if (url === '/conf/global/settings/dam/adminui-extension/metadataschema/brand.infinity.json') {
+                return Promise.resolve({ data: schema });
+            }
+            if (url.endsWith('/jcr:content/metadata.json')) {
+                return Promise.resolve({ data: existingMetadata });
+            }
+            return Promise.reject(Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } }));
+        });
+
+        beforeEach(() => {
+            mockAxiosInstance.head.mockResolvedValue({ status: 200 });
+            mockAxiosInstance.post.mockResolvedValue({ status: 200 });
+        });
+
+        test('should write typed values with Sling type hints', async () => {
+            mockSchema();
+
+            const result = await aemClient.updateAssetMetadata('/content/dam/brand/logos/logo.png', {
+                'dc:title': 'Logo',
+                'prism:expirationDate': '2030-01-01',
+                'cq:tags': ['brand:logo'],
+                featured: true,
+                rank: 3
+            }, true, { remove: ['dc:description'] });
+
+            expect(result.success).toBe(true);
+            expect(result.schema).toBe('/conf/global/settings/dam/adminui-extension/metadataschema/brand');
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(form.get('prism:expirationDate@TypeHint')).toBe('Date');
+            expect(form.get('prism:expirationDate')).toBe('2030-01-01T00:00:00.000Z');
+            expect(form.get('cq:tags@TypeHint')).toBe('String[]');
+            expect(form.get('featured@TypeHint')).toBe('Boolean');
+            expect(form.get('rank@TypeHint')).toBe('Long');
+            expect(form.has('dc:title@TypeHint')).toBe(false);
+            expect(form.has('dc:description@Delete')).toBe(true);
+        });
+
+        test('should return schema violations per field without writing', async () => {
+            mockSchema();
+
+            const result = await aemClient.updateAssetMetadata('/content/dam/brand/logo.png', {
+                'dc:title': '',
+                'prism:expirationDate': 'next week',
+                status: 'archived',
+                'dam:sha1': 'abc'
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual([
+                { field: 'dc:title', message: 'Title is required' },
+                { field: 'prism:expirationDate', message: 'Expires must be a date (ISO 8601), got "next week"' },
+                { field: 'status', message: 'Status must be one of: draft, final (got "archived")' },
+                { field: 'dam:sha1', message: 'dam:sha1 is maintained by AEM and cannot be written' }
+            ]);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('should remove other editable properties in replace mode', async () => {
+            mockSchema({ 'jcr:primaryType': 'nt:unstructured', 'dam:sha1': 'abc', 'dc:title': 'Old', 'dc:description': 'Old description' });
+
+            const result = await aemClient.updateAssetMetadata('/content/dam/brand/logo.png', { 'dc:title': 'New' }, false);
+
+            expect(result.mode).toBe('replace');
+            expect(result.removed).toEqual(['dc:description']);
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(form.get('dc:title')).toBe('New');
+            expect(form.has('dam:sha1@Delete')).toBe(false);
+        });
+
+        test('should keep the properties AEM extracts from the binary in replace mode', async () => {
+            mockSchema({
+                'dc:format': 'image/png',
+                'xmp:CreatorTool': 'Photoshop',
+                'xmpRights:Marked': 'True',
+                'pdf:Producer': 'Acrobat',
+                'Iptc4xmpCore:Location': 'Berlin',
+                'lr:hierarchicalSubject': ['brand'],
+                'dc:title': 'Old',
+                'dc:description': 'Old description'
+            });
+
+            const result = await aemClient.updateAssetMetadata('/content/dam/brand/logo.png', { 'dc:title': 'New' }, false);
+
+            expect(result.removed).toEqual(['dc:description']);
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect([...form.keys()].filter(key => key.endsWith('@Delete'))).toEqual(['dc:description@Delete']);
+        });
+
+        test('should reject replace mode without metadata', async () => {
+            await expect(aemClient.updateAssetMetadata('/content/dam/brand/logo.png', {}, false))
+                .rejects.toThrow('Replace mode requires metadata');
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listAssetsInFolder', () => {
+        test('should read metadata from selective hits without per-asset requests', async () => {
+            mockAxiosInstance.get.mockResolvedValue({
+                data: {
+                    total: 2,
+                    hits: [
+                        { 'jcr:path': '/content/dam/ford/a.png', 'jcr:content': { metadata: { 'jcr:primaryType': 'nt:unstructured', 'dc:title': 'A' } } },
+                        { 'jcr:path': '/content/dam/ford/b.png', 'jcr:content/metadata/jcr:primaryType': 'nt:unstructured', 'jcr:content/metadata/dc:format': 'image/png' }
+                    ]
+                }
+            });
+
+            const result = await aemClient.listAssetsInFolder('/content/dam/ford', 100, 0);
+
+            expect(mockAxiosInstance.get).toHaveBeenCalledTimes(1);
+            const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+            expect(query.get('p.hits')).toBe('selective');
+            expect(query.get('p.properties')).toContain('jcr:content/metadata/dc:title');
+            expect(result.results.map(asset => asset.title)).toEqual(['A', 'b.png']);
+            expect(result.results[1].metadata['dc:format']).toBe('image/png');
+            expect(result.timing).toMatchObject({ metadataFetches: 0 });
+        });
+
+        test('should fetch metadata only for hits that carry none', async () => {
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url.startsWith('/bin/querybuilder.json')
+                ? {
+                    data: {
+                        total: 2,
+                        hits: [
+                            { 'jcr:path': '/content/dam/ford/a.png', 'jcr:content': { metadata: { 'dc:title': 'A' } } },
+                            { 'jcr:path': '/content/dam/ford/b.png' }
+                        ]
+                    }
+                }
+                : { data: { 'dc:title': 'B' } }));
+
+            const result = await aemClient.listAssetsInFolder('/content/dam/ford');
+
+            expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+            expect(mockAxiosInstance.get).toHaveBeenLastCalledWith('/content/dam/ford/b.png/jcr:content/metadata.json');
+            expect(result.results.map(asset => asset.title)).toEqual(['A', 'B']);
+            expect(result.timing.metadataFetches).toBe(1);
+        });
+    });
+
+    describe('searchAssets', () => {
+        test('should translate structured filters, sorting and facets into predicates', async () => {
+            mockAxiosInstance.get.mockResolvedValue({
+                data: {
+                    total: 1,
+                    hits: [{ 'jcr:path': '/content/dam/summer/a.png', 'jcr:content': { metadata: { 'dc:format': 'image/png' } } }],
+                    facets: {
+                        '11_property': [{ value: 'image/jpeg', count: 2 }, { value: 'image/png', count: 5 }],
+                        '12_property': { buckets: [{ value: 'wknd:season/summer', count: '4' }] }
+                    }
+                }
+            });
+
+            const result = await aemClient.searchAssets({
+                mimeType: ['image/png', 'image/*'],
+                modified: { from: '-7d' },
+                tags: ['wknd:season/summer'],
+                properties: [{ name: 'dc:creator', operation: 'like', value: 'Ann' }, { name: 'dc:rights', operation: 'not' }],
+                size: { max: 1048576 },
+                width: { min: 1920 },
+                orderBy: 'size',
+                sortOrder: 'asc',
+                facets: ['mimeType', 'tags']
+            });
+
+            const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+            expect(query.get('4_group.p.or')).toBe('true');
+            expect(query.get('4_group.1_property.value')).toBe('image/png');
+            expect(query.get('4_group.2_property.operation')).toBe('like');
+            expect(query.get('4_group.2_property.value')).toBe('image/%');
+            expect(query.get('5_daterange.property')).toBe('jcr:content/jcr:lastModified');
+            expect(Date.now() - new Date(query.get('5_daterange.lowerBound')).getTime()).toBeGreaterThanOrEqual(7 * 86400 * 1000);
+            expect(query.get('6_tagid')).toBe('wknd:season/summer');
+            expect(query.get('6_tagid.property')).toBe('jcr:content/metadata/cq:tags');
+            expect(query.get('7_property.value')).toBe('%Ann%');
+            expect(query.get('8_property.operation')).toBe('not');
+            expect(query.get('9_rangeproperty.upperBound')).toBe('1048576');
+            expect(query.get('10_rangeproperty.property')).toBe('jcr:content/metadata/tiff:ImageWidth');
+            expect(query.get('p.facets')).toBe('true');
+            expect(query.get('orderby')).toBe('@jcr:content/metadata/dam:size');
+            expect(query.get('orderby.sort')).toBe('asc');
+            expect(result.facets).toEqual({
+                mimeType: [{ value: 'image/png', count: 5 }, { value: 'image/jpeg', count: 2 }],
+                tags: [{ value: 'wknd:season/summer', count: 4 }]
+            });
+        });
+
+        test('should reject invalid dates and incomplete property filters', async () => {
+            await expect(aemClient.searchAssets({ created: { from: 'last tuesday' } }))
+                .rejects.toThrow('Invalid date for created.from');
+            await expect(aemClient.searchAssets({ properties: [{ name: 'dc:creator' }] }))
+                .rejects.toThrow('needs a value');
+            expect(mockAxiosInstance.get).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('searchAssetsPage', () => {
+        // Minimal QueryBuilder: created range, created/path ordering and limit
+        let repository;
+        const mockQueryBuilder = () => mockAxiosInstance.get.mockImplementation(url => {
+            const query = new URLSearchParams(url.split('?')[1]);
+            const prefix = [...query.keys()].find(key => key.endsWith('daterange.property')).replace('property', '');
+            const lower = query.get(`${prefix}lowerBound`);
+            const upper = query.get(`${prefix}upperBound`);
+            const hits = repository
+                .filter(asset => (!lower || asset.created >= lower) && (!upper || asset.created <= upper))
+                .sort((a, b) => a.created.localeCompare(b.created) || a.path.localeCompare(b.path))
+                .slice(0, Number(query.get('p.limit')))
+                .map(asset => ({ 'jcr:path': asset.path, 'jcr:created': asset.created, 'jcr:content': { metadata: {} } }));
+            return Promise.resolve({ data: { total: hits.length, hits } });
+        });
+
+        beforeEach(() => {
+            repository = [
+                { path: '/content/dam/a.png', created: '2024-01-01T00:00:00.000Z' },
+                { path: '/content/dam/b.png', created: '2024-01-02T00:00:00.000Z' },
+                { path: '/content/dam/c.png', created: '2024-01-02T00:00:00.000Z' },
+                { path: '/content/dam/d.png', created: '2024-01-02T00:00:00.000Z' },
+                { path: '/content/dam/e.png', created: '2024-01-03T00:00:00.000Z' }
+            ];
+            mockQueryBuilder();
+        });
+
+        test('should walk all assets once even when content changes between pages', async () => {
+            const first = await aemClient.searchAssetsPage({ damPath: '/content/dam' }, { pageSize: 2 });
+            expect(first.results.map(asset => asset.path)).toEqual(['/content/dam/a.png', '/content/dam/b.png']);
+            expect(first.hasMore).toBe(true);
+
+            // An earlier asset is deleted and a new one is uploaded before the next page
+            repository = repository.filter(asset => asset.path !== '/content/dam/a.png');
+            repository.push({ path: '/content/dam/new.png', created: new Date(Date.now() + 1000).toISOString() });
+
+            const second = await aemClient.searchAssetsPage({ damPath: '/content/dam' }, { pageSize: 2, cursor: first.nextCursor });
+            expect(second.results.map(asset => asset.path)).toEqual(['/content/dam/c.png', '/content/dam/d.png']);
+
+            const third = await aemClient.searchAssetsPage({ damPath: '/content/dam' }, { pageSize: 2, cursor: second.nextCursor });
+            expect(third.results.map(asset => asset.path)).toEqual(['/content/dam/e.png']);
+            expect(third.hasMore).toBe(false);
+            expect(third.nextCursor).toBeNull();
+
+            const orderBy = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+            expect(orderBy.get('1_orderby')).toBe('@jcr:created');
+            expect(orderBy.get('2_orderby')).toBe('path');
+        });
+
+        test('should iterate the full result set and reject cursors of other searches', async () => {
+            const paths = [];
+            for await (const asset of aemClient.iterateAssets({ damPath: '/content/dam' }, { pageSize: 2 })) {
+                paths.push(asset.path);
+            }
+            expect(paths).toEqual(repository.map(asset => asset.path));
+
+            const first = await aemClient.searchAssetsPage({ damPath: '/content/dam' }, { pageSize: 2 });
+            await expect(aemClient.searchAssetsPage({ damPath: '/content/dam/other' }, { cursor: first.nextCursor }))
+                .rejects.toThrow('Cursor belongs to a different search');
+            await expect(aemClient.searchAssetsPage({}, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+        });
+    });
+
+    describe('move, copy and delete', () => {
+        const referencesResponse = {
+            data: {
+                pages: [{
+                    srcPath: '/content/site/en',
+                    srcTitle: 'English',
+                    published: true,
+                    references: ['/content/site/en/jcr:content/root/image/fileReference']
+                }, {
+                    srcPath: '/content/site/de',
+                    srcTitle: 'Deutsch',
+                    published: false,
+                    references: ['/content/site/de/jcr:content/root/gallery/images']
+                }]
+            }
+        };
+
+        // Existing paths respond to HEAD, everything else is a 404
+        const mockRepository = (existing, references = { data: { pages: [] } }) => {
+            mockAxiosInstance.head.mockImplementation(path => (existing.includes(path)
+                ? Promise.resolve({ status: 200 })
+                : Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }))));
+            mockAxiosInstance.get.mockImplementation(url => {
+                if (url.startsWith('/bin/wcm/references.json')) return Promise.resolve(references);
+                if (url === '/content/site/en/jcr:content/root/image.json') {
+                    return Promise.resolve({ data: { fileReference: '/content/dam/brand/logo.png' } });
+                }
+                if (url === '/content/site/de/jcr:content/root/gallery.json') {
+                    return Promise.resolve({ data: { images: ['/content/dam/brand/logo.png/jcr:content/renditions/web.png', '/content/dam/brand/other.png', '/content/dam/brand/logo.png-v2.png'] } });
+                }
+                return Promise.reject(new Error(`Unexpected GET ${url}`));
+            });
+            mockAxiosInstance.post.mockResolvedValue({ status: 200, data: {} });
+            mockAxiosInstance.delete.mockResolvedValue({ status: 200 });
+        };
+
+        test('should refuse to move a referenced asset', async () => {
+            mockRepository(['/content/dam/brand/logo.png', '/content/dam/archive'], referencesResponse);
+
+            const result = await aemClient.moveAsset('/content/dam/brand/logo.png', '/content/dam/archive');
+
+            expect(result.success).toBe(false);
+            expect(result.references.map(reference => reference.pagePath)).toEqual(['/content/site/en', '/content/site/de']);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+            const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+            expect(query.get('path')).toBe('/content/dam/brand/logo.png');
+        });
+
+        test('should move an asset and rewrite its references', async () => {
+            mockRepository(['/content/dam/brand/logo.png', '/content/dam/archive'], referencesResponse);
+
+            const result = await aemClient.moveAsset('/content/dam/brand/logo.png', '/content/dam/archive/', { adjustReferences: true });
+
+            expect(result.success).toBe(true);
+            expect(result.newPath).toBe('/content/dam/archive/logo.png');
+            const [moveUrl, moveBody] = mockAxiosInstance.post.mock.calls[0];
+            expect(moveUrl).toBe('/content/dam/brand/logo.png');
+            expect(new URLSearchParams(moveBody).get(':operation')).toBe('move');
+            expect(new URLSearchParams(moveBody).get(':dest')).toBe('/content/dam/archive/logo.png');
+
+            const updates = Object.fromEntries(mockAxiosInstance.post.mock.calls.slice(1).map(([url, body]) => [url, new URLSearchParams(body)]));
+            expect(updates['/content/site/en/jcr:content/root/image'].get('fileReference')).toBe('/content/dam/archive/logo.png');
+            expect(updates['/content/site/de/jcr:content/root/gallery'].getAll('images'))
+                .toEqual(['/content/dam/archive/logo.png/jcr:content/renditions/web.png', '/content/dam/brand/other.png', '/content/dam/brand/logo.png-v2.png']);
+            expect(result.adjusted).toHaveLength(2);
+            expect(result.republish).toEqual(['/content/site/en']);
+        });
+
+        test('should only rewrite whole asset paths inside text', async () => {
+            mockRepository(['/content/dam/brand/logo.png', '/content/dam/archive'], {
+                data: { pages: [{ srcPath: '/content/site/fr', srcTitle: 'Français', published: false, references: ['/content/site/fr/jcr:content/root/text/text'] }] }
+            });
+            const repositoryGet = mockAxiosInstance.get.getMockImplementation();
+            mockAxiosInstance.get.mockImplementation(url => (url === '/content/site/fr/jcr:content/root/text.json'
+                ? Promise.resolve({ data: { text: '<img src="/content/dam/brand/logo.png"><a href="/content/dam/brand/logo.png-v2.png">v2</a>' } })
+                : repositoryGet(url)));
+
+            await aemClient.moveAsset('/content/dam/brand/logo.png', '/content/dam/archive', { adjustReferences: true });
+
+            const [url, body] = mockAxiosInstance.post.mock.calls[1];
+            expect(url).toBe('/content/site/fr/jcr:content/root/text');
+            expect(new URLSearchParams(body).get('text'))
+                .toBe('<img src="/content/dam/archive/logo.png"><a href="/content/dam/brand/logo.png-v2.png">v2</a>');
+        });
+
+        test('should copy an asset and reject existing targets', async () => {
+            mockRepository(['/content/dam/brand/logo.png', '/content/dam/lincoln']);
+
+            const result = await aemClient.copyAsset('/content/dam/brand/logo.png', '/content/dam/lincoln', { newName: 'lincoln-logo.png' });
+            expect(result.newPath).toBe('/content/dam/lincoln/lincoln-logo.png');
+            expect(new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]).get(':operation')).toBe('copy');
+
+            mockRepository(['/content/dam/brand/logo.png', '/content/dam/lincoln', '/content/dam/lincoln/logo.png']);
+            await expect(aemClient.copyAsset('/content/dam/brand/logo.png', '/content/dam/lincoln'))
+                .rejects.toThrow('Asset already exists at target path');
+        });
+
+        test('should delete an asset and remove its references', async () => {
+            mockRepository(['/content/dam/brand/logo.png'], referencesResponse);
+
+            const refused = await aemClient.deleteAsset('/content/dam/brand/logo.png');
+            expect(refused.success).toBe(false);
+            expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+
+            const result = await aemClient.deleteAsset('/content/dam/brand/logo.png', { adjustReferences: true });
+            expect(result.success).toBe(true);
+            expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/content/dam/brand/logo.png');
+
+            const updates = Object.fromEntries(mockAxiosInstance.post.mock.calls.map(([url, body]) => [url, new URLSearchParams(body)]));
+            expect(updates['/content/site/en/jcr:content/root/image'].has('fileReference@Delete')).toBe(true);
+            expect(updates['/content/site/de/jcr:content/root/gallery'].getAll('images')).toEqual(['/content/dam/brand/other.png', '/content/dam/brand/logo.png-v2.png']);
+        });
+    });
+
+    describe('folders', () => {
+        const notFound = () => Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        const mockExisting = (existing) => mockAxiosInstance.head.mockImplementation(path => (existing.includes(path) ? Promise.resolve({ status: 200 }) : notFound()));
+
+        test('should create a folder with missing parents and folder settings', async () => {
+            mockExisting(['/content/dam', '/content/dam/campaigns', '/conf/global/settings/dam/adminui-extension/metadataschema/campaign']);
+            mockAxiosInstance.post.mockResolvedValue({ status: 201 });
+
+            const result = await aemClient.createFolder('/content/dam/campaigns/2024/summer', {
+                title: 'Summer 2024',
+                metadataSchema: 'campaign'
+            });
+
+            expect(result.createdParents).toEqual(['/content/dam/campaigns/2024']);
+            expect(mockAxiosInstance.post.mock.calls.map(([url]) => url)).toEqual(['/content/dam/campaigns/2024', '/content/dam/campaigns/2024/summer']);
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[1][1]);
+            expect(form.get('jcr:primaryType')).toBe('sling:OrderedFolder');
+            expect(form.get('jcr:content/jcr:title')).toBe('Summer 2024');
+            expect(form.get('jcr:content/metadataSchema')).toBe('/conf/global/settings/dam/adminui-extension/metadataschema/campaign');
+            expect(form.has('jcr:content/processingProfile')).toBe(false);
+
+            await expect(aemClient.createFolder('/content/dam/campaigns/x', { processingProfile: 'missing' }))
+                .rejects.toThrow('Processing profile not found: /conf/global/settings/dam/processing/missing');
+            await expect(aemClient.createFolder('/content/dam/my folder')).rejects.toThrow('Invalid folder name "my folder"');
+        });
+
+        test('should list the folder tree with asset counts', async () => {
+            mockAxiosInstance.get.mockImplementation(url => {
+                const query = new URLSearchParams(url.split('?')[1]);
+                if (query.get('type') === 'dam:Asset') {
+                    return Promise.resolve({ data: { total: { '/content/dam/campaigns': 1, '/content/dam/campaigns/summer': 4, '/content/dam/campaigns/winter': 2 }[query.get('path')] || 0 } });
+                }
+                return Promise.resolve({
+                    data: {
+                        hits: [
+                            { 'jcr:path': '/content/dam/campaigns', 'jcr:content': { 'jcr:title': 'Campaigns' } },
+                            { 'jcr:path': '/content/dam/campaigns/winter' },
+                            { 'jcr:path': '/content/dam/campaigns/summer', 'jcr:content': { metadataSchema: '/conf/schema' } },
+                            { 'jcr:path': '/content/dam/campaigns/summer/raw/deep' }
+                        ]
+                    }
+                });
+            });
+
+            const result = await aemClient.listFolderTree('/content/dam/campaigns', { depth: 1 });
+
+            expect(result.tree.title).toBe('Campaigns');
+            expect(result.tree.children.map(folder => folder.name)).toEqual(['summer', 'winter']);
+            expect(result.tree.children[0]).toMatchObject({ assetCount: 4, totalAssetCount: 4, metadataSchema: '/conf/schema' });
+            expect(result.tree.totalAssetCount).toBe(7);
+            expect(result.folderCount).toBe(3);
+        });
+
+        test('should refuse renames that break references and update titles in place', async () => {
+            mockExisting(['/content/dam/campaigns/summer']);
+            mockAxiosInstance.get.mockResolvedValue({
+                data: { pages: [{ srcPath: '/content/site/en', srcTitle: 'English', references: ['/content/site/en/jcr:content/root/image/fileReference'] }] }
+            });
+            mockAxiosInstance.post.mockResolvedValue({ status: 200 });
+
+            const refused = await aemClient.renameFolder('/content/dam/campaigns/summer', { newName: 'summer-2024' });
+            expect(refused.success).toBe(false);
+            expect(refused.references).toHaveLength(1);
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+
+            const result = await aemClient.renameFolder('/content/dam/campaigns/summer', { title: 'Summer Campaign' });
+            expect(result.newPath).toBe('/content/dam/campaigns/summer');
+            const [url, body] = mockAxiosInstance.post.mock.calls[0];
+            expect(url).toBe('/content/dam/campaigns/summer');
+            expect(new URLSearchParams(body).get('jcr:content/jcr:title')).toBe('Summer Campaign');
+            expect(new URLSearchParams(body).has('jcr:primaryType')).toBe(false);
+        });
+
+        test('should only delete empty folders', async () => {
+            mockAxiosInstance.get.mockResolvedValueOnce({ data: { 'jcr:primaryType': 'sling:OrderedFolder', 'jcr:content': {}, 'logo.png': {} } });
+            await expect(aemClient.deleteFolder('/content/dam/brand')).rejects.toThrow('Folder is not empty (1 item(s): logo.png)');
+            expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+
+            mockAxiosInstance.get.mockResolvedValueOnce({ data: { 'jcr:primaryType': 'sling:OrderedFolder', 'jcr:content': {} } });
+            mockAxiosInstance.delete.mockResolvedValue({ status: 200 });
+            await aemClient.deleteFolder('/content/dam/brand');
+            expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/content/dam/brand');
+
+            await expect(aemClient.deleteFolder('/content/dam')).rejects.toThrow('/content/dam cannot be deleted');
+        });
+    });
+
+    describe('getAsset', () => {
+        const assetNode = {
+            'jcr:primaryType': 'dam:Asset',
+            'jcr:uuid': 'a1b2',
+            'jcr:created': '2024-01-01T00:00:00.000Z',
+            'jcr:content': {
+                'dam:assetState': 'processed',
+                'jcr:lastModified': '2024-02-01T00:00:00.000Z',
+                metadata: {
+                    'dc:title': 'Logo',
+                    'dc:format': 'image/png',
+                    'dam:size': 20480,
+                    'dam:sha1': 'abc123',
+                    'tiff:ImageWidth': 800,
+                    'tiff:ImageLength': '600',
+                    'xmpMM:History': {}
+                },
+                renditions: {}
+            }
+        };
+        const renditionsNode = {
+            'jcr:primaryType': 'nt:folder',
+            'cq5dam.thumbnail.48.48.png': { 'jcr:content': { 'jcr:mimeType': 'image/png', ':jcr:data': 900 } },
+            original: { 'jcr:content': { 'jcr:mimeType': 'image/png', ':jcr:data': 20480 } },
+            'cq5dam.thumbnail.140.100.png': { 'jcr:content': { 'jcr:mimeType': 'image/png', ':jcr:data': 3000 } }
+        };
+
+        const mockAsset = ({ versions = Promise.resolve({ data: { hits: [] } }) } = {}) => mockAxiosInstance.get.mockImplementation(url => {
+            if (url === '/content/dam/brand/logo.png.2.json') return Promise.resolve({ data: assetNode });
+            if (url === '/content/dam/brand/logo.png/jcr:content/renditions.2.json') return Promise.resolve({ data: renditionsNode });
+            if (url.startsWith('/bin/querybuilder.json')) return versions;
+            if (url.startsWith('/bin/wcm/references.json')) {
+                return Promise.resolve({ data: { pages: [{ srcPath: '/content/site/en', srcTitle: 'English', references: ['/content/site/en/jcr:content/root/image/fileReference'] }] } });
+            }
+            if (url === '/content/dam/brand/logo.png/jcr:content/renditions/cq5dam.thumbnail.140.100.png') {
+                return Promise.resolve({ data: Buffer.from('png-bytes') });
+            }
+            return Promise.reject(new Error(`Unexpected GET ${url}`));
+        });
+
+        test('should return details, renditions, versions and references', async () => {
+            mockAsset({
+                versions: Promise.resolve({
+                    data: {
+                        hits: [
+                            { 'jcr:path': '/jcr:system/jcr:versionStorage/a1/b2/a1b2/1.1', 'jcr:created': '2024-02-01T00:00:00.000Z', 'jcr:frozenNode': { 'jcr:content': { 'cq:versionComment': 'New colors' } } },
+                            { 'jcr:path': '/jcr:system/jcr:versionStorage/a1/b2/a1b2/jcr:rootVersion' }
+                        ]
+                    }
+                })
+            });
+
+            const asset = await aemClient.getAsset('/content/dam/brand/logo.png');
+
+            expect(asset).toMatchObject({
+                title: 'Logo',
+                mimeType: 'image/png',
+                size: 20480,
+                width: 800,
+                height: 600,
+                checksum: { algorithm: 'sha1', value: 'abc123' },
+                status: 'processed',
+                thumbnail: null
+            });
+            expect(asset.metadata).not.toHaveProperty('xmpMM:History');
+            expect(asset.renditions.map(rendition => rendition.name)).toEqual(['original', 'cq5dam.thumbnail.140.100.png', 'cq5dam.thumbnail.48.48.png']);
+            expect(asset.renditions[1].size).toBe(3000);
+            expect(asset.versions).toEqual([{ name: '1.1', created: '2024-02-01T00:00:00.000Z', comment: 'New colors' }]);
+            expect(asset.references.map(reference => reference.pagePath)).toEqual(['/content/site/en']);
+
+            const versionQuery = new URLSearchParams(mockAxiosInstance.get.mock.calls.find(([url]) => url.startsWith('/bin/querybuilder.json'))[0].split('?')[1]);
+            expect(versionQuery.get('property.value')).toBe('a1b2');
+        });
+
+        test('should include a thumbnail and report failed extras as warnings', async () => {
+            mockAsset({ versions: Promise.reject(new Error('Request failed with status code 403')) });
+
+            const asset = await aemClient.getAsset('/content/dam/brand/logo.png', { includeThumbnail: true });
+
+            expect(asset.thumbnail).toEqual({
+                rendition: 'cq5dam.thumbnail.140.100.png',
+                mimeType: 'image/png',
+                data: Buffer.from('png-bytes').toString('base64')
+            });
+            expect(asset.versions).toBeNull();
+            expect(asset.warnings).toEqual(['Failed to list versions: Request failed with status code 403']);
+
+            mockAxiosInstance.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+            await expect(aemClient.getAsset('/content/dam/brand/missing.png')).rejects.toThrow('Asset not found at path');
+        });
+    });
+
+    describe('metadata CSV', () => {
+        test('should export the metadata of a folder as CSV', async () => {
+            mockAxiosInstance.get.mockResolvedValue({
+                data: {
+                    total: 2,
+                    hits: [
+                        { 'jcr:path': '/content/dam/brand/b.png', 'jcr:created': '2024-01-01T00:00:00.000Z', 'jcr:content': { metadata: { 'dc:title': 'B', 'cq:tags': ['brand:a', 'brand:b'] } } },
+                        { 'jcr:path': '/content/dam/brand/a.png', 'jcr:created': '2024-01-02T00:00:00.000Z', 'jcr:content': { metadata: { 'dc:title': 'A, first' } } }
+                    ]
+                }
+            });
+
+            const result = await aemClient.exportMetadataCsv('/content/dam/brand', { columns: ['dc:title', 'cq:tags'] });
+
+            expect(result.count).toBe(2);
+            expect(result.csv).toBe('assetPath,dc:title,cq:tags\r\n/content/dam/brand/a.png,"A, first",\r\n/content/dam/brand/b.png,B,brand:a|brand:b\r\n');
+            const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+            expect(query.get('path')).toBe('/content/dam/brand');
+            expect(query.get('p.properties')).toContain('jcr:content/metadata/cq:tags');
+        });
+
+        test('should preview and apply a CSV import row by row', async () => {
+            const metadata = {
+                '/content/dam/brand/a.png': { 'dc:title': 'A', 'cq:tags': ['brand:a'] },
+                '/content/dam/brand/b.png': { 'dc:title': 'B', 'cq:tags': ['brand:b'] }
+            };
+            mockAxiosInstance.head.mockImplementation(path => (path.startsWith('/content/dam/brand/missing')
+                ? Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }))
+                : Promise.resolve({ status: 200 })));
+            mockAxiosInstance.get.mockImplementation(url => {
+                const assetPath = url.replace('/jcr:content/metadata.json', '');
+                if (metadata[assetPath]) return Promise.resolve({ data: metadata[assetPath] });
+                // No metadata schema available
+                return Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+            });
+            mockAxiosInstance.post.mockResolvedValue({ status: 200 });
+            const csv = 'assetPath,dc:title,cq:tags\n/content/dam/brand/a.png,A,brand:a|brand:new\n/content/dam/brand/b.png,B,\n/content/dam/brand/missing.png,X,\n';
+
+            const preview = await aemClient.importMetadataCsv(csv);
+            expect(preview.rows.map(row => row.status)).toEqual(['changed', 'unchanged', 'invalid']);
+            expect(preview.rows[0].changes).toEqual([{ field: 'cq:tags', before: ['brand:a'], after: ['brand:a', 'brand:new'] }]);
+            expect(preview.summary).toEqual({ total: 3, updated: 1, unchanged: 1, invalid: 1, failed: 0 });
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+
+            const result = await aemClient.importMetadataCsv(csv, { dryRun: false });
+            expect(result.rows[0].status).toBe('updated');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            const [url, body] = mockAxiosInstance.post.mock.calls[0];
+            expect(url).toBe('/content/dam/brand/a.png/jcr:content/metadata');
+            expect(new URLSearchParams(body).getAll('cq:tags')).toEqual(['brand:a', 'brand:new']);
+        });
+    });
+});
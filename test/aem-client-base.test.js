@@ -0,0 +1,139 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const http = require('http');
+const { AEMClientBase } = require('../actions/mcp-server/aem-client-base');
+
+// Fast retries for the tests
+const retry = { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 5 };
+
+/**
+ * Local fake AEM server answering each path with a scripted list of responses
+ */
+function startFakeAem(script) {
+    const hits = {};
+    const server = http.createServer((req, res) => {
+        const path = req.url.split('?')[0];
+        hits[path] = (hits[path] || 0) + 1;
+        const responses = script[path] || [{ status: 404 }];
+        const next = responses[Math.min(hits[path], responses.length) - 1];
+        res.writeHead(next.status, { 'Content-Type': 'application/json', ...(next.headers || {}) });
+        res.end(JSON.stringify(next.body || {}));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, hits, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+describe('AEM Client Base retries', () => {
+    let fake;
+
+    afterEach(() => new Promise(resolve => fake.server.close(resolve)));
+
+    test('retries idempotent calls on 5xx and reports the attempts', async () => {
+        fake = await startFakeAem({
+            '/content/site.json': [{ status: 502 }, { status: 504 }, { status: 200, body: { ok: true } }]
+        });
+        const client = new AEMClientBase(fake.url, { username: 'admin', password: 'admin' }, { retry });
+
+        const response = await client.axiosInstance.get('/content/site.json');
+        expect(response.data).toEqual({ ok: true });
+        expect(response.attempts).toBe(3);
+        expect(client.getRequestStats()).toEqual({
+            total: 1,
+            retried: 1,
+            attempts: 3,
+            calls: [{ method: 'GET', url: '/content/site.json', status: 200, attempts: 3 }]
+        });
+    });
+
+    test('retries Oak merge conflicts of idempotent calls only', async () => {
+        const conflict = { status: 500, body: { error: 'OakState0001: Unresolved conflicts in /content/site' } };
+        fake = await startFakeAem({
+            '/content/plain': [{ status: 500, body: { error: 'NullPointerException' } }],
+            '/content/conflict': [conflict, { status: 201 }],
+            '/content/conflict.json': [conflict, { status: 200 }],
+            '/content/locked': [{ status: 409, body: { error: 'Edit conflict: page is locked' } }]
+        });
+        const client = new AEMClientBase(fake.url, { token: 'token' }, { retry });
+
+        await expect(client.axiosInstance.post('/content/plain', 'a=b')).rejects.toMatchObject({ attempts: 1 });
+        expect(fake.hits['/content/plain']).toBe(1);
+
+        await expect(client.axiosInstance.post('/content/conflict', 'a=b')).rejects.toMatchObject({ attempts: 1 });
+        const response = await client.axiosInstance.post('/content/conflict', 'a=b', { idempotent: true });
+        expect(response.status).toBe(201);
+
+        const put = await client.axiosInstance.put('/content/conflict.json', {});
+        expect(put.attempts).toBe(2);
+
+        await expect(client.axiosInstance.put('/content/locked', {})).rejects.toMatchObject({ attempts: 1 });
+    });
+
+    test('honours Retry-After on 429 for any method', async () => {
+        fake = await startFakeAem({
+            '/bin/querybuilder.json': [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 200 }],
+            '/content/slow': [{ status: 503, headers: { 'Retry-After': '120' } }]
+        });
+        const client = new AEMClientBase(fake.url, { token: 'token' }, { retry: { ...retry, maxRetryAfterMs: 1000 } });
+
+        const response = await client.axiosInstance.post('/bin/querybuilder.json', 'path=/content');
+        expect(response.attempts).toBe(2);
+
+        // Waiting two minutes exceeds maxRetryAfterMs, so the error is returned immediately
+        await expect(client.axiosInstance.get('/content/slow')).rejects.toMatchObject({ response: { status: 503 } });
+        expect(fake.hits['/content/slow']).toBe(1);
+    });
+
+    test('gives up after maxRetries and can be disabled per environment', async () => {
+        fake = await startFakeAem({ '/content/down.json': [{ status: 503 }] });
+
+        const client = new AEMClientBase(fake.url, { token: 'token' }, { retry: { ...retry, maxRetries: 2 } });
+        await expect(client.axiosInstance.get('/content/down.json')).rejects.toMatchObject({ attempts: 3 });
+        expect(fake.hits['/content/down.json']).toBe(3);
+
+        const noRetries = new AEMClientBase(fake.url, { token: 'token' }, { retry: false });
+        await expect(noRetries.axiosInstance.get('/content/down.json')).rejects.toMatchObject({ attempts: 1 });
+        expect(fake.hits['/content/down.json']).toBe(4);
+    });
+
+    test('does not retry client errors', async () => {
+        fake = await startFakeAem({ '/content/missing.json': [{ status: 404 }] });
+        const client = new AEMClientBase(fake.url, { token: 'token' }, { retry });
+
+        await expect(client.axiosInstance.get('/content/missing.json')).rejects.toMatchObject({ response: { status: 404 } });
+        expect(fake.hits['/content/missing.json']).toBe(1);
+        expect(client.getRequestStats().calls[0]).toEqual({ method: 'GET', url: '/content/missing.json', status: 404, attempts: 1 });
+    });
+});
+
+describe('AEM Client Base concurrency', () => {
+    test('mapConcurrent keeps item order and limits calls in flight', async () => {
+        const client = new AEMClientBase('https://author.test', { token: 'token' }, { concurrency: 2 });
+        let inFlight = 0;
+        let maxInFlight = 0;
+
+        const results = await client.mapConcurrent([30, 10, 20, 5, 1], async (delay, index) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            inFlight--;
+            return index;
+        });
+
+        expect(results).toEqual([0, 1, 2, 3, 4]);
+        expect(maxInFlight).toBe(2);
+    });
+});
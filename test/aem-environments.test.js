@@ -0,0 +1,147 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const {
+    configureEnvironments,
+    resolveEnvironment,
+    listEnvironments
+} = require('../actions/mcp-server/aem-environments');
+
+const profiles = {
+    default: 'dev',
+    environments: {
+        dev: {
+            description: 'Development',
+            authorUrl: 'https://author-dev.example.com',
+            publishUrl: 'https://publish-dev.example.com',
+            auth: { type: 'basic', username: 'dev-user', password: '$DEV_PASSWORD' }
+        },
+        prod: {
+            authorUrl: 'https://author-prod.example.com',
+            auth: { type: 'token', token: '${PROD_TOKEN}' }
+        }
+    }
+};
+
+describe('AEM Environments', () => {
+    const savedEnv = { ...process.env };
+
+    beforeEach(() => {
+        for (const name of Object.keys(process.env)) {
+            if (name.startsWith('AEM_')) {
+                delete process.env[name];
+            }
+        }
+        configureEnvironments({});
+    });
+
+    afterAll(() => {
+        process.env = savedEnv;
+    });
+
+    test('resolves the default profile and $NAME references from action inputs', () => {
+        configureEnvironments({
+            AEM_ENVIRONMENTS: JSON.stringify(profiles),
+            DEV_PASSWORD: 'dev-secret',
+            PROD_TOKEN: 'prod-token'
+        });
+
+        const dev = resolveEnvironment();
+        expect(dev.name).toBe('dev');
+        expect(dev.authorUrl).toBe('https://author-dev.example.com');
+        expect(dev.credentials).toEqual({ username: 'dev-user', password: 'dev-secret' });
+
+        const prod = resolveEnvironment('prod');
+        expect(prod.authMethod).toBe('token');
+        expect(prod.credentials).toEqual({ token: 'prod-token' });
+    });
+
+    test('AEM_DEFAULT_ENVIRONMENT overrides the configured default', () => {
+        configureEnvironments({
+            AEM_ENVIRONMENTS: profiles,
+            AEM_DEFAULT_ENVIRONMENT: 'prod',
+            PROD_TOKEN: 'prod-token'
+        });
+
+        expect(resolveEnvironment().name).toBe('prod');
+    });
+
+    test('returns an error for unknown environments or missing credentials', () => {
+        configureEnvironments({ AEM_ENVIRONMENTS: profiles, DEV_PASSWORD: 'dev-secret' });
+
+        expect(resolveEnvironment('qa').error).toContain('Unknown AEM environment "qa"');
+        expect(resolveEnvironment('prod').error).toContain('no usable credentials');
+    });
+
+    test('builds a default profile from the legacy AEM_* variables', () => {
+        process.env.AEM_AUTHOR_URL = 'https://author-p1-e2.adobeaemcloud.com';
+        process.env.AEM_USERNAME = 'admin';
+        process.env.AEM_PASSWORD = 'admin';
+        process.env.AEM_TOKEN = 'token';
+
+        const profile = resolveEnvironment();
+        expect(profile.name).toBe('default');
+        expect(profile.authMethod).toBe('basic');
+        expect(profile.credentials).toEqual({ username: 'admin', password: 'admin' });
+    });
+
+    test('supports IMS OAuth and technical account profiles', () => {
+        configureEnvironments({
+            AEM_ENVIRONMENTS: {
+                cloud: {
+                    authorUrl: 'https://author-cloud.example.com',
+                    auth: { type: 'oauth', clientId: 'client', clientSecret: '$CLIENT_SECRET', scopes: 'openid,AdobeID' }
+                },
+                ci: {
+                    authorUrl: 'https://author-ci.example.com',
+                    auth: { serviceCredentials: '$SERVICE_CREDENTIALS' }
+                }
+            },
+            CLIENT_SECRET: 'client-secret',
+            SERVICE_CREDENTIALS: '{"integration":{}}'
+        });
+
+        expect(resolveEnvironment('cloud').credentials).toMatchObject({
+            clientId: 'client',
+            clientSecret: 'client-secret',
+            scopes: 'openid,AdobeID'
+        });
+        const ci = resolveEnvironment('ci');
+        expect(ci.authMethod).toBe('technical-account');
+        expect(ci.credentials.serviceCredentials).toBe('{"integration":{}}');
+        expect(JSON.stringify(listEnvironments())).not.toContain('client-secret');
+    });
+
+    test('reports a configuration error when nothing is configured', () => {
+        expect(resolveEnvironment().error).toContain('No AEM environment is configured');
+        configureEnvironments({ AEM_ENVIRONMENTS: '{not json' });
+        expect(resolveEnvironment().error).toContain('not valid JSON');
+    });
+
+    test('listEnvironments never exposes credentials', () => {
+        configureEnvironments({
+            AEM_ENVIRONMENTS: profiles,
+            DEV_PASSWORD: 'dev-secret',
+            PROD_TOKEN: 'prod-token'
+        });
+
+        const result = listEnvironments();
+        expect(result.defaultEnvironment).toBe('dev');
+        expect(result.environments).toHaveLength(2);
+        expect(result.environments[0]).toMatchObject({ name: 'dev', isDefault: true, hasCredentials: true, authMethod: 'basic' });
+
+        const serialized = JSON.stringify(result);
+        expect(serialized).not.toContain('dev-secret');
+        expect(serialized).not.toContain('prod-token');
+        expect(serialized).not.toContain('dev-user');
+    });
+});
@@ -0,0 +1,397 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { createAEMFragmentClient } = require('../actions/mcp-server/aem-fragment-client');
+
+// Mock axios instance
+const mockAxiosInstance = {
+    defaults: {
+        headers: {
+            common: {}
+        },
+        auth: null
+    },
+    interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+    },
+    get: jest.fn(),
+    post: jest.fn(),
+    patch: jest.fn(),
+    delete: jest.fn()
+};
+
+// Mock axios
+jest.mock('axios', () => {
+    return {
+        create: jest.fn(() => mockAxiosInstance)
+    };
+});
+
+const MODEL_PATH = '/conf/wknd/settings/dam/cfm/models/article';
+const MODEL_ID = Buffer.from(MODEL_PATH).toString('base64url');
+
+const fragmentData = {
+    id: 'frag-1',
+    path: '/content/dam/wknd/fragments/article-1',
+    title: 'Article 1',
+    model: { id: MODEL_ID, title: 'Article' },
+    status: 'DRAFT',
+    fields: [
+        { name: 'headline', type: 'text', multiple: false, values: ['Old headline'] },
+        { name: 'tags', type: 'text', multiple: true, values: ['a'] }
+    ]
+};
+
+describe('AEM Content Fragment Client', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAxiosInstance.get.mockReset();
+        mockAxiosInstance.post.mockReset();
+        mockAxiosInstance.patch.mockReset();
+        mockAxiosInstance.delete.mockReset();
+        client = createAEMFragmentClient('https://author-test.adobeaemcloud.com', {
+            username: 'admin',
+            password: 'admin'
+        });
+    });
+
+    const modelData = {
+        id: MODEL_ID,
+        path: MODEL_PATH,
+        title: 'Article',
+        status: 'ENABLED',
+        fields: [
+            { name: 'headline', label: 'Headline', type: 'text', required: true, maxLength: 40 },
+            { name: 'tags', label: 'Tags', type: 'text', multiple: true }
+        ]
+    };
+
+    const mockFragment = () => mockAxiosInstance.get.mockImplementation(url => {
+        if (url === '/content/dam/wknd/fragments/article-1.json') return Promise.resolve({ data: { 'jcr:uuid': 'frag-1' } });
+        if (url === '/adobe/sites/cf/fragments/frag-1') return Promise.resolve({ data: fragmentData, headers: { etag: '"v1"' } });
+        if (url === `/adobe/sites/cf/models/${MODEL_ID}`) return Promise.resolve({ data: modelData, headers: { etag: '"m1"' } });
+        return Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+    });
+
+    test('creates a fragment from a model through the Sites API', async () => {
+        mockFragment();
+        mockAxiosInstance.post.mockResolvedValue({ status: 201, data: fragmentData, headers: { etag: '"v1"' } });
+
+        const result = await client.createContentFragment({
+            fragmentTitle: 'Article 1',
+            fragmentPath: '/content/dam/wknd/fragments',
+            modelPath: MODEL_PATH,
+            fields: { headline: 'Hello', tags: ['a', 'b'] }
+        });
+
+        const [url, body] = mockAxiosInstance.post.mock.calls[0];
+        expect(url).toBe('/adobe/sites/cf/fragments');
+        expect(body).toEqual({
+            title: 'Article 1',
+            name: 'article-1',
+            modelId: MODEL_ID,
+            parentPath: '/content/dam/wknd/fragments',
+            fields: [{ name: 'headline', values: ['Hello'] }, { name: 'tags', values: ['a', 'b'] }]
+        });
+        expect(result.fullPath).toBe('/content/dam/wknd/fragments/article-1');
+        expect(result.fragment.etag).toBe('"v1"');
+    });
+
+    test('validates fragment fields against the model before creating', async () => {
+        mockFragment();
+
+        await expect(client.createContentFragment({
+            fragmentTitle: 'Article 2',
+            fragmentPath: '/content/dam/wknd/fragments',
+            modelPath: MODEL_PATH,
+            fields: { tags: ['a'], subtitle: 'x' }
+        })).rejects.toThrow('Fields do not match the model "Article":\n- subtitle: Unknown field. Fields of this model: headline, tags\n- headline: Headline is required');
+        expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+    });
+
+    test('gets a fragment by path with its fields and ETag', async () => {
+        mockFragment();
+
+        const fragment = await client.getContentFragment('/content/dam/wknd/fragments/article-1');
+
+        expect(fragment.id).toBe('frag-1');
+        expect(fragment.model.path).toBe(MODEL_PATH);
+        expect(fragment.fields[1]).toEqual({ name: 'tags', type: 'text', multiple: true, values: ['a'] });
+        expect(fragment.etag).toBe('"v1"');
+
+        await expect(client.getContentFragment('/content/dam/wknd/fragments/missing')).rejects.toThrow('Content fragment not found at path');
+    });
+
+    test('lists fragments of a model below a folder', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ data: { items: [fragmentData], cursor: 'next-page' } });
+
+        const result = await client.listContentFragments({ folderPath: '/content/dam/wknd', model: MODEL_PATH });
+
+        const [url] = mockAxiosInstance.get.mock.calls[0];
+        expect(url.startsWith('/adobe/sites/cf/fragments/search?')).toBe(true);
+        const query = JSON.parse(new URLSearchParams(url.split('?')[1]).get('query'));
+        expect(query).toEqual({ filter: { path: '/content/dam/wknd', modelIds: [MODEL_ID] } });
+        expect(result.items[0].title).toBe('Article 1');
+        expect(result.cursor).toBe('next-page');
+    });
+
+    test('updates single fields with JSON Patch and If-Match', async () => {
+        mockFragment();
+        mockAxiosInstance.patch.mockResolvedValue({ data: fragmentData, headers: { etag: '"v2"' } });
+
+        const result = await client.updateContentFragment('frag-1', { fields: { tags: ['a', 'b'] }, title: 'Renamed' }, { etag: '"v1"' });
+
+        const [url, operations, config] = mockAxiosInstance.patch.mock.calls[0];
+        expect(url).toBe('/adobe/sites/cf/fragments/frag-1');
+        expect(operations).toEqual([
+            { op: 'replace', path: '/fields/1/values', value: ['a', 'b'] },
+            { op: 'replace', path: '/title', value: 'Renamed' }
+        ]);
+        expect(config.headers['If-Match']).toBe('"v1"');
+        expect(result.updated).toEqual(['tags', 'title']);
+        expect(result.etag).toBe('"v2"');
+        expect(result.etagChecked).toBe(true);
+
+        await expect(client.updateContentFragment('frag-1', { fields: { subtitle: 'x' } }))
+            .rejects.toThrow('Unknown field(s): subtitle. Fields of this fragment: headline, tags');
+        await expect(client.updateContentFragment('frag-1', { fields: { headline: ['a', 'b'] } }))
+            .rejects.toThrow('Field "headline" does not accept multiple values');
+    });
+
+    test('validates updated fields against the model without requiring the others', async () => {
+        mockFragment();
+        mockAxiosInstance.patch.mockResolvedValue({ data: fragmentData, headers: { etag: '"v2"' } });
+
+        await expect(client.updateContentFragment('frag-1', { fields: { headline: 'x'.repeat(41) } }, { etag: '"v1"' }))
+            .rejects.toThrow('Fields do not match the model "Article":\n- headline: Headline must be at most 40 characters (got 41)');
+        expect(mockAxiosInstance.patch).not.toHaveBeenCalled();
+
+        // headline is required, but an update may leave it out
+        await client.updateContentFragment('frag-1', { fields: { tags: ['b'] } }, { etag: '"v1"' });
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith(`/adobe/sites/cf/models/${MODEL_ID}`);
+        expect(mockAxiosInstance.patch).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports ETag conflicts and deletes with If-Match', async () => {
+        mockFragment();
+        mockAxiosInstance.patch.mockRejectedValue(Object.assign(new Error('Request failed with status code 412'), { response: { status: 412, data: {} } }));
+
+        await expect(client.updateContentFragment('frag-1', { fields: { headline: 'New' } }, { etag: '"stale"' }))
+            .rejects.toThrow('changed by someone else since it was read (ETag mismatch)');
+
+        mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+        const result = await client.deleteContentFragment('/content/dam/wknd/fragments/article-1', { etag: '"v1"' });
+        expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/adobe/sites/cf/fragments/frag-1', { headers: { 'If-Match': '"v1"' } });
+        expect(result.path).toBe('/content/dam/wknd/fragments/article-1');
+        expect(result.etagChecked).toBe(true);
+    });
+
+    test('locks updates to the version read before them when no ETag is given', async () => {
+        mockFragment();
+        mockAxiosInstance.patch.mockResolvedValue({ data: fragmentData, headers: { etag: '"v2"' } });
+        mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+        const updated = await client.updateContentFragment('frag-1', { title: 'Renamed' });
+        expect(mockAxiosInstance.patch.mock.calls[0][2].headers['If-Match']).toBe('"v1"');
+        expect(updated.etagChecked).toBe(false);
+        expect(updated.message).toContain('no ETag given');
+
+        const deleted = await client.deleteContentFragment('frag-1');
+        expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/adobe/sites/cf/fragments/frag-1', { headers: {} });
+        expect(deleted.etagChecked).toBe(false);
+
+        const extended = await client.addContentFragmentModelFields(MODEL_PATH, { subtitle: 'string?' });
+        expect(mockAxiosInstance.patch.mock.calls[1][2].headers['If-Match']).toBe('"m1"');
+        expect(extended.etagChecked).toBe(false);
+    });
+
+    test('lists models of a configuration with their field definitions', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ data: { items: [modelData] } });
+
+        const result = await client.listContentFragmentModels({ configurationFolder: '/conf/wknd/' });
+
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith('/adobe/sites/cf/models?configurationFolder=%2Fconf%2Fwknd&limit=50');
+        expect(result.items[0]).toMatchObject({ path: MODEL_PATH, name: 'article', configurationFolder: '/conf/wknd' });
+        expect(result.items[0].fields[0]).toEqual({
+            name: 'headline',
+            label: 'Headline',
+            type: 'text',
+            required: true,
+            multiple: false,
+            validation: { maxLength: 40 }
+        });
+
+        mockAxiosInstance.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        await expect(client.getContentFragmentModel('/conf/wknd/settings/dam/cfm/models/missing'))
+            .rejects.toThrow('Model not found: /conf/wknd/settings/dam/cfm/models/missing');
+    });
+
+    test('creates a model from a field spec', async () => {
+        mockAxiosInstance.post.mockResolvedValue({ status: 201, data: modelData, headers: { etag: '"m1"' } });
+
+        const result = await client.createContentFragmentModel('/conf/wknd', {
+            title: 'Article',
+            fields: { headline: { type: 'string', maxLength: 40 }, tags: 'string[]?' }
+        });
+
+        const [url, body] = mockAxiosInstance.post.mock.calls[0];
+        expect(url).toBe('/adobe/sites/cf/models');
+        expect(body).toEqual({
+            configurationFolder: '/conf/wknd',
+            title: 'Article',
+            name: 'article',
+            fields: [
+                { name: 'headline', label: 'Headline', type: 'text', required: true, multiple: false, maxLength: 40 },
+                { name: 'tags', label: 'Tags', type: 'text', required: false, multiple: true }
+            ]
+        });
+        expect(result.model.path).toBe(MODEL_PATH);
+
+        await expect(client.createContentFragmentModel('/conf/wknd', { title: 'Broken', fields: { price: 'money' } }))
+            .rejects.toThrow('Invalid field spec:');
+    });
+
+    test('adds fields to a model with JSON Patch and If-Match', async () => {
+        mockFragment();
+        mockAxiosInstance.patch.mockResolvedValue({ data: modelData, headers: { etag: '"m2"' } });
+
+        const result = await client.addContentFragmentModelFields(MODEL_PATH, { subtitle: 'string?' }, { etag: '"m1"' });
+
+        const [url, operations, config] = mockAxiosInstance.patch.mock.calls[0];
+        expect(url).toBe(`/adobe/sites/cf/models/${MODEL_ID}`);
+        expect(operations).toEqual([
+            { op: 'add', path: '/fields/-', value: { name: 'subtitle', label: 'Subtitle', type: 'text', required: false, multiple: false } }
+        ]);
+        expect(config.headers['If-Match']).toBe('"m1"');
+        expect(result.added).toEqual(['subtitle']);
+
+        await expect(client.addContentFragmentModelFields(MODEL_PATH, { headline: 'string' }))
+            .rejects.toThrow('Field(s) already in the model: headline');
+
+        mockAxiosInstance.patch.mockRejectedValue(Object.assign(new Error('Request failed with status code 412'), { response: { status: 412, data: {} } }));
+        await expect(client.addContentFragmentModelFields(MODEL_PATH, { subtitle: 'string?' }, { etag: '"stale"' }))
+            .rejects.toThrow('The model was changed by someone else');
+    });
+
+    describe('variations and language copies', () => {
+        const variationsData = {
+            items: [
+                { name: 'short', title: 'Short', fields: [{ name: 'headline', type: 'text', values: ['Short headline'] }, { name: 'tags', type: 'text', multiple: true, values: ['a'] }] },
+                { name: 'social', title: 'Social', fields: [{ name: 'headline', type: 'text', values: ['Old headline'] }] }
+            ]
+        };
+
+        const mockVariations = (extra = {}) => mockAxiosInstance.get.mockImplementation(url => {
+            if (extra[url] !== undefined) {
+                return extra[url] instanceof Error ? Promise.reject(extra[url]) : Promise.resolve(extra[url]);
+            }
+            if (url === '/content/dam/wknd/fragments/article-1.json') return Promise.resolve({ data: { 'jcr:uuid': 'frag-1' } });
+            if (url === '/adobe/sites/cf/fragments/frag-1') return Promise.resolve({ data: fragmentData, headers: { etag: '"v1"' } });
+            if (url === '/adobe/sites/cf/fragments/frag-1/variations') return Promise.resolve({ data: variationsData });
+            if (url === `/adobe/sites/cf/models/${MODEL_ID}`) return Promise.resolve({ data: modelData, headers: { etag: '"m1"' } });
+            if (url === '/adobe/sites/cf/fragments/frag-1/variations/short') {
+                return Promise.resolve({ data: variationsData.items[0], headers: { etag: '"s1"' } });
+            }
+            return Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        });
+
+        test('lists variations with the fields that differ from master', async () => {
+            mockVariations();
+
+            const result = await client.listContentFragmentVariations('/content/dam/wknd/fragments/article-1');
+
+            expect(result.variations.map(item => [item.name, item.differentFields])).toEqual([
+                ['short', ['headline']],
+                ['social', []]
+            ]);
+            expect(result.message).toBe('2 variation(s), 1 differ from master');
+        });
+
+        test('creates a variation and sets its fields', async () => {
+            mockVariations();
+            mockAxiosInstance.post.mockResolvedValue({ status: 201, data: { name: 'teaser', title: 'Teaser', fields: fragmentData.fields }, headers: { etag: '"t1"' } });
+            mockAxiosInstance.patch.mockResolvedValue({
+                data: { name: 'teaser', title: 'Teaser', fields: [{ name: 'headline', type: 'text', values: ['Teaser headline'] }] }
+            });
+
+            const result = await client.createContentFragmentVariation('frag-1', { title: 'Teaser', fields: { headline: 'Teaser headline' } });
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledWith('/adobe/sites/cf/fragments/frag-1/variations', { title: 'Teaser', name: 'teaser' });
+            const [url, operations, config] = mockAxiosInstance.patch.mock.calls[0];
+            expect(url).toBe('/adobe/sites/cf/fragments/frag-1/variations/teaser');
+            expect(operations).toEqual([{ op: 'replace', path: '/fields/0/values', value: ['Teaser headline'] }]);
+            expect(config.headers['If-Match']).toBe('"t1"');
+            expect(result.variation.differentFields).toEqual(['headline']);
+
+            mockAxiosInstance.post.mockClear();
+            await expect(client.createContentFragmentVariation('frag-1', { title: 'Broken', fields: { subtitle: 'x' } }))
+                .rejects.toThrow('Unknown field(s): subtitle');
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('updates a variation with If-Match and reports unknown variations', async () => {
+            mockVariations();
+            mockAxiosInstance.patch.mockResolvedValue({
+                data: { name: 'short', fields: [{ name: 'headline', type: 'text', values: ['Old headline'] }] },
+                headers: { etag: '"s2"' }
+            });
+
+            const result = await client.updateContentFragmentVariation('frag-1', 'short', { fields: { headline: 'Old headline' } }, { etag: '"s1"' });
+
+            const [url, operations, config] = mockAxiosInstance.patch.mock.calls[0];
+            expect(url).toBe('/adobe/sites/cf/fragments/frag-1/variations/short');
+            expect(operations).toEqual([{ op: 'replace', path: '/fields/0/values', value: ['Old headline'] }]);
+            expect(config.headers['If-Match']).toBe('"s1"');
+
+            await client.updateContentFragmentVariation('frag-1', 'short', { title: 'Short' });
+            expect(mockAxiosInstance.patch.mock.calls[1][2].headers['If-Match']).toBe('"s1"');
+            expect(result.variation.differentFields).toEqual([]);
+            expect(result.etag).toBe('"s2"');
+
+            await expect(client.updateContentFragmentVariation('frag-1', 'missing', { title: 'x' }))
+                .rejects.toThrow('Variation "missing" not found');
+            await expect(client.updateContentFragmentVariation('frag-1', 'short', { fields: { headline: 'x'.repeat(41) } }))
+                .rejects.toThrow('Headline must be at most 40 characters');
+        });
+
+        test('copies a fragment into parallel locale folders', async () => {
+            const sourcePath = '/content/dam/wknd/en/fragments/article-1';
+            mockVariations({
+                '/adobe/sites/cf/fragments/frag-1': { data: { ...fragmentData, path: sourcePath }, headers: {} },
+                '/content/dam/wknd/de/fragments/article-1.json': Object.assign(new Error('Not found'), { response: { status: 404 } }),
+                '/content/dam/wknd/de.json': { data: {} },
+                '/content/dam/wknd/fr/fragments/article-1.json': { data: { 'jcr:uuid': 'frag-fr' } }
+            });
+            mockAxiosInstance.post.mockResolvedValue({ status: 200 });
+
+            const result = await client.createLanguageCopies('frag-1', ['de', 'fr', 'en']);
+
+            expect(result.sourceLocale).toBe('en');
+            expect(result.copies).toEqual([
+                { locale: 'de', path: '/content/dam/wknd/de/fragments/article-1', status: 'created' },
+                { locale: 'fr', path: '/content/dam/wknd/fr/fragments/article-1', status: 'exists' },
+                { locale: 'en', path: sourcePath, status: 'skipped', error: 'Same locale as the source' }
+            ]);
+            const posts = mockAxiosInstance.post.mock.calls.map(([url, body]) => [url, body]);
+            expect(posts).toContainEqual(['/content/dam/wknd/de/fragments', expect.stringContaining('jcr%3AprimaryType=sling%3AOrderedFolder')]);
+            expect(posts).not.toContainEqual(['/content/dam/wknd/de', expect.anything()]);
+            expect(posts).toContainEqual([sourcePath, '%3Aoperation=copy&%3Adest=%2Fcontent%2Fdam%2Fwknd%2Fde%2Ffragments%2Farticle-1']);
+            expect(result.variations.map(item => item.name)).toEqual(['short', 'social']);
+
+            await expect(client.createLanguageCopies('frag-1', ['de'], { sourceLocale: 'en-gb' }))
+                .rejects.toThrow(`Locale "en-gb" is not part of ${sourcePath}`);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { createAEMGraphQLClient } = require('../actions/mcp-server/aem-graphql-client');
+
+// Mock axios instance
+const mockAxiosInstance = {
+    defaults: {
+        headers: {
+            common: {}
+        },
+        auth: null
+    },
+    interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+    },
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn()
+};
+
+// Mock axios
+jest.mock('axios', () => {
+    return {
+        create: jest.fn(() => mockAxiosInstance)
+    };
+});
+
+const persistedQueries = [
+    {
+        path: { shortForm: '/wknd/adventures-all', longForm: '/conf/wknd/settings/graphql/persistentQueries/adventures-all' },
+        info: { query: '{ adventureList { items { title } } }', 'cache-control': { 'max-age': 60 } }
+    },
+    {
+        path: { shortForm: '/global/articles', longForm: '/conf/global/settings/graphql/persistentQueries/articles' },
+        info: { query: '{ articleList { items { _path } } }' }
+    }
+];
+
+describe('AEM GraphQL Client', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAxiosInstance.get.mockReset();
+        mockAxiosInstance.post.mockReset();
+        mockAxiosInstance.put.mockReset();
+        client = createAEMGraphQLClient('https://author-test.adobeaemcloud.com', {
+            username: 'admin',
+            password: 'admin'
+        });
+    });
+
+    test('lists the GraphQL endpoints per configuration', async () => {
+        mockAxiosInstance.get.mockResolvedValue({
+            data: {
+                'jcr:primaryType': 'sling:Folder',
+                wknd: { 'jcr:primaryType': 'sling:Folder', endpoint: { 'jcr:primaryType': 'nt:unstructured' } },
+                global: { 'jcr:primaryType': 'sling:Folder', endpoint: {} },
+                empty: { 'jcr:primaryType': 'sling:Folder' }
+            }
+        });
+
+        const result = await client.listGraphQLEndpoints();
+
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith('/content/cq:graphql.2.json');
+        expect(result.endpoints).toEqual([
+            { configuration: 'wknd', path: '/content/cq:graphql/wknd/endpoint', url: 'https://author-test.adobeaemcloud.com/content/cq:graphql/wknd/endpoint.json' },
+            { configuration: 'global', path: '/content/cq:graphql/global/endpoint', url: 'https://author-test.adobeaemcloud.com/content/cq:graphql/global/endpoint.json' }
+        ]);
+
+        mockAxiosInstance.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        expect((await client.listGraphQLEndpoints()).endpoints).toEqual([]);
+    });
+
+    test('lists the persisted queries of a configuration', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ data: persistedQueries });
+
+        const result = await client.listPersistedQueries({ configuration: '/conf/wknd' });
+
+        expect(result.queries).toEqual([{
+            configuration: 'wknd',
+            name: 'adventures-all',
+            shortPath: '/wknd/adventures-all',
+            path: '/conf/wknd/settings/graphql/persistentQueries/adventures-all',
+            query: '{ adventureList { items { title } } }',
+            cacheControl: { 'max-age': 60 }
+        }]);
+        expect(result.message).toBe('Found 1 persisted query in wknd');
+    });
+
+    test('executes a persisted query with encoded variables', async () => {
+        mockAxiosInstance.get.mockResolvedValue({
+            data: { data: { adventureList: { items: [{ title: 'Surf' }, { title: 'Hike' }] } } },
+            headers: { 'cache-control': 'max-age=60' }
+        });
+
+        const result = await client.executePersistedQuery('wknd', 'adventures-by-activity', { activity: 'Surf Camp', limit: 2, filter: { tags: ['a;b'] } });
+
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+            '/graphql/execute.json/wknd/adventures-by-activity;activity=Surf%20Camp;limit=2;filter=%7B%22tags%22%3A%5B%22a%3Bb%22%5D%7D'
+        );
+        expect(result.success).toBe(true);
+        expect(result.items).toEqual([{ field: 'adventureList', count: 2 }]);
+        expect(result.cacheControl).toBe('max-age=60');
+        expect(result.message).toBe('Query returned 2 adventureList item(s)');
+    });
+
+    test('reports GraphQL errors and unknown queries', async () => {
+        mockAxiosInstance.get.mockResolvedValueOnce({ data: { data: null, errors: [{ message: 'Validation error of type FieldUndefined' }] } });
+
+        const result = await client.executePersistedQuery('wknd', 'broken');
+        expect(result.success).toBe(false);
+        expect(result.errors).toEqual(['Validation error of type FieldUndefined']);
+
+        mockAxiosInstance.get.mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        await expect(client.executePersistedQuery('wknd', 'missing')).rejects.toThrow('Persisted query not found: /wknd/missing');
+    });
+
+    test('creates new persisted queries with PUT and updates existing ones with POST', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ data: persistedQueries });
+        mockAxiosInstance.put.mockResolvedValue({ data: { action: 'create', shortPath: '/wknd/articles' } });
+        mockAxiosInstance.post.mockResolvedValue({ data: { action: 'update' } });
+
+        const created = await client.savePersistedQuery('wknd', 'articles', '{ articleList { items { title } } }', { maxAge: 300, sMaxAge: 600 });
+        expect(mockAxiosInstance.put).toHaveBeenCalledWith('/graphql/persist.json/wknd/articles', {
+            query: '{ articleList { items { title } } }',
+            'cache-control': { 'max-age': 300 },
+            'surrogate-control': { 'max-age': 600 }
+        }, { headers: { 'Content-Type': 'application/json' } });
+        expect(created.action).toBe('created');
+
+        const updated = await client.savePersistedQuery('/conf/wknd', 'adventures-all', '{ adventureList { items { title price } } }');
+        expect(mockAxiosInstance.post).toHaveBeenCalledWith('/graphql/persist.json/wknd/adventures-all', {
+            query: '{ adventureList { items { title price } } }'
+        }, { headers: { 'Content-Type': 'application/json' } });
+        expect(updated.action).toBe('updated');
+        expect(updated.path).toBe('/conf/wknd/settings/graphql/persistentQueries/adventures-all');
+
+        await expect(client.savePersistedQuery('wknd', 'all articles', '{ x }')).rejects.toThrow('Invalid query name "all articles"');
+    });
+});
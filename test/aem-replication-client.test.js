@@ -0,0 +1,141 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { createAEMReplicationClient } = require('../actions/mcp-server/aem-replication-client');
+
+// Mock axios instance
+const mockAxiosInstance = {
+    defaults: {
+        headers: {
+            common: {}
+        },
+        auth: null
+    },
+    interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+    },
+    get: jest.fn(),
+    post: jest.fn()
+};
+
+// Mock axios
+jest.mock('axios', () => {
+    return {
+        create: jest.fn(() => mockAxiosInstance)
+    };
+});
+
+const queueResponse = {
+    data: {
+        metaData: { queueStatus: { isBlocked: false, isPaused: false } },
+        queue: [{ path: '/content/site/en', type: 'ACTIVATE', time: 1700000000000, numProcessed: 1 }]
+    }
+};
+
+describe('AEM Replication Client', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAxiosInstance.get.mockReset();
+        mockAxiosInstance.post.mockReset();
+        client = createAEMReplicationClient('https://author-test.adobeaemcloud.com', {
+            username: 'admin',
+            password: 'admin'
+        });
+    });
+
+    test('activates a single path and reports the queue status', async () => {
+        mockAxiosInstance.post.mockResolvedValue({ status: 200, data: {} });
+        mockAxiosInstance.get.mockResolvedValue(queueResponse);
+
+        const result = await client.replicate({ paths: ['/content/site'], action: 'Activate' });
+
+        expect(result.success).toBe(true);
+        expect(result.replicated).toEqual(['/content/site']);
+        const [url, body] = mockAxiosInstance.post.mock.calls[0];
+        expect(url).toBe('/bin/replicate.json');
+        expect(new URLSearchParams(body).get('cmd')).toBe('Activate');
+        expect(new URLSearchParams(body).getAll('path')).toEqual(['/content/site']);
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith('/etc/replication/agents.author/publish/jcr:content.queue.json');
+        expect(result.queue).toMatchObject({ agent: 'publish', blocked: false, pending: 1 });
+    });
+
+    test('publishes only modified pages of a tree', async () => {
+        mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url.startsWith('/bin/querybuilder.json')
+            ? {
+                data: {
+                    hits: [
+                        { 'jcr:path': '/content/site', 'jcr:content': { 'cq:lastModified': '2024-01-01T00:00:00Z', 'cq:lastReplicated': '2024-02-01T00:00:00Z', 'cq:lastReplicationAction': 'Activate' } },
+                        { 'jcr:path': '/content/site/en', 'jcr:content': { 'cq:lastModified': '2024-03-01T00:00:00Z', 'cq:lastReplicated': '2024-02-01T00:00:00Z', 'cq:lastReplicationAction': 'Activate' } },
+                        { 'jcr:path': '/content/site/en/new', 'jcr:content': { 'cq:lastModified': '2024-03-01T00:00:00Z' } }
+                    ]
+                }
+            }
+            : queueResponse));
+        mockAxiosInstance.post.mockResolvedValue({ status: 200, data: {} });
+
+        const result = await client.replicate({
+            paths: ['/content/site'],
+            action: 'Activate',
+            includeChildren: true,
+            onlyModified: true
+        });
+
+        const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+        expect(query.get('type')).toBe('cq:Page');
+        expect(query.get('path.self')).toBe('true');
+        expect(result.skipped).toEqual(['/content/site']);
+        expect(result.replicated).toEqual(['/content/site/en', '/content/site/en/new']);
+        expect(new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]).getAll('path')).toEqual(['/content/site/en', '/content/site/en/new']);
+    });
+
+    test('unpublishes a tree children first', async () => {
+        mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url.startsWith('/bin/querybuilder.json')
+            ? { data: { hits: [{ 'jcr:path': '/content/site' }, { 'jcr:path': '/content/site/en' }, { 'jcr:path': '/content/site/en/about' }] } }
+            : queueResponse));
+
+        const result = await client.replicate({ paths: ['/content/site'], action: 'Deactivate', includeChildren: true, dryRun: true });
+
+        expect(result.replicated).toEqual(['/content/site/en/about', '/content/site/en', '/content/site']);
+        expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+    });
+
+    test('schedules activation through the Activate Later workflow', async () => {
+        mockAxiosInstance.post.mockResolvedValue({ status: 201, headers: { location: '/var/workflow/instances/server0/2024-06-01/scheduled_1' } });
+        mockAxiosInstance.get.mockResolvedValue(queueResponse);
+        const scheduleAt = new Date(Date.now() + 3600 * 1000).toISOString();
+
+        const result = await client.replicate({ paths: ['/content/site'], action: 'Activate', scheduleAt });
+
+        const [url, body] = mockAxiosInstance.post.mock.calls[0];
+        const form = new URLSearchParams(body);
+        expect(url).toBe('/etc/workflow/instances');
+        expect(form.get('model')).toBe('/var/workflow/models/scheduled_activation');
+        expect(form.get('absoluteTime')).toBe(String(new Date(scheduleAt).getTime()));
+        expect(result.scheduled).toEqual([{ path: '/content/site', workflowId: 'scheduled_1' }]);
+    });
+
+    test('rejects past schedule dates and reports failed batches', async () => {
+        await expect(client.replicate({ paths: ['/content/site'], scheduleAt: '2000-01-01T00:00:00Z' }))
+            .rejects.toThrow('Schedule date must be in the future');
+
+        mockAxiosInstance.post.mockRejectedValue(new Error('Request failed with status code 403'));
+        mockAxiosInstance.get.mockRejectedValue(new Error('Request failed with status code 404'));
+
+        const result = await client.replicate({ paths: ['/content/site'], action: 'Deactivate' });
+        expect(result.success).toBe(false);
+        expect(result.failed).toEqual([{ path: '/content/site', error: 'Request failed with status code 403' }]);
+        expect(result.queue.error).toContain('404');
+    });
+});
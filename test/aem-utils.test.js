@@ -20,6 +20,10 @@ const mockAxiosInstance = {
         },
         auth: null
     },
+    interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+    },
     get: jest.fn(),
     post: jest.fn(),
     delete: jest.fn()
@@ -73,16 +77,80 @@ describe('AEM Utils', () => {
         });
     });
 
-    describe('getQuickSiteTemplates', () => {
-        test('should return list of Quick Site templates', async () => {
-            const templates = await aemClient.getQuickSiteTemplates();
-            
-            expect(Array.isArray(templates)).toBe(true);
-            expect(templates.length).toBeGreaterThan(0);
-            expect(templates[0]).toHaveProperty('id');
-            expect(templates[0]).toHaveProperty('name');
-            expect(templates[0]).toHaveProperty('description');
-            expect(templates[0]).toHaveProperty('path');
+    describe('listTemplates', () => {
+        const pageTemplateHits = {
+            data: {
+                hits: [
+                    {
+                        'jcr:path': '/conf/wknd/settings/wcm/templates/page-content',
+                        'jcr:content': { 'jcr:title': 'Content Page', status: 'enabled', allowedPaths: ['/content/wknd(/.*)?'] },
+                        'thumbnail.png': {}
+                    },
+                    {
+                        'jcr:path': '/conf/wknd/settings/wcm/templates/landing',
+                        'jcr:content': { 'jcr:title': 'Landing Page', status: 'draft' }
+                    },
+                    { 'jcr:path': '/conf/wknd/settings/wcm/template-types/page' }
+                ]
+            }
+        };
+        const siteTemplateHits = {
+            data: {
+                hits: [{
+                    'jcr:path': '/conf/global/site-templates/basic-site-template-1.0.0.zip',
+                    'jcr:content': {
+                        metadata: { 'dc:title': 'Basic Site Template' },
+                        renditions: { 'cq5dam.thumbnail.319.319.png': {} }
+                    }
+                }]
+            }
+        };
+
+        test('should discover page templates and site template packages', async () => {
+            mockAxiosInstance.get
+                .mockResolvedValueOnce(pageTemplateHits)
+                .mockResolvedValueOnce(siteTemplateHits);
+
+            const templates = await aemClient.listTemplates();
+
+            expect(mockAxiosInstance.get.mock.calls[0][0]).toContain('type=cq%3ATemplate');
+            expect(templates).toHaveLength(3);
+            expect(templates[0]).toEqual({
+                id: 'wknd/page-content',
+                type: 'page-template',
+                name: 'Content Page',
+                description: '',
+                path: '/conf/wknd/settings/wcm/templates/page-content',
+                status: 'enabled',
+                allowedPaths: ['/content/wknd(/.*)?'],
+                thumbnail: '/conf/wknd/settings/wcm/templates/page-content/thumbnail.png'
+            });
+            expect(templates[1]).toMatchObject({ id: 'wknd/landing', status: 'draft', allowedPaths: [], thumbnail: null });
+            expect(templates[2]).toMatchObject({
+                id: 'site-templates/basic-site-template-1.0.0',
+                type: 'site-template',
+                name: 'Basic Site Template',
+                thumbnail: '/conf/global/site-templates/basic-site-template-1.0.0.zip/jcr:content/renditions/cq5dam.thumbnail.319.319.png'
+            });
+        });
+
+        test('should resolve only enabled page templates allowed at the target path', async () => {
+            const mockDiscovery = () => mockAxiosInstance.get
+                .mockResolvedValueOnce(pageTemplateHits)
+                .mockResolvedValueOnce(siteTemplateHits);
+
+            mockDiscovery();
+            await expect(aemClient.resolveTemplate('wknd/page-content', '/content/wknd/summer'))
+                .resolves.toMatchObject({ path: '/conf/wknd/settings/wcm/templates/page-content' });
+            mockDiscovery();
+            await expect(aemClient.resolveTemplate('/conf/wknd/settings/wcm/templates/page-content', '/content/other'))
+                .rejects.toThrow('not allowed at /content/other');
+            mockDiscovery();
+            await expect(aemClient.resolveTemplate('wknd/landing', '/content/wknd/summer')).rejects.toThrow('is draft');
+            mockDiscovery();
+            await expect(aemClient.resolveTemplate('site-templates/basic-site-template-1.0.0')).rejects.toThrow('site template package');
+            mockDiscovery();
+            await expect(aemClient.resolveTemplate('standard')).rejects.toThrow('Available templates: wknd/page-content, wknd/landing');
         });
     });
 
@@ -154,6 +222,10 @@ describe('AEM Utils', () => {
     });
 
     describe('createMicrosite', () => {
+        beforeEach(() => {
+            mockAxiosInstance.get.mockResolvedValue({ status: 404, data: {} });
+        });
+
         test('should create a microsite with default pages', async () => {
             mockAxiosInstance.post.mockResolvedValue({
                 data: { success: true }
@@ -182,6 +254,275 @@ describe('AEM Utils', () => {
 
             expect(result.success).toBe(true);
         });
+
+        test('should skip failed pages and report them in best-effort mode', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            mockAxiosInstance.post
+                .mockResolvedValueOnce({ data: {} })
+                .mockRejectedValueOnce(new Error('Request failed with status code 500'))
+                .mockResolvedValueOnce({ data: {} });
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about']
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.status).toBe('partial');
+            expect(result.createdNodes).toEqual(['/content/microsite', '/content/microsite/about']);
+            expect(result.missingNodes).toEqual(['/content/microsite/main']);
+            warnSpy.mockRestore();
+        });
+
+        test('should roll back created nodes in reverse order when an atomic run fails', async () => {
+            mockAxiosInstance.post
+                .mockResolvedValueOnce({ data: {} })
+                .mockResolvedValueOnce({ data: {} })
+                .mockRejectedValueOnce(new Error('Request failed with status code 403'));
+            mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about', 'contact'],
+                atomic: true
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.status).toBe('rolled-back');
+            expect(result.failure.path).toBe('/content/microsite/about');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(3);
+            expect(mockAxiosInstance.delete.mock.calls.map(call => call[0])).toEqual([
+                '/content/microsite/main',
+                '/content/microsite'
+            ]);
+            expect(result.missingNodes).toHaveLength(4);
+        });
+
+        test('should report what exists and what is missing when rollback is not requested', async () => {
+            mockAxiosInstance.post
+                .mockResolvedValueOnce({ data: {} })
+                .mockRejectedValueOnce(new Error('Request failed with status code 403'));
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about'],
+                atomic: true,
+                onFailure: 'report'
+            });
+
+            expect(result.status).toBe('incomplete');
+            expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+            expect(result.createdNodes).toEqual(['/content/microsite']);
+            expect(result.missingNodes).toEqual(['/content/microsite/main', '/content/microsite/about']);
+        });
+
+        test('should only create missing nodes when resuming', async () => {
+            const existing = ['/content/microsite.json', '/content/microsite/main.json'];
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(existing.includes(url)
+                ? { status: 200, data: { 'jcr:primaryType': 'cq:Page' } }
+                : { status: 404, data: {} }));
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about'],
+                resume: true
+            });
+
+            expect(result.status).toBe('complete');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            expect(mockAxiosInstance.post.mock.calls[0][0]).toBe('/content/microsite/about');
+            expect(result.existingNodes).toEqual(['/content/microsite', '/content/microsite/main']);
+            expect(result.createdNodes).toEqual(['/content/microsite/about']);
+            expect(result.pages).toHaveLength(2);
+        });
+
+        test('should never roll back nodes that existed before the run', async () => {
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url === '/content/microsite.json'
+                ? { status: 200, data: { 'jcr:primaryType': 'cq:Page' } }
+                : { status: 404, data: {} }));
+            mockAxiosInstance.post
+                .mockResolvedValueOnce({ data: {} })
+                .mockResolvedValueOnce({ data: {} })
+                .mockRejectedValueOnce(new Error('Request failed with status code 403'));
+            mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about'],
+                atomic: true
+            });
+
+            expect(result.status).toBe('rolled-back');
+            expect(result.existingNodes).toEqual(['/content/microsite']);
+            expect(mockAxiosInstance.delete.mock.calls.map(call => call[0])).toEqual(['/content/microsite/main']);
+        });
+
+        test('should leave a node alone when its existence cannot be checked', async () => {
+            mockAxiosInstance.get.mockImplementation(url => (url === '/content/microsite/about.json'
+                ? Promise.reject(Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } }))
+                : Promise.resolve({ status: 404, data: {} })));
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+            mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about'],
+                atomic: true
+            });
+
+            expect(result.status).toBe('rolled-back');
+            expect(result.failure).toEqual({
+                path: '/content/microsite/about',
+                error: 'Could not check whether /content/microsite/about exists: Request failed with status code 500'
+            });
+            expect(mockAxiosInstance.post.mock.calls.map(call => call[0])).toEqual(['/content/microsite', '/content/microsite/main']);
+            expect(mockAxiosInstance.delete.mock.calls.map(call => call[0])).toEqual([
+                '/content/microsite/main',
+                '/content/microsite'
+            ]);
+        });
+
+        test('should count existing nodes of any type as existing', async () => {
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url === '/content/microsite/main.json'
+                ? { status: 200, data: { 'jcr:primaryType': 'nt:unstructured' } }
+                : { status: 404, data: {} }));
+            mockAxiosInstance.post
+                .mockResolvedValueOnce({ data: {} })
+                .mockResolvedValueOnce({ data: {} })
+                .mockRejectedValueOnce(new Error('Request failed with status code 403'));
+            mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+            const result = await aemClient.createMicrosite({
+                siteTitle: 'Microsite',
+                pages: ['main', 'about'],
+                atomic: true
+            });
+
+            expect(result.existingNodes).toEqual(['/content/microsite/main']);
+            expect(mockAxiosInstance.delete.mock.calls.map(call => call[0])).toEqual(['/content/microsite']);
+        });
+    });
+
+    describe('createFromBlueprint', () => {
+        const blueprint = {
+            site: { name: 'summer', title: 'Summer' },
+            pages: [
+                {
+                    name: 'main',
+                    title: 'Home',
+                    properties: { hideInNav: true, tags: ['a', 'b'] },
+                    components: [{
+                        name: 'hero',
+                        resourceType: 'core/wcm/components/teaser/v2/teaser',
+                        properties: { 'jcr:title': 'Hello' }
+                    }],
+                    children: [{ name: 'offers' }]
+                },
+                { name: 'about', children: [{ name: 'team' }] },
+                { name: 'contact' }
+            ]
+        };
+
+        beforeEach(() => {
+            mockAxiosInstance.get.mockResolvedValue({ status: 404, data: {} });
+        });
+
+        test('should create nested pages with their components and properties', async () => {
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+
+            const result = await aemClient.createFromBlueprint(blueprint);
+
+            expect(result.success).toBe(true);
+            expect(result.counts).toEqual({ created: 6, updated: 0, failed: 0, skipped: 0 });
+            expect(mockAxiosInstance.post.mock.calls.map(call => call[0])).toEqual([
+                '/content/summer',
+                '/content/summer/main',
+                '/content/summer/main/offers',
+                '/content/summer/about',
+                '/content/summer/about/team',
+                '/content/summer/contact'
+            ]);
+
+            const mainForm = new URLSearchParams(mockAxiosInstance.post.mock.calls[1][1]);
+            expect(mainForm.get('jcr:content/jcr:title')).toBe('Home');
+            expect(mainForm.get('jcr:content/hideInNav@TypeHint')).toBe('Boolean');
+            expect(mainForm.getAll('jcr:content/tags')).toEqual(['a', 'b']);
+            expect(mainForm.get('jcr:content/tags@TypeHint')).toBe('String[]');
+            expect(mainForm.get('jcr:content/root/container/hero/sling:resourceType')).toBe('core/wcm/components/teaser/v2/teaser');
+            expect(mainForm.get('jcr:content/root/container/hero/jcr:title')).toBe('Hello');
+            expect(mainForm.has('jcr:content/root/container/teaser/jcr:title')).toBe(false);
+        });
+
+        test('should skip the children of a failed page and continue', async () => {
+            mockAxiosInstance.post.mockImplementation(path => path === '/content/summer/about'
+                ? Promise.reject(new Error('Request failed with status code 500'))
+                : Promise.resolve({ data: {} }));
+
+            const result = await aemClient.createFromBlueprint(blueprint);
+
+            expect(result.success).toBe(false);
+            expect(result.counts).toEqual({ created: 4, updated: 0, failed: 1, skipped: 1 });
+            const about = result.tree.children[1];
+            expect(about.status).toBe('failed');
+            expect(about.children[0]).toMatchObject({ name: 'team', status: 'skipped' });
+            expect(result.tree.children[2].status).toBe('created');
+        });
+
+        test('should roll back in atomic mode', async () => {
+            mockAxiosInstance.post.mockImplementation(path => path === '/content/summer/about'
+                ? Promise.reject(new Error('Request failed with status code 500'))
+                : Promise.resolve({ data: {} }));
+            mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+            const result = await aemClient.createFromBlueprint(blueprint, { atomic: true });
+
+            expect(result.counts).toEqual({ created: 3, updated: 0, failed: 1, skipped: 2 });
+            expect(mockAxiosInstance.delete.mock.calls.map(call => call[0])).toEqual([
+                '/content/summer/main/offers',
+                '/content/summer/main',
+                '/content/summer'
+            ]);
+            expect(result.tree.status).toBe('rolled-back');
+            expect(result.tree.children[2]).toMatchObject({ name: 'contact', status: 'skipped' });
+        });
+
+        test('should refuse an existing site unless overwrite is set', async () => {
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(url === '/content/summer.json'
+                ? { status: 200, data: { 'jcr:primaryType': 'cq:Page' } }
+                : { status: 404, data: {} }));
+
+            await expect(aemClient.createFromBlueprint(blueprint)).rejects.toThrow('Site already exists: /content/summer');
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        test('should not build when the site existence check fails', async () => {
+            mockAxiosInstance.get.mockRejectedValue(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+
+            await expect(aemClient.createFromBlueprint(blueprint, { overwrite: true }))
+                .rejects.toThrow('Could not check whether /content/summer exists');
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+            expect(mockAxiosInstance.delete).not.toHaveBeenCalled();
+        });
+
+        test('should never roll back nodes that existed before the run', async () => {
+            const existing = ['/content/summer.json', '/content/summer/main.json'];
+            mockAxiosInstance.get.mockImplementation(url => Promise.resolve(existing.includes(url)
+                ? { status: 200, data: { 'jcr:primaryType': 'cq:Page' } }
+                : { status: 404, data: {} }));
+            mockAxiosInstance.post.mockImplementation(path => path === '/content/summer/about'
+                ? Promise.reject(new Error('Request failed with status code 500'))
+                : Promise.resolve({ data: {} }));
+            mockAxiosInstance.delete.mockResolvedValue({ status: 204 });
+
+            const result = await aemClient.createFromBlueprint(blueprint, { atomic: true, overwrite: true });
+
+            expect(result.counts).toEqual({ created: 1, updated: 2, failed: 1, skipped: 2 });
+            expect(result.createdNodes).toEqual(['/content/summer/main/offers']);
+            expect(mockAxiosInstance.delete.mock.calls.map(call => call[0])).toEqual(['/content/summer/main/offers']);
+            expect(result.tree.status).toBe('updated');
+            expect(result.tree.children[0].status).toBe('updated');
+        });
     });
 
     describe('createPage', () => {
@@ -201,6 +542,66 @@ describe('AEM Utils', () => {
             expect(result.pageTitle).toBe('About Us');
             expect(result.url).toContain('/editor.html');
         });
+
+        test('should use the teaser preset by default', async () => {
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+
+            await aemClient.createPage({ sitePath: '/content/test-site', pageName: 'about', pageTitle: 'About Us' });
+
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(form.get('jcr:content/root/container/title/sling:resourceType')).toBe('core/wcm/components/title/v3/title');
+            expect(form.get('jcr:content/root/container/teaser/fileReference')).toBe('/content/dam/site-templates/Image@2x.png');
+        });
+
+        test('should build the component tree of a named preset', async () => {
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+
+            await aemClient.createPage({ sitePath: '/content/test-site', pageName: 'launch', pageTitle: 'Launch', preset: 'landing' });
+
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(form.get('jcr:content/root/container/hero/jcr:title')).toBe('Launch');
+            expect(form.get('jcr:content/root/container/features/feature_3/sling:resourceType')).toBe('core/wcm/components/teaser/v2/teaser');
+            expect(form.has('jcr:content/root/container/teaser/fileReference')).toBe(false);
+        });
+
+        test('should escape the page title in rich text', async () => {
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+
+            await aemClient.createPage({ sitePath: '/content/test-site', pageName: 'qa', pageTitle: 'Q&A <Live>', preset: 'hero-text' });
+
+            const form = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(form.get('jcr:content/root/container/hero/jcr:title')).toBe('Q&A <Live>');
+            expect(form.get('jcr:content/root/container/text/text')).toBe('<p>Introduce Q&amp;A &lt;Live&gt; here.</p>');
+        });
+
+        test('should prefer explicit components and create empty pages', async () => {
+            mockAxiosInstance.post.mockResolvedValue({ data: {} });
+
+            await aemClient.createPage({
+                sitePath: '/content/test-site',
+                pageName: 'custom',
+                pageTitle: 'Custom',
+                preset: 'article',
+                components: [{
+                    name: 'tabs',
+                    resourceType: 'core/wcm/components/tabs/v1/tabs',
+                    children: [{ name: 'tab_1', resourceType: 'core/wcm/components/container/v1/container', properties: { 'cq:panelTitle': 'One' } }]
+                }]
+            });
+            await aemClient.createPage({ sitePath: '/content/test-site', pageName: 'blank', pageTitle: 'Blank', preset: 'empty' });
+
+            const custom = new URLSearchParams(mockAxiosInstance.post.mock.calls[0][1]);
+            expect(custom.get('jcr:content/root/container/tabs/tab_1/cq:panelTitle')).toBe('One');
+            expect(custom.has('jcr:content/root/container/title/jcr:title')).toBe(false);
+
+            const blank = new URLSearchParams(mockAxiosInstance.post.mock.calls[1][1]);
+            expect([...blank.keys()].filter(key => /^jcr:content\/root\/container\/[^/]+\//.test(key))).toEqual([]);
+        });
+
+        test('should reject unknown presets', async () => {
+            await expect(aemClient.createPage({ sitePath: '/content/test-site', pageName: 'x', pageTitle: 'X', preset: 'gallery' }))
+                .rejects.toThrow('Unknown page preset "gallery"');
+        });
     });
 
     describe('listSites', () => {
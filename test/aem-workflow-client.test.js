@@ -0,0 +1,178 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { createAEMWorkflowClient } = require('../actions/mcp-server/aem-workflow-client');
+
+// Mock axios instance
+const mockAxiosInstance = {
+    defaults: {
+        headers: {
+            common: {}
+        },
+        auth: null
+    },
+    interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+    },
+    get: jest.fn(),
+    post: jest.fn()
+};
+
+// Mock axios
+jest.mock('axios', () => {
+    return {
+        create: jest.fn(() => mockAxiosInstance)
+    };
+});
+
+const INSTANCE_PATH = '/var/workflow/instances/server0/2024-06-01/update_asset_1';
+
+const instanceNode = (status, extra = {}) => ({
+    'jcr:primaryType': 'cq:Workflow',
+    status,
+    modelId: '/var/workflow/models/dam/update_asset',
+    initiator: 'admin',
+    startTime: '2024-06-01T10:00:00.000Z',
+    data: {
+        payload: { path: '/content/dam/wknd/hero.jpg' },
+        metaData: { workflowTitle: 'Process hero' }
+    },
+    workItems: {
+        item1: { nodeId: 'node2', nodeTitle: 'Process Thumbnails', startTime: '2024-06-01T10:00:02.000Z' }
+    },
+    history: {
+        h2: { date: '2024-06-01T10:00:02.000Z', action: 'Step completed', user: 'workflow-process-service', workItem: { nodeTitle: 'Metadata Processor' } },
+        h1: { date: '2024-06-01T10:00:00.000Z', action: 'Workflow started', user: 'admin', workItem: { nodeTitle: 'Start' } }
+    },
+    ...extra
+});
+
+describe('AEM Workflow Client', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAxiosInstance.get.mockReset();
+        mockAxiosInstance.post.mockReset();
+        client = createAEMWorkflowClient('https://author-test.adobeaemcloud.com', {
+            username: 'admin',
+            password: 'admin'
+        });
+    });
+
+    test('starts a workflow and returns the instance path', async () => {
+        mockAxiosInstance.post.mockResolvedValue({ status: 201, headers: { location: `https://author-test.adobeaemcloud.com${INSTANCE_PATH}` } });
+
+        const result = await client.startWorkflow({ workflowModel: '/var/workflow/models/dam/update_asset', payloadPath: '/content/dam/wknd/hero.jpg' });
+
+        const [url, body] = mockAxiosInstance.post.mock.calls[0];
+        expect(url).toBe('/etc/workflow/instances');
+        expect(new URLSearchParams(body).get('payload')).toBe('/content/dam/wknd/hero.jpg');
+        expect(result.workflowId).toBe('update_asset_1');
+        expect(result.instancePath).toBe(INSTANCE_PATH);
+    });
+
+    test('gets the status, current step and history of an instance by ID', async () => {
+        mockAxiosInstance.get.mockImplementation(url => {
+            if (url.startsWith('/bin/querybuilder.json?')) return Promise.resolve({ data: { hits: [{ 'jcr:path': INSTANCE_PATH }] } });
+            if (url === `${INSTANCE_PATH}.4.json`) return Promise.resolve({ data: instanceNode('RUNNING') });
+            return Promise.reject(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        });
+
+        const instance = await client.getWorkflowInstance('update_asset_1');
+
+        const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+        expect(query.get('nodename')).toBe('update_asset_1');
+        expect(instance).toMatchObject({
+            path: INSTANCE_PATH,
+            title: 'Process hero',
+            status: 'RUNNING',
+            model: '/var/workflow/models/dam/update_asset',
+            payload: '/content/dam/wknd/hero.jpg',
+            currentSteps: [{ step: 'Process Thumbnails', assignee: null, startTime: '2024-06-01T10:00:02.000Z' }],
+            failure: null
+        });
+        expect(instance.history.map(entry => entry.step)).toEqual(['Start', 'Metadata Processor']);
+
+        await expect(client.getWorkflowInstance('/var/workflow/instances/server0/2024-06-01/missing'))
+            .rejects.toThrow('Workflow instance not found');
+    });
+
+    test('lists instances by status, model and payload', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ data: { hits: [{ 'jcr:path': INSTANCE_PATH, ...instanceNode('SUSPENDED') }] } });
+
+        const result = await client.listWorkflowInstances({ status: 'suspended', model: '/var/workflow/models/dam/update_asset', payload: '/content/dam/wknd/hero.jpg' });
+
+        const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+        expect(query.get('type')).toBe('cq:Workflow');
+        expect(query.get('1_property.value')).toBe('SUSPENDED');
+        expect(query.get('2_property.value')).toBe('/var/workflow/models/dam/update_asset');
+        expect(query.get('3_property')).toBe('data/payload/path');
+        expect(result.instances[0]).toMatchObject({ path: INSTANCE_PATH, status: 'SUSPENDED' });
+        expect(result.instances[0].history).toBeUndefined();
+
+        await expect(client.listWorkflowInstances({ status: 'DONE' })).rejects.toThrow('Unsupported status "DONE"');
+    });
+
+    test('lists failed instances through their failed work items', async () => {
+        const failed = instanceNode('RUNNING', {
+            workItems: { item1: { nodeTitle: 'Process Thumbnails', metaData: { failureMessage: 'Unsupported image format' } } }
+        });
+        mockAxiosInstance.get.mockImplementation(url => {
+            if (url.startsWith('/bin/querybuilder.json?')) {
+                return Promise.resolve({ data: { hits: [{ 'jcr:path': `${INSTANCE_PATH}/workItems/item1` }] } });
+            }
+            return Promise.resolve({ data: failed });
+        });
+
+        const result = await client.listWorkflowInstances({ status: 'FAILED', limit: 10 });
+
+        const query = new URLSearchParams(mockAxiosInstance.get.mock.calls[0][0].split('?')[1]);
+        expect(query.get('p.limit')).toBe('50');
+        expect(result.instances).toHaveLength(1);
+        expect(result.instances[0].failure).toEqual({ step: 'Process Thumbnails', message: 'Unsupported image format' });
+    });
+
+    test('suspends running instances through the workflow API and refuses invalid state changes', async () => {
+        mockAxiosInstance.get
+            .mockResolvedValueOnce({ data: instanceNode('RUNNING') })
+            .mockResolvedValueOnce({ data: instanceNode('SUSPENDED') });
+        mockAxiosInstance.post.mockResolvedValue({ status: 200 });
+
+        const result = await client.controlWorkflowInstance(INSTANCE_PATH, 'suspend');
+
+        expect(mockAxiosInstance.post).toHaveBeenCalledWith('/etc/workflow/instances/server0/2024-06-01/update_asset_1', 'state=SUSPENDED', {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        expect(result).toMatchObject({ previousStatus: 'RUNNING', status: 'SUSPENDED' });
+
+        mockAxiosInstance.get.mockResolvedValue({ data: instanceNode('RUNNING') });
+        await expect(client.controlWorkflowInstance(INSTANCE_PATH, 'suspend')).rejects.toThrow('Workflow instance is still RUNNING after requesting SUSPENDED');
+        await expect(client.controlWorkflowInstance(INSTANCE_PATH, 'resume')).rejects.toThrow('Cannot resume a workflow instance that is RUNNING');
+        await expect(client.controlWorkflowInstance(INSTANCE_PATH, 'restart')).rejects.toThrow('Unsupported action "restart"');
+    });
+
+    test('waits until an instance has completed or the timeout is reached', async () => {
+        mockAxiosInstance.get
+            .mockResolvedValueOnce({ data: instanceNode('RUNNING') })
+            .mockResolvedValueOnce({ data: instanceNode('COMPLETED', { workItems: {}, endTime: '2024-06-01T10:00:05.000Z' }) });
+
+        const done = await client.waitForWorkflow(INSTANCE_PATH, { timeoutMs: 1000, intervalMs: 5 });
+        expect(done).toMatchObject({ finished: true, timedOut: false, polls: 2 });
+        expect(done.instance.status).toBe('COMPLETED');
+
+        mockAxiosInstance.get.mockResolvedValue({ data: instanceNode('RUNNING') });
+        const pending = await client.waitForWorkflow(INSTANCE_PATH, { timeoutMs: 20, intervalMs: 5 });
+        expect(pending).toMatchObject({ finished: false, timedOut: true });
+    });
+});
@@ -0,0 +1,67 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { parseBlueprint, countPages } = require('../actions/mcp-server/blueprint');
+
+describe('Microsite Blueprint', () => {
+    test('parses a YAML blueprint with nested pages and components', () => {
+        const { blueprint, errors } = parseBlueprint(`
+site:
+  name: summer
+  title: Summer Campaign
+pages:
+  - name: main
+    title: Home
+    properties:
+      hideInNav: true
+    components:
+      - name: title
+        resourceType: core/wcm/components/title/v3/title
+        properties:
+          jcr:title: Welcome
+    children:
+      - name: offers
+      - name: faq
+`);
+
+        expect(errors).toBeUndefined();
+        expect(blueprint.site.title).toBe('Summer Campaign');
+        expect(blueprint.pages[0].components[0].properties).toEqual({ 'jcr:title': 'Welcome' });
+        expect(countPages(blueprint.pages)).toBe(3);
+    });
+
+    test('accepts JSON documents and objects', () => {
+        const json = JSON.stringify({ site: { title: 'Site' }, pages: [{ name: 'main' }] });
+        expect(parseBlueprint(json).blueprint.pages).toHaveLength(1);
+        expect(parseBlueprint({ site: { title: 'Site' } }).blueprint.pages).toEqual([]);
+    });
+
+    test('reports schema errors with their location', () => {
+        const { errors } = parseBlueprint({
+            site: { title: 'Site' },
+            pages: [{ name: 'main', children: [{ name: 'bad/name' }], components: [{ name: 'text' }] }]
+        });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringContaining('pages.0.children.0.name'),
+            expect.stringContaining('pages.0.components.0.resourceType')
+        ]));
+    });
+
+    test('rejects unknown keys, duplicate siblings and unparsable documents', () => {
+        expect(parseBlueprint({ site: { title: 'Site' }, pages: [{ name: 'main', componets: [] }] }).errors[0])
+            .toContain('Unrecognized key');
+        expect(parseBlueprint({ site: { title: 'Site' }, pages: [{ name: 'main' }, { name: 'main' }] }).errors)
+            .toEqual(['/main: duplicate page name']);
+        expect(parseBlueprint('site: [').errors[0]).toContain('not valid JSON or YAML');
+    });
+});
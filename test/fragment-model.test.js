@@ -0,0 +1,77 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { parseFieldSpec, describeModelField, validateFragmentFields } = require('../actions/mcp-server/fragment-model');
+
+describe('Fragment Model', () => {
+    test('parses shorthand and object field specs into model fields', () => {
+        const { fields, errors } = parseFieldSpec({
+            headline: { type: 'string', maxLength: 120 },
+            body: 'rich-text?',
+            tags: 'tag[]?',
+            status: { type: 'enum', values: ['draft', 'live'] },
+            heroImage: { type: 'reference', rootPath: '/content/dam/wknd', optional: true }
+        });
+
+        expect(errors).toBeUndefined();
+        expect(fields[0]).toEqual({ name: 'headline', label: 'Headline', type: 'text', required: true, multiple: false, maxLength: 120 });
+        expect(fields[1]).toMatchObject({ name: 'body', type: 'long-text', mimeType: 'text/html', required: false });
+        expect(fields[2]).toMatchObject({ name: 'tags', type: 'tag', required: false, multiple: true });
+        expect(fields[3]).toMatchObject({ type: 'enumeration', values: ['draft', 'live'] });
+        expect(fields[4]).toMatchObject({ label: 'Hero Image', type: 'content-reference', rootPath: '/content/dam/wknd' });
+    });
+
+    test('reports invalid field names, types and options', () => {
+        const { fields, errors } = parseFieldSpec({
+            'hero-image': 'reference',
+            price: 'money',
+            status: { type: 'enum' },
+            title: { type: 'string', maxLen: 10 }
+        });
+
+        expect(fields).toBeUndefined();
+        expect(errors).toHaveLength(4);
+        expect(errors[0]).toMatch(/^hero-image: must start with a letter/);
+        expect(errors[1]).toMatch(/^price\.type: /);
+        expect(errors[2]).toBe('status: enum fields need "values"');
+        expect(errors[3]).toMatch(/^title: Unrecognized key/);
+        expect(parseFieldSpec({}).errors).toEqual(['Field spec must be an object with at least one field']);
+    });
+
+    test('validates fragment values against model fields', () => {
+        const { fields } = parseFieldSpec({
+            headline: { type: 'string', maxLength: 10 },
+            price: { type: 'integer', min: 0, optional: true },
+            status: { type: 'enum', values: ['draft', 'live'], optional: true },
+            tags: 'tag[]?'
+        });
+        const modelFields = fields.map(describeModelField);
+
+        expect(modelFields[1]).toEqual({
+            name: 'price',
+            label: 'Price',
+            type: 'number',
+            required: false,
+            multiple: false,
+            validation: { min: 0, valueType: 'long' }
+        });
+        expect(validateFragmentFields({ headline: 'Hello', price: 3, tags: ['a', 'b'] }, modelFields)).toEqual([]);
+        expect(validateFragmentFields({ headline: 'Far too long', price: 1.5, status: 'archived', tags: 'a', color: 'red' }, modelFields)).toEqual([
+            { field: 'headline', message: 'Headline must be at most 10 characters (got 12)' },
+            { field: 'price', message: 'Price must be a whole number, got 1.5' },
+            { field: 'status', message: 'Status must be one of: draft, live (got "archived")' },
+            { field: 'color', message: 'Unknown field. Fields of this model: headline, price, status, tags' }
+        ]);
+        expect(validateFragmentFields({ price: 2 }, modelFields)).toEqual([{ field: 'headline', message: 'Headline is required' }]);
+        expect(validateFragmentFields({ price: 2 }, modelFields, { partial: true })).toEqual([]);
+    });
+});
@@ -0,0 +1,209 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+const { ImsTokenProvider, clearTokenCache } = require('../actions/mcp-server/ims-token-provider');
+const { AEMClientBase } = require('../actions/mcp-server/aem-client-base');
+
+/**
+ * Local fake IMS token endpoint (and a protected AEM path) for the token exchange tests
+ */
+function startFakeServer() {
+    const state = { tokenRequests: [], issued: 0, expiresIn: 3600, revoked: new Set(), aemRequests: 0 };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+
+            if (req.url === '/ims/token/v3' || req.url === '/ims/exchange/jwt') {
+                const form = Object.fromEntries(new URLSearchParams(body));
+                state.tokenRequests.push({ url: req.url, form });
+                if (form.client_secret !== 'secret') {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'invalid_client', error_description: 'invalid client_secret' }));
+                    return;
+                }
+                state.issued += 1;
+                res.end(JSON.stringify({
+                    access_token: `token-${state.issued}`,
+                    token_type: 'bearer',
+                    expires_in: req.url === '/ims/exchange/jwt' ? state.expiresIn * 1000 : state.expiresIn
+                }));
+                return;
+            }
+
+            if (req.url === '/content/dam.json') {
+                state.aemRequests += 1;
+                const token = (req.headers.authorization || '').replace('Bearer ', '');
+                if (!token.startsWith('token-') || state.revoked.has(token)) {
+                    res.statusCode = 401;
+                    res.end('{}');
+                    return;
+                }
+                res.end(JSON.stringify({ 'jcr:primaryType': 'sling:Folder', token }));
+                return;
+            }
+
+            res.statusCode = 404;
+            res.end('{}');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+describe('IMS Token Provider', () => {
+    let fake;
+
+    beforeEach(async () => {
+        clearTokenCache();
+        fake = await startFakeServer();
+    });
+
+    afterEach(() => new Promise(resolve => fake.server.close(resolve)));
+
+    test('exchanges OAuth server-to-server credentials and caches the token', async () => {
+        const provider = new ImsTokenProvider({
+            clientId: 'client',
+            clientSecret: 'secret',
+            scopes: 'openid, AdobeID',
+            imsUrl: fake.url
+        });
+
+        const [first, second] = await Promise.all([provider.getAccessToken(), provider.getAccessToken()]);
+        expect(first).toBe('token-1');
+        expect(second).toBe('token-1');
+        expect(await provider.getAccessToken()).toBe('token-1');
+
+        expect(fake.state.tokenRequests).toHaveLength(1);
+        expect(fake.state.tokenRequests[0].form).toEqual({
+            grant_type: 'client_credentials',
+            client_id: 'client',
+            client_secret: 'secret',
+            scope: 'openid,AdobeID'
+        });
+    });
+
+    test('requests a new token when the cached one is about to expire', async () => {
+        fake.state.expiresIn = 1;
+        const provider = new ImsTokenProvider({ clientId: 'client', clientSecret: 'secret', imsUrl: fake.url });
+
+        const nowSpy = jest.spyOn(Date, 'now');
+        try {
+            nowSpy.mockReturnValue(1000000);
+            expect(await provider.getAccessToken()).toBe('token-1');
+            expect(await provider.getAccessToken()).toBe('token-1');
+
+            nowSpy.mockReturnValue(1000000 + 950);
+            expect(await provider.getAccessToken()).toBe('token-2');
+        } finally {
+            nowSpy.mockRestore();
+        }
+    });
+
+    test('assumes the default lifetime when IMS does not report expires_in', async () => {
+        fake.state.expiresIn = undefined;
+        const provider = new ImsTokenProvider({ clientId: 'client', clientSecret: 'secret', imsUrl: fake.url });
+
+        const nowSpy = jest.spyOn(Date, 'now');
+        try {
+            nowSpy.mockReturnValue(1000000);
+            expect(await provider.getAccessToken()).toBe('token-1');
+
+            nowSpy.mockReturnValue(1000000 + 60 * 60 * 1000);
+            expect(await provider.getAccessToken()).toBe('token-1');
+
+            nowSpy.mockReturnValue(1000000 + 24 * 60 * 60 * 1000);
+            expect(await provider.getAccessToken()).toBe('token-2');
+        } finally {
+            nowSpy.mockRestore();
+        }
+    });
+
+    test('exchanges technical account JSON with a signed JWT', async () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const serviceCredentials = JSON.stringify({
+            ok: true,
+            integration: {
+                imsEndpoint: fake.url,
+                metascopes: 'ent_aem_cloud_api',
+                technicalAccount: { clientId: 'cm-client', clientSecret: 'secret' },
+                id: 'tech@techacct.adobe.com',
+                org: 'org@AdobeOrg',
+                privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+            },
+            statusCode: 200
+        });
+
+        const provider = new ImsTokenProvider({ serviceCredentials });
+        expect(await provider.getAccessToken()).toBe('token-1');
+
+        const { url, form } = fake.state.tokenRequests[0];
+        expect(url).toBe('/ims/exchange/jwt');
+        expect(form.client_id).toBe('cm-client');
+
+        const [header, payload, signature] = form.jwt_token.split('.');
+        const valid = crypto.createVerify('RSA-SHA256')
+            .update(`${header}.${payload}`)
+            .verify(publicKey, Buffer.from(signature, 'base64url'));
+        expect(valid).toBe(true);
+
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        expect(claims).toMatchObject({
+            iss: 'org@AdobeOrg',
+            sub: 'tech@techacct.adobe.com',
+            aud: `${fake.url}/c/cm-client`,
+            [`${fake.url}/s/ent_aem_cloud_api`]: true
+        });
+    });
+
+    test('reports IMS errors', async () => {
+        const provider = new ImsTokenProvider({ clientId: 'client', clientSecret: 'wrong', imsUrl: fake.url });
+        await expect(provider.getAccessToken()).rejects.toThrow('Failed to obtain IMS access token: invalid client_secret');
+    });
+
+    test('rejects incomplete technical account JSON', () => {
+        expect(() => new ImsTokenProvider({ serviceCredentials: { integration: { id: 'x' } } }))
+            .toThrow('Service credentials are missing: org, privateKey, technicalAccount.clientId, technicalAccount.clientSecret');
+    });
+
+    test('AEM client sends the IMS token and refreshes it after a 401', async () => {
+        const client = new AEMClientBase(fake.url, { clientId: 'client', clientSecret: 'secret', imsUrl: fake.url });
+
+        const first = await client.axiosInstance.get('/content/dam.json');
+        expect(first.data.token).toBe('token-1');
+
+        // AEM stops accepting the cached token before it expires
+        fake.state.revoked.add('token-1');
+        const second = await client.axiosInstance.get('/content/dam.json');
+        expect(second.data.token).toBe('token-2');
+        expect(fake.state.aemRequests).toBe(3);
+        expect(client.getAuthMethodLabel()).toBe('IMS OAuth server-to-server');
+    });
+
+    test('AEM client retries a 401 only once', async () => {
+        const client = new AEMClientBase(fake.url, { clientId: 'client', clientSecret: 'secret', imsUrl: fake.url });
+        fake.state.revoked.add('token-1');
+        fake.state.revoked.add('token-2');
+
+        await expect(client.axiosInstance.get('/content/dam.json')).rejects.toMatchObject({ response: { status: 401 } });
+        expect(fake.state.aemRequests).toBe(2);
+        expect(fake.state.tokenRequests).toHaveLength(2);
+    });
+});
@@ -17,9 +17,24 @@ governing permissions and limitations under the License.
  * Add more tests as you customize your server with new tools and features.
  */
 
-const { main } = require('../actions/mcp-server/index.js')
+const os = require('os')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js')
+const { main, setSessionStore } = require('../actions/mcp-server/index.js')
+const { InMemorySessionStore, FileSessionStore } = require('../actions/mcp-server/session-store.js')
 
 describe('MCP Server Template Tests', () => {
+    // Most tests call the server without credentials, which requires the explicit opt-out
+    beforeAll(() => {
+        process.env.MCP_AUTH_DISABLED = 'true'
+    })
+
+    afterAll(() => {
+        delete process.env.MCP_AUTH_DISABLED
+    })
+
     // Test server health check
     describe('Health Check', () => {
         test('should respond to GET request with health status', async () => {
@@ -46,6 +61,7 @@ describe('MCP Server Template Tests', () => {
         test('should handle OPTIONS request for CORS preflight', async () => {
             const params = {
                 __ow_method: 'options',
+                MCP_ALLOWED_ORIGINS: '*',
                 LOG_LEVEL: 'info'
             }
 
@@ -55,6 +71,16 @@ describe('MCP Server Template Tests', () => {
             expect(result.headers['Access-Control-Allow-Origin']).toBe('*')
             expect(result.headers['Access-Control-Allow-Methods']).toContain('POST')
         })
+
+        test('should not allow any origin when none is configured', async () => {
+            const preflight = await main({
+                __ow_method: 'options',
+                __ow_headers: { origin: 'https://app.example.com' },
+                LOG_LEVEL: 'info'
+            })
+
+            expect(preflight.headers['Access-Control-Allow-Origin']).toBeUndefined()
+        })
     })
 
     // Test MCP protocol implementation
@@ -210,7 +236,9 @@ describe('MCP Server Template Tests', () => {
 
             // AEM Site Management tools
             expect(toolNames).toEqual(expect.arrayContaining([
+                'aem-list-environments',
                 'aem-create-microsite',
+                'aem-create-microsite-from-blueprint',
                 'aem-list-templates',
                 'aem-list-sites',
                 'aem-get-site-info',
@@ -221,11 +249,51 @@ describe('MCP Server Template Tests', () => {
             expect(toolNames).toEqual(expect.arrayContaining([
                 'aem-create-component',
                 'aem-create-content-fragment',
+                'aem-get-content-fragment',
+                'aem-list-content-fragments',
+                'aem-update-content-fragment',
+                'aem-delete-content-fragment',
+                'aem-list-content-fragment-variations',
+                'aem-create-content-fragment-variation',
+                'aem-update-content-fragment-variation',
+                'aem-create-content-fragment-language-copies',
+                'aem-list-content-fragment-models',
+                'aem-get-content-fragment-model',
+                'aem-create-content-fragment-model',
+                'aem-add-content-fragment-model-fields',
+                'aem-list-graphql-endpoints',
+                'aem-list-persisted-queries',
+                'aem-execute-persisted-query',
+                'aem-save-persisted-query',
                 'aem-upload-asset',
-                'aem-start-workflow'
+                'aem-start-workflow',
+                'aem-get-workflow',
+                'aem-list-workflows',
+                'aem-control-workflow',
+                'aem-publish',
+                'aem-unpublish'
             ]))
 
-            expect(toolNames).toHaveLength(12)
+            // AEM Asset tools
+            expect(toolNames).toEqual(expect.arrayContaining([
+                'aem-search-assets',
+                'aem-bulk-replace-metadata',
+                'aem-update-asset-metadata',
+                'aem-export-metadata',
+                'aem-import-metadata',
+                'aem-get-asset',
+                'aem-rename-asset',
+                'aem-move-asset',
+                'aem-copy-asset',
+                'aem-delete-asset',
+                'aem-create-folder',
+                'aem-list-folders',
+                'aem-rename-folder',
+                'aem-delete-folder',
+                'aem-list-assets'
+            ]))
+
+            expect(toolNames).toHaveLength(50)
             expect(toolNames).not.toContain('example_tool')
             expect(toolNames).not.toContain('file_search')
         })
@@ -315,6 +383,294 @@ describe('MCP Server Template Tests', () => {
         })
     })
 
+    // Test stateful session mode
+    describe('Stateful Sessions', () => {
+        const initRequest = {
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'initialize',
+            params: {
+                protocolVersion: '2024-11-05',
+                capabilities: {},
+                clientInfo: { name: 'test-client', version: '1.0.0' }
+            }
+        }
+
+        afterEach(() => {
+            setSessionStore(null)
+        })
+
+        test('should issue a session ID and accept it on later requests', async () => {
+            const store = new InMemorySessionStore()
+            setSessionStore(store)
+
+            const initResult = await main({
+                __ow_method: 'post',
+                __ow_body: JSON.stringify(initRequest),
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(initResult.statusCode).toBe(200)
+            const sessionId = initResult.headers['mcp-session-id']
+            expect(sessionId).toBeDefined()
+            expect((await store.get(sessionId)).clientInfo.name).toBe('test-client')
+
+            const listResult = await main({
+                __ow_method: 'post',
+                __ow_headers: { 'mcp-session-id': sessionId },
+                __ow_body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} }),
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(listResult.statusCode).toBe(200)
+            expect(JSON.parse(listResult.body).result.tools.length).toBeGreaterThan(0)
+            expect((await store.get(sessionId)).requestCount).toBe(2)
+        })
+
+        test('should hand the session context to tool handlers', async () => {
+            const store = new InMemorySessionStore()
+            setSessionStore(store)
+
+            const initResult = await main({
+                __ow_method: 'post',
+                __ow_body: JSON.stringify(initRequest),
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+            const sessionId = initResult.headers['mcp-session-id']
+            const session = await store.get(sessionId)
+            await store.set(sessionId, { ...session, context: { sitePath: '/content/demo' } })
+
+            const handleRequest = jest.spyOn(StreamableHTTPServerTransport.prototype, 'handleRequest')
+            const echoResult = await main({
+                __ow_method: 'post',
+                __ow_headers: { 'mcp-session-id': sessionId },
+                __ow_body: JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'echo', arguments: { message: 'hi' } } }),
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(echoResult.statusCode).toBe(200)
+            expect(JSON.parse(echoResult.body).result).toBeDefined()
+            const [req] = handleRequest.mock.calls[handleRequest.mock.calls.length - 1]
+            expect(req.auth.extra).toEqual({ sessionId, sessionContext: { sitePath: '/content/demo' } })
+            handleRequest.mockRestore()
+        })
+
+        test('should reject unknown session IDs with 404', async () => {
+            setSessionStore(new InMemorySessionStore())
+
+            const result = await main({
+                __ow_method: 'post',
+                __ow_headers: { 'mcp-session-id': 'does-not-exist' },
+                __ow_body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} }),
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(result.statusCode).toBe(404)
+            expect(JSON.parse(result.body).error.message).toBe('Session not found')
+        })
+
+        test('should only restore a session for the caller that created it', async () => {
+            const store = new InMemorySessionStore()
+            setSessionStore(store)
+            const secret = 'test-signing-key'
+            const exp = Math.floor(Date.now() / 1000) + 60
+            const tokenFor = sub => {
+                const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url')
+                const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub, exp })}`
+                return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`
+            }
+            const call = (sub, headers, body) => main({
+                __ow_method: 'post',
+                __ow_headers: { authorization: `Bearer ${tokenFor(sub)}`, ...headers },
+                __ow_body: JSON.stringify(body),
+                MCP_STATEFUL_SESSIONS: 'true',
+                MCP_JWT_SECRET: secret,
+                LOG_LEVEL: 'info'
+            })
+
+            const initResult = await call('alice', {}, initRequest)
+            const sessionId = initResult.headers['mcp-session-id']
+            expect((await store.get(sessionId)).owner).toBe('jwt:alice')
+
+            const listRequest = { jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} }
+            const other = await call('bob', { 'mcp-session-id': sessionId }, listRequest)
+            expect(other.statusCode).toBe(404)
+            expect(JSON.parse(other.body).error.message).toBe('Session not found')
+
+            const owner = await call('alice', { 'mcp-session-id': sessionId }, listRequest)
+            expect(owner.statusCode).toBe(200)
+        })
+
+        test('should end a session on DELETE', async () => {
+            const store = new InMemorySessionStore()
+            setSessionStore(store)
+
+            const initResult = await main({
+                __ow_method: 'post',
+                __ow_body: JSON.stringify(initRequest),
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+            const sessionId = initResult.headers['mcp-session-id']
+
+            const deleteResult = await main({
+                __ow_method: 'delete',
+                __ow_headers: { 'mcp-session-id': sessionId },
+                MCP_STATEFUL_SESSIONS: 'true',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(deleteResult.statusCode).toBe(200)
+            expect(await store.get(sessionId)).toBeNull()
+        })
+
+        test('should persist sessions with the file store', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sessions-test-'))
+            const store = new FileSessionStore({ directory })
+
+            await store.set('abc-123', { context: { sitePath: '/content/demo' } })
+            const reloaded = new FileSessionStore({ directory })
+
+            expect((await reloaded.get('abc-123')).context.sitePath).toBe('/content/demo')
+            expect(await reloaded.get('../etc/passwd')).toBeNull()
+
+            await reloaded.delete('abc-123')
+            expect(await store.get('abc-123')).toBeNull()
+            fs.rmSync(directory, { recursive: true, force: true })
+        })
+    })
+
+    // Test inbound authentication
+    describe('Inbound Authentication', () => {
+        const toolsListBody = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+
+        function signJwt (payload, secret) {
+            const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url')
+            const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`
+            return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`
+        }
+
+        test('should reject every request when no key is configured and auth is not disabled', async () => {
+            const result = await main({
+                __ow_method: 'post',
+                __ow_body: toolsListBody,
+                MCP_AUTH_DISABLED: 'false',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(result.statusCode).toBe(401)
+            expect(JSON.parse(result.body).error.message).toContain('not configured')
+        })
+
+        test('should reject requests without credentials when API keys are configured', async () => {
+            const result = await main({
+                __ow_method: 'post',
+                __ow_body: toolsListBody,
+                MCP_API_KEYS: 'key-1,key-2',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(result.statusCode).toBe(401)
+            expect(result.headers['WWW-Authenticate']).toContain('Bearer')
+            expect(JSON.parse(result.body).error.code).toBe(-32001)
+        })
+
+        test('should accept a configured API key', async () => {
+            const result = await main({
+                __ow_method: 'post',
+                __ow_headers: { 'x-api-key': 'key-2' },
+                __ow_body: toolsListBody,
+                MCP_API_KEYS: 'key-1,key-2',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(result.statusCode).toBe(200)
+        })
+
+        test('should verify bearer JWTs against the signing key', async () => {
+            const secret = 'test-signing-key'
+            const exp = Math.floor(Date.now() / 1000) + 60
+
+            const valid = await main({
+                __ow_method: 'post',
+                __ow_headers: { authorization: `Bearer ${signJwt({ sub: 'agent', exp }, secret)}` },
+                __ow_body: toolsListBody,
+                MCP_JWT_SECRET: secret,
+                LOG_LEVEL: 'info'
+            })
+            expect(valid.statusCode).toBe(200)
+
+            const forged = await main({
+                __ow_method: 'post',
+                __ow_headers: { authorization: `Bearer ${signJwt({ sub: 'agent', exp }, 'wrong-key')}` },
+                __ow_body: toolsListBody,
+                MCP_JWT_SECRET: secret,
+                LOG_LEVEL: 'info'
+            })
+            expect(forged.statusCode).toBe(401)
+
+            const expired = await main({
+                __ow_method: 'post',
+                __ow_headers: { authorization: `Bearer ${signJwt({ sub: 'agent', exp: exp - 3600 }, secret)}` },
+                __ow_body: toolsListBody,
+                MCP_JWT_SECRET: secret,
+                LOG_LEVEL: 'info'
+            })
+            expect(JSON.parse(expired.body).error.message).toContain('expired')
+
+            const noExpiry = await main({
+                __ow_method: 'post',
+                __ow_headers: { authorization: `Bearer ${signJwt({ sub: 'agent' }, secret)}` },
+                __ow_body: toolsListBody,
+                MCP_JWT_SECRET: secret,
+                LOG_LEVEL: 'info'
+            })
+            expect(noExpiry.statusCode).toBe(401)
+            expect(JSON.parse(noExpiry.body).error.message).toContain('no expiry')
+        })
+
+        test('should return 403 for tokens without the required scope', async () => {
+            const secret = 'test-signing-key'
+            const exp = Math.floor(Date.now() / 1000) + 60
+            const result = await main({
+                __ow_method: 'post',
+                __ow_headers: { authorization: `Bearer ${signJwt({ sub: 'agent', scope: 'read', exp }, secret)}` },
+                __ow_body: toolsListBody,
+                MCP_JWT_SECRET: secret,
+                MCP_JWT_REQUIRED_SCOPE: 'mcp:write',
+                LOG_LEVEL: 'info'
+            })
+
+            expect(result.statusCode).toBe(403)
+            expect(JSON.parse(result.body).error.code).toBe(-32003)
+        })
+
+        test('should use configured allowed origins instead of *', async () => {
+            const preflight = await main({
+                __ow_method: 'options',
+                __ow_headers: { origin: 'https://app.example.com' },
+                MCP_ALLOWED_ORIGINS: 'https://app.example.com',
+                LOG_LEVEL: 'info'
+            })
+            expect(preflight.headers['Access-Control-Allow-Origin']).toBe('https://app.example.com')
+
+            const blocked = await main({
+                __ow_method: 'post',
+                __ow_headers: { origin: 'https://evil.example.com' },
+                __ow_body: toolsListBody,
+                MCP_ALLOWED_ORIGINS: 'https://app.example.com',
+                LOG_LEVEL: 'info'
+            })
+            expect(blocked.statusCode).toBe(403)
+            expect(blocked.headers['Access-Control-Allow-Origin']).toBeUndefined()
+        })
+    })
+
     // Test error handling
     describe('Error Handling', () => {
         test('should handle invalid JSON-RPC request', async () => {
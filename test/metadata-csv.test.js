@@ -0,0 +1,68 @@
+/*
+Copyright 2022 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { formatMetadataCsv, parseMetadataCsv, toMetadataValue } = require('../actions/mcp-server/metadata-csv');
+
+describe('Metadata CSV', () => {
+    test('round-trips quoted cells and multi-value properties', () => {
+        const csv = formatMetadataCsv([
+            { path: '/content/dam/brand/logo.png', metadata: { 'dc:title': 'Logo, "primary"', 'cq:tags': ['brand:logo', 'brand:primary'] } },
+            { path: '/content/dam/brand/notes.pdf', metadata: { 'dc:title': 'Line 1\nLine 2' } }
+        ], ['dc:title', 'cq:tags']);
+
+        expect(csv.split('\r\n')[0]).toBe('assetPath,dc:title,cq:tags');
+
+        const { columns, rows, errors } = parseMetadataCsv(csv);
+        expect(errors).toEqual([]);
+        expect(columns.map(column => column.name)).toEqual(['dc:title', 'cq:tags']);
+        expect(rows[0].values).toEqual({ 'dc:title': 'Logo, "primary"', 'cq:tags': 'brand:logo|brand:primary' });
+        expect(rows[1]).toMatchObject({ line: 3, values: { 'dc:title': 'Line 1\nLine 2', 'cq:tags': '' } });
+        expect(toMetadataValue(rows[0].values['cq:tags'], columns[1], ['brand:old'])).toEqual(['brand:logo', 'brand:primary']);
+        expect(toMetadataValue(rows[1].values['cq:tags'], columns[1], undefined)).toBeUndefined();
+    });
+
+    test('escapes cells that spreadsheets would run as formulas', () => {
+        const csv = formatMetadataCsv([
+            { path: '/content/dam/a.png', metadata: { 'dc:title': '=HYPERLINK("http://evil.example")', 'dc:description': '-2+3', 'dc:rights': '@SUM(A1)' } }
+        ], ['dc:title', 'dc:description', 'dc:rights']);
+
+        expect(csv.split('\r\n')[1]).toBe('/content/dam/a.png,"\'=HYPERLINK(""http://evil.example"")",\'-2+3,\'@SUM(A1)');
+
+        const { columns, rows } = parseMetadataCsv(csv);
+        expect(toMetadataValue(rows[0].values['dc:title'], columns[0])).toBe('=HYPERLINK("http://evil.example")');
+        expect(toMetadataValue(rows[0].values['dc:description'], columns[1])).toBe('-2+3');
+        expect(toMetadataValue("'quoted", columns[0])).toBe("'quoted");
+    });
+
+    test('reads typed headers and reports invalid columns and rows', () => {
+        const typed = parseMetadataCsv('assetPath,prism:expirationDate {{Date}},dc:subject {{String: multi}}\n/content/dam/a.png,2030-01-01,one|two\n');
+        expect(typed.columns).toEqual([
+            { name: 'prism:expirationDate', type: 'Date', multiple: false },
+            { name: 'dc:subject', type: 'String', multiple: true }
+        ]);
+        expect(toMetadataValue('2030-01-01', typed.columns[0])).toEqual({ type: 'Date', value: '2030-01-01' });
+        expect(toMetadataValue('one|two', typed.columns[1])).toEqual(['one', 'two']);
+
+        expect(parseMetadataCsv('path,dam:size,dc:title,dc:title\n').errors.map(error => error.message)).toEqual([
+            'Column "dam:size" is maintained by AEM and cannot be imported',
+            'Duplicate column "dc:title"'
+        ]);
+
+        const { rows, errors } = parseMetadataCsv('assetPath,dc:title\n/content/dam/a.png,A\n/content/site/en,B\n\n/content/dam/a.png,C\n/content/dam/b.png,D,extra\n');
+        expect(rows).toHaveLength(1);
+        expect(errors).toEqual([
+            { line: 3, message: 'Asset path must start with /content/dam/ (got "/content/site/en")' },
+            { line: 5, message: '/content/dam/a.png is already listed on line 2' },
+            { line: 6, message: 'Row has 3 cells, the header has 2' }
+        ]);
+    });
+});